@@ -1,9 +1,46 @@
-import React from "react";
-import { Toaster } from "react-hot-toast";
+import React, { useState, useEffect } from "react";
+import toast, { Toaster } from "react-hot-toast";
+import { Routes, Route, NavLink, Navigate } from "react-router-dom";
+import { LogOut, Building2, User, Camera, History, LayoutDashboard, ClipboardList } from "lucide-react";
 import ImageUpload from "./components/ImageUpload";
+import HistoryGallery from "./components/HistoryGallery";
+import AnalysisDetail from "./components/AnalysisDetail";
+import Dashboard from "./components/Dashboard";
+import IncidentList from "./components/IncidentList";
+import IncidentDetail from "./components/IncidentDetail";
+import Login from "./components/Login";
+import { apiService, utils, session, SESSION_EXPIRED_EVENT } from "./services/api";
 import "./App.css";
 
 function App() {
+  const [user, setUser] = useState(() => session.get()?.user || null);
+
+  // Refresh the stored user (role changes) and drop the session when the server rejects it
+  useEffect(() => {
+    const handleExpired = () => {
+      setUser(null);
+      toast.error('Your session has expired. Please log in again.');
+    };
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+
+    if (session.getToken()) {
+      apiService.getCurrentUser()
+        .then(setUser)
+        .catch(error => console.error('Session error:', error));
+    }
+
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  const handleLogout = () => {
+    apiService.logout();
+    setUser(null);
+  };
+
+  // History and dashboard are for reviewers; inspectors see the analysis page and the incidents assigned to them
+  const canReview = utils.hasRole(user, 'supervisor');
+  const reviewOnly = (element) => (canReview ? element : <Navigate to="/" replace />);
+
   return (
     <div className="app">
       <Toaster
@@ -30,7 +67,35 @@ function App() {
           },
         }}
       />
-      <ImageUpload />
+      {user ? (
+        <>
+          <div className="user-bar">
+            <nav className="app-nav">
+              <NavLink to="/" end><Camera size={16} /> Analyze</NavLink>
+              {canReview && <NavLink to="/history"><History size={16} /> History</NavLink>}
+              {canReview && <NavLink to="/dashboard"><LayoutDashboard size={16} /> Dashboard</NavLink>}
+              <NavLink to="/incidents"><ClipboardList size={16} /> Incidents</NavLink>
+            </nav>
+            <span><Building2 size={16} /> {user.organizationName}</span>
+            <span><User size={16} /> {user.username} <span className="role-badge">{user.role}</span></span>
+            <button className="logout-btn" onClick={handleLogout}>
+              <LogOut size={16} />
+              Log Out
+            </button>
+          </div>
+          <Routes>
+            <Route path="/" element={<ImageUpload user={user} />} />
+            <Route path="/history" element={reviewOnly(<HistoryGallery user={user} />)} />
+            <Route path="/history/:id" element={reviewOnly(<AnalysisDetail user={user} />)} />
+            <Route path="/dashboard" element={reviewOnly(<Dashboard />)} />
+            <Route path="/incidents" element={<IncidentList user={user} />} />
+            <Route path="/incidents/:id" element={<IncidentDetail user={user} />} />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </>
+      ) : (
+        <Login onLogin={(result) => setUser(result.user)} />
+      )}
     </div>
   );
 }
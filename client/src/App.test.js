@@ -1,8 +1,34 @@
 import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const renderApp = () => render(
+  <MemoryRouter>
+    <App />
+  </MemoryRouter>
+);
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('asks for a login without a session', () => {
+  renderApp();
+  expect(screen.getByText(/sign in to analyze ppe compliance/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /sign in/i })).toBeInTheDocument();
+});
+
+test('shows inspectors the analysis and incident pages only', () => {
+  // Requests to the server are left pending; the stored session is enough to render
+  jest.spyOn(global, 'fetch').mockImplementation(() => new Promise(() => {}));
+  localStorage.setItem('safetysnap_session', JSON.stringify({
+    token: 'token',
+    user: { id: 2, username: 'bob', role: 'inspector', organizationName: 'Acme' }
+  }));
+
+  renderApp();
+  expect(screen.getByRole('link', { name: /analyze/i })).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: /incidents/i })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: /history/i })).not.toBeInTheDocument();
+  expect(screen.getByText('Acme')).toBeInTheDocument();
 });
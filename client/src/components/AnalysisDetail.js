@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft, FileDown, FileArchive, RefreshCw, ImageOff, Lock, Unlock, Pencil, UserCheck, Siren, ClipboardList } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import AnalysisResults from "./AnalysisResults";
+import DetectionReviewEditor from "./DetectionReviewEditor";
+import useWorkEnvironments from "../hooks/useWorkEnvironments";
+import "./AnalysisDetail.css";
+
+const ANNOTATION_FORMATS = [
+  { value: 'coco', label: 'COCO JSON' },
+  { value: 'voc', label: 'Pascal VOC XML' },
+  { value: 'yolo', label: 'YOLO txt' }
+];
+
+// Re-opens a stored analysis: annotated image, results, report download, re-analysis, legal hold,
+// human review of the detections and their export for labeling tools, and the incident for a non-compliant result
+const AnalysisDetail = ({ user }) => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const workEnvironments = useWorkEnvironments();
+  const [record, setRecord] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [reanalyzeEnvironment, setReanalyzeEnvironment] = useState('');
+  const [reanalyzing, setReanalyzing] = useState(false);
+  const [downloadingReport, setDownloadingReport] = useState(false);
+  const [updatingHold, setUpdatingHold] = useState(false);
+  const [exportFormat, setExportFormat] = useState('coco');
+  const [exporting, setExporting] = useState(false);
+  const [reviewing, setReviewing] = useState(false);
+  const [reviews, setReviews] = useState([]);
+  const [incident, setIncident] = useState(null);
+  const [openingIncident, setOpeningIncident] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setRecord(null);
+    setReviewing(false);
+
+    apiService.getAnalysis(id)
+      .then(result => {
+        if (cancelled) return;
+        setRecord(result.data);
+        setReanalyzeEnvironment(result.data.workEnvironment);
+      })
+      .catch(error => !cancelled && toast.error(error.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const recordId = record?.id;
+  const filename = record?.filename;
+  const imageAvailable = record?.imageAvailable;
+  const reviewVersion = record?.review?.version;
+  const verdict = record?.verdict;
+
+  // The annotated image shows the current version, so it is reloaded after a review is saved
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+
+    setImageUrl(null);
+    if (!recordId || !imageAvailable) return undefined;
+
+    apiService.getAnnotatedImage(filename, recordId)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setImageUrl(objectUrl);
+      })
+      .catch(error => !cancelled && toast.error(error.message));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [recordId, filename, imageAvailable, reviewVersion]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setReviews([]);
+    if (!recordId || !reviewVersion) return undefined;
+
+    apiService.getAnalysisReviews(recordId)
+      .then(result => !cancelled && setReviews(result.data))
+      .catch(error => !cancelled && toast.error(error.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recordId, reviewVersion]);
+
+  // The incident still being worked on for this analysis, if any
+  useEffect(() => {
+    let cancelled = false;
+
+    setIncident(null);
+    if (!recordId || verdict === 'compliant') return undefined;
+
+    apiService.getIncidents({ analysisId: recordId, active: true })
+      .then(result => !cancelled && setIncident(result.data[0] || null))
+      .catch(error => !cancelled && toast.error(error.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recordId, verdict]);
+
+  const handleReanalyze = async () => {
+    setReanalyzing(true);
+    try {
+      toast.loading('Re-analyzing image...', { id: 'reanalyze' });
+      // Keep the site and zone the image was taken at
+      const result = await apiService.analyzeExistingImage(record.filename, reanalyzeEnvironment, {
+        siteId: record.site?.id,
+        zoneId: record.zone?.id
+      });
+      toast.success('Analysis completed!', { id: 'reanalyze' });
+      navigate(`/history/${result.data.id}`);
+    } catch (error) {
+      toast.error(error.message, { id: 'reanalyze' });
+    } finally {
+      setReanalyzing(false);
+    }
+  };
+
+  const handleDownloadReport = async () => {
+    setDownloadingReport(true);
+    try {
+      await apiService.downloadReport(record.id);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setDownloadingReport(false);
+    }
+  };
+
+  const handleExportAnnotations = async () => {
+    setExporting(true);
+    try {
+      await apiService.exportAnnotations(record.id, exportFormat);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleToggleLegalHold = async () => {
+    setUpdatingHold(true);
+    try {
+      const result = await apiService.setLegalHold(record.id, !record.legalHold);
+      setRecord(result.data);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setUpdatingHold(false);
+    }
+  };
+
+  const handleOpenIncident = async () => {
+    setOpeningIncident(true);
+    try {
+      const result = await apiService.createIncident({ analysisId: record.id });
+      toast.success(result.message);
+      navigate(`/incidents/${result.data.id}`);
+    } catch (error) {
+      toast.error(error.message);
+      setOpeningIncident(false);
+    }
+  };
+
+  const handleReviewSaved = (updated) => {
+    setRecord(updated);
+    setReviewing(false);
+  };
+
+  return (
+    <div className="analysis-detail-container">
+      <Link to="/history" className="back-link">
+        <ArrowLeft size={18} />
+        Back to history
+      </Link>
+
+      {loading && <p className="history-empty">Loading analysis...</p>}
+
+      {!loading && !record && <p className="history-empty">Analysis not found.</p>}
+
+      {record && (
+        <>
+          <div className="header-section">
+            <h2>{record.originalName || record.filename}</h2>
+            <p>
+              Analysis #{record.id} · {utils.formatDate(record.analyzedAt)}
+              {record.legalHold && <span className="legal-hold-badge"><Lock size={14} /> Legal hold</span>}
+              {record.review && (
+                <span className="review-badge">
+                  <UserCheck size={14} />
+                  Reviewed by {record.review.reviewedBy.username} · {utils.formatDate(record.review.reviewedAt)} (version {record.review.version})
+                </span>
+              )}
+            </p>
+          </div>
+
+          {reviewing ? (
+            <DetectionReviewEditor record={record} onSaved={handleReviewSaved} onCancel={() => setReviewing(false)} />
+          ) : (
+            <div className="detail-image">
+              {imageUrl ? (
+                <img src={imageUrl} alt={`Annotated ${record.originalName || record.filename}`} />
+              ) : (
+                !record.imageAvailable && (
+                  <div className="detail-image-missing">
+                    <ImageOff size={32} />
+                    <span>The image is no longer available</span>
+                  </div>
+                )
+              )}
+            </div>
+          )}
+
+          <AnalysisResults
+            result={{ source: 'server', workEnvironment: record.workEnvironment, analysis: record.analysis }}
+            workEnvironments={workEnvironments}
+          >
+            <div className="report-actions detail-actions">
+              <button
+                className="analyze-btn"
+                onClick={handleDownloadReport}
+                disabled={downloadingReport}
+              >
+                <FileDown size={20} />
+                {downloadingReport ? 'Preparing Report...' : 'Download Report'}
+              </button>
+
+              {record.imageAvailable && !reviewing && (
+                <button className="settings-btn" onClick={() => setReviewing(true)}>
+                  <Pencil size={18} />
+                  Review Detections
+                </button>
+              )}
+
+              {record.verdict !== 'compliant' && (
+                incident ? (
+                  <Link to={`/incidents/${incident.id}`} className="settings-btn">
+                    <ClipboardList size={18} />
+                    View Incident #{incident.id}
+                  </Link>
+                ) : (
+                  <button className="settings-btn" onClick={handleOpenIncident} disabled={openingIncident}>
+                    <Siren size={18} />
+                    {openingIncident ? 'Opening...' : 'Open Incident'}
+                  </button>
+                )
+              )}
+
+              {utils.hasRole(user, 'supervisor') && (
+                <div className="detail-export">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    aria-label="Annotation format for export"
+                  >
+                    {ANNOTATION_FORMATS.map(format => (
+                      <option key={format.value} value={format.value}>{format.label}</option>
+                    ))}
+                  </select>
+                  <button className="settings-btn" onClick={handleExportAnnotations} disabled={exporting}>
+                    <FileArchive size={18} />
+                    {exporting ? 'Exporting...' : 'Export Annotations'}
+                  </button>
+                </div>
+              )}
+
+              {utils.hasRole(user, 'admin') && (
+                <button className="settings-btn" onClick={handleToggleLegalHold} disabled={updatingHold}>
+                  {record.legalHold ? <Unlock size={18} /> : <Lock size={18} />}
+                  {record.legalHold ? 'Release Legal Hold' : 'Place Legal Hold'}
+                </button>
+              )}
+
+              {record.imageAvailable && (
+                <div className="detail-reanalyze">
+                  <select
+                    value={reanalyzeEnvironment}
+                    onChange={(e) => setReanalyzeEnvironment(e.target.value)}
+                    aria-label="Work environment for re-analysis"
+                  >
+                    {workEnvironments.map(env => (
+                      <option key={env.value} value={env.value}>{env.label}</option>
+                    ))}
+                  </select>
+                  <button className="settings-btn" onClick={handleReanalyze} disabled={reanalyzing}>
+                    <RefreshCw size={18} />
+                    {reanalyzing ? 'Re-analyzing...' : 'Re-analyze'}
+                  </button>
+                </div>
+              )}
+            </div>
+          </AnalysisResults>
+
+          {reviews.length > 0 && (
+            <div className="review-history">
+              <h3>Review History</h3>
+              <ul>
+                {[...reviews].reverse().map(review => (
+                  <li key={review.version}>
+                    <strong>Version {review.version}</strong> · {review.reviewedBy.username} · {utils.formatDate(review.reviewedAt)}
+                    {' · '}{review.detections.length} box{review.detections.length === 1 ? '' : 'es'}, score {review.compliance.complianceScore}%
+                    {review.note && <p>{review.note}</p>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisDetail;
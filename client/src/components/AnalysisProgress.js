@@ -0,0 +1,41 @@
+import React from "react";
+import { CheckCircle, Circle, Loader2 } from "lucide-react";
+import "./ImageUpload.css";
+
+const STAGE_LABELS = {
+  stored: 'Image uploaded',
+  preprocessed: 'Image prepared',
+  detected: 'PPE detected',
+  scored: 'Compliance scored'
+};
+
+// Stage-by-stage progress of a server analysis job. `job` is null while the image is still uploading.
+const AnalysisProgress = ({ job }) => {
+  const stages = job?.stages || Object.keys(STAGE_LABELS);
+  const completed = job ? stages.indexOf(job.stage) + 1 : 0;
+
+  const heading = !job
+    ? 'Uploading image...'
+    : job.status === 'queued' ? 'Waiting for the analyzer...' : 'Analyzing PPE compliance...';
+
+  return (
+    <div className="analysis-progress" role="status">
+      <h4>{heading}</h4>
+      <ol>
+        {stages.map((stage, index) => {
+          const state = index < completed ? 'done' : index === completed ? 'active' : 'pending';
+          return (
+            <li key={stage} className={state}>
+              {state === 'done' && <CheckCircle size={18} />}
+              {state === 'active' && <Loader2 size={18} className="spin" />}
+              {state === 'pending' && <Circle size={18} />}
+              {STAGE_LABELS[stage] || stage}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default AnalysisProgress;
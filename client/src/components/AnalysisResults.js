@@ -0,0 +1,230 @@
+import React from "react";
+import { AlertCircle, CheckCircle, Eye, HelpCircle, Server, WifiOff } from "lucide-react";
+import { utils } from "../services/api";
+import "./ImageUpload.css";
+
+// Compliance score, people, detections, recommendations and details of one analysis.
+// `result` has the shape returned by the upload endpoints: { source, workEnvironment, analysis }.
+// Extra actions (report download, re-analysis) are passed as children.
+const AnalysisResults = ({ result, workEnvironments = [], children }) => {
+  return (
+    <div className="results-section">
+      <div className={`analysis-source ${result.source}`}>
+        {result.source === 'local' ? <WifiOff size={16} /> : <Server size={16} />}
+        <span>
+          {result.source === 'local'
+            ? 'Local analysis (offline, person detection only)'
+            : 'Server analysis'}
+        </span>
+      </div>
+
+      {result.analysis.compliance.ppeChecked === false ? (
+        <div className="compliance-summary">
+          <div className="compliance-unchecked">
+            <h3>PPE Not Checked</h3>
+            <p>
+              {result.analysis.compliance.people.length} {result.analysis.compliance.people.length === 1 ? 'person' : 'people'} detected
+              locally. Connect to the server to score PPE compliance.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="compliance-summary">
+          <div className="compliance-score">
+            <h3>PPE Compliance Score</h3>
+            <div 
+              className="score-circle"
+              style={{ borderColor: utils.getComplianceColor(result.analysis.compliance.complianceScore) }}
+            >
+              <span 
+                className="score-value"
+                style={{ color: utils.getComplianceColor(result.analysis.compliance.complianceScore) }}
+              >
+                {result.analysis.compliance.complianceScore}%
+              </span>
+            </div>
+            <p className="compliance-text">
+              {utils.getComplianceText(result.analysis.compliance.complianceScore)}
+            </p>
+          </div>
+
+          <div className="compliance-status">
+            {result.analysis.compliance.isCompliant ? (
+              <div className="status-success">
+                <CheckCircle size={24} />
+                <span>PPE Compliant</span>
+              </div>
+            ) : result.analysis.compliance.verdict === 'uncertain' ? (
+              <div className="status-review">
+                <HelpCircle size={24} />
+                <span>Needs Review</span>
+                <small>
+                  Low confidence: {result.analysis.compliance.uncertainCategories.map(category => utils.formatCategory(category)).join(', ')}
+                </small>
+              </div>
+            ) : (
+              <div className="status-warning">
+                <AlertCircle size={24} />
+                <span>PPE Non-Compliant</span>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {result.analysis.compliance.ppeChecked !== false && result.analysis.compliance.people?.length > 0 && (
+        <div className="people-results">
+          <h4>People ({result.analysis.compliance.people.length})</h4>
+          <div className="person-cards">
+            {result.analysis.compliance.people.map(person => (
+              <div
+                key={person.id}
+                className={`person-card ${person.isCompliant ? 'compliant' : person.verdict === 'uncertain' ? 'uncertain' : 'non-compliant'}`}
+              >
+                <div className="person-card-header">
+                  <span className="person-name">Person {person.id}</span>
+                  <span
+                    className="person-score"
+                    style={{ color: utils.getComplianceColor(person.complianceScore) }}
+                  >
+                    {person.complianceScore}%
+                  </span>
+                </div>
+                {person.isCompliant ? (
+                  <div className="status-success">
+                    <CheckCircle size={18} />
+                    <span>Compliant</span>
+                  </div>
+                ) : person.verdict === 'uncertain' ? (
+                  <div className="status-review">
+                    <HelpCircle size={18} />
+                    <span>Needs Review</span>
+                  </div>
+                ) : (
+                  <div className="status-warning">
+                    <AlertCircle size={18} />
+                    <span>Non-Compliant</span>
+                  </div>
+                )}
+                <div className="person-categories">
+                  {person.detectedCategories.map(category => (
+                    <span
+                      key={category}
+                      className="category-chip"
+                      style={{ borderColor: utils.getCategoryColor(category), color: utils.getCategoryColor(category) }}
+                    >
+                      {utils.formatCategory(category)}
+                    </span>
+                  ))}
+                  {(person.uncertainCategories || []).map(category => (
+                    <span key={category} className="category-chip uncertain">
+                      Uncertain {utils.formatCategory(category)}
+                    </span>
+                  ))}
+                  {person.missingCategories.map(category => (
+                    <span key={category} className="category-chip missing">
+                      Missing {utils.formatCategory(category)}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="detection-results">
+        <h4>{result.source === 'local' ? 'Detected Objects' : 'Detected PPE Items'}</h4>
+        <div className="detected-items">
+          {result.analysis.detections.map((detection, index) => (
+            <div key={index} className="detected-item">
+              <div 
+                className="item-color"
+                style={{ backgroundColor: utils.getCategoryColor(detection.category) }}
+              />
+              <div className="item-info">
+                <span className="item-name">{detection.class}</span>
+                <span className="item-confidence">
+                  {(detection.confidence * 100).toFixed(1)}%
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="recommendations">
+        <h4>Recommendations</h4>
+        <div className="recommendation-list">
+          {result.analysis.recommendations.map((rec, index) => (
+            <div 
+              key={index} 
+              className={`recommendation-item ${rec.type}`}
+            >
+              <div 
+                className="recommendation-icon"
+                style={{ color: utils.getPriorityColor(rec.priority) }}
+              >
+                {rec.type === 'success' ? <CheckCircle size={20} /> : 
+                 rec.type === 'warning' ? <AlertCircle size={20} /> : 
+                 rec.type === 'uncertain' ? <HelpCircle size={20} /> : 
+                 <Eye size={20} />}
+              </div>
+              <div className="recommendation-content">
+                <p>{rec.message}</p>
+                <span className="priority-badge">{rec.priority} priority</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="analysis-details">
+        <h4>Analysis Details</h4>
+        <div className="details-grid">
+          <div className="detail-item">
+            <span className="detail-label">Work Environment:</span>
+            <span className="detail-value">
+              {workEnvironments.find(env => env.value === result.workEnvironment)?.label || result.workEnvironment}
+            </span>
+          </div>
+          {result.analysis.site && (
+            <div className="detail-item">
+              <span className="detail-label">Location:</span>
+              <span className="detail-value">
+                {[result.analysis.site.name, result.analysis.zone?.name].filter(Boolean).join(' / ')}
+                {result.analysis.requirementsSource === 'zone' && ' (zone requirements)'}
+              </span>
+            </div>
+          )}
+          <div className="detail-item">
+            <span className="detail-label">Image Dimensions:</span>
+            <span className="detail-value">
+              {result.analysis.imageInfo.width} × {result.analysis.imageInfo.height}
+              {result.analysis.imageInfo.original
+                && (result.analysis.imageInfo.original.width !== result.analysis.imageInfo.width
+                  || result.analysis.imageInfo.original.format !== result.analysis.imageInfo.format)
+                && ` (original ${result.analysis.imageInfo.original.width} × ${result.analysis.imageInfo.original.height} ${result.analysis.imageInfo.original.format.toUpperCase()})`}
+            </span>
+          </div>
+          <div className="detail-item">
+            <span className="detail-label">Items Detected:</span>
+            <span className="detail-value">
+              {result.analysis.compliance.totalDetected} / {result.analysis.compliance.totalRequired}
+            </span>
+          </div>
+          <div className="detail-item">
+            <span className="detail-label">Analysis Time:</span>
+            <span className="detail-value">
+              {new Date(result.analysis.timestamp).toLocaleString()}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+};
+
+export default AnalysisResults;
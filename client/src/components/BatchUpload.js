@@ -0,0 +1,268 @@
+import React, { useState, useCallback } from "react";
+import { useDropzone } from "react-dropzone";
+import { Upload, CheckCircle, AlertCircle, Loader, Clock, Archive, Image as ImageIcon, Trash2, Play } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import "./BatchUpload.css";
+
+// Images are sent in chunks so the queue shows progress; each ZIP archive goes in its own request
+const CHUNK_SIZE = 10;
+
+const statusLabels = {
+  queued: 'Queued',
+  analyzing: 'Analyzing',
+  completed: 'Completed',
+  failed: 'Failed'
+};
+
+const BatchUpload = ({ workEnvironment, location }) => {
+  const [queue, setQueue] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
+    rejectedFiles.forEach(({ file, errors }) => toast.error(`${file.name}: ${errors[0].message}`));
+
+    const items = [];
+    acceptedFiles.forEach(file => {
+      try {
+        utils.validateBatchFile(file);
+        items.push({
+          id: `${file.name}-${file.size}-${Date.now()}-${Math.random()}`,
+          file,
+          isZip: utils.isZipFile(file),
+          status: 'queued',
+          results: [],
+          error: null
+        });
+      } catch (error) {
+        toast.error(`${file.name}: ${error.message}`);
+      }
+    });
+
+    setQueue(prev => [...prev, ...items]);
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'image/*': ['.jpeg', '.jpg', '.png', '.webp', '.heic', '.heif', '.avif'],
+      'application/zip': ['.zip']
+    },
+    multiple: true,
+    disabled: running
+  });
+
+  const updateItems = (ids, changes) => {
+    setQueue(prev => prev.map(item => (ids.includes(item.id) ? { ...item, ...changes(item) } : item)));
+  };
+
+  const runChunk = async (items) => {
+    const ids = items.map(item => item.id);
+    updateItems(ids, () => ({ status: 'analyzing', error: null }));
+
+    try {
+      const result = await apiService.uploadBatch(items.map(item => item.file), workEnvironment, location);
+      if (!result.success) throw new Error(result.message);
+
+      const { results } = result.data;
+      if (items.length === 1 && items[0].isZip) {
+        const completed = results.some(r => r.status === 'completed');
+        updateItems(ids, () => ({
+          status: completed ? 'completed' : 'failed',
+          results,
+          error: completed ? null : 'No images in the archive could be analyzed'
+        }));
+        return;
+      }
+
+      // Plain images come back in upload order, one result each
+      setQueue(prev => prev.map(item => {
+        const index = ids.indexOf(item.id);
+        if (index === -1) return item;
+        const itemResult = results[index];
+        return {
+          ...item,
+          status: itemResult.status,
+          results: [itemResult],
+          error: itemResult.error || null
+        };
+      }));
+    } catch (error) {
+      updateItems(ids, () => ({ status: 'failed', error: error.message }));
+    }
+  };
+
+  const handleStart = async () => {
+    const pending = queue.filter(item => item.status === 'queued' || item.status === 'failed');
+    if (pending.length === 0) {
+      toast.error('Add images or ZIP archives to the queue first!');
+      return;
+    }
+
+    setRunning(true);
+    toast.loading(`Analyzing ${pending.length} item(s)...`, { id: 'batch' });
+
+    const zips = pending.filter(item => item.isZip);
+    const images = pending.filter(item => !item.isZip);
+    const chunks = [
+      ...zips.map(item => [item]),
+      ...Array.from({ length: Math.ceil(images.length / CHUNK_SIZE) }, (_, i) =>
+        images.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE)
+      )
+    ];
+
+    for (const chunk of chunks) {
+      await runChunk(chunk);
+    }
+
+    setRunning(false);
+    toast.success('Batch analysis finished!', { id: 'batch' });
+  };
+
+  const handleRemove = (id) => {
+    setQueue(prev => prev.filter(item => item.id !== id));
+  };
+
+  const handleClear = () => {
+    setQueue([]);
+  };
+
+  // Aggregate over every analyzed image in the queue
+  const completedResults = queue
+    .flatMap(item => item.results)
+    .filter(result => result.status === 'completed');
+  const compliantCount = completedResults.filter(result => result.isCompliant).length;
+  const averageScore = completedResults.length > 0
+    ? Math.round(completedResults.reduce((sum, result) => sum + result.complianceScore, 0) / completedResults.length)
+    : 0;
+
+  const renderStatusIcon = (status) => {
+    switch (status) {
+      case 'analyzing':
+        return <Loader size={18} className="spin" />;
+      case 'completed':
+        return <CheckCircle size={18} />;
+      case 'failed':
+        return <AlertCircle size={18} />;
+      default:
+        return <Clock size={18} />;
+    }
+  };
+
+  const renderItemSummary = (item) => {
+    if (item.error) return <span className="batch-item-error">{item.error}</span>;
+    if (item.status !== 'completed') return null;
+
+    const completed = item.results.filter(result => result.status === 'completed');
+    if (item.isZip) {
+      const compliant = completed.filter(result => result.isCompliant).length;
+      return (
+        <span className="batch-item-detail">
+          {completed.length} of {item.results.length} images analyzed · {compliant} compliant
+        </span>
+      );
+    }
+
+    const [result] = completed;
+    return (
+      <span className="batch-item-detail">
+        {result.complianceScore}% · {result.isCompliant ? 'Compliant' : 'Non-Compliant'}
+      </span>
+    );
+  };
+
+  return (
+    <div className="batch-upload">
+      <div
+        {...getRootProps()}
+        className={`dropzone ${isDragActive ? 'active' : ''}`}
+      >
+        <input {...getInputProps()} />
+        <div className="dropzone-content">
+          <Upload size={48} />
+          <h3>{isDragActive ? 'Drop the files here' : 'Drag & drop images or ZIP archives here'}</h3>
+          <p>or click to select files</p>
+          <div className="file-info">
+            <small>Supports: JPEG, PNG, WebP (Max 10MB each), ZIP (Max 200MB)</small>
+          </div>
+        </div>
+      </div>
+
+      {queue.length > 0 && (
+        <>
+          <div className="batch-summary">
+            <div className="batch-stat">
+              <span className="batch-stat-value">{queue.length}</span>
+              <span className="batch-stat-label">Queued items</span>
+            </div>
+            <div className="batch-stat">
+              <span className="batch-stat-value">{completedResults.length}</span>
+              <span className="batch-stat-label">Images analyzed</span>
+            </div>
+            <div className="batch-stat">
+              <span className="batch-stat-value">
+                {completedResults.length > 0 ? Math.round((compliantCount / completedResults.length) * 100) : 0}%
+              </span>
+              <span className="batch-stat-label">Compliant</span>
+            </div>
+            <div className="batch-stat">
+              <span className="batch-stat-value">{averageScore}%</span>
+              <span className="batch-stat-label">Average score</span>
+            </div>
+          </div>
+
+          <ul className="batch-queue">
+            {queue.map(item => (
+              <li key={item.id} className={`batch-item ${item.status}`}>
+                <div className="batch-item-icon">
+                  {item.isZip ? <Archive size={20} /> : <ImageIcon size={20} />}
+                </div>
+                <div className="batch-item-info">
+                  <span className="batch-item-name">{item.file.name}</span>
+                  <span className="batch-item-size">{utils.formatFileSize(item.file.size)}</span>
+                  {renderItemSummary(item)}
+                </div>
+                <div className="batch-item-status">
+                  {renderStatusIcon(item.status)}
+                  <span>{statusLabels[item.status]}</span>
+                </div>
+                <button
+                  className="batch-item-remove"
+                  onClick={() => handleRemove(item.id)}
+                  disabled={running}
+                  aria-label={`Remove ${item.file.name}`}
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="actions-section">
+        <button
+          className="analyze-btn"
+          onClick={handleStart}
+          disabled={queue.length === 0 || running}
+        >
+          <Play size={20} />
+          {running ? 'Analyzing...' : 'Analyze Batch'}
+        </button>
+
+        {queue.length > 0 && (
+          <button
+            className="reset-btn"
+            onClick={handleClear}
+            disabled={running}
+          >
+            <Trash2 size={20} />
+            Clear Queue
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchUpload;
@@ -0,0 +1,264 @@
+import React, { useState, useRef, useEffect } from "react";
+import { Camera, CameraOff, Video, Play, Pause, AlertCircle, CheckCircle, HelpCircle, UserX } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import AnalysisResults from "./AnalysisResults";
+import "./CameraCapture.css";
+
+const CHECK_INTERVALS = [
+  { value: 5, label: 'Every 5 seconds' },
+  { value: 10, label: 'Every 10 seconds' },
+  { value: 30, label: 'Every 30 seconds' },
+  { value: 60, label: 'Every minute' }
+];
+
+const FACING_MODES = [
+  { value: 'environment', label: 'Rear camera' },
+  { value: 'user', label: 'Front camera' }
+];
+
+const stopStream = (stream) => {
+  if (stream) stream.getTracks().forEach(track => track.stop());
+};
+
+// Grab the current video frame as a JPEG file for the upload endpoint
+const captureFrame = (video) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  canvas.toBlob(blob => {
+    if (blob) {
+      resolve(new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' }));
+    } else {
+      reject(new Error('Could not capture a frame from the camera'));
+    }
+  }, 'image/jpeg', 0.9);
+});
+
+// Live camera preview with on-demand capture and periodic auto-checks, e.g. on a tablet at a site gate.
+// Frames are analyzed by the server like any upload; the latest detections are drawn over the live video.
+const CameraCapture = ({ workEnvironment, location, workEnvironments }) => {
+  const [streaming, setStreaming] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [facingMode, setFacingMode] = useState('environment');
+  const [autoCheck, setAutoCheck] = useState(false);
+  const [checkInterval, setCheckInterval] = useState(10);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [result, setResult] = useState(null);
+  const [lastCheckedAt, setLastCheckedAt] = useState(null);
+  const videoRef = useRef();
+  const canvasRef = useRef();
+  const streamRef = useRef(null);
+  const busyRef = useRef(false);
+
+  // Release the camera when leaving camera mode
+  useEffect(() => () => stopStream(streamRef.current), []);
+
+  const startCamera = async () => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      toast.error('Camera access is not available. It requires a supported browser over HTTPS or localhost.');
+      return;
+    }
+
+    setStarting(true);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode, width: { ideal: 1280 }, height: { ideal: 720 } },
+        audio: false
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setStreaming(true);
+    } catch (error) {
+      stopStream(streamRef.current);
+      streamRef.current = null;
+      toast.error(error.name === 'NotAllowedError'
+        ? 'Camera permission was denied'
+        : `Could not start the camera: ${error.message}`);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const stopCamera = () => {
+    stopStream(streamRef.current);
+    streamRef.current = null;
+    if (videoRef.current) videoRef.current.srcObject = null;
+    setStreaming(false);
+    setAutoCheck(false);
+  };
+
+  // Auto-checks skip a tick while the previous frame is still being analyzed
+  const checkFrame = async ({ auto = false } = {}) => {
+    if (busyRef.current || !videoRef.current?.videoWidth) return;
+
+    busyRef.current = true;
+    setAnalyzing(true);
+    if (!auto) toast.loading('Analyzing PPE compliance...', { id: 'camera-check' });
+
+    try {
+      const frame = await captureFrame(videoRef.current);
+      const response = await apiService.uploadAndAnalyzeImage(frame, workEnvironment, location);
+      if (!response.success) {
+        throw new Error(response.message);
+      }
+
+      setResult({ ...response.data, source: 'server' });
+      setLastCheckedAt(new Date());
+      if (!auto) toast.success('Analysis completed!', { id: 'camera-check' });
+    } catch (error) {
+      toast.error(error.message, { id: 'camera-check' });
+      console.error('Camera check error:', error);
+    } finally {
+      busyRef.current = false;
+      setAnalyzing(false);
+    }
+  };
+
+  // The interval reads the latest settings through a ref instead of restarting on every render
+  const checkFrameRef = useRef(checkFrame);
+  checkFrameRef.current = checkFrame;
+
+  useEffect(() => {
+    if (!autoCheck || !streaming) return;
+
+    checkFrameRef.current({ auto: true });
+    const timer = setInterval(() => checkFrameRef.current({ auto: true }), checkInterval * 1000);
+    return () => clearInterval(timer);
+  }, [autoCheck, checkInterval, streaming]);
+
+  // Overlay the detections of the latest checked frame on the live video
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    if (!result) {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    canvas.width = result.analysis.imageInfo.width;
+    canvas.height = result.analysis.imageInfo.height;
+
+    let personCount = 0;
+    result.analysis.detections.forEach(detection => {
+      const [x, y, width, height] = detection.bbox;
+      const color = utils.getCategoryColor(detection.category);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 3;
+      ctx.strokeRect(x, y, width, height);
+
+      const name = detection.class === 'person' ? `Person ${++personCount}` : detection.class;
+      const label = `${name} (${(detection.confidence * 100).toFixed(1)}%)`;
+      ctx.font = 'bold 14px Arial';
+      const textWidth = ctx.measureText(label).width;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y - 25, textWidth + 10, 25);
+      ctx.fillStyle = 'white';
+      ctx.fillText(label, x + 5, y - 8);
+    });
+  }, [result, streaming]);
+
+  const compliance = result?.analysis.compliance;
+
+  return (
+    <div className="camera-capture">
+      <div className="camera-container">
+        <video
+          ref={videoRef}
+          className={`camera-video ${streaming ? '' : 'hidden'}`}
+          playsInline
+          muted
+        />
+        {streaming && <canvas ref={canvasRef} className="camera-canvas" />}
+
+        {!streaming && (
+          <div className="camera-placeholder">
+            <CameraOff size={48} />
+            <p>{starting ? 'Starting camera...' : 'Camera is off'}</p>
+          </div>
+        )}
+
+        {streaming && compliance && (
+          <div className={`camera-status ${!compliance.personDetected ? 'no-person' : compliance.isCompliant ? 'compliant' : compliance.verdict === 'uncertain' ? 'uncertain' : 'violation'}`}>
+            {!compliance.personDetected ? (
+              <><UserX size={24} /> No person detected</>
+            ) : compliance.isCompliant ? (
+              <><CheckCircle size={24} /> PPE compliant · {compliance.complianceScore}%</>
+            ) : compliance.verdict === 'uncertain' ? (
+              <>
+                <HelpCircle size={24} />
+                Check: {compliance.uncertainCategories.map(category => utils.formatCategory(category)).join(', ')}
+              </>
+            ) : (
+              <>
+                <AlertCircle size={24} />
+                Missing: {compliance.missingCategories.map(category => utils.formatCategory(category)).join(', ')}
+              </>
+            )}
+            {lastCheckedAt && <span className="camera-checked-at">{lastCheckedAt.toLocaleTimeString()}</span>}
+          </div>
+        )}
+      </div>
+
+      <div className="settings-panel camera-settings">
+        <label htmlFor="facingMode">Camera:</label>
+        <select
+          id="facingMode"
+          value={facingMode}
+          onChange={(e) => setFacingMode(e.target.value)}
+          disabled={streaming || starting}
+        >
+          {FACING_MODES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        <label htmlFor="checkInterval">Auto-check:</label>
+        <select
+          id="checkInterval"
+          value={checkInterval}
+          onChange={(e) => setCheckInterval(Number(e.target.value))}
+        >
+          {CHECK_INTERVALS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="actions-section">
+        {!streaming ? (
+          <button className="analyze-btn" onClick={startCamera} disabled={starting}>
+            <Video size={20} />
+            {starting ? 'Starting...' : 'Start Camera'}
+          </button>
+        ) : (
+          <>
+            <button className="analyze-btn" onClick={() => checkFrame()} disabled={analyzing}>
+              <Camera size={20} />
+              {analyzing ? 'Analyzing...' : 'Capture & Analyze'}
+            </button>
+            <button
+              className={`settings-btn ${autoCheck ? 'active' : ''}`}
+              onClick={() => setAutoCheck(!autoCheck)}
+            >
+              {autoCheck ? <Pause size={20} /> : <Play size={20} />}
+              {autoCheck ? 'Stop Auto-check' : 'Start Auto-check'}
+            </button>
+            <button className="reset-btn" onClick={stopCamera}>
+              <CameraOff size={20} />
+              Stop Camera
+            </button>
+          </>
+        )}
+      </div>
+
+      {result && <AnalysisResults result={result} workEnvironments={workEnvironments} />}
+    </div>
+  );
+};
+
+export default CameraCapture;
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  ResponsiveContainer, LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from "recharts";
+import { LayoutDashboard, Download } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import useWorkEnvironments from "../hooks/useWorkEnvironments";
+import useSites from "../hooks/useSites";
+import "./Dashboard.css";
+
+const intervals = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+];
+
+const ranges = [
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 365, label: 'Last 12 months' }
+];
+
+const LINE_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EF4444', '#06B6D4', '#EC4899', '#6B7280'];
+
+// One chart row per period with the average score of each environment as a column
+const toTrendData = (series) => {
+  const periods = {};
+  series.forEach(row => {
+    periods[row.period] = periods[row.period] || { period: row.period, analyses: 0, compliant: 0 };
+    periods[row.period][row.environment] = row.averageScore;
+    periods[row.period].analyses += row.analyses;
+    periods[row.period].compliant += row.compliant;
+  });
+  return Object.values(periods)
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(period => ({ ...period, compliantRate: Math.round((period.compliant / period.analyses) * 1000) / 10 }));
+};
+
+// Compliance trends and most frequently missing PPE over stored analyses
+const Dashboard = () => {
+  const [timeInterval, setTimeInterval] = useState('week');
+  const [range, setRange] = useState(90);
+  const [environment, setEnvironment] = useState('');
+  const [siteId, setSiteId] = useState('');
+  const [zoneId, setZoneId] = useState('');
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const workEnvironments = useWorkEnvironments();
+  const sites = useSites();
+  const site = sites.find(item => item.id === Number(siteId));
+
+  const params = useMemo(() => {
+    const from = new Date();
+    from.setDate(from.getDate() - range);
+    return {
+      interval: timeInterval,
+      from: from.toISOString(),
+      ...(environment ? { environment } : {}),
+      ...(siteId ? { siteId } : {}),
+      ...(zoneId ? { zoneId } : {})
+    };
+  }, [timeInterval, range, environment, siteId, zoneId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    apiService.getStats(params)
+      .then(result => !cancelled && setStats(result.data))
+      .catch(error => !cancelled && toast.error(error.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [params]);
+
+  const environmentLabel = (id) => workEnvironments.find(env => env.value === id)?.label || id;
+
+  const handleExport = async (format) => {
+    try {
+      await apiService.exportStats(params, format);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const trendData = stats ? toTrendData(stats.series) : [];
+  const chartEnvironments = stats ? stats.environments.map(row => row.environment) : [];
+  const missingData = stats
+    ? Object.entries(stats.totals.missingCategories)
+      .sort((a, b) => b[1] - a[1])
+      .map(([category, count]) => ({ category, label: utils.formatCategory(category), count }))
+    : [];
+
+  return (
+    <div className="dashboard-container">
+      <div className="header-section">
+        <h2><LayoutDashboard size={32} /> Compliance Dashboard</h2>
+        <p>Is compliance improving? Trends across all stored analyses</p>
+      </div>
+
+      <div className="dashboard-toolbar">
+        <div className="mode-switch" role="group" aria-label="Interval">
+          {intervals.map(option => (
+            <button
+              key={option.value}
+              className={`settings-btn ${timeInterval === option.value ? 'active' : ''}`}
+              onClick={() => setTimeInterval(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <select value={range} onChange={(e) => setRange(Number(e.target.value))} aria-label="Date range">
+          {ranges.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        <select value={environment} onChange={(e) => setEnvironment(e.target.value)} aria-label="Work environment">
+          <option value="">All environments</option>
+          {workEnvironments.map(env => (
+            <option key={env.value} value={env.value}>{env.label}</option>
+          ))}
+        </select>
+
+        {sites.length > 0 && (
+          <select
+            value={siteId}
+            onChange={(e) => {
+              setSiteId(e.target.value);
+              setZoneId('');
+            }}
+            aria-label="Site"
+          >
+            <option value="">All sites</option>
+            {sites.map(item => (
+              <option key={item.id} value={item.id}>{item.name}</option>
+            ))}
+          </select>
+        )}
+
+        {site && site.zones.length > 0 && (
+          <select value={zoneId} onChange={(e) => setZoneId(e.target.value)} aria-label="Zone">
+            <option value="">All zones</option>
+            {site.zones.map(item => (
+              <option key={item.id} value={item.id}>{item.name}</option>
+            ))}
+          </select>
+        )}
+
+        <div className="dashboard-export">
+          <button className="settings-btn" onClick={() => handleExport('csv')}>
+            <Download size={16} />
+            CSV
+          </button>
+          <button className="settings-btn" onClick={() => handleExport('json')}>
+            <Download size={16} />
+            JSON
+          </button>
+        </div>
+      </div>
+
+      {loading && !stats && <p className="history-empty">Loading statistics...</p>}
+
+      {stats && stats.totals.analyses === 0 && (
+        <p className="history-empty">No analyses in this period.</p>
+      )}
+
+      {stats && stats.totals.analyses > 0 && (
+        <>
+          <div className="stat-cards">
+            <div className="stat-card">
+              <span className="stat-label">Analyses</span>
+              <span className="stat-value">{stats.totals.analyses}</span>
+            </div>
+            <div className="stat-card">
+              <span className="stat-label">Average Score</span>
+              <span className="stat-value" style={{ color: utils.getComplianceColor(stats.totals.averageScore) }}>
+                {stats.totals.averageScore}%
+              </span>
+            </div>
+            <div className="stat-card">
+              <span className="stat-label">Compliant Rate</span>
+              <span className="stat-value" style={{ color: utils.getComplianceColor(stats.totals.compliantRate) }}>
+                {stats.totals.compliantRate}%
+              </span>
+            </div>
+            <div className="stat-card">
+              <span className="stat-label">Needs Review</span>
+              <span className="stat-value">{stats.totals.uncertain}</span>
+            </div>
+            <div className="stat-card">
+              <span className="stat-label">Most Missing</span>
+              <span className="stat-value small">
+                {stats.totals.topMissingCategories[0]
+                  ? utils.formatCategory(stats.totals.topMissingCategories[0].category)
+                  : 'None'}
+              </span>
+            </div>
+          </div>
+
+          <div className="chart-panel">
+            <h4>Average Compliance Score by Environment</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trendData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="period" />
+                <YAxis domain={[0, 100]} unit="%" />
+                <Tooltip />
+                <Legend />
+                {chartEnvironments.map((env, index) => (
+                  <Line
+                    key={env}
+                    type="monotone"
+                    dataKey={env}
+                    name={environmentLabel(env)}
+                    stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart-grid">
+            <div className="chart-panel">
+              <h4>Compliant Rate</h4>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={trendData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="period" />
+                  <YAxis domain={[0, 100]} unit="%" />
+                  <Tooltip />
+                  <Bar dataKey="compliantRate" name="Compliant rate" fill="#10B981" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="chart-panel">
+              <h4>Top Missing PPE Categories</h4>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={missingData} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis type="number" allowDecimals={false} />
+                  <YAxis type="category" dataKey="label" width={120} />
+                  <Tooltip />
+                  <Bar dataKey="count" name="Analyses missing">
+                    {missingData.map(item => (
+                      <Cell key={item.category} fill={utils.getCategoryColor(item.category)} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="chart-panel">
+            <h4>By Work Environment</h4>
+            <table className="stats-table">
+              <thead>
+                <tr>
+                  <th>Environment</th>
+                  <th>Analyses</th>
+                  <th>Average Score</th>
+                  <th>Compliant Rate</th>
+                  <th>Most Missing</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.environments.map(row => (
+                  <tr key={row.environment}>
+                    <td>{environmentLabel(row.environment)}</td>
+                    <td>{row.analyses}</td>
+                    <td>{row.averageScore}%</td>
+                    <td>{row.compliantRate}%</td>
+                    <td>{row.topMissingCategories.map(item => utils.formatCategory(item.category)).join(', ') || 'None'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Pencil, Trash2, Save, X, RotateCcw } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+
+// Detector classes a box can be labelled with, and their PPE category -
+// keep in sync with PPE_ITEMS in server/services/ppeCatalog.js
+const PPE_CLASSES = {
+  'person': 'person',
+  'helmet': 'head_protection',
+  'hard hat': 'head_protection',
+  'safety helmet': 'head_protection',
+  'safety vest': 'visibility',
+  'reflective vest': 'visibility',
+  'hi-vis vest': 'visibility',
+  'safety glasses': 'eye_protection',
+  'goggles': 'eye_protection',
+  'protective eyewear': 'eye_protection',
+  'gloves': 'hand_protection',
+  'safety gloves': 'hand_protection',
+  'work gloves': 'hand_protection',
+  'boots': 'foot_protection',
+  'safety boots': 'foot_protection',
+  'work boots': 'foot_protection'
+};
+
+const HANDLE_SIZE = 8; // Corner handles, in screen pixels
+const MIN_BOX_SIZE = 4; // In image pixels; smaller drawn boxes are discarded
+
+let nextKey = 0;
+const toBox = ({ class: className, bbox, detectorConfidence }) => ({ key: ++nextKey, class: className, bbox: [...bbox], detectorConfidence });
+
+const sameBox = (a, b) => a.every((value, index) => Math.abs(value - b[index]) < 0.5);
+
+// Detector boxes the analysis counted: every person, and the PPE above its category's reject threshold
+function countedDetections(machine) {
+  const { detectedItems = [], uncertainItems = [] } = machine.compliance;
+  const counted = [...detectedItems, ...uncertainItems];
+  return machine.detections.filter(detection =>
+    detection.class === 'person' || counted.some(item => item.item === detection.class && sameBox(item.bbox, detection.bbox))
+  );
+}
+
+const machineBoxes = (machine) => countedDetections(machine)
+  .map(detection => toBox({ ...detection, detectorConfidence: detection.confidence }));
+
+const normalize = ([x1, y1], [x2, y2]) => [Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1)];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const corners = ([x, y, width, height]) => [[x, y], [x + width, y], [x, y + height], [x + width, y + height]];
+
+// Canvas editor of the boxes of a stored analysis: select, move and resize boxes, draw new ones,
+// relabel or delete them, then save the result as a reviewed version
+const DetectionReviewEditor = ({ record, onSaved, onCancel }) => {
+  const machine = record.machineAnalysis || record.analysis;
+  // A reviewed analysis is edited from its current version, otherwise from the detector output
+  const [boxes, setBoxes] = useState(() => (record.review ? record.analysis.detections.map(toBox) : machineBoxes(machine)));
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [drawing, setDrawing] = useState(false);
+  const [newClass, setNewClass] = useState('helmet');
+  const [note, setNote] = useState('');
+  const [image, setImage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const canvasRef = useRef();
+  const dragRef = useRef(null);
+
+  const hiddenCount = machine.detections.length - countedDetections(machine).length;
+
+  useEffect(() => {
+    const img = new Image();
+    img.onload = () => setImage(img);
+    img.onerror = () => toast.error('Failed to load the image');
+    utils.getFileUrl(record.imageUrl)
+      .then(url => {
+        img.src = url;
+      })
+      .catch(() => toast.error('Failed to load the image'));
+
+    return () => {
+      img.onload = null;
+      img.onerror = null;
+    };
+  }, [record.imageUrl]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    // Line widths and labels are sized for the displayed canvas, which is usually scaled down
+    const scale = canvas.width / (canvas.clientWidth || canvas.width);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+
+    boxes.forEach(box => {
+      const [x, y, width, height] = box.bbox;
+      const color = utils.getCategoryColor(PPE_CLASSES[box.class]);
+      const selected = box.key === selectedKey;
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = (selected ? 4 : 2) * scale;
+      ctx.strokeRect(x, y, width, height);
+
+      const label = `${box.class} (${box.detectorConfidence !== undefined ? `${(box.detectorConfidence * 100).toFixed(1)}%` : 'added'})`;
+      ctx.font = `bold ${Math.round(13 * scale)}px Arial`;
+      const textWidth = ctx.measureText(label).width;
+      const labelHeight = 20 * scale;
+      const labelY = y >= labelHeight ? y - labelHeight : y;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, labelY, textWidth + 8 * scale, labelHeight);
+      ctx.fillStyle = 'white';
+      ctx.fillText(label, x + 4 * scale, labelY + 14 * scale);
+
+      if (selected) {
+        const size = HANDLE_SIZE * scale;
+        corners(box.bbox).forEach(([cx, cy]) => {
+          ctx.fillStyle = 'white';
+          ctx.fillRect(cx - size / 2, cy - size / 2, size, size);
+          ctx.strokeRect(cx - size / 2, cy - size / 2, size, size);
+        });
+      }
+    });
+  }, [image, boxes, selectedKey]);
+
+  const updateBox = (key, changes) => {
+    setBoxes(current => current.map(box => (box.key === key ? { ...box, ...changes } : box)));
+  };
+
+  const removeBox = (key) => {
+    setBoxes(current => current.filter(box => box.key !== key));
+    if (key === selectedKey) setSelectedKey(null);
+  };
+
+  // Pointer position in image pixels, and the size of a screen pixel in image pixels
+  const toImagePoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    return {
+      point: [
+        clamp((event.clientX - rect.left) * scale, 0, canvas.width),
+        clamp((event.clientY - rect.top) * scale, 0, canvas.height)
+      ],
+      scale
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (!image) return;
+    const { point, scale } = toImagePoint(event);
+    const [px, py] = point;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    event.currentTarget.focus();
+
+    if (drawing) {
+      const box = toBox({ class: newClass, bbox: [px, py, 0, 0] });
+      setBoxes(current => [...current, box]);
+      setSelectedKey(box.key);
+      dragRef.current = { mode: 'draw', key: box.key, anchor: point };
+      return;
+    }
+
+    // A corner of the selected box resizes it, anchored at the opposite corner
+    const selected = boxes.find(box => box.key === selectedKey);
+    if (selected) {
+      const reach = HANDLE_SIZE * scale;
+      const boxCorners = corners(selected.bbox);
+      const corner = boxCorners.findIndex(([cx, cy]) => Math.abs(cx - px) <= reach && Math.abs(cy - py) <= reach);
+      if (corner !== -1) {
+        dragRef.current = { mode: 'resize', key: selected.key, anchor: boxCorners[3 - corner] };
+        return;
+      }
+    }
+
+    // Otherwise pick the smallest box under the pointer, so boxes inside a person stay reachable
+    const hit = boxes
+      .filter(({ bbox: [x, y, width, height] }) => px >= x && px <= x + width && py >= y && py <= y + height)
+      .sort((a, b) => a.bbox[2] * a.bbox[3] - b.bbox[2] * b.bbox[3])[0];
+
+    setSelectedKey(hit ? hit.key : null);
+    dragRef.current = hit ? { mode: 'move', key: hit.key, origin: point, bbox: hit.bbox } : null;
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { point } = toImagePoint(event);
+    const canvas = canvasRef.current;
+
+    if (drag.mode === 'move') {
+      const [x, y, width, height] = drag.bbox;
+      updateBox(drag.key, {
+        bbox: [
+          clamp(x + point[0] - drag.origin[0], 0, canvas.width - width),
+          clamp(y + point[1] - drag.origin[1], 0, canvas.height - height),
+          width,
+          height
+        ]
+      });
+    } else if (drag.mode === 'resize') {
+      const [x, y, width, height] = normalize(drag.anchor, point);
+      updateBox(drag.key, { bbox: [x, y, Math.max(width, MIN_BOX_SIZE), Math.max(height, MIN_BOX_SIZE)] });
+    } else {
+      updateBox(drag.key, { bbox: normalize(drag.anchor, point) });
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.mode !== 'draw') return;
+
+    // A click without dragging doesn't leave an empty box behind
+    setBoxes(current => current.filter(box => box.key !== drag.key || (box.bbox[2] >= MIN_BOX_SIZE && box.bbox[3] >= MIN_BOX_SIZE)));
+    setDrawing(false);
+  };
+
+  const handleKeyDown = (event) => {
+    if ((event.key === 'Delete' || event.key === 'Backspace') && selectedKey !== null) {
+      event.preventDefault();
+      removeBox(selectedKey);
+    } else if (event.key === 'Escape') {
+      setSelectedKey(null);
+      setDrawing(false);
+    }
+  };
+
+  const handleResetToMachine = () => {
+    setBoxes(machineBoxes(machine));
+    setSelectedKey(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const detections = boxes.map(box => ({
+        class: box.class,
+        bbox: box.bbox.map(Math.round),
+        ...(box.detectorConfidence !== undefined ? { detectorConfidence: box.detectorConfidence } : {})
+      }));
+      const result = await apiService.reviewAnalysis(record.id, detections, note);
+      toast.success(result.message);
+      onSaved(result.data);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="review-editor">
+      <div className="review-toolbar">
+        <button
+          className={`settings-btn ${drawing ? 'active' : ''}`}
+          onClick={() => setDrawing(!drawing)}
+          disabled={!image}
+        >
+          <Pencil size={18} />
+          {drawing ? 'Drag on the image...' : 'Add Box'}
+        </button>
+        <select value={newClass} onChange={(e) => setNewClass(e.target.value)} aria-label="Class of new boxes">
+          {Object.keys(PPE_CLASSES).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button className="settings-btn" onClick={() => removeBox(selectedKey)} disabled={selectedKey === null}>
+          <Trash2 size={18} />
+          Delete Box
+        </button>
+        {record.review && (
+          <button className="settings-btn" onClick={handleResetToMachine}>
+            <RotateCcw size={18} />
+            Start from Detector Output
+          </button>
+        )}
+      </div>
+
+      <p className="review-hint">
+        Click a box to select it, drag it to move it and drag its corners to resize it. Delete or Backspace removes the selected box.
+        {hiddenCount > 0 && ` ${hiddenCount} detection${hiddenCount === 1 ? '' : 's'} below the confidence thresholds ${hiddenCount === 1 ? 'is' : 'are'} not shown.`}
+      </p>
+
+      <div className="review-canvas">
+        {image ? (
+          <canvas
+            ref={canvasRef}
+            className={drawing ? 'drawing' : ''}
+            tabIndex={0}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onKeyDown={handleKeyDown}
+          />
+        ) : (
+          <p className="history-empty">Loading image...</p>
+        )}
+      </div>
+
+      <ul className="review-box-list">
+        {boxes.map(box => (
+          <li
+            key={box.key}
+            className={box.key === selectedKey ? 'selected' : ''}
+            onClick={() => setSelectedKey(box.key)}
+          >
+            <span className="review-box-color" style={{ backgroundColor: utils.getCategoryColor(PPE_CLASSES[box.class]) }} />
+            <select
+              value={box.class}
+              onChange={(e) => updateBox(box.key, { class: e.target.value })}
+              aria-label="Class"
+            >
+              {Object.keys(PPE_CLASSES).map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <span className="review-box-source">
+              {box.detectorConfidence !== undefined ? `Detector ${(box.detectorConfidence * 100).toFixed(1)}%` : 'Added by reviewer'}
+            </span>
+            <button
+              className="review-box-delete"
+              onClick={(e) => { e.stopPropagation(); removeBox(box.key); }}
+              aria-label={`Delete ${box.class}`}
+            >
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+        {boxes.length === 0 && <li className="review-box-empty">No boxes - the image will be reviewed as showing no one.</li>}
+      </ul>
+
+      <textarea
+        className="review-note"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        maxLength={1000}
+        placeholder="Note (optional), e.g. what was corrected"
+        rows={2}
+      />
+
+      <div className="review-actions">
+        <button className="analyze-btn" onClick={handleSave} disabled={saving || !image}>
+          <Save size={20} />
+          {saving ? 'Saving...' : 'Save Review'}
+        </button>
+        <button className="settings-btn" onClick={onCancel} disabled={saving}>
+          <X size={18} />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DetectionReviewEditor;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { RefreshCw, Trash2, ImageOff, History } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import useWorkEnvironments from "../hooks/useWorkEnvironments";
+import useFileUrl from "../hooks/useFileUrl";
+import "./HistoryGallery.css";
+
+const statusFilters = [
+  { value: 'all', label: 'All' },
+  { value: 'compliant', label: 'Compliant' },
+  { value: 'non-compliant', label: 'Non-Compliant' },
+  { value: 'needs-review', label: 'Needs Review' },
+  { value: 'unanalyzed', label: 'Not Analyzed' }
+];
+
+const matchesFilter = (file, filter) => {
+  const latest = file.latestAnalysis;
+  switch (filter) {
+    case 'compliant':
+      return latest?.isCompliant === true;
+    case 'non-compliant':
+      return latest?.isCompliant === false && latest.verdict !== 'uncertain';
+    case 'needs-review':
+      return latest?.verdict === 'uncertain';
+    case 'unanalyzed':
+      return !latest;
+    default:
+      return true;
+  }
+};
+
+// Gallery of uploaded images with their latest analysis; images can be re-analyzed under another environment
+const Thumbnail = ({ file }) => {
+  const url = useFileUrl(file.url);
+  return url ? <img src={url} alt={file.originalName || file.filename} loading="lazy" /> : null;
+};
+
+const HistoryGallery = ({ user }) => {
+  const [files, setFiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [reanalyzeEnvironment, setReanalyzeEnvironment] = useState('construction');
+  const [busyFile, setBusyFile] = useState(null);
+  const workEnvironments = useWorkEnvironments();
+  const navigate = useNavigate();
+
+  const loadFiles = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await apiService.getUploadedFiles();
+      setFiles(result.data);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFiles();
+  }, [loadFiles]);
+
+  const environmentLabel = (id) => workEnvironments.find(env => env.value === id)?.label || id;
+
+  const handleReanalyze = async (file) => {
+    setBusyFile(file.filename);
+    try {
+      toast.loading(`Re-analyzing as ${environmentLabel(reanalyzeEnvironment)}...`, { id: 'reanalyze' });
+      const result = await apiService.analyzeExistingImage(file.filename, reanalyzeEnvironment);
+      toast.success('Analysis completed!', { id: 'reanalyze' });
+      navigate(`/history/${result.data.id}`);
+    } catch (error) {
+      toast.error(error.message, { id: 'reanalyze' });
+      setBusyFile(null);
+    }
+  };
+
+  const handleDelete = async (file) => {
+    if (!window.confirm(`Delete ${file.originalName || file.filename}? Its analyses stay in the history.`)) return;
+
+    setBusyFile(file.filename);
+    try {
+      await apiService.deleteFile(file.filename);
+      setFiles(current => current.filter(item => item.filename !== file.filename));
+      toast.success('File deleted');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusyFile(null);
+    }
+  };
+
+  const visibleFiles = files.filter(file => matchesFilter(file, filter));
+
+  return (
+    <div className="history-container">
+      <div className="header-section">
+        <h2><History size={32} /> Upload History</h2>
+        <p>Past uploads with their latest compliance result</p>
+      </div>
+
+      <div className="history-toolbar">
+        <div className="mode-switch" role="group" aria-label="Filter by status">
+          {statusFilters.map(option => (
+            <button
+              key={option.value}
+              className={`settings-btn ${filter === option.value ? 'active' : ''}`}
+              onClick={() => setFilter(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <label className="reanalyze-select">
+          Re-analyze as
+          <select value={reanalyzeEnvironment} onChange={(e) => setReanalyzeEnvironment(e.target.value)}>
+            {workEnvironments.map(env => (
+              <option key={env.value} value={env.value}>{env.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {loading ? (
+        <p className="history-empty">Loading uploads...</p>
+      ) : visibleFiles.length === 0 ? (
+        <p className="history-empty">
+          <ImageOff size={32} />
+          {files.length === 0 ? 'No uploads yet.' : 'No uploads match this filter.'}
+        </p>
+      ) : (
+        <div className="history-grid">
+          {visibleFiles.map(file => {
+            const latest = file.latestAnalysis;
+            return (
+              <div key={file.filename} className="history-card">
+                <button
+                  className="history-thumbnail"
+                  onClick={() => latest && navigate(`/history/${latest.id}`)}
+                  disabled={!latest}
+                  title={latest ? 'Open analysis' : 'Not analyzed yet'}
+                >
+                  <Thumbnail file={file} />
+                  {latest && (
+                    <span
+                      className="history-score"
+                      style={{ backgroundColor: utils.getComplianceColor(latest.complianceScore) }}
+                    >
+                      {latest.complianceScore}%
+                    </span>
+                  )}
+                </button>
+
+                <div className="history-card-body">
+                  <span className="history-name" title={file.originalName || file.filename}>
+                    {file.originalName || file.filename}
+                  </span>
+                  {latest ? (
+                    <>
+                      <span className={`history-status ${latest.isCompliant ? 'compliant' : latest.verdict === 'uncertain' ? 'uncertain' : 'non-compliant'}`}>
+                        {latest.isCompliant ? 'Compliant' : latest.verdict === 'uncertain' ? 'Needs Review' : 'Non-Compliant'} · {environmentLabel(latest.workEnvironment)}
+                      </span>
+                      <span className="history-meta">{utils.formatDate(latest.analyzedAt)}</span>
+                    </>
+                  ) : (
+                    <span className="history-meta">Not analyzed · {utils.formatDate(file.createdAt)}</span>
+                  )}
+                  <span className="history-meta">{utils.formatFileSize(file.size)}</span>
+                </div>
+
+                <div className="history-card-actions">
+                  <button
+                    className="settings-btn"
+                    onClick={() => handleReanalyze(file)}
+                    disabled={busyFile !== null}
+                  >
+                    <RefreshCw size={16} />
+                    Re-analyze
+                  </button>
+                  {utils.hasRole(user, 'admin') && (
+                    <button
+                      className="settings-btn danger"
+                      onClick={() => handleDelete(file)}
+                      disabled={busyFile !== null}
+                      aria-label="Delete file"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryGallery;
@@ -1,20 +1,63 @@
-import React, { useState, useRef, useCallback } from "react";
+import React, { useState, useRef, useCallback, useEffect } from "react";
 import { useDropzone } from "react-dropzone";
-import { Upload, AlertCircle, CheckCircle, Eye, Trash2, Settings, Camera } from "lucide-react";
+import { Upload, Trash2, Settings, Camera, Layers, FileDown, Image as ImageIcon, Film, Video } from "lucide-react";
 import toast from "react-hot-toast";
-import { apiService, utils } from "../services/api";
+import { apiService, utils, pendingAnalysis } from "../services/api";
+import localDetection from "../services/localDetection";
+import BatchUpload from "./BatchUpload";
+import VideoUpload from "./VideoUpload";
+import CameraCapture from "./CameraCapture";
+import AnalysisResults from "./AnalysisResults";
+import AnalysisProgress from "./AnalysisProgress";
+import useWorkEnvironments from "../hooks/useWorkEnvironments";
+import useSites from "../hooks/useSites";
 import "./ImageUpload.css";
 
-const ImageUpload = () => {
+const uploadModes = [
+  { value: 'single', label: 'Single Image', icon: ImageIcon },
+  { value: 'batch', label: 'Batch', icon: Layers },
+  { value: 'video', label: 'Video', icon: Film },
+  { value: 'camera', label: 'Camera', icon: Video }
+];
+
+const ImageUpload = ({ user }) => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
+  // The server's normalized copy (upright, converted from HEIC/AVIF) that its detections refer to
+  const [analyzedImageUrl, setAnalyzedImageUrl] = useState(null);
   const [analysisResult, setAnalysisResult] = useState(null);
   const [loading, setLoading] = useState(false);
+  // { job } while a server analysis runs; job is null until the upload has been accepted
+  const [progress, setProgress] = useState(null);
   const [workEnvironment, setWorkEnvironment] = useState('construction');
   const [showSettings, setShowSettings] = useState(false);
-  const canvasRef = useRef();
+  const [analysisMode, setAnalysisMode] = useState('auto');
+  const [uploadMode, setUploadMode] = useState('single');
+  const [downloadingReport, setDownloadingReport] = useState(false);
+  const [siteId, setSiteId] = useState('');
+  const [zoneId, setZoneId] = useState('');
+  const workEnvironments = useWorkEnvironments();
+  const sites = useSites();
 
-  const workEnvironments = utils.getWorkEnvironments();
+  const site = sites.find(item => item.id === Number(siteId));
+  const zone = site?.zones.find(item => item.id === Number(zoneId));
+  const location = { siteId: site?.id, zoneId: zone?.id };
+
+  // Picking a site or zone switches to its work environment; the environment can still be changed afterwards
+  const handleSiteChange = (value) => {
+    const nextSite = sites.find(item => item.id === Number(value));
+    setSiteId(value);
+    setZoneId('');
+    if (nextSite?.defaultEnvironment) setWorkEnvironment(nextSite.defaultEnvironment);
+  };
+
+  const handleZoneChange = (value) => {
+    const nextZone = site?.zones.find(item => item.id === Number(value));
+    setZoneId(value);
+    if (nextZone?.workEnvironment) setWorkEnvironment(nextZone.workEnvironment);
+  };
+  const canvasRef = useRef();
+  const followRef = useRef(null);
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     if (rejectedFiles.length > 0) {
@@ -28,6 +71,7 @@ const ImageUpload = () => {
       utils.validateImageFile(file);
       setSelectedFile(file);
       setPreviewUrl(URL.createObjectURL(file));
+      setAnalyzedImageUrl(null);
       setAnalysisResult(null);
       toast.success('Image selected successfully!');
     } catch (error) {
@@ -38,12 +82,74 @@ const ImageUpload = () => {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'image/*': ['.jpeg', '.jpg', '.png', '.webp']
+      'image/*': ['.jpeg', '.jpg', '.png', '.webp', '.heic', '.heif', '.avif']
     },
     maxFiles: 1,
     maxSize: 10 * 1024 * 1024 // 10MB
   });
 
+  // In auto mode the server is used when its health check passes, otherwise detection runs locally
+  const isServerAvailable = async () => {
+    if (analysisMode === 'local') return false;
+    if (analysisMode === 'server') return true;
+
+    try {
+      await apiService.healthCheck();
+      return true;
+    } catch (error) {
+      console.warn('Server unavailable, falling back to local detection:', error);
+      return false;
+    }
+  };
+
+  // Wait for a server analysis job and show its result. The job id is kept until the job has
+  // finished, so a reload picks up where it left off.
+  const followJob = async (jobId) => {
+    const controller = new AbortController();
+    followRef.current = controller;
+    setLoading(true);
+
+    try {
+      const job = await apiService.watchJob(jobId, {
+        onUpdate: (update) => setProgress({ job: update }),
+        signal: controller.signal
+      });
+      pendingAnalysis.clear();
+
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Analysis failed');
+      }
+
+      const imageUrl = await utils.getFileUrl(job.result.filePath);
+      setAnalysisResult({ ...job.result, source: 'server' });
+      setAnalyzedImageUrl(imageUrl);
+      drawDetections(job.result.analysis.detections, imageUrl);
+      toast.success('Analysis completed!', { id: 'analysis' });
+    } catch (error) {
+      // Left the page; the job keeps running and is followed again on return
+      if (error.name === 'AbortError') return;
+
+      pendingAnalysis.clear();
+      toast.error(error.message, { id: 'analysis' });
+      console.error('Analysis error:', error);
+    } finally {
+      if (!controller.signal.aborted) {
+        setProgress(null);
+        setLoading(false);
+      }
+    }
+  };
+
+  const followJobRef = useRef(followJob);
+  followJobRef.current = followJob;
+
+  useEffect(() => {
+    const jobId = pendingAnalysis.get();
+    if (jobId) followJobRef.current(jobId);
+
+    return () => followRef.current?.abort();
+  }, []);
+
   const handleAnalyze = async () => {
     if (!selectedFile) {
       toast.error("Please select an image first!");
@@ -51,19 +157,24 @@ const ImageUpload = () => {
     }
 
     setLoading(true);
-    toast.loading('Analyzing PPE compliance...', { id: 'analysis' });
 
     try {
-      const result = await apiService.uploadAndAnalyzeImage(selectedFile, workEnvironment);
-      
-      if (result.success) {
-        setAnalysisResult(result.data);
-        drawDetections(result.data.analysis.detections);
-        toast.success('Analysis completed!', { id: 'analysis' });
+      if (await isServerAvailable()) {
+        setProgress({ job: null });
+        const job = await apiService.createAnalysisJob(selectedFile, workEnvironment, location);
+        pendingAnalysis.save(job.id);
+        setProgress({ job });
+        await followJob(job.id);
       } else {
-        throw new Error(result.message);
+        toast.loading('Server unreachable - running local detection...', { id: 'analysis' });
+        const result = await localDetection.analyzeImage(selectedFile, previewUrl, workEnvironment);
+        setAnalysisResult(result);
+        setAnalyzedImageUrl(null);
+        drawDetections(result.analysis.detections, previewUrl);
+        toast.success('Local analysis completed!', { id: 'analysis' });
       }
     } catch (error) {
+      setProgress(null);
       toast.error(error.message, { id: 'analysis' });
       console.error('Analysis error:', error);
     } finally {
@@ -71,12 +182,26 @@ const ImageUpload = () => {
     }
   };
 
-  const drawDetections = (detections) => {
-    const canvas = canvasRef.current;
-    if (!canvas || !previewUrl) return;
+  const handleDownloadReport = async () => {
+    setDownloadingReport(true);
+    try {
+      await apiService.downloadReport(analysisResult.id);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setDownloadingReport(false);
+    }
+  };
+
+  const drawDetections = (detections, imageUrl) => {
+    if (!imageUrl) return;
 
     const img = new Image();
     img.onload = () => {
+      // Looked up once loaded: after a reload the canvas only renders along with the result
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+
       canvas.width = img.width;
       canvas.height = img.height;
       const ctx = canvas.getContext('2d');
@@ -84,7 +209,8 @@ const ImageUpload = () => {
       // Draw image
       ctx.drawImage(img, 0, 0);
       
-      // Draw detections
+      // Draw detections - people are numbered in detection order, matching the person cards
+      let personCount = 0;
       detections.forEach(detection => {
         const [x, y, width, height] = detection.bbox;
         const color = utils.getCategoryColor(detection.category);
@@ -95,7 +221,8 @@ const ImageUpload = () => {
         ctx.strokeRect(x, y, width, height);
         
         // Draw label background
-        const label = `${detection.class} (${(detection.confidence * 100).toFixed(1)}%)`;
+        const name = detection.class === 'person' ? `Person ${++personCount}` : detection.class;
+        const label = `${name} (${(detection.confidence * 100).toFixed(1)}%)`;
         ctx.font = 'bold 14px Arial';
         const textWidth = ctx.measureText(label).width;
         ctx.fillStyle = color;
@@ -106,30 +233,19 @@ const ImageUpload = () => {
         ctx.fillText(label, x + 5, y - 8);
       });
     };
-    img.src = previewUrl;
+    img.src = imageUrl;
   };
 
   const handleReset = () => {
     setSelectedFile(null);
     setPreviewUrl(null);
+    setAnalyzedImageUrl(null);
     setAnalysisResult(null);
     if (previewUrl) {
       URL.revokeObjectURL(previewUrl);
     }
   };
 
-  const getComplianceColor = (score) => {
-    if (score >= 80) return '#10B981'; // Green
-    if (score >= 60) return '#F59E0B'; // Orange
-    return '#EF4444'; // Red
-  };
-
-  const getComplianceText = (score) => {
-    if (score >= 80) return 'Excellent';
-    if (score >= 60) return 'Good';
-    return 'Needs Improvement';
-  };
-
   return (
     <div className="image-upload-container">
       <div className="header-section">
@@ -144,10 +260,50 @@ const ImageUpload = () => {
             <Settings size={20} />
             Settings
           </button>
+          <div className="mode-switch" role="group" aria-label="Upload mode">
+            {uploadModes.map(mode => (
+              <button
+                key={mode.value}
+                className={`settings-btn ${uploadMode === mode.value ? 'active' : ''}`}
+                onClick={() => {
+                  handleReset();
+                  setUploadMode(mode.value);
+                }}
+                disabled={loading}
+              >
+                <mode.icon size={20} />
+                {mode.label}
+              </button>
+            ))}
+          </div>
         </div>
 
         {showSettings && (
           <div className="settings-panel">
+            {sites.length > 0 && (
+              <>
+                <label htmlFor="site">Site:</label>
+                <select id="site" value={siteId} onChange={(e) => handleSiteChange(e.target.value)}>
+                  <option value="">No site</option>
+                  {sites.map(item => (
+                    <option key={item.id} value={item.id}>{item.name}</option>
+                  ))}
+                </select>
+
+                {site && site.zones.length > 0 && (
+                  <>
+                    <label htmlFor="zone">Zone:</label>
+                    <select id="zone" value={zoneId} onChange={(e) => handleZoneChange(e.target.value)}>
+                      <option value="">Whole site</option>
+                      {site.zones.map(item => (
+                        <option key={item.id} value={item.id}>{item.name}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+              </>
+            )}
+
             <label htmlFor="workEnvironment">Work Environment:</label>
             <select 
               id="workEnvironment"
@@ -163,181 +319,123 @@ const ImageUpload = () => {
             <p className="environment-description">
               {workEnvironments.find(env => env.value === workEnvironment)?.description}
             </p>
-          </div>
-        )}
-      </div>
+            {zone?.requiredCategories && (
+              <p className="environment-description zone-override">
+                {zone.name} requires: {zone.requiredCategories.map(category => utils.formatCategory(category)).join(', ')}
+              </p>
+            )}
 
-      <div className="upload-section">
-        {!previewUrl ? (
-          <div 
-            {...getRootProps()} 
-            className={`dropzone ${isDragActive ? 'active' : ''}`}
-          >
-            <input {...getInputProps()} />
-            <div className="dropzone-content">
-              <Upload size={48} />
-              <h3>{isDragActive ? 'Drop the image here' : 'Drag & drop an image here'}</h3>
-              <p>or click to select a file</p>
-              <div className="file-info">
-                <small>Supports: JPEG, PNG, WebP (Max 10MB)</small>
-              </div>
-            </div>
-          </div>
-        ) : (
-          <div className="image-preview">
-            <div className="image-container">
-              <img 
-                src={previewUrl} 
-                alt="Preview" 
-                className="preview-image"
-              />
-              <canvas 
-                ref={canvasRef}
-                className="detection-canvas"
-              />
-            </div>
-            
-            <div className="image-info">
-              <h4>Selected Image</h4>
-              <p><strong>File:</strong> {selectedFile.name}</p>
-              <p><strong>Size:</strong> {utils.formatFileSize(selectedFile.size)}</p>
-              <p><strong>Type:</strong> {selectedFile.type}</p>
-            </div>
+            <label htmlFor="analysisMode">Analysis Mode:</label>
+            <select
+              id="analysisMode"
+              value={analysisMode}
+              onChange={(e) => setAnalysisMode(e.target.value)}
+            >
+              <option value="auto">Automatic (server, local when offline)</option>
+              <option value="server">Server only</option>
+              <option value="local">Local only (person detection)</option>
+            </select>
           </div>
         )}
       </div>
 
-      <div className="actions-section">
-        <button 
-          className="analyze-btn"
-          onClick={handleAnalyze}
-          disabled={!selectedFile || loading}
-        >
-          <Camera size={20} />
-          {loading ? 'Analyzing...' : 'Analyze PPE'}
-        </button>
-        
-        {previewUrl && (
-          <button 
-            className="reset-btn"
-            onClick={handleReset}
-            disabled={loading}
-          >
-            <Trash2 size={20} />
-            Reset
-          </button>
-        )}
-      </div>
-
-      {analysisResult && (
-        <div className="results-section">
-          <div className="compliance-summary">
-            <div className="compliance-score">
-              <h3>PPE Compliance Score</h3>
-              <div 
-                className="score-circle"
-                style={{ borderColor: getComplianceColor(analysisResult.analysis.compliance.complianceScore) }}
-              >
-                <span 
-                  className="score-value"
-                  style={{ color: getComplianceColor(analysisResult.analysis.compliance.complianceScore) }}
-                >
-                  {analysisResult.analysis.compliance.complianceScore}%
-                </span>
-              </div>
-              <p className="compliance-text">
-                {getComplianceText(analysisResult.analysis.compliance.complianceScore)}
-              </p>
-            </div>
+      {uploadMode === 'batch' && <BatchUpload workEnvironment={workEnvironment} location={location} />}
 
-            <div className="compliance-status">
-              {analysisResult.analysis.compliance.isCompliant ? (
-                <div className="status-success">
-                  <CheckCircle size={24} />
-                  <span>PPE Compliant</span>
-                </div>
-              ) : (
-                <div className="status-warning">
-                  <AlertCircle size={24} />
-                  <span>PPE Non-Compliant</span>
-                </div>
-              )}
-            </div>
-          </div>
+      {uploadMode === 'video' && <VideoUpload workEnvironment={workEnvironment} location={location} />}
 
-          <div className="detection-results">
-            <h4>Detected PPE Items</h4>
-            <div className="detected-items">
-              {analysisResult.analysis.detections.map((detection, index) => (
-                <div key={index} className="detected-item">
-                  <div 
-                    className="item-color"
-                    style={{ backgroundColor: utils.getCategoryColor(detection.category) }}
-                  />
-                  <div className="item-info">
-                    <span className="item-name">{detection.class}</span>
-                    <span className="item-confidence">
-                      {(detection.confidence * 100).toFixed(1)}%
-                    </span>
-                  </div>
-                </div>
-              ))}
-            </div>
-          </div>
+      {uploadMode === 'camera' && (
+        <CameraCapture workEnvironment={workEnvironment} location={location} workEnvironments={workEnvironments} />
+      )}
 
-          <div className="recommendations">
-            <h4>Recommendations</h4>
-            <div className="recommendation-list">
-              {analysisResult.analysis.recommendations.map((rec, index) => (
-                <div 
-                  key={index} 
-                  className={`recommendation-item ${rec.type}`}
-                >
-                  <div 
-                    className="recommendation-icon"
-                    style={{ color: utils.getPriorityColor(rec.priority) }}
-                  >
-                    {rec.type === 'success' ? <CheckCircle size={20} /> : 
-                     rec.type === 'warning' ? <AlertCircle size={20} /> : 
-                     <Eye size={20} />}
-                  </div>
-                  <div className="recommendation-content">
-                    <p>{rec.message}</p>
-                    <span className="priority-badge">{rec.priority} priority</span>
-                  </div>
+      {uploadMode === 'single' && (
+        <>
+        <div className="upload-section">
+          {progress && !previewUrl ? (
+            <AnalysisProgress job={progress.job} />
+          ) : !previewUrl && !analyzedImageUrl ? (
+            <div 
+              {...getRootProps()} 
+              className={`dropzone ${isDragActive ? 'active' : ''}`}
+            >
+              <input {...getInputProps()} />
+              <div className="dropzone-content">
+                <Upload size={48} />
+                <h3>{isDragActive ? 'Drop the image here' : 'Drag & drop an image here'}</h3>
+                <p>or click to select a file</p>
+                <div className="file-info">
+                  <small>Supports: JPEG, PNG, WebP, HEIC, AVIF (Max 10MB)</small>
                 </div>
-              ))}
-            </div>
-          </div>
-
-          <div className="analysis-details">
-            <h4>Analysis Details</h4>
-            <div className="details-grid">
-              <div className="detail-item">
-                <span className="detail-label">Work Environment:</span>
-                <span className="detail-value">{workEnvironment}</span>
-              </div>
-              <div className="detail-item">
-                <span className="detail-label">Image Dimensions:</span>
-                <span className="detail-value">
-                  {analysisResult.analysis.imageInfo.width} × {analysisResult.analysis.imageInfo.height}
-                </span>
               </div>
-              <div className="detail-item">
-                <span className="detail-label">Items Detected:</span>
-                <span className="detail-value">
-                  {analysisResult.analysis.compliance.totalDetected} / {analysisResult.analysis.compliance.totalRequired}
-                </span>
+            </div>
+          ) : (
+            <div className="image-preview">
+              <div className="image-container">
+                <img 
+                  src={analyzedImageUrl || previewUrl} 
+                  alt="Preview" 
+                  className="preview-image"
+                />
+                <canvas 
+                  ref={canvasRef}
+                  className="detection-canvas"
+                />
               </div>
-              <div className="detail-item">
-                <span className="detail-label">Analysis Time:</span>
-                <span className="detail-value">
-                  {new Date(analysisResult.analysis.timestamp).toLocaleString()}
-                </span>
+              
+              <div className="image-info">
+                <h4>Selected Image</h4>
+                <p><strong>File:</strong> {selectedFile?.name || analysisResult?.originalName}</p>
+                {selectedFile && (
+                  <>
+                    <p><strong>Size:</strong> {utils.formatFileSize(selectedFile.size)}</p>
+                    <p><strong>Type:</strong> {selectedFile.type}</p>
+                  </>
+                )}
               </div>
             </div>
-          </div>
+          )}
+        </div>
+
+        {progress && previewUrl && <AnalysisProgress job={progress.job} />}
+
+        <div className="actions-section">
+          <button 
+            className="analyze-btn"
+            onClick={handleAnalyze}
+            disabled={!selectedFile || loading}
+          >
+            <Camera size={20} />
+            {loading ? 'Analyzing...' : 'Analyze PPE'}
+          </button>
+          
+          {(previewUrl || analyzedImageUrl) && (
+            <button 
+              className="reset-btn"
+              onClick={handleReset}
+              disabled={loading}
+            >
+              <Trash2 size={20} />
+              Reset
+            </button>
+          )}
         </div>
+        </>
+      )}
+
+      {uploadMode === 'single' && analysisResult && (
+        <AnalysisResults result={analysisResult} workEnvironments={workEnvironments}>
+          {analysisResult.id && utils.hasRole(user, 'supervisor') && (
+            <div className="report-actions">
+              <button
+                className="analyze-btn"
+                onClick={handleDownloadReport}
+                disabled={downloadingReport}
+              >
+                <FileDown size={20} />
+                {downloadingReport ? 'Preparing Report...' : 'Download Report'}
+              </button>
+            </div>
+          )}
+        </AnalysisResults>
       )}
     </div>
   );
@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  ArrowLeft, AlertTriangle, Upload, MessageSquare, ShieldCheck, Play, CheckCircle, RotateCcw, Save
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import useFileUrl from "../hooks/useFileUrl";
+import "./IncidentList.css";
+import "./IncidentDetail.css";
+
+const SEVERITIES = [
+  { value: 'critical', label: 'Critical' },
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' }
+];
+
+// Workflow buttons per status; only supervisors verify
+const STATUS_ACTIONS = {
+  open: [{ status: 'in_progress', label: 'Start Work', icon: Play }],
+  in_progress: [{ status: 'resolved', label: 'Mark Resolved', icon: CheckCircle }],
+  resolved: [
+    { status: 'in_progress', label: 'Reopen', icon: RotateCcw },
+    { status: 'verified', label: 'Verify', icon: ShieldCheck, supervisorOnly: true }
+  ],
+  verified: []
+};
+
+const verdictLabel = (verdict) => (
+  verdict === 'compliant' ? 'Compliant' : verdict === 'uncertain' ? 'Needs Review' : 'Non-Compliant'
+);
+
+// One analysis linked to the incident: the photo it was opened for, or the follow-up that verifies it
+const AnalysisLink = ({ analysis, canReview }) => {
+  const imageUrl = useFileUrl(analysis.imageUrl);
+
+  return (
+    <div className="incident-analysis">
+      {imageUrl && <img src={imageUrl} alt={analysis.filename} />}
+      <div>
+        <span className={`incident-verdict ${analysis.verdict}`}>
+          {verdictLabel(analysis.verdict)} · {analysis.complianceScore}%
+        </span>
+        <p>
+          {[analysis.site?.name, analysis.zone?.name].filter(Boolean).join(' · ') || 'No location'}
+          {' · '}{utils.formatDate(analysis.analyzedAt)}
+        </p>
+        {canReview && <Link to={`/history/${analysis.id}`}>View analysis #{analysis.id}</Link>}
+      </div>
+    </div>
+  );
+};
+
+// An incident opened from a non-compliant analysis: assignment, workflow, verification photo and timeline
+const IncidentDetail = ({ user }) => {
+  const { id } = useParams();
+  const [incident, setIncident] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [assignees, setAssignees] = useState([]);
+  const [form, setForm] = useState({ severity: 'medium', assigneeId: '', dueDate: '' });
+  const [saving, setSaving] = useState(false);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const canReview = utils.hasRole(user, 'supervisor');
+
+  const showIncident = (data) => {
+    setIncident(data);
+    setForm({ severity: data.severity, assigneeId: data.assignee?.id || '', dueDate: data.dueDate || '' });
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setIncident(null);
+
+    apiService.getIncident(id)
+      .then(result => !cancelled && showIncident(result.data))
+      .catch(error => !cancelled && toast.error(error.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!canReview) return undefined;
+
+    apiService.getIncidentAssignees()
+      .then(result => !cancelled && setAssignees(result.data))
+      .catch(error => !cancelled && toast.error(error.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canReview]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await apiService.updateIncident(incident.id, {
+        severity: form.severity,
+        assigneeId: form.assigneeId ? Number(form.assigneeId) : null,
+        dueDate: form.dueDate || null
+      });
+      showIncident(result.data);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (status) => {
+    setSubmitting(true);
+    try {
+      const result = await apiService.changeIncidentStatus(incident.id, status, comment.trim());
+      showIncident(result.data);
+      setComment('');
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAddComment = async () => {
+    setSubmitting(true);
+    try {
+      const result = await apiService.addIncidentComment(incident.id, comment.trim());
+      showIncident(result.data);
+      setComment('');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Analyze a follow-up photo at the same site and zone, then link it as the verification
+  const handleVerificationPhoto = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      toast.loading('Analyzing follow-up photo...', { id: 'verification' });
+      const analysis = await apiService.uploadAndAnalyzeImage(file, incident.analysis.workEnvironment, {
+        siteId: incident.analysis.site?.id,
+        zoneId: incident.analysis.zone?.id
+      });
+      const result = await apiService.setIncidentVerification(incident.id, analysis.data.id);
+      showIncident(result.data);
+      toast.success(result.message, { id: 'verification' });
+    } catch (error) {
+      toast.error(error.message, { id: 'verification' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const canAct = incident && (canReview || incident.assignee?.id === user.id);
+  const actions = incident ? STATUS_ACTIONS[incident.status].filter(action => !action.supervisorOnly || canReview) : [];
+
+  return (
+    <div className="incident-detail-container">
+      <Link to="/incidents" className="back-link">
+        <ArrowLeft size={18} />
+        Back to incidents
+      </Link>
+
+      {loading && <p className="history-empty">Loading incident...</p>}
+
+      {!loading && !incident && <p className="history-empty">Incident not found.</p>}
+
+      {incident && (
+        <>
+          <div className="header-section">
+            <h2>{incident.title}</h2>
+            <p>
+              Incident #{incident.id} · opened by {incident.createdBy.username} · {utils.formatDate(incident.createdAt)}
+            </p>
+            <div className="incident-badges">
+              <span className={`incident-status ${incident.status}`}>{utils.formatIncidentStatus(incident.status)}</span>
+              <span className="severity-badge" style={{ backgroundColor: utils.getSeverityColor(incident.severity) }}>
+                {SEVERITIES.find(option => option.value === incident.severity)?.label}
+              </span>
+              {incident.overdue && (
+                <span className="incident-overdue"><AlertTriangle size={14} />Overdue since {incident.dueDate}</span>
+              )}
+            </div>
+          </div>
+
+          <div className="incident-grid">
+            <section className="incident-panel">
+              <h3>Violation</h3>
+              {incident.missingCategories.length > 0 && (
+                <p><strong>Missing:</strong> {incident.missingCategories.map(utils.formatCategory).join(', ')}</p>
+              )}
+              {incident.description && <p className="incident-description">{incident.description}</p>}
+              <AnalysisLink analysis={incident.analysis} canReview={canReview} />
+            </section>
+
+            <section className="incident-panel">
+              <h3>Assignment</h3>
+              {canReview && incident.status !== 'verified' ? (
+                <div className="incident-form">
+                  <label>
+                    Severity
+                    <select value={form.severity} onChange={(e) => setForm({ ...form, severity: e.target.value })}>
+                      {SEVERITIES.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Assignee
+                    <select value={form.assigneeId} onChange={(e) => setForm({ ...form, assigneeId: e.target.value })}>
+                      <option value="">Unassigned</option>
+                      {assignees.map(assignee => (
+                        <option key={assignee.id} value={assignee.id}>{assignee.username} ({assignee.role})</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Due date
+                    <input type="date" value={form.dueDate} onChange={(e) => setForm({ ...form, dueDate: e.target.value })} />
+                  </label>
+                  <button className="settings-btn" onClick={handleSave} disabled={saving}>
+                    <Save size={18} />
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              ) : (
+                <dl className="incident-facts">
+                  <dt>Assignee</dt>
+                  <dd>{incident.assignee?.username || 'Unassigned'}</dd>
+                  <dt>Due date</dt>
+                  <dd>{incident.dueDate || 'None'}</dd>
+                  {incident.resolvedAt && (
+                    <>
+                      <dt>Resolved</dt>
+                      <dd>{utils.formatDate(incident.resolvedAt)}</dd>
+                    </>
+                  )}
+                  {incident.verifiedAt && (
+                    <>
+                      <dt>Verified</dt>
+                      <dd>{utils.formatDate(incident.verifiedAt)}</dd>
+                    </>
+                  )}
+                </dl>
+              )}
+            </section>
+          </div>
+
+          <section className="incident-panel">
+            <h3>Verification</h3>
+            {incident.verificationAnalysis ? (
+              <AnalysisLink analysis={incident.verificationAnalysis} canReview={canReview} />
+            ) : (
+              <p className="incident-muted">
+                No follow-up photo yet. Verifying the incident needs a new photo that is analyzed as compliant.
+              </p>
+            )}
+            {canAct && incident.status !== 'verified' && (
+              <label className={`settings-btn incident-upload ${uploading ? 'disabled' : ''}`}>
+                <Upload size={18} />
+                {uploading ? 'Analyzing...' : incident.verificationAnalysis ? 'Replace Follow-up Photo' : 'Upload Follow-up Photo'}
+                <input type="file" accept="image/*" onChange={handleVerificationPhoto} disabled={uploading} hidden />
+              </label>
+            )}
+          </section>
+
+          {canAct && (
+            <section className="incident-panel">
+              <h3>Update</h3>
+              <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                placeholder="Add a comment or describe the corrective action"
+                maxLength={2000}
+                rows={3}
+              />
+              <div className="incident-actions">
+                {actions.map(({ status, label, icon: Icon }) => (
+                  <button
+                    key={status}
+                    className="analyze-btn"
+                    onClick={() => handleStatusChange(status)}
+                    disabled={submitting || (status === 'verified' && incident.verificationAnalysis?.verdict !== 'compliant')}
+                  >
+                    <Icon size={18} />
+                    {label}
+                  </button>
+                ))}
+                <button className="settings-btn" onClick={handleAddComment} disabled={submitting || !comment.trim()}>
+                  <MessageSquare size={18} />
+                  Add Comment
+                </button>
+              </div>
+            </section>
+          )}
+
+          <section className="incident-panel">
+            <h3>Timeline</h3>
+            <ul className="incident-timeline">
+              {[...incident.comments].reverse().map(entry => (
+                <li key={entry.id}>
+                  <strong>{entry.author.username}</strong>
+                  {entry.status === 'open' && ' opened the incident'}
+                  {entry.status && entry.status !== 'open' && (
+                    <> changed the status to <span className={`incident-status ${entry.status}`}>{utils.formatIncidentStatus(entry.status)}</span></>
+                  )}
+                  {' · '}{utils.formatDate(entry.createdAt)}
+                  {entry.body && <p>{entry.body}</p>}
+                </li>
+              ))}
+            </ul>
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default IncidentDetail;
@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ClipboardList, ChevronLeft, ChevronRight, AlertTriangle } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import "./IncidentList.css";
+
+const statusFilters = [
+  { value: 'active', label: 'Active' },
+  { value: 'open', label: 'Open' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'verified', label: 'Verified' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'all', label: 'All' }
+];
+
+const SEVERITIES = [
+  { value: 'critical', label: 'Critical' },
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' }
+];
+
+// Active incidents are those not verified yet
+const toQuery = (filter) => {
+  if (filter === 'active') return { active: true };
+  if (filter === 'overdue') return { overdue: true };
+  if (filter === 'all') return {};
+  return { status: filter };
+};
+
+// Incidents opened from non-compliant analyses; inspectors only see the ones assigned to them
+const IncidentList = ({ user }) => {
+  const [incidents, setIncidents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('active');
+  const [severity, setSeverity] = useState('');
+  const [assignedToMe, setAssignedToMe] = useState(false);
+  const [page, setPage] = useState(1);
+  const navigate = useNavigate();
+  const canReview = utils.hasRole(user, 'supervisor');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    apiService.getIncidents({
+      ...toQuery(filter),
+      ...(severity ? { severity } : {}),
+      ...(assignedToMe ? { assigneeId: user.id } : {}),
+      sort: 'dueDate',
+      order: 'asc',
+      page
+    })
+      .then(result => {
+        if (cancelled) return;
+        setIncidents(result.data);
+        setPagination(result.pagination);
+      })
+      .catch(error => !cancelled && toast.error(error.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filter, severity, assignedToMe, page, user.id]);
+
+  const changeFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  return (
+    <div className="incidents-container">
+      <div className="header-section">
+        <h2><ClipboardList size={32} /> Incidents</h2>
+        <p>{canReview ? 'Corrective actions for non-compliant analyses' : 'Corrective actions assigned to you'}</p>
+      </div>
+
+      <div className="incidents-toolbar">
+        <div className="mode-switch" role="group" aria-label="Filter by status">
+          {statusFilters.map(option => (
+            <button
+              key={option.value}
+              className={`settings-btn ${filter === option.value ? 'active' : ''}`}
+              onClick={() => changeFilter(setFilter)(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <select value={severity} onChange={(e) => changeFilter(setSeverity)(e.target.value)} aria-label="Severity">
+          <option value="">All severities</option>
+          {SEVERITIES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        {canReview && (
+          <label className="incidents-mine">
+            <input
+              type="checkbox"
+              checked={assignedToMe}
+              onChange={(e) => changeFilter(setAssignedToMe)(e.target.checked)}
+            />
+            Assigned to me
+          </label>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="history-empty">Loading incidents...</p>
+      ) : incidents.length === 0 ? (
+        <p className="history-empty">
+          <ClipboardList size={32} />
+          No incidents match this filter.
+        </p>
+      ) : (
+        <table className="incident-table">
+          <thead>
+            <tr>
+              <th>Incident</th>
+              <th>Severity</th>
+              <th>Status</th>
+              <th>Assignee</th>
+              <th>Due</th>
+              <th>Location</th>
+              <th>Opened</th>
+            </tr>
+          </thead>
+          <tbody>
+            {incidents.map(incident => (
+              <tr key={incident.id} onClick={() => navigate(`/incidents/${incident.id}`)}>
+                <td>
+                  <span className="incident-title">#{incident.id} {incident.title}</span>
+                </td>
+                <td>
+                  <span className="severity-badge" style={{ backgroundColor: utils.getSeverityColor(incident.severity) }}>
+                    {SEVERITIES.find(option => option.value === incident.severity)?.label}
+                  </span>
+                </td>
+                <td>
+                  <span className={`incident-status ${incident.status}`}>{utils.formatIncidentStatus(incident.status)}</span>
+                </td>
+                <td>{incident.assignee?.username || <span className="incident-muted">Unassigned</span>}</td>
+                <td className={incident.overdue ? 'incident-overdue' : ''}>
+                  {incident.overdue && <AlertTriangle size={14} />}
+                  {incident.dueDate || <span className="incident-muted">None</span>}
+                </td>
+                <td>
+                  {[incident.analysis.site?.name, incident.analysis.zone?.name].filter(Boolean).join(' · ')
+                    || <span className="incident-muted">-</span>}
+                </td>
+                <td>{utils.formatDate(incident.createdAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="incidents-pagination">
+          <button className="settings-btn" onClick={() => setPage(page - 1)} disabled={page <= 1} aria-label="Previous page">
+            <ChevronLeft size={16} />
+          </button>
+          <span>Page {pagination.page} of {pagination.totalPages}</span>
+          <button
+            className="settings-btn"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages}
+            aria-label="Next page"
+          >
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncidentList;
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { LogIn, UserPlus } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService } from "../services/api";
+import "./Login.css";
+
+// Sign in, or create a new organization with its admin account
+const Login = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [organizationName, setOrganizationName] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const result = isRegister
+        ? await apiService.register(organizationName, username, password)
+        : await apiService.login(username, password);
+      toast.success(isRegister ? `Organization "${result.user.organizationName}" created` : `Welcome back, ${result.user.username}`);
+      onLogin(result);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h2>🦺 SafetySnap</h2>
+        <p>{isRegister ? 'Create an organization for your team' : 'Sign in to analyze PPE compliance'}</p>
+
+        {isRegister && (
+          <label>
+            Organization
+            <input
+              type="text"
+              value={organizationName}
+              onChange={(e) => setOrganizationName(e.target.value)}
+              required
+            />
+          </label>
+        )}
+
+        <label>
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+          />
+        </label>
+
+        <label>
+          Password
+          <input
+            type="password"
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </label>
+
+        <button type="submit" className="login-btn" disabled={submitting}>
+          {isRegister ? <UserPlus size={20} /> : <LogIn size={20} />}
+          {submitting ? 'Please wait...' : isRegister ? 'Create Organization' : 'Sign In'}
+        </button>
+
+        <button
+          type="button"
+          className="login-switch"
+          onClick={() => setMode(isRegister ? 'login' : 'register')}
+        >
+          {isRegister ? 'Already have an account? Sign in' : 'New to SafetySnap? Create an organization'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
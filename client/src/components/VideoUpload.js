@@ -0,0 +1,335 @@
+import React, { useState, useRef, useCallback, useEffect } from "react";
+import { useDropzone } from "react-dropzone";
+import { Upload, AlertCircle, CheckCircle, HelpCircle, Film, Trash2, SkipBack, SkipForward } from "lucide-react";
+import toast from "react-hot-toast";
+import { apiService, utils } from "../services/api";
+import "./VideoUpload.css";
+
+const SAMPLE_RATES = [
+  { value: 0.5, label: '1 frame every 2 seconds' },
+  { value: 1, label: '1 frame per second' },
+  { value: 2, label: '2 frames per second' },
+  { value: 5, label: '5 frames per second' }
+];
+
+const VideoUpload = ({ workEnvironment, location }) => {
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [sampleRate, setSampleRate] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const videoRef = useRef();
+  const canvasRef = useRef();
+
+  const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
+    if (rejectedFiles.length > 0) {
+      toast.error(rejectedFiles[0].errors[0].message);
+      return;
+    }
+
+    const file = acceptedFiles[0];
+    try {
+      utils.validateVideoFile(file);
+      setSelectedFile(file);
+      setVideoUrl(URL.createObjectURL(file));
+      setResult(null);
+      toast.success('Video selected successfully!');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'video/mp4': ['.mp4'],
+      'video/webm': ['.webm']
+    },
+    maxFiles: 1,
+    maxSize: 100 * 1024 * 1024 // 100MB
+  });
+
+  useEffect(() => () => {
+    if (videoUrl) URL.revokeObjectURL(videoUrl);
+  }, [videoUrl]);
+
+  const handleAnalyze = async () => {
+    if (!selectedFile) {
+      toast.error("Please select a video first!");
+      return;
+    }
+
+    setLoading(true);
+    toast.loading('Sampling frames and analyzing PPE compliance...', { id: 'video-analysis' });
+
+    try {
+      const response = await apiService.uploadVideo(selectedFile, workEnvironment, sampleRate, location);
+      if (!response.success) throw new Error(response.message);
+
+      setResult(response.data);
+      toast.success('Video analysis completed!', { id: 'video-analysis' });
+    } catch (error) {
+      toast.error(error.message, { id: 'video-analysis' });
+      console.error('Video analysis error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = () => {
+    setSelectedFile(null);
+    setVideoUrl(null);
+    setResult(null);
+    setCurrentTime(0);
+  };
+
+  const seekTo = (time) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.pause();
+    video.currentTime = time;
+  };
+
+  // Sampled frame closest to the playback position
+  const currentFrame = result
+    ? result.timeline.reduce((closest, frame) => (
+      !closest || Math.abs(frame.time - currentTime) < Math.abs(closest.time - currentTime) ? frame : closest
+    ), null)
+    : null;
+
+  // Uncertain frames need review but are no violations
+  const violationFrames = result ? result.timeline.filter(frame => frame.verdict === 'non_compliant') : [];
+
+  const jumpToViolation = (direction) => {
+    const candidates = direction > 0
+      ? violationFrames.filter(frame => frame.time > currentTime + 0.01)
+      : violationFrames.filter(frame => frame.time < currentTime - 0.01).reverse();
+    if (candidates.length > 0) {
+      seekTo(candidates[0].time);
+    } else {
+      toast(direction > 0 ? 'No later violations' : 'No earlier violations');
+    }
+  };
+
+  // Overlay the detections of the nearest sampled frame
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const video = videoRef.current;
+    if (!canvas || !video || !result) return;
+
+    canvas.width = video.videoWidth || result.video.width;
+    canvas.height = video.videoHeight || result.video.height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!currentFrame || currentFrame.status !== 'completed') return;
+
+    currentFrame.detections.forEach(detection => {
+      const [x, y, width, height] = detection.bbox;
+      const color = utils.getCategoryColor(detection.category);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 3;
+      ctx.strokeRect(x, y, width, height);
+
+      const label = `${detection.class} (${(detection.confidence * 100).toFixed(1)}%)`;
+      ctx.font = 'bold 14px Arial';
+      const textWidth = ctx.measureText(label).width;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y - 25, textWidth + 10, 25);
+      ctx.fillStyle = 'white';
+      ctx.fillText(label, x + 5, y - 8);
+    });
+  }, [currentFrame, result]);
+
+  const duration = result ? Math.max(result.video.duration, 0.1) : 0;
+
+  return (
+    <div className="video-upload">
+      {!videoUrl ? (
+        <div
+          {...getRootProps()}
+          className={`dropzone ${isDragActive ? 'active' : ''}`}
+        >
+          <input {...getInputProps()} />
+          <div className="dropzone-content">
+            <Upload size={48} />
+            <h3>{isDragActive ? 'Drop the video here' : 'Drag & drop a video clip here'}</h3>
+            <p>or click to select a file</p>
+            <div className="file-info">
+              <small>Supports: MP4, WebM (Max 100MB, 2 minutes)</small>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="video-preview">
+          <div className="video-container">
+            <video
+              ref={videoRef}
+              src={videoUrl}
+              controls
+              className="preview-video"
+              onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+              onSeeked={(e) => setCurrentTime(e.target.currentTime)}
+            />
+            {result && <canvas ref={canvasRef} className="video-canvas" />}
+          </div>
+
+          {result && (
+            <div className="video-timeline">
+              <div className="timeline-track">
+                {result.timeline.map(frame => (
+                  <button
+                    key={frame.index}
+                    className={`timeline-sample ${frame.status === 'failed' ? 'failed' : frame.isCompliant ? 'compliant' : frame.verdict === 'uncertain' ? 'uncertain' : 'violation'}`}
+                    style={{ left: `${(frame.time / duration) * 100}%`, width: `${Math.max(100 / result.timeline.length, 0.5)}%` }}
+                    onClick={() => seekTo(frame.time)}
+                    title={`${utils.formatDuration(frame.time)} - ${frame.status === 'failed' ? 'analysis failed' : `${frame.complianceScore}%`}`}
+                    aria-label={`Jump to ${utils.formatDuration(frame.time)}`}
+                  />
+                ))}
+                <div className="timeline-cursor" style={{ left: `${(currentTime / duration) * 100}%` }} />
+              </div>
+              <div className="timeline-controls">
+                <button className="settings-btn" onClick={() => jumpToViolation(-1)} disabled={violationFrames.length === 0}>
+                  <SkipBack size={18} />
+                  Previous violation
+                </button>
+                <span className="timeline-position">
+                  {utils.formatDuration(currentTime)}
+                  {currentFrame?.status === 'completed' && ` · ${currentFrame.complianceScore}%`}
+                </span>
+                <button className="settings-btn" onClick={() => jumpToViolation(1)} disabled={violationFrames.length === 0}>
+                  Next violation
+                  <SkipForward size={18} />
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="settings-panel video-settings">
+            <label htmlFor="sampleRate">Frame Sampling:</label>
+            <select
+              id="sampleRate"
+              value={sampleRate}
+              onChange={(e) => setSampleRate(Number(e.target.value))}
+              disabled={loading}
+            >
+              {SAMPLE_RATES.map(rate => (
+                <option key={rate.value} value={rate.value}>{rate.label}</option>
+              ))}
+            </select>
+            <p><strong>File:</strong> {selectedFile.name} ({utils.formatFileSize(selectedFile.size)})</p>
+          </div>
+        </div>
+      )}
+
+      <div className="actions-section">
+        <button
+          className="analyze-btn"
+          onClick={handleAnalyze}
+          disabled={!selectedFile || loading}
+        >
+          <Film size={20} />
+          {loading ? 'Analyzing...' : 'Analyze Video'}
+        </button>
+
+        {videoUrl && (
+          <button
+            className="reset-btn"
+            onClick={handleReset}
+            disabled={loading}
+          >
+            <Trash2 size={20} />
+            Reset
+          </button>
+        )}
+      </div>
+
+      {result && (
+        <div className="results-section">
+          <div className="compliance-summary">
+            <div className="compliance-score">
+              <h3>Average Compliance</h3>
+              <div className="score-circle">
+                <span className="score-value">{result.summary.averageScore}%</span>
+              </div>
+              <p className="compliance-text">
+                {result.summary.compliantFrameRate}% of {result.summary.framesAnalyzed - result.summary.uncertainFrames} sampled frames compliant
+                {result.summary.uncertainFrames > 0 && `, ${result.summary.uncertainFrames} uncertain`}
+              </p>
+            </div>
+
+            <div className="compliance-status">
+              {result.summary.isCompliant ? (
+                <div className="status-success">
+                  <CheckCircle size={24} />
+                  <span>No violations found</span>
+                </div>
+              ) : result.summary.verdict === 'uncertain' ? (
+                <div className="status-review">
+                  <HelpCircle size={24} />
+                  <span>Needs Review</span>
+                  <small>{result.summary.uncertainRanges.length} period(s) with low-confidence PPE</small>
+                </div>
+              ) : (
+                <div className="status-warning">
+                  <AlertCircle size={24} />
+                  <span>{result.summary.violationRanges.length} violation period(s)</span>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {[
+            { title: 'Violations', ranges: result.summary.violationRanges, tone: 'warning', Icon: AlertCircle },
+            { title: 'Needs Review', ranges: result.summary.uncertainRanges, tone: 'uncertain', Icon: HelpCircle }
+          ].filter(group => group.ranges.length > 0).map(({ title, ranges, tone, Icon }) => (
+            <div key={title} className="recommendations">
+              <h4>{title}</h4>
+              <div className="recommendation-list">
+                {ranges.map(range => (
+                  <button
+                    key={range.start}
+                    className={`recommendation-item ${tone} violation-range`}
+                    onClick={() => seekTo(range.start)}
+                  >
+                    <Icon size={20} />
+                    <span>
+                      {utils.formatDuration(range.start)} – {utils.formatDuration(range.end)} · lowest score {range.worstScore}%
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {result.worstFrame && (
+            <div className="analysis-details">
+              <h4>Worst Frame</h4>
+              <div className="details-grid">
+                <div className="detail-item">
+                  <span className="detail-label">Time:</span>
+                  <button className="link-btn" onClick={() => seekTo(result.worstFrame.time)}>
+                    {utils.formatDuration(result.worstFrame.time)}
+                  </button>
+                </div>
+                <div className="detail-item">
+                  <span className="detail-label">Score:</span>
+                  <span className="detail-value">{result.worstFrame.complianceScore}%</span>
+                </div>
+                <div className="detail-item">
+                  <span className="detail-label">Missing:</span>
+                  <span className="detail-value">
+                    {result.worstFrame.missingCategories.map(utils.formatCategory).join(', ') || 'None'}
+                  </span>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoUpload;
@@ -0,0 +1,25 @@
+import { useState, useEffect } from "react";
+import { utils } from "../services/api";
+
+// Short-lived URL of an uploaded file for <img> and <video>; null until it has been issued
+export default function useFileUrl(filePath) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    setUrl(null);
+    if (!filePath) return undefined;
+
+    utils.getFileUrl(filePath)
+      .then(fileUrl => {
+        if (current) setUrl(fileUrl);
+      })
+      .catch(error => console.error('File link error:', error));
+
+    return () => {
+      current = false;
+    };
+  }, [filePath]);
+
+  return url;
+}
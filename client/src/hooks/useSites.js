@@ -0,0 +1,19 @@
+import { useState, useEffect } from "react";
+import { apiService } from "../services/api";
+
+// The organization's sites with their zones; empty when none are set up or the server is unreachable
+export default function useSites() {
+  const [sites, setSites] = useState([]);
+
+  useEffect(() => {
+    apiService.getSites()
+      .then(result => {
+        if (result.success) {
+          setSites(result.data);
+        }
+      })
+      .catch(error => console.error('Sites error:', error));
+  }, []);
+
+  return sites;
+}
@@ -0,0 +1,19 @@
+import { useState, useEffect } from "react";
+import { apiService, utils } from "../services/api";
+
+// Built-in and custom work environments as select options; keeps the built-in list if the server is unreachable
+export default function useWorkEnvironments() {
+  const [workEnvironments, setWorkEnvironments] = useState(utils.getWorkEnvironments());
+
+  useEffect(() => {
+    apiService.getEnvironments()
+      .then(result => {
+        if (result.success) {
+          setWorkEnvironments(utils.toWorkEnvironmentOptions(result.data));
+        }
+      })
+      .catch(error => console.error('Work environments error:', error));
+  }, []);
+
+  return workEnvironments;
+}
@@ -1,98 +1,312 @@
 // API Service for SafetySnap
-import axios from 'axios';
+import { createClient } from '@safetysnap/api-client';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+// The generated client takes the server origin; its paths include /api
+const API_ORIGIN = API_BASE_URL.replace(/\/api\/?$/, '');
 
-// Create axios instance with default config
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 30000, // 30 seconds timeout
-  headers: {
-    'Content-Type': 'application/json',
+// Session (JWT + user) is kept in localStorage so a reload stays logged in
+const SESSION_KEY = 'safetysnap_session';
+export const SESSION_EXPIRED_EVENT = 'safetysnap:session-expired';
+
+// Short-lived file links by path, reused until shortly before they expire so the browser cache keeps working
+const fileLinks = new Map();
+const LINK_REUSE_MARGIN = 60 * 1000;
+// Links asked for while rendering are requested together, up to the server's limit per request
+const MAX_LINKS_PER_REQUEST = 100;
+let pendingLinks = new Map();
+
+export const session = {
+  get() {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  save(data) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(data));
+  },
+
+  clear() {
+    localStorage.removeItem(SESSION_KEY);
+    fileLinks.clear();
   },
+
+  getToken() {
+    return session.get()?.token || null;
+  }
+};
+
+// Client generated from the server's OpenAPI document (packages/api-client).
+// Its errors carry the server's message, so only an expired session needs handling here.
+const client = createClient({
+  baseUrl: API_ORIGIN,
+  getToken: () => session.getToken(),
+  timeout: 30000, // 30 seconds timeout
+  onError(error, request) {
+    console.error('Response error:', error.body || error.message);
+
+    if (error.status === 401 && session.getToken() && !request.path.startsWith('/api/auth/')) {
+      // Expired or revoked session - return to the login screen
+      session.clear();
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+      error.message = 'Your session has expired. Please log in again.';
+    }
+  }
 });
 
-// Request interceptor
-api.interceptors.request.use(
-  (config) => {
-    console.log(`Making ${config.method?.toUpperCase()} request to ${config.url}`);
-    return config;
+// Id of the single-image analysis job being waited for, so a reload can resume following it
+const PENDING_ANALYSIS_KEY = 'safetysnap_pending_analysis';
+
+export const pendingAnalysis = {
+  get() {
+    return localStorage.getItem(PENDING_ANALYSIS_KEY);
   },
-  (error) => {
-    console.error('Request error:', error);
-    return Promise.reject(error);
+
+  save(jobId) {
+    localStorage.setItem(PENDING_ANALYSIS_KEY, jobId);
+  },
+
+  clear() {
+    localStorage.removeItem(PENDING_ANALYSIS_KEY);
   }
+};
+
+const isJobFinished = (job) => job.status === 'succeeded' || job.status === 'failed';
+
+// Optional site/zone tagging of an upload: { siteId, zoneId }
+const locationFields = (location = {}) => Object.fromEntries(
+  ['siteId', 'zoneId'].filter(key => location[key]).map(key => [key, location[key]])
 );
 
-// Response interceptor
-api.interceptors.response.use(
-  (response) => {
-    console.log(`Response from ${response.config.url}:`, response.status);
-    return response;
-  },
-  (error) => {
-    console.error('Response error:', error.response?.data || error.message);
-    
-    // Handle common errors
-    if (error.response?.status === 413) {
-      error.message = 'File too large. Please upload an image smaller than 10MB.';
-    } else if (error.response?.status === 415) {
-      error.message = 'Invalid file type. Please upload a JPEG, PNG, or WebP image.';
-    } else if (error.code === 'ECONNABORTED') {
-      error.message = 'Request timeout. Please try again.';
-    } else if (!error.response) {
-      error.message = 'Network error. Please check your connection.';
-    }
-    
-    return Promise.reject(error);
+// Issue the file links getFileUrl was asked for since the last request
+async function requestPendingLinks() {
+  const pending = [...pendingLinks.entries()];
+  pendingLinks = new Map();
+
+  for (let start = 0; start < pending.length; start += MAX_LINKS_PER_REQUEST) {
+    const chunk = pending.slice(start, start + MAX_LINKS_PER_REQUEST);
+    try {
+      const { data } = await client.createLink({ paths: chunk.map(([filePath]) => filePath) });
+      chunk.forEach(([filePath, { resolve }], index) => {
+        const url = `${API_ORIGIN}${data[index].url}`;
+        fileLinks.set(filePath, { url, expiresAt: Date.parse(data[index].expiresAt) });
+        resolve(url);
+      });
+    } catch (error) {
+      chunk.forEach(([, { reject }]) => reject(error));
+    }
   }
-);
+}
 
 // API endpoints
 export const apiService = {
   // Health check
   async healthCheck() {
     try {
-      const response = await api.get('/health');
-      return response.data;
+      return await client.healthCheck();
     } catch (error) {
       throw new Error(`Health check failed: ${error.message}`);
     }
   },
 
-  // Upload and analyze image
-  async uploadAndAnalyzeImage(file, workEnvironment = 'construction') {
+  // Log in and store the session
+  async login(username, password) {
     try {
-      const formData = new FormData();
-      formData.append('image', file);
-      formData.append('workEnvironment', workEnvironment);
+      const { data } = await client.login({ username, password });
+      session.save(data);
+      return data;
+    } catch (error) {
+      throw new Error(error.body?.message || `Login failed: ${error.message}`);
+    }
+  },
 
-      const response = await api.post('/upload', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          console.log(`Upload progress: ${percentCompleted}%`);
-        },
-      });
+  // Create an organization with its admin account and store the session
+  async register(organizationName, username, password) {
+    try {
+      const { data } = await client.register({ organizationName, username, password });
+      session.save(data);
+      return data;
+    } catch (error) {
+      throw new Error(error.body?.message || `Registration failed: ${error.message}`);
+    }
+  },
+
+  logout() {
+    session.clear();
+    pendingAnalysis.clear();
+  },
+
+  // Current user, refreshed from the server (role changes apply without logging in again)
+  async getCurrentUser() {
+    try {
+      const { data } = await client.getCurrentUser();
+      session.save({ ...session.get(), user: data });
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to fetch current user: ${error.message}`);
+    }
+  },
+
+  // List users of the organization (admin)
+  async getUsers() {
+    try {
+      return await client.listUsers();
+    } catch (error) {
+      throw new Error(`Failed to fetch users: ${error.message}`);
+    }
+  },
+
+  // Add a user to the organization (admin)
+  async createUser(user) {
+    try {
+      return await client.createUser(user);
+    } catch (error) {
+      throw new Error(`Failed to create user: ${error.message}`);
+    }
+  },
+
+  // Change a user's role or password (admin)
+  async updateUser(id, changes) {
+    try {
+      return await client.updateUser(id, changes);
+    } catch (error) {
+      throw new Error(`Failed to update user: ${error.message}`);
+    }
+  },
 
-      return response.data;
+  // Remove a user from the organization (admin)
+  async deleteUser(id) {
+    try {
+      return await client.deleteUser(id);
+    } catch (error) {
+      throw new Error(`Failed to delete user: ${error.message}`);
+    }
+  },
+
+  // Upload an image and queue its analysis; resolves with the analysis job
+  async createAnalysisJob(file, workEnvironment = 'construction', location) {
+    try {
+      const { data } = await client.createAnalysisJob({
+        image: file,
+        workEnvironment,
+        ...locationFields(location),
+      });
+      return data;
     } catch (error) {
       throw new Error(`Upload failed: ${error.message}`);
     }
   },
 
+  // Get an analysis job (status, last completed stage and, once succeeded, its result)
+  async getJob(jobId) {
+    try {
+      const { data } = await client.getJob(jobId);
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to fetch analysis job: ${error.message}`);
+    }
+  },
+
+  // Follow an analysis job over its event stream until it has succeeded or failed.
+  // `onUpdate` receives every job update; aborting `signal` stops following without affecting the job.
+  async watchJob(jobId, { onUpdate = () => {}, signal } = {}) {
+    const url = await client.getJobEventsUrl(jobId, { signal });
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(url);
+
+      const finish = (settle, value) => {
+        source.close();
+        signal?.removeEventListener('abort', abort);
+        settle(value);
+      };
+      const abort = () => finish(reject, new DOMException('Stopped following the analysis job', 'AbortError'));
+      signal?.addEventListener('abort', abort);
+
+      source.addEventListener('job', (event) => {
+        const job = JSON.parse(event.data);
+        onUpdate(job);
+        if (isJobFinished(job)) finish(resolve, job);
+      });
+
+      // The browser reconnects by itself after network errors. A closed stream was refused
+      // (e.g. expired session or unknown job), so the job is fetched once for its status or error.
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        apiService.getJob(jobId)
+          .then(job => {
+            onUpdate(job);
+            if (isJobFinished(job)) {
+              finish(resolve, job);
+            } else {
+              finish(reject, new Error('Lost connection to the analysis job'));
+            }
+          })
+          .catch(error => finish(reject, error));
+      };
+    });
+  },
+
+  // Upload and analyze image, waiting for the analysis job to finish
+  async uploadAndAnalyzeImage(file, workEnvironment = 'construction', location, onUpdate) {
+    const job = await apiService.createAnalysisJob(file, workEnvironment, location);
+    const finished = await apiService.watchJob(job.id, { onUpdate });
+    if (finished.status === 'failed') {
+      throw new Error(finished.error || 'Analysis failed');
+    }
+    return { success: true, data: finished.result };
+  },
+
+  // Upload many images or one ZIP archive and wait for the batch job to analyze them
+  async uploadBatch(files, workEnvironment = 'construction', location) {
+    let job;
+    try {
+      ({ data: job } = await client.uploadBatch({
+        images: files,
+        workEnvironment,
+        ...locationFields(location),
+      }, {
+        timeout: 5 * 60 * 1000, // uploading an archive takes longer than a single image
+      }));
+    } catch (error) {
+      throw new Error(`Batch upload failed: ${error.message}`);
+    }
+
+    const finished = await apiService.watchJob(job.id);
+    if (finished.status === 'failed') {
+      throw new Error(finished.error || 'Batch analysis failed');
+    }
+    return { success: true, data: finished.result };
+  },
+
+  // Upload a video clip and analyze sampled frames (sampleRate in frames per second)
+  async uploadVideo(file, workEnvironment = 'construction', sampleRate = 1, location) {
+    try {
+      return await client.uploadVideo({
+        video: file,
+        workEnvironment,
+        sampleRate,
+        ...locationFields(location),
+      }, {
+        timeout: 10 * 60 * 1000, // every sampled frame is analyzed
+      });
+    } catch (error) {
+      throw new Error(`Video upload failed: ${error.message}`);
+    }
+  },
+
   // Analyze existing image
-  async analyzeExistingImage(filename, workEnvironment = 'construction') {
+  async analyzeExistingImage(filename, workEnvironment = 'construction', location) {
     try {
-      const response = await api.post('/upload/analyze', {
+      return await client.analyzeExistingImage({
         filename,
         workEnvironment,
+        ...locationFields(location),
       });
-      return response.data;
     } catch (error) {
       throw new Error(`Analysis failed: ${error.message}`);
     }
@@ -101,8 +315,7 @@ export const apiService = {
   // Get list of uploaded files
   async getUploadedFiles() {
     try {
-      const response = await api.get('/upload/files');
-      return response.data;
+      return await client.listFiles();
     } catch (error) {
       throw new Error(`Failed to fetch files: ${error.message}`);
     }
@@ -111,12 +324,300 @@ export const apiService = {
   // Delete uploaded file
   async deleteFile(filename) {
     try {
-      const response = await api.delete(`/upload/${filename}`);
-      return response.data;
+      return await client.deleteFile(filename);
     } catch (error) {
       throw new Error(`Failed to delete file: ${error.message}`);
     }
   },
+
+  // List stored analyses (filters: from, to, environment, compliant, minScore, maxScore, sort, order, page, pageSize)
+  async getAnalyses(params = {}) {
+    try {
+      return await client.listAnalyses(params);
+    } catch (error) {
+      throw new Error(`Failed to fetch analyses: ${error.message}`);
+    }
+  },
+
+  // Get a stored analysis
+  async getAnalysis(id) {
+    try {
+      return await client.getAnalysis(id);
+    } catch (error) {
+      throw new Error(`Failed to fetch analysis: ${error.message}`);
+    }
+  },
+
+  // Save corrected detections ({ class, bbox, detectorConfidence? }) as a new reviewed version of a stored analysis
+  async reviewAnalysis(id, detections, note) {
+    try {
+      return await client.reviewAnalysis(id, { detections, note });
+    } catch (error) {
+      throw new Error(`Failed to save review: ${error.message}`);
+    }
+  },
+
+  // Reviewed versions of a stored analysis, oldest first
+  async getAnalysisReviews(id) {
+    try {
+      return await client.listAnalysisReviews(id);
+    } catch (error) {
+      throw new Error(`Failed to fetch reviews: ${error.message}`);
+    }
+  },
+
+  // Image with the detections of an analysis drawn server-side, as a Blob
+  async getAnnotatedImage(filename, analysisId) {
+    try {
+      return await client.getAnnotatedImage(filename, { analysisId });
+    } catch (error) {
+      throw new Error(`Failed to load annotated image: ${error.message}`);
+    }
+  },
+
+  // Compliance aggregates (params: interval, from, to, environment)
+  async getStats(params = {}) {
+    try {
+      return await client.getStats(params);
+    } catch (error) {
+      throw new Error(`Failed to fetch statistics: ${error.message}`);
+    }
+  },
+
+  // Download the compliance aggregates as CSV or JSON
+  async exportStats(params = {}, format = 'csv') {
+    try {
+      const blob = await client.exportStats({ ...params, format });
+      utils.saveBlob(blob, `safetysnap-stats-${params.interval || 'day'}.${format}`);
+    } catch (error) {
+      throw new Error(`Failed to export statistics: ${error.message}`);
+    }
+  },
+
+  // Download the PDF inspection report for a stored analysis
+  async downloadReport(id) {
+    try {
+      const blob = await client.getAnalysisReport(id, { timeout: 60000 });
+      utils.saveBlob(blob, `safetysnap-report-${id}.pdf`);
+    } catch (error) {
+      throw new Error(`Failed to download report: ${error.message}`);
+    }
+  },
+
+  // Download the detections of a stored analysis with its image as a COCO, Pascal VOC or YOLO ZIP archive
+  async exportAnnotations(id, format = 'coco') {
+    try {
+      const blob = await client.exportAnalysis(id, { format }, { timeout: 60000 });
+      utils.saveBlob(blob, `safetysnap-analysis-${id}-${format}.zip`);
+    } catch (error) {
+      throw new Error(`Failed to export annotations: ${error.message}`);
+    }
+  },
+
+  // Place or release a legal hold, which keeps the image out of the retention sweep
+  async setLegalHold(id, legalHold) {
+    try {
+      return await client.setLegalHold(id, { legalHold });
+    } catch (error) {
+      throw new Error(`Failed to update legal hold: ${error.message}`);
+    }
+  },
+
+  // Get built-in and custom work environments
+  async getEnvironments() {
+    try {
+      return await client.listEnvironments();
+    } catch (error) {
+      throw new Error(`Failed to fetch work environments: ${error.message}`);
+    }
+  },
+
+  // Create a custom work environment
+  async createEnvironment(environment) {
+    try {
+      return await client.createEnvironment(environment);
+    } catch (error) {
+      throw new Error(`Failed to create work environment: ${error.message}`);
+    }
+  },
+
+  // Update a custom work environment
+  async updateEnvironment(id, changes) {
+    try {
+      return await client.updateEnvironment(id, changes);
+    } catch (error) {
+      throw new Error(`Failed to update work environment: ${error.message}`);
+    }
+  },
+
+  // Set the organization's confidence thresholds ({ [category]: { accept, reject } }) for a work environment
+  async updateEnvironmentThresholds(id, thresholds) {
+    try {
+      return await client.updateEnvironmentThresholds(id, { thresholds });
+    } catch (error) {
+      throw new Error(`Failed to update confidence thresholds: ${error.message}`);
+    }
+  },
+
+  // Delete a custom work environment
+  async deleteEnvironment(id) {
+    try {
+      return await client.deleteEnvironment(id);
+    } catch (error) {
+      throw new Error(`Failed to delete work environment: ${error.message}`);
+    }
+  },
+
+  // Get the organization's sites with their zones
+  async getSites() {
+    try {
+      return await client.listSites();
+    } catch (error) {
+      throw new Error(`Failed to fetch sites: ${error.message}`);
+    }
+  },
+
+  // Create a site
+  async createSite(site) {
+    try {
+      return await client.createSite(site);
+    } catch (error) {
+      throw new Error(`Failed to create site: ${error.message}`);
+    }
+  },
+
+  // Delete a site and its zones
+  async deleteSite(id) {
+    try {
+      return await client.deleteSite(id);
+    } catch (error) {
+      throw new Error(`Failed to delete site: ${error.message}`);
+    }
+  },
+
+  // Add a zone to a site; requiredCategories overrides the work environment's requirements
+  async createZone(siteId, zone) {
+    try {
+      return await client.createZone(siteId, zone);
+    } catch (error) {
+      throw new Error(`Failed to create zone: ${error.message}`);
+    }
+  },
+
+  // Update a zone
+  async updateZone(siteId, zoneId, changes) {
+    try {
+      return await client.updateZone(siteId, zoneId, changes);
+    } catch (error) {
+      throw new Error(`Failed to update zone: ${error.message}`);
+    }
+  },
+
+  // Delete a zone
+  async deleteZone(siteId, zoneId) {
+    try {
+      return await client.deleteZone(siteId, zoneId);
+    } catch (error) {
+      throw new Error(`Failed to delete zone: ${error.message}`);
+    }
+  },
+
+  // Get face anonymization and retention settings
+  async getPrivacySettings() {
+    try {
+      return await client.getPrivacySettings();
+    } catch (error) {
+      throw new Error(`Failed to fetch privacy settings: ${error.message}`);
+    }
+  },
+
+  // Update face anonymization and retention settings; null removes a retention limit
+  async updatePrivacySettings(changes) {
+    try {
+      return await client.updatePrivacySettings(changes);
+    } catch (error) {
+      throw new Error(`Failed to update privacy settings: ${error.message}`);
+    }
+  },
+
+  // Apply the retention policy now
+  async runRetentionSweep() {
+    try {
+      return await client.runRetentionSweep();
+    } catch (error) {
+      throw new Error(`Failed to run retention sweep: ${error.message}`);
+    }
+  },
+
+  // List incidents (filters: status, severity, assigneeId, analysisId, siteId, overdue, sort, order, page, pageSize)
+  async getIncidents(params = {}) {
+    try {
+      return await client.listIncidents(params);
+    } catch (error) {
+      throw new Error(`Failed to fetch incidents: ${error.message}`);
+    }
+  },
+
+  // Get an incident with its comments and status changes
+  async getIncident(id) {
+    try {
+      return await client.getIncident(id);
+    } catch (error) {
+      throw new Error(`Failed to fetch incident: ${error.message}`);
+    }
+  },
+
+  // Users an incident can be assigned to
+  async getIncidentAssignees() {
+    try {
+      return await client.listIncidentAssignees();
+    } catch (error) {
+      throw new Error(`Failed to fetch assignees: ${error.message}`);
+    }
+  },
+
+  // Open an incident for a non-compliant analysis (analysisId, title, description, severity, assigneeId, dueDate)
+  async createIncident(incident) {
+    try {
+      return await client.createIncident(incident);
+    } catch (error) {
+      throw new Error(`Failed to open incident: ${error.message}`);
+    }
+  },
+
+  async updateIncident(id, changes) {
+    try {
+      return await client.updateIncident(id, changes);
+    } catch (error) {
+      throw new Error(`Failed to update incident: ${error.message}`);
+    }
+  },
+
+  // Move an incident along open → in_progress → resolved → verified, with an optional comment
+  async changeIncidentStatus(id, status, comment) {
+    try {
+      return await client.changeIncidentStatus(id, { status, comment });
+    } catch (error) {
+      throw new Error(`Failed to change incident status: ${error.message}`);
+    }
+  },
+
+  // Link the analysis of a follow-up photo to an incident
+  async setIncidentVerification(id, analysisId) {
+    try {
+      return await client.setIncidentVerification(id, { analysisId });
+    } catch (error) {
+      throw new Error(`Failed to link verification photo: ${error.message}`);
+    }
+  },
+
+  async addIncidentComment(id, body) {
+    try {
+      return await client.addIncidentComment(id, { body });
+    } catch (error) {
+      throw new Error(`Failed to add comment: ${error.message}`);
+    }
+  },
 };
 
 // Utility functions
@@ -136,6 +637,18 @@ export const utils = {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   },
 
+  // Save a downloaded blob as a file
+  saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
   // Get file extension
   getFileExtension(filename) {
     return filename.slice((filename.lastIndexOf('.') - 1 >>> 0) + 2);
@@ -143,11 +656,13 @@ export const utils = {
 
   // Validate image file
   validateImageFile(file) {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif'];
+    // HEIC/HEIF and AVIF often have no MIME type in browsers that can't display them
+    const convertedExtensions = ['heic', 'heif', 'avif'];
     const maxSize = 10 * 1024 * 1024; // 10MB
 
-    if (!allowedTypes.includes(file.type)) {
-      throw new Error('Invalid file type. Please upload a JPEG, PNG, or WebP image.');
+    if (!allowedTypes.includes(file.type) && !convertedExtensions.includes(this.getFileExtension(file.name).toLowerCase())) {
+      throw new Error('Invalid file type. Please upload a JPEG, PNG, WebP, HEIC or AVIF image.');
     }
 
     if (file.size > maxSize) {
@@ -157,7 +672,46 @@ export const utils = {
     return true;
   },
 
-  // Get work environment options
+  // Validate a file for batch upload (images or ZIP archives)
+  validateBatchFile(file) {
+    if (this.isZipFile(file)) {
+      if (file.size > 200 * 1024 * 1024) {
+        throw new Error('ZIP archive too large. Please upload archives smaller than 200MB.');
+      }
+      return true;
+    }
+    return this.validateImageFile(file);
+  },
+
+  // Validate video file
+  validateVideoFile(file) {
+    const allowedTypes = ['video/mp4', 'video/webm'];
+    const maxSize = 100 * 1024 * 1024; // 100MB
+
+    if (!allowedTypes.includes(file.type)) {
+      throw new Error('Invalid file type. Please upload an MP4 or WebM video.');
+    }
+
+    if (file.size > maxSize) {
+      throw new Error('File too large. Please upload a video smaller than 100MB.');
+    }
+
+    return true;
+  },
+
+  // Format seconds as m:ss
+  formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${String(rest).padStart(2, '0')}`;
+  },
+
+  // Check whether a file is a ZIP archive
+  isZipFile(file) {
+    return file.name.toLowerCase().endsWith('.zip');
+  },
+
+  // Get work environment options (built-in defaults, used until the server list loads)
   getWorkEnvironments() {
     return [
       { value: 'construction', label: 'Construction Site', description: 'Hard hat, safety vest, boots, gloves, safety glasses required' },
@@ -168,6 +722,15 @@ export const utils = {
     ];
   },
 
+  // Convert server work environments to select options
+  toWorkEnvironmentOptions(environments) {
+    return environments.map(env => ({
+      value: env.id,
+      label: env.label,
+      description: env.description
+    }));
+  },
+
   // Get PPE category colors
   getCategoryColor(category) {
     const colors = {
@@ -181,6 +744,51 @@ export const utils = {
     return colors[category] || '#6B7280';
   },
 
+  // Format a PPE category for display, e.g. head_protection -> Head protection
+  formatCategory(category) {
+    const text = category.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  // Roles are ordered: inspector < supervisor < admin
+  hasRole(user, role) {
+    const roles = ['inspector', 'supervisor', 'admin'];
+    return !!user && roles.indexOf(user.role) >= roles.indexOf(role);
+  },
+
+  // URL of an uploaded file (e.g. /uploads/image-1.jpg). <img> can't send headers, so the URL
+  // carries a short-lived token the server issues for this file only.
+  // Calls made in the same tick (e.g. a page of thumbnails) share one request.
+  async getFileUrl(filePath) {
+    const cached = fileLinks.get(filePath);
+    if (cached && cached.expiresAt - LINK_REUSE_MARGIN > Date.now()) {
+      return cached.url;
+    }
+
+    if (!pendingLinks.has(filePath)) {
+      if (pendingLinks.size === 0) setTimeout(requestPendingLinks, 0);
+      let settle;
+      const promise = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+      });
+      pendingLinks.set(filePath, { promise, ...settle });
+    }
+    return pendingLinks.get(filePath).promise;
+  },
+
+  // Compliance score color and label (green/orange/red)
+  getComplianceColor(score) {
+    if (score >= 80) return '#10B981'; // Green
+    if (score >= 60) return '#F59E0B'; // Orange
+    return '#EF4444'; // Red
+  },
+
+  getComplianceText(score) {
+    if (score >= 80) return 'Excellent';
+    if (score >= 60) return 'Good';
+    return 'Needs Improvement';
+  },
+
   // Get recommendation priority color
   getPriorityColor(priority) {
     const colors = {
@@ -189,7 +797,23 @@ export const utils = {
       'low': '#10B981' // Green
     };
     return colors[priority] || '#6B7280';
+  },
+
+  // Incident severity color
+  getSeverityColor(severity) {
+    const colors = {
+      'critical': '#7F1D1D', // Dark red
+      'high': '#EF4444', // Red
+      'medium': '#F59E0B', // Orange
+      'low': '#10B981' // Green
+    };
+    return colors[severity] || '#6B7280';
+  },
+
+  // Incident status label, e.g. in_progress -> In Progress
+  formatIncidentStatus(status) {
+    return status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
   }
 };
 
-export default api;
+export default client;
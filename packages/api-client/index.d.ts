@@ -0,0 +1,1627 @@
+// Generated by server/scripts/generateClient.js from the server's OpenAPI document - do not edit.
+// Regenerate with `npm run client:generate` in server/.
+
+export interface ClientOptions {
+  /** Origin of the SafetySnap server, e.g. https://safetysnap.example.com; paths include /api */
+  baseUrl?: string;
+  /** JWT sent as a bearer token */
+  token?: string;
+  /** Called for every request; takes precedence over `token` */
+  getToken?: () => string | null | undefined;
+  /** Extra headers for every request */
+  headers?: Record<string, string>;
+  /** Milliseconds before a request is aborted */
+  timeout?: number;
+  /** Defaults to the global fetch */
+  fetch?: typeof fetch;
+  /** Called with every ApiError before it is thrown */
+  onError?: (error: ApiError, request: { method: string; path: string }) => void;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  headers?: Record<string, string>;
+  timeout?: number;
+}
+
+/** A request that didn't get a successful response; `status` is 0 when no response arrived */
+export declare class ApiError extends Error {
+  constructor(message: string, status: number, body?: unknown);
+  status: number;
+  body: unknown;
+}
+
+export type Error = {
+  success: false;
+  message: string;
+};
+
+export type Pagination = {
+  page?: number;
+  pageSize?: number;
+  total?: number;
+  totalPages?: number;
+};
+
+export type Detection = {
+  class?: string;
+  /** 1 for every box of a review */
+  confidence?: number;
+  /** [x, y, width, height] in pixels of the analyzed image */
+  bbox?: number[];
+  /** PPE category, or "person" */
+  category?: string | null;
+  /** Reviewed detections only: where the box came from */
+  source?: "detector" | "reviewer";
+  /** Reviewed detector boxes only: the detector's confidence */
+  detectorConfidence?: number;
+};
+
+/** PPE is accepted at or above `accept`, ignored below `reject` and uncertain in between */
+export type ConfidenceThreshold = {
+  accept?: number;
+  reject?: number;
+};
+
+export type PersonCompliance = {
+  id?: number;
+  /** [x, y, width, height] in pixels of the analyzed image */
+  bbox?: number[];
+  confidence?: number;
+  complianceScore?: number;
+  isCompliant?: boolean;
+  verdict?: "compliant" | "non_compliant" | "uncertain";
+  detectedCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  missingCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  uncertainCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  items?: Detection[];
+  uncertainItems?: Detection[];
+};
+
+export type Compliance = {
+  personDetected?: boolean;
+  complianceScore?: number;
+  isCompliant?: boolean;
+  verdict?: "compliant" | "non_compliant" | "uncertain";
+  detectedCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  missingCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  uncertainCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  requiredCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  detectedItems?: Detection[];
+  uncertainItems?: Detection[];
+  people?: PersonCompliance[];
+  unassignedItems?: Detection[];
+  thresholds?: Record<string, ConfidenceThreshold>;
+  totalRequired?: number;
+  totalDetected?: number;
+};
+
+export type Recommendation = {
+  type?: "error" | "warning" | "uncertain" | "success" | "info";
+  message?: string;
+  priority?: "high" | "medium" | "low";
+};
+
+export type Analysis = {
+  imageInfo?: {
+    width?: number;
+    height?: number;
+    format?: string;
+    size?: number;
+    /** The upload before it was oriented, converted and downscaled */
+    original?: Record<string, unknown> | null;
+  };
+  detections?: Detection[];
+  compliance?: Compliance;
+  recommendations?: Recommendation[];
+  workEnvironment?: string;
+  site?: {
+    id?: number;
+    name?: string;
+  } | null;
+  zone?: {
+    id?: number;
+    name?: string;
+  } | null;
+  requirementsSource?: string;
+  detector?: string;
+  timestamp?: string;
+};
+
+/** An analysis that was just run and stored */
+export type AnalysisResult = {
+  /** Id of the stored analysis */
+  id?: number;
+  filename?: string;
+  originalName?: string | null;
+  filePath?: string;
+  anonymized?: boolean;
+  workEnvironment?: string;
+  analysis?: Analysis;
+};
+
+export type AnalysisSummary = {
+  id?: number;
+  filename?: string;
+  originalName?: string | null;
+  userId?: number | null;
+  imageUrl?: string;
+  imageAvailable?: boolean;
+  workEnvironment?: string;
+  site?: {
+    id?: number;
+    name?: string;
+  } | null;
+  zone?: {
+    id?: number;
+    name?: string;
+  } | null;
+  detector?: string;
+  isCompliant?: boolean;
+  verdict?: "compliant" | "non_compliant" | "uncertain";
+  complianceScore?: number;
+  personCount?: number;
+  legalHold?: boolean;
+  /** Current human review; detections, compliance and the summary fields are the reviewed version */
+  review?: ReviewInfo | null;
+  analyzedAt?: string;
+  createdAt?: string;
+};
+
+export type AnalysisRecord = AnalysisSummary & {
+  analysis?: Analysis;
+  /** Detector output of a reviewed analysis */
+  machineAnalysis?: {
+    detections?: Detection[];
+    compliance?: Compliance;
+    recommendations?: Recommendation[];
+  } | null;
+};
+
+export type ReviewInfo = {
+  version?: number;
+  reviewedBy?: {
+    id?: number | null;
+    username?: string;
+  };
+  reviewedAt?: string;
+  note?: string | null;
+};
+
+export type AnalysisReview = ReviewInfo & {
+  detections?: Detection[];
+  compliance?: Compliance;
+  recommendations?: Recommendation[];
+};
+
+export type AnnotationImport = {
+  format?: "coco" | "voc" | "yolo";
+  /** Images whose annotations were saved as a new reviewed version */
+  imported?: Array<{
+    file?: string;
+    analysisId?: number;
+    /** Version of the review that was created */
+    version?: number;
+    detections?: number;
+  }>;
+  skipped?: Array<{
+    file?: string;
+    reason?: string;
+  }>;
+  /** Labels of classes the PPE catalog doesn't track, counted per class */
+  ignoredClasses?: Record<string, number>;
+};
+
+export type AnalysisJob = {
+  id?: string;
+  status?: "queued" | "running" | "succeeded" | "failed";
+  /** Last completed stage of a single image; batches stay at `stored` until they finish */
+  stage?: "stored" | "preprocessed" | "detected" | "scored" | null;
+  stages?: Array<"stored" | "preprocessed" | "detected" | "scored">;
+  originalName?: string | null;
+  /** An `AnalysisResult` for single images, a `BatchResult` for batches */
+  result?: AnalysisResult | BatchResult | null;
+  error?: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+  completedAt?: string | null;
+};
+
+export type BatchResult = {
+  batchId?: string;
+  workEnvironment?: string;
+  /** Counts, compliance rate, average score and missing category counts */
+  summary?: Record<string, unknown>;
+  /** One entry per image, in upload order with ZIP contents expanded; rejected files come last */
+  results?: Array<{
+    filename?: string | null;
+    originalName?: string;
+    archive?: string | null;
+    filePath?: string | null;
+    anonymized?: boolean;
+    status?: "completed" | "failed";
+    id?: number;
+    isCompliant?: boolean;
+    verdict?: "compliant" | "non_compliant" | "uncertain";
+    complianceScore?: number;
+    personDetected?: boolean;
+    personCount?: number;
+    missingCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+    uncertainCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+    error?: string;
+  }>;
+  startedAt?: string;
+  completedAt?: string;
+};
+
+export type VideoResult = {
+  videoId?: string;
+  filename?: string;
+  originalName?: string;
+  /** Served clip; null when the organization anonymizes faces, as the clip is then only kept as an original for admins */
+  filePath?: string | null;
+  workEnvironment?: string;
+  sampleRate?: number;
+  video?: {
+    duration?: number;
+    width?: number;
+    height?: number;
+  };
+  /** Frames analyzed, average score and the time ranges of non-compliant and uncertain frames */
+  summary?: {
+    framesAnalyzed?: number;
+    framesFailed?: number;
+    averageScore?: number;
+    /** Percent of the frames with a definite verdict that are compliant */
+    compliantFrameRate?: number;
+    isCompliant?: boolean;
+    verdict?: "compliant" | "non_compliant" | "uncertain";
+    violationSeconds?: number[];
+    /** Runs of non-compliant frames */
+    violationRanges?: Array<{
+      /** Seconds into the video */
+      start?: number;
+      end?: number;
+      worstScore?: number;
+    }>;
+    uncertainFrames?: number;
+    /** Runs of frames that need review */
+    uncertainRanges?: Array<{
+      /** Seconds into the video */
+      start?: number;
+      end?: number;
+      worstScore?: number;
+    }>;
+  };
+  timeline?: Array<{
+    index?: number;
+    /** Seconds into the video */
+    time?: number;
+    status?: "completed" | "failed";
+    complianceScore?: number;
+    isCompliant?: boolean;
+    verdict?: "compliant" | "non_compliant" | "uncertain";
+    personDetected?: boolean;
+    personCount?: number;
+    missingCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+    uncertainCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+    detections?: Detection[];
+    error?: string;
+  }>;
+  /** The lowest-scoring frame, stored as an image and analysis */
+  worstFrame?: Record<string, unknown> | null;
+  timestamp?: string;
+};
+
+export type UploadedFile = {
+  filename?: string;
+  originalName?: string | null;
+  size?: number;
+  createdAt?: string;
+  url?: string;
+  anonymized?: boolean;
+  latestAnalysis?: {
+    id?: number;
+    workEnvironment?: string;
+    isCompliant?: boolean;
+    verdict?: "compliant" | "non_compliant" | "uncertain";
+    complianceScore?: number;
+    personCount?: number;
+    analyzedAt?: string;
+  } | null;
+};
+
+export type User = {
+  id?: number;
+  username?: string;
+  role?: "inspector" | "supervisor" | "admin";
+  organizationId?: number;
+  organizationName?: string;
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type Session = {
+  /** JWT for the Authorization header */
+  token?: string;
+  user?: User;
+};
+
+/** A URL authorized for one path with a short-lived ?token= */
+export type Link = {
+  token?: string;
+  /** The path with its token, relative to the server origin */
+  url?: string;
+  expiresAt?: string;
+};
+
+export type WorkEnvironment = {
+  id?: string;
+  label?: string;
+  description?: string;
+  requiredCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  builtIn?: boolean;
+  thresholds?: Record<string, ConfidenceThreshold>;
+  createdAt?: string | null;
+  updatedAt?: string | null;
+};
+
+export type Zone = {
+  id?: number;
+  siteId?: number;
+  name?: string;
+  description?: string;
+  workEnvironment?: string | null;
+  /** Overrides the work environment's requirements */
+  requiredCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection"> | null;
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type Site = {
+  id?: number;
+  name?: string;
+  description?: string;
+  defaultEnvironment?: string | null;
+  zones?: Zone[];
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type IncidentAnalysis = {
+  id?: number;
+  filename?: string;
+  imageUrl?: string;
+  workEnvironment?: string;
+  site?: {
+    id?: number;
+    name?: string;
+  } | null;
+  zone?: {
+    id?: number;
+    name?: string;
+  } | null;
+  verdict?: "compliant" | "non_compliant" | "uncertain";
+  complianceScore?: number;
+  analyzedAt?: string;
+};
+
+export type Incident = {
+  id?: number;
+  title?: string;
+  description?: string;
+  /** Categories missing from the analysis when the incident was opened */
+  missingCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  severity?: "low" | "medium" | "high" | "critical";
+  status?: "open" | "in_progress" | "resolved" | "verified";
+  assignee?: {
+    id?: number | null;
+    username?: string;
+  } | null;
+  dueDate?: string | null;
+  /** Open or in progress and past the due date */
+  overdue?: boolean;
+  analysis?: IncidentAnalysis;
+  /** Analysis of the follow-up photo; verifying the incident needs a compliant one */
+  verificationAnalysis?: IncidentAnalysis | null;
+  createdBy?: {
+    id?: number | null;
+    username?: string;
+  };
+  createdAt?: string;
+  updatedAt?: string;
+  resolvedAt?: string | null;
+  verifiedAt?: string | null;
+};
+
+export type IncidentDetail = Incident & {
+  /** Comments and status changes, oldest first */
+  comments?: IncidentComment[];
+};
+
+export type IncidentComment = {
+  id?: number;
+  author?: {
+    id?: number | null;
+    username?: string;
+  };
+  body?: string;
+  /** Status the incident was moved to, for status changes */
+  status?: "open" | "in_progress" | "resolved" | "verified" | null;
+  createdAt?: string;
+};
+
+export type Assignee = {
+  id?: number;
+  username?: string;
+  role?: "inspector" | "supervisor" | "admin";
+};
+
+export type ComplianceStats = {
+  interval?: "day" | "week" | "month";
+  siteId?: number | null;
+  zoneId?: number | null;
+  /** As requested: a date-time, or a date (YYYY-MM-DD) for the whole day */
+  from?: string | null;
+  /** As requested: a date-time, or a date (YYYY-MM-DD) that includes the whole day */
+  to?: string | null;
+  totals?: StatsGroup;
+  environments?: Array<Record<string, unknown>>;
+  series?: Array<Record<string, unknown>>;
+};
+
+export type StatsGroup = {
+  analyses?: number;
+  compliant?: number;
+  uncertain?: number;
+  averageScore?: number | null;
+  compliantRate?: number | null;
+  missingCategories?: Record<string, number>;
+  topMissingCategories?: Array<Record<string, unknown>>;
+};
+
+export type WebhookEvent = {
+  id?: "non_compliant" | "needs_review" | "score_below_threshold" | "no_person_detected";
+  description?: string;
+};
+
+export type Webhook = {
+  id?: number;
+  url?: string;
+  description?: string;
+  events?: Array<"non_compliant" | "needs_review" | "score_below_threshold" | "no_person_detected">;
+  scoreThreshold?: number | null;
+  active?: boolean;
+  /** End of the signing secret */
+  secretPreview?: string;
+  /** Full signing secret, only returned when the webhook is created */
+  secret?: string;
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type WebhookDelivery = {
+  id?: number;
+  webhookId?: number;
+  event?: string;
+  analysisId?: number | null;
+  status?: "pending" | "succeeded" | "failed";
+  attempts?: number;
+  responseStatus?: number | null;
+  responseBody?: string | null;
+  error?: string | null;
+  replayOf?: number | null;
+  nextAttemptAt?: string | null;
+  createdAt?: string;
+  completedAt?: string | null;
+  payload?: Record<string, unknown>;
+};
+
+export type PrivacySettings = {
+  anonymizeFaces?: boolean;
+  retention?: {
+    maxAgeDays?: number | null;
+    maxTotalSizeMb?: number | null;
+  };
+};
+
+export type RetentionSweepResult = {
+  organizationId?: number;
+  /** Deleted file names */
+  deleted?: string[];
+  freedBytes?: number;
+  /** Size of the organization's files after the sweep */
+  totalBytes?: number;
+};
+
+export interface SafetySnapClient {
+  /**
+   * Check that the server is running
+   *
+   * GET /api/health
+   */
+  healthCheck(options?: RequestOptions): Promise<{
+    status?: string;
+    timestamp?: string;
+    service?: string;
+  }>;
+
+  /**
+   * Create an organization with its first admin and log in
+   *
+   * POST /api/auth/register
+   */
+  register(body: {
+    organizationName: string;
+    username: string;
+    password: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Session;
+  }>;
+
+  /**
+   * Log in with username and password
+   *
+   * POST /api/auth/login
+   */
+  login(body: {
+    username: string;
+    password: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Session;
+  }>;
+
+  /**
+   * The user of the token
+   *
+   * GET /api/auth/me
+   */
+  getCurrentUser(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: User;
+  }>;
+
+  /**
+   * Short-lived URLs of files or job event streams
+   *
+   * For <img>, <video> and EventSource, which can't send an Authorization header. Each URL carries a token that is valid for five minutes and for its path only. Links are returned in the order of `paths`, up to 100 per request.
+   *
+   * POST /api/auth/links
+   */
+  createLink(body: {
+    paths: string[];
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Link[];
+  }>;
+
+  /**
+   * List users of the organization
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/users
+   */
+  listUsers(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: User[];
+  }>;
+
+  /**
+   * Add a user to the organization
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/users
+   */
+  createUser(body: {
+    username: string;
+    password: string;
+    role?: "inspector" | "supervisor" | "admin";
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: User;
+  }>;
+
+  /**
+   * Change a user's role or password
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/users/{id}
+   */
+  updateUser(id: number, body: {
+    role?: "inspector" | "supervisor" | "admin";
+    password?: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: User;
+  }>;
+
+  /**
+   * Remove a user
+   *
+   * An organization always keeps at least one admin.
+   *
+   * Requires the `admin` role or higher.
+   *
+   * DELETE /api/users/{id}
+   */
+  deleteUser(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+  }>;
+
+  /**
+   * Upload an image and queue its analysis
+   *
+   * Responds with the analysis job right away. Follow it with `getJob` or the `getJobEvents` stream; the analysis is the job's `result`. JPEG, PNG, WebP, HEIC/HEIF and AVIF images up to 10MB are accepted.
+   *
+   * Requires the `inspector` role or higher.
+   *
+   * POST /api/upload
+   */
+  createAnalysisJob(body: {
+    image: Blob;
+    /** Id of a built-in or organization work environment; defaults to the zone's, then the site's environment */
+    workEnvironment?: string;
+    /** Site to tag the analysis with */
+    siteId?: number;
+    /** Zone to tag the analysis with; its PPE requirements apply */
+    zoneId?: number;
+  } | FormData, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisJob;
+  }>;
+
+  /**
+   * Upload many images or a ZIP archive of images and queue their analysis
+   *
+   * Responds with the analysis job right away; once every image has been analyzed, the `BatchResult` is the job's `result`. Up to 500 images: loose images up to 10MB each and at most one ZIP archive, up to 200MB for all files together. Images that fail are reported per image.
+   *
+   * Requires the `inspector` role or higher.
+   *
+   * POST /api/upload/batch
+   */
+  uploadBatch(body: {
+    images: Blob[];
+    /** Id of a built-in or organization work environment; defaults to the zone's, then the site's environment */
+    workEnvironment?: string;
+    /** Site to tag the analysis with */
+    siteId?: number;
+    /** Zone to tag the analysis with; its PPE requirements apply */
+    zoneId?: number;
+  } | FormData, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisJob;
+  }>;
+
+  /**
+   * Upload an MP4/WebM clip and analyze sampled frames
+   *
+   * Videos may be up to 100MB.
+   *
+   * Requires the `inspector` role or higher.
+   *
+   * POST /api/upload/video
+   */
+  uploadVideo(body: {
+    video: Blob;
+    /** Id of a built-in or organization work environment; defaults to the zone's, then the site's environment */
+    workEnvironment?: string;
+    /** Site to tag the analysis with */
+    siteId?: number;
+    /** Zone to tag the analysis with; its PPE requirements apply */
+    zoneId?: number;
+    /** Frames per second to analyze */
+    sampleRate?: number;
+  } | FormData, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: VideoResult;
+  }>;
+
+  /**
+   * Analyze an uploaded image again
+   *
+   * Requires the `inspector` role or higher.
+   *
+   * POST /api/upload/analyze
+   */
+  analyzeExistingImage(body: {
+    /** Name of an uploaded image */
+    filename: string;
+    /** Id of a built-in or organization work environment; defaults to the zone's, then the site's environment */
+    workEnvironment?: string;
+    /** Site to tag the analysis with */
+    siteId?: number;
+    /** Zone to tag the analysis with; its PPE requirements apply */
+    zoneId?: number;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisResult;
+  }>;
+
+  /**
+   * List uploaded images with their latest analysis
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/upload/files
+   */
+  listFiles(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: UploadedFile[];
+  }>;
+
+  /**
+   * Image with detection boxes, labels and confidences drawn server-side
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/upload/{filename}/annotated
+   */
+  getAnnotatedImage(filename: string, query?: {
+    /** Analysis to draw (default: the most recent of the image) */
+    analysisId?: number;
+    /** Hide boxes below this confidence */
+    minConfidence?: number;
+    /** Comma-separated categories to draw, e.g. person,head_protection */
+    categories?: string;
+    format?: "jpeg" | "png" | "webp";
+  }, options?: RequestOptions): Promise<Blob>;
+
+  /**
+   * Download the untouched upload, metadata included
+   *
+   * With bucket storage this redirects to a short-lived download URL.
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/upload/{filename}/original
+   */
+  downloadOriginal(filename: string, options?: RequestOptions): Promise<Blob>;
+
+  /**
+   * Delete an uploaded file and its original
+   *
+   * Files with an analysis on legal hold are kept (409).
+   *
+   * Requires the `admin` role or higher.
+   *
+   * DELETE /api/upload/{filename}
+   */
+  deleteFile(filename: string, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+  }>;
+
+  /**
+   * An uploaded image or video of the user's organization
+   *
+   * With bucket storage this redirects to a short-lived download URL.
+   *
+   * GET /uploads/{filename}
+   */
+  getFile(filename: string, options?: RequestOptions): Promise<Blob>;
+
+  /**
+   * Short-lived URL of getFile, authorized with a link ?token=
+   *
+   * GET /uploads/{filename}
+   */
+  getFileUrl(filename: string, options?: RequestOptions): Promise<string>;
+
+  /**
+   * Status, last completed stage and result of an analysis job
+   *
+   * GET /api/jobs/{id}
+   */
+  getJob(id: string, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisJob;
+  }>;
+
+  /**
+   * Short-lived URL of getJobEvents, authorized with a link ?token=
+   *
+   * GET /api/jobs/{id}/events
+   */
+  getJobEventsUrl(id: string, options?: RequestOptions): Promise<string>;
+
+  /**
+   * List stored analyses with filtering, sorting and pagination
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/analyses
+   */
+  listAnalyses(query?: {
+    from?: string;
+    /** Inclusive; a date without a time includes that whole day (UTC) */
+    to?: string;
+    environment?: string;
+    siteId?: number;
+    zoneId?: number;
+    compliant?: boolean;
+    verdict?: "compliant" | "non_compliant" | "uncertain";
+    /** Only analyses with (true) or without (false) a human review */
+    reviewed?: boolean;
+    minScore?: number;
+    maxScore?: number;
+    sort?: "analyzedAt" | "complianceScore" | "workEnvironment" | "filename";
+    order?: "asc" | "desc";
+    page?: number;
+    pageSize?: number;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisSummary[];
+    pagination?: Pagination;
+  }>;
+
+  /**
+   * Download the analyses matching the list filters as COCO, Pascal VOC or YOLO annotations
+   *
+   * A ZIP archive with the annotations of the most recent `limit` matching analyses and, unless `images=false`, their images. An image analyzed more than once is exported with its most recent analysis, and reviewed analyses with their current version. `safetysnap.json` in the archive lists the exported analyses.
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/analyses/export
+   */
+  exportAnalyses(query?: {
+    from?: string;
+    /** Inclusive; a date without a time includes that whole day (UTC) */
+    to?: string;
+    environment?: string;
+    siteId?: number;
+    zoneId?: number;
+    compliant?: boolean;
+    verdict?: "compliant" | "non_compliant" | "uncertain";
+    /** Only analyses with (true) or without (false) a human review */
+    reviewed?: boolean;
+    minScore?: number;
+    maxScore?: number;
+    /** COCO JSON, Pascal VOC XML or YOLO txt */
+    format?: "coco" | "voc" | "yolo";
+    /** Include the images in the archive */
+    images?: boolean;
+    /** Leave out detections below this confidence */
+    minConfidence?: number;
+    /** Most recent matching analyses to export */
+    limit?: number;
+  }, options?: RequestOptions): Promise<Blob>;
+
+  /**
+   * Attach annotations from a labeling tool as reviewed detections
+   *
+   * Upload a ZIP archive of COCO, Pascal VOC or YOLO annotations, a COCO `.json` or a Pascal VOC `.xml` file. Every annotated image is matched by file name to the most recent analysis of that upload and its labels are saved as a new reviewed version; labels of classes the PPE catalog doesn't track are ignored.
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * POST /api/analyses/import
+   */
+  importAnnotations(body: {
+    file: Blob;
+    /** Detected from the files when omitted */
+    format?: "coco" | "voc" | "yolo";
+  } | FormData, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnnotationImport;
+  }>;
+
+  /**
+   * A stored analysis with detections and compliance
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/analyses/{id}
+   */
+  getAnalysis(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisRecord;
+  }>;
+
+  /**
+   * Place or release a legal hold on the analysis image
+   *
+   * Images on legal hold are never deleted by the retention sweep.
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/analyses/{id}/legal-hold
+   */
+  setLegalHold(id: number, body: {
+    legalHold: boolean;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisSummary;
+  }>;
+
+  /**
+   * Reviewed versions of an analysis, oldest first
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/analyses/{id}/reviews
+   */
+  listAnalysisReviews(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisReview[];
+  }>;
+
+  /**
+   * Save corrected detections as a new reviewed version
+   *
+   * Send the complete corrected set of detections; boxes left out are deleted. Every reviewed box counts as confirmed, so compliance and recommendations are recalculated at full confidence against the requirements the analysis was made with. The detector output is kept as `machineAnalysis`.
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * POST /api/analyses/{id}/reviews
+   */
+  reviewAnalysis(id: number, body: {
+    detections: Array<{
+      class: "person" | "helmet" | "hard hat" | "safety helmet" | "safety vest" | "reflective vest" | "hi-vis vest" | "safety glasses" | "goggles" | "protective eyewear" | "gloves" | "safety gloves" | "work gloves" | "boots" | "safety boots" | "work boots";
+      /** [x, y, width, height] in pixels of the analyzed image */
+      bbox: number[];
+      /** Confidence of the detector box this one corrects; leave out for boxes added by the reviewer */
+      detectorConfidence?: number;
+    }>;
+    note?: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: AnalysisRecord;
+  }>;
+
+  /**
+   * Download one analysis as COCO, Pascal VOC or YOLO annotations
+   *
+   * A ZIP archive in the layout of `exportAnalyses`.
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/analyses/{id}/export
+   */
+  exportAnalysis(id: number, query?: {
+    /** COCO JSON, Pascal VOC XML or YOLO txt */
+    format?: "coco" | "voc" | "yolo";
+    /** Include the images in the archive */
+    images?: boolean;
+    /** Leave out detections below this confidence */
+    minConfidence?: number;
+  }, options?: RequestOptions): Promise<Blob>;
+
+  /**
+   * PDF inspection report of a stored analysis
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/analyses/{id}/report
+   */
+  getAnalysisReport(id: number, options?: RequestOptions): Promise<Blob>;
+
+  /**
+   * Compliance aggregates over time, per environment
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/stats
+   */
+  getStats(query?: {
+    interval?: "day" | "week" | "month";
+    from?: string;
+    /** Inclusive; a date without a time includes that whole day (UTC) */
+    to?: string;
+    environment?: string;
+    siteId?: number;
+    zoneId?: number;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: ComplianceStats;
+  }>;
+
+  /**
+   * Download the compliance aggregates as CSV or JSON
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/stats/export
+   */
+  exportStats(query?: {
+    interval?: "day" | "week" | "month";
+    from?: string;
+    /** Inclusive; a date without a time includes that whole day (UTC) */
+    to?: string;
+    environment?: string;
+    siteId?: number;
+    zoneId?: number;
+    format?: "csv" | "json";
+  }, options?: RequestOptions): Promise<Blob>;
+
+  /**
+   * Built-in and organization work environments
+   *
+   * GET /api/environments
+   */
+  listEnvironments(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WorkEnvironment[];
+  }>;
+
+  /**
+   * Add a custom work environment
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/environments
+   */
+  createEnvironment(body: {
+    id: string;
+    label: string;
+    description?: string;
+    requiredCategories: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WorkEnvironment;
+  }>;
+
+  /**
+   * A work environment with its required PPE and confidence thresholds
+   *
+   * GET /api/environments/{id}
+   */
+  getEnvironment(id: string, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WorkEnvironment;
+  }>;
+
+  /**
+   * Update a custom work environment
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/environments/{id}
+   */
+  updateEnvironment(id: string, body: {
+    label?: string;
+    description?: string;
+    requiredCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection">;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WorkEnvironment;
+  }>;
+
+  /**
+   * Delete a custom work environment
+   *
+   * Refused with 409 while a site uses it as its default environment or a zone as its work environment.
+   *
+   * Requires the `admin` role or higher.
+   *
+   * DELETE /api/environments/{id}
+   */
+  deleteEnvironment(id: string, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+  }>;
+
+  /**
+   * Set the per-category confidence thresholds of a work environment
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/environments/{id}/thresholds
+   */
+  updateEnvironmentThresholds(id: string, body: {
+    thresholds: {
+      head_protection?: {
+        accept: number;
+        reject: number;
+      };
+      visibility?: {
+        accept: number;
+        reject: number;
+      };
+      eye_protection?: {
+        accept: number;
+        reject: number;
+      };
+      hand_protection?: {
+        accept: number;
+        reject: number;
+      };
+      foot_protection?: {
+        accept: number;
+        reject: number;
+      };
+    };
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WorkEnvironment;
+  }>;
+
+  /**
+   * Sites of the organization with their zones
+   *
+   * GET /api/sites
+   */
+  listSites(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Site[];
+  }>;
+
+  /**
+   * Add a site
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/sites
+   */
+  createSite(body: {
+    name: string;
+    description?: string;
+    defaultEnvironment?: string | null;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Site;
+  }>;
+
+  /**
+   * A site with its zones
+   *
+   * GET /api/sites/{id}
+   */
+  getSite(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Site;
+  }>;
+
+  /**
+   * Update a site
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/sites/{id}
+   */
+  updateSite(id: number, body: {
+    name?: string;
+    description?: string;
+    defaultEnvironment?: string | null;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Site;
+  }>;
+
+  /**
+   * Delete a site and its zones
+   *
+   * Analyses keep the site and zone names they were tagged with.
+   *
+   * Requires the `admin` role or higher.
+   *
+   * DELETE /api/sites/{id}
+   */
+  deleteSite(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+  }>;
+
+  /**
+   * Add a zone to a site
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/sites/{id}/zones
+   */
+  createZone(id: number, body: {
+    name: string;
+    description?: string;
+    workEnvironment?: string | null;
+    requiredCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection"> | null;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Zone;
+  }>;
+
+  /**
+   * Update a zone
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/sites/{id}/zones/{zoneId}
+   */
+  updateZone(id: number, zoneId: number, body: {
+    name?: string;
+    description?: string;
+    workEnvironment?: string | null;
+    requiredCategories?: Array<"head_protection" | "visibility" | "eye_protection" | "hand_protection" | "foot_protection"> | null;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Zone;
+  }>;
+
+  /**
+   * Delete a zone
+   *
+   * Requires the `admin` role or higher.
+   *
+   * DELETE /api/sites/{id}/zones/{zoneId}
+   */
+  deleteZone(id: number, zoneId: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+  }>;
+
+  /**
+   * List incidents with filtering, sorting and pagination
+   *
+   * Inspectors only see the incidents assigned to them.
+   *
+   * GET /api/incidents
+   */
+  listIncidents(query?: {
+    status?: "open" | "in_progress" | "resolved" | "verified";
+    /** Only incidents that are not verified yet (true) or only verified ones (false) */
+    active?: boolean;
+    severity?: "low" | "medium" | "high" | "critical";
+    assigneeId?: number;
+    analysisId?: number;
+    siteId?: number;
+    /** Only incidents past (true) or not past (false) their due date that are open or in progress */
+    overdue?: boolean;
+    sort?: "createdAt" | "updatedAt" | "dueDate" | "severity";
+    order?: "asc" | "desc";
+    page?: number;
+    pageSize?: number;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Incident[];
+    pagination?: Pagination;
+  }>;
+
+  /**
+   * Open an incident for a non-compliant analysis
+   *
+   * The analysis must be non-compliant or uncertain, and can only have one incident that isn't verified yet. The PPE categories missing from it are kept with the incident.
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * POST /api/incidents
+   */
+  createIncident(body: {
+    analysisId: number;
+    /** Defaults to the PPE categories missing from the analysis */
+    title?: string;
+    description?: string;
+    severity?: "low" | "medium" | "high" | "critical";
+    assigneeId?: number | null;
+    /** YYYY-MM-DD */
+    dueDate?: string | null;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: IncidentDetail;
+  }>;
+
+  /**
+   * Users an incident can be assigned to
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * GET /api/incidents/assignees
+   */
+  listIncidentAssignees(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Assignee[];
+  }>;
+
+  /**
+   * An incident with its comments and status changes
+   *
+   * GET /api/incidents/{id}
+   */
+  getIncident(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: IncidentDetail;
+  }>;
+
+  /**
+   * Change the title, description, severity, assignee or due date of an incident
+   *
+   * Requires the `supervisor` role or higher.
+   *
+   * PUT /api/incidents/{id}
+   */
+  updateIncident(id: number, body: {
+    title?: string;
+    description?: string;
+    severity?: "low" | "medium" | "high" | "critical";
+    assigneeId?: number | null;
+    /** YYYY-MM-DD */
+    dueDate?: string | null;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: IncidentDetail;
+  }>;
+
+  /**
+   * Move an incident along its workflow
+   *
+   * Statuses go open → in_progress → resolved → verified, and a resolved incident can go back to in_progress. The assignee can start and resolve an incident; verifying it requires the `supervisor` role and a compliant verification analysis.
+   *
+   * POST /api/incidents/{id}/status
+   */
+  changeIncidentStatus(id: number, body: {
+    status: "in_progress" | "resolved" | "verified";
+    comment?: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: IncidentDetail;
+  }>;
+
+  /**
+   * Link the analysis of a follow-up photo to an incident
+   *
+   * The follow-up must be a new photo, analyzed after the incident was opened. Allowed for the assignee and supervisors.
+   *
+   * PUT /api/incidents/{id}/verification
+   */
+  setIncidentVerification(id: number, body: {
+    /** Analysis of a follow-up photo that shows the violation was corrected */
+    analysisId: number;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: IncidentDetail;
+  }>;
+
+  /**
+   * Comment on an incident
+   *
+   * Allowed for the assignee and supervisors.
+   *
+   * POST /api/incidents/{id}/comments
+   */
+  addIncidentComment(id: number, body: {
+    body: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: IncidentDetail;
+  }>;
+
+  /**
+   * Face anonymization and retention settings of the organization
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/privacy
+   */
+  getPrivacySettings(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: PrivacySettings;
+  }>;
+
+  /**
+   * Update face anonymization and retention settings
+   *
+   * `null` removes a retention limit.
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/privacy
+   */
+  updatePrivacySettings(body: {
+    anonymizeFaces?: boolean;
+    retention?: {
+      maxAgeDays?: number | null;
+      maxTotalSizeMb?: number | null;
+    };
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: PrivacySettings;
+  }>;
+
+  /**
+   * Apply the retention policy now
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/privacy/retention/sweep
+   */
+  runRetentionSweep(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: RetentionSweepResult;
+  }>;
+
+  /**
+   * Events a webhook can subscribe to
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/webhooks/events
+   */
+  listWebhookEvents(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WebhookEvent[];
+  }>;
+
+  /**
+   * List webhooks of the organization
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/webhooks
+   */
+  listWebhooks(options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Webhook[];
+  }>;
+
+  /**
+   * Add a webhook
+   *
+   * The signing secret is only returned in this response. URLs whose host is or resolves to a loopback, private, link-local or reserved address are refused unless the server allows private hosts.
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/webhooks
+   */
+  createWebhook(body: {
+    url: string;
+    description?: string;
+    events: Array<"non_compliant" | "needs_review" | "score_below_threshold" | "no_person_detected">;
+    scoreThreshold?: number;
+    active?: boolean;
+    secret?: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Webhook;
+  }>;
+
+  /**
+   * A webhook
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/webhooks/{id}
+   */
+  getWebhook(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Webhook;
+  }>;
+
+  /**
+   * Update a webhook
+   *
+   * Requires the `admin` role or higher.
+   *
+   * PUT /api/webhooks/{id}
+   */
+  updateWebhook(id: number, body: {
+    url?: string;
+    description?: string;
+    events?: Array<"non_compliant" | "needs_review" | "score_below_threshold" | "no_person_detected">;
+    scoreThreshold?: number | null;
+    active?: boolean;
+    secret?: string;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: Webhook;
+  }>;
+
+  /**
+   * Delete a webhook
+   *
+   * Requires the `admin` role or higher.
+   *
+   * DELETE /api/webhooks/{id}
+   */
+  deleteWebhook(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+  }>;
+
+  /**
+   * Send a test delivery
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/webhooks/{id}/ping
+   */
+  pingWebhook(id: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WebhookDelivery;
+  }>;
+
+  /**
+   * Delivery log of a webhook
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/webhooks/{id}/deliveries
+   */
+  listWebhookDeliveries(id: number, query?: {
+    status?: "pending" | "succeeded" | "failed";
+    page?: number;
+    pageSize?: number;
+  }, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WebhookDelivery[];
+    pagination?: Pagination;
+  }>;
+
+  /**
+   * A delivery with its payload and response
+   *
+   * Requires the `admin` role or higher.
+   *
+   * GET /api/webhooks/{id}/deliveries/{deliveryId}
+   */
+  getWebhookDelivery(id: number, deliveryId: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WebhookDelivery;
+  }>;
+
+  /**
+   * Send a delivery's payload again
+   *
+   * Requires the `admin` role or higher.
+   *
+   * POST /api/webhooks/{id}/deliveries/{deliveryId}/replay
+   */
+  replayWebhookDelivery(id: number, deliveryId: number, options?: RequestOptions): Promise<{
+    success: true;
+    message?: string;
+    data: WebhookDelivery;
+  }>;
+}
+
+export declare function createClient(options?: ClientOptions): SafetySnapClient;
@@ -0,0 +1,623 @@
+// Generated by server/scripts/generateClient.js from the server's OpenAPI document - do not edit.
+// Regenerate with `npm run client:generate` in server/.
+import { createRequester } from './runtime.js';
+
+export { ApiError } from './runtime.js';
+
+// Creates a client of the SafetySnap API; see createRequester in runtime.js for the options
+export function createClient(options = {}) {
+  const { request, authorizedUrl } = createRequester(options);
+
+  return {
+    /**
+     * Check that the server is running
+     *
+     * GET /api/health
+     */
+    healthCheck: (options) => request({ method: 'GET', path: '/api/health', responseType: 'json' }, options),
+
+    /**
+     * Create an organization with its first admin and log in
+     *
+     * POST /api/auth/register
+     */
+    register: (body, options) => request({ method: 'POST', path: '/api/auth/register', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Log in with username and password
+     *
+     * POST /api/auth/login
+     */
+    login: (body, options) => request({ method: 'POST', path: '/api/auth/login', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * The user of the token
+     *
+     * GET /api/auth/me
+     */
+    getCurrentUser: (options) => request({ method: 'GET', path: '/api/auth/me', responseType: 'json' }, options),
+
+    /**
+     * Short-lived URLs of files or job event streams
+     *
+     * For <img>, <video> and EventSource, which can't send an Authorization header. Each URL carries a token that is valid for five minutes and for its path only. Links are returned in the order of `paths`, up to 100 per request.
+     *
+     * POST /api/auth/links
+     */
+    createLink: (body, options) => request({ method: 'POST', path: '/api/auth/links', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * List users of the organization
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/users
+     */
+    listUsers: (options) => request({ method: 'GET', path: '/api/users', responseType: 'json' }, options),
+
+    /**
+     * Add a user to the organization
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/users
+     */
+    createUser: (body, options) => request({ method: 'POST', path: '/api/users', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Change a user's role or password
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/users/{id}
+     */
+    updateUser: (id, body, options) => request({ method: 'PUT', path: `/api/users/${encodeURIComponent(id)}`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Remove a user
+     *
+     * An organization always keeps at least one admin.
+     *
+     * Requires the `admin` role or higher.
+     *
+     * DELETE /api/users/{id}
+     */
+    deleteUser: (id, options) => request({ method: 'DELETE', path: `/api/users/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Upload an image and queue its analysis
+     *
+     * Responds with the analysis job right away. Follow it with `getJob` or the `getJobEvents` stream; the analysis is the job's `result`. JPEG, PNG, WebP, HEIC/HEIF and AVIF images up to 10MB are accepted.
+     *
+     * Requires the `inspector` role or higher.
+     *
+     * POST /api/upload
+     */
+    createAnalysisJob: (body, options) => request({ method: 'POST', path: '/api/upload', body, bodyType: 'multipart', responseType: 'json' }, options),
+
+    /**
+     * Upload many images or a ZIP archive of images and queue their analysis
+     *
+     * Responds with the analysis job right away; once every image has been analyzed, the `BatchResult` is the job's `result`. Up to 500 images: loose images up to 10MB each and at most one ZIP archive, up to 200MB for all files together. Images that fail are reported per image.
+     *
+     * Requires the `inspector` role or higher.
+     *
+     * POST /api/upload/batch
+     */
+    uploadBatch: (body, options) => request({ method: 'POST', path: '/api/upload/batch', body, bodyType: 'multipart', responseType: 'json' }, options),
+
+    /**
+     * Upload an MP4/WebM clip and analyze sampled frames
+     *
+     * Videos may be up to 100MB.
+     *
+     * Requires the `inspector` role or higher.
+     *
+     * POST /api/upload/video
+     */
+    uploadVideo: (body, options) => request({ method: 'POST', path: '/api/upload/video', body, bodyType: 'multipart', responseType: 'json' }, options),
+
+    /**
+     * Analyze an uploaded image again
+     *
+     * Requires the `inspector` role or higher.
+     *
+     * POST /api/upload/analyze
+     */
+    analyzeExistingImage: (body, options) => request({ method: 'POST', path: '/api/upload/analyze', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * List uploaded images with their latest analysis
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/upload/files
+     */
+    listFiles: (options) => request({ method: 'GET', path: '/api/upload/files', responseType: 'json' }, options),
+
+    /**
+     * Image with detection boxes, labels and confidences drawn server-side
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/upload/{filename}/annotated
+     */
+    getAnnotatedImage: (filename, query, options) => request({ method: 'GET', path: `/api/upload/${encodeURIComponent(filename)}/annotated`, query, responseType: 'blob' }, options),
+
+    /**
+     * Download the untouched upload, metadata included
+     *
+     * With bucket storage this redirects to a short-lived download URL.
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/upload/{filename}/original
+     */
+    downloadOriginal: (filename, options) => request({ method: 'GET', path: `/api/upload/${encodeURIComponent(filename)}/original`, responseType: 'blob' }, options),
+
+    /**
+     * Delete an uploaded file and its original
+     *
+     * Files with an analysis on legal hold are kept (409).
+     *
+     * Requires the `admin` role or higher.
+     *
+     * DELETE /api/upload/{filename}
+     */
+    deleteFile: (filename, options) => request({ method: 'DELETE', path: `/api/upload/${encodeURIComponent(filename)}`, responseType: 'json' }, options),
+
+    /**
+     * An uploaded image or video of the user's organization
+     *
+     * With bucket storage this redirects to a short-lived download URL.
+     *
+     * GET /uploads/{filename}
+     */
+    getFile: (filename, options) => request({ method: 'GET', path: `/uploads/${encodeURIComponent(filename)}`, responseType: 'blob' }, options),
+
+    /**
+     * Short-lived URL of getFile, authorized with a link ?token=
+     *
+     * GET /uploads/{filename}
+     */
+    getFileUrl: (filename, options) => authorizedUrl(`/uploads/${encodeURIComponent(filename)}`, options),
+
+    /**
+     * Status, last completed stage and result of an analysis job
+     *
+     * GET /api/jobs/{id}
+     */
+    getJob: (id, options) => request({ method: 'GET', path: `/api/jobs/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Short-lived URL of getJobEvents, authorized with a link ?token=
+     *
+     * GET /api/jobs/{id}/events
+     */
+    getJobEventsUrl: (id, options) => authorizedUrl(`/api/jobs/${encodeURIComponent(id)}/events`, options),
+
+    /**
+     * List stored analyses with filtering, sorting and pagination
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/analyses
+     */
+    listAnalyses: (query, options) => request({ method: 'GET', path: '/api/analyses', query, responseType: 'json' }, options),
+
+    /**
+     * Download the analyses matching the list filters as COCO, Pascal VOC or YOLO annotations
+     *
+     * A ZIP archive with the annotations of the most recent `limit` matching analyses and, unless `images=false`, their images. An image analyzed more than once is exported with its most recent analysis, and reviewed analyses with their current version. `safetysnap.json` in the archive lists the exported analyses.
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/analyses/export
+     */
+    exportAnalyses: (query, options) => request({ method: 'GET', path: '/api/analyses/export', query, responseType: 'blob' }, options),
+
+    /**
+     * Attach annotations from a labeling tool as reviewed detections
+     *
+     * Upload a ZIP archive of COCO, Pascal VOC or YOLO annotations, a COCO `.json` or a Pascal VOC `.xml` file. Every annotated image is matched by file name to the most recent analysis of that upload and its labels are saved as a new reviewed version; labels of classes the PPE catalog doesn't track are ignored.
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * POST /api/analyses/import
+     */
+    importAnnotations: (body, options) => request({ method: 'POST', path: '/api/analyses/import', body, bodyType: 'multipart', responseType: 'json' }, options),
+
+    /**
+     * A stored analysis with detections and compliance
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/analyses/{id}
+     */
+    getAnalysis: (id, options) => request({ method: 'GET', path: `/api/analyses/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Place or release a legal hold on the analysis image
+     *
+     * Images on legal hold are never deleted by the retention sweep.
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/analyses/{id}/legal-hold
+     */
+    setLegalHold: (id, body, options) => request({ method: 'PUT', path: `/api/analyses/${encodeURIComponent(id)}/legal-hold`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Reviewed versions of an analysis, oldest first
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/analyses/{id}/reviews
+     */
+    listAnalysisReviews: (id, options) => request({ method: 'GET', path: `/api/analyses/${encodeURIComponent(id)}/reviews`, responseType: 'json' }, options),
+
+    /**
+     * Save corrected detections as a new reviewed version
+     *
+     * Send the complete corrected set of detections; boxes left out are deleted. Every reviewed box counts as confirmed, so compliance and recommendations are recalculated at full confidence against the requirements the analysis was made with. The detector output is kept as `machineAnalysis`.
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * POST /api/analyses/{id}/reviews
+     */
+    reviewAnalysis: (id, body, options) => request({ method: 'POST', path: `/api/analyses/${encodeURIComponent(id)}/reviews`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Download one analysis as COCO, Pascal VOC or YOLO annotations
+     *
+     * A ZIP archive in the layout of `exportAnalyses`.
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/analyses/{id}/export
+     */
+    exportAnalysis: (id, query, options) => request({ method: 'GET', path: `/api/analyses/${encodeURIComponent(id)}/export`, query, responseType: 'blob' }, options),
+
+    /**
+     * PDF inspection report of a stored analysis
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/analyses/{id}/report
+     */
+    getAnalysisReport: (id, options) => request({ method: 'GET', path: `/api/analyses/${encodeURIComponent(id)}/report`, responseType: 'blob' }, options),
+
+    /**
+     * Compliance aggregates over time, per environment
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/stats
+     */
+    getStats: (query, options) => request({ method: 'GET', path: '/api/stats', query, responseType: 'json' }, options),
+
+    /**
+     * Download the compliance aggregates as CSV or JSON
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/stats/export
+     */
+    exportStats: (query, options) => request({ method: 'GET', path: '/api/stats/export', query, responseType: 'blob' }, options),
+
+    /**
+     * Built-in and organization work environments
+     *
+     * GET /api/environments
+     */
+    listEnvironments: (options) => request({ method: 'GET', path: '/api/environments', responseType: 'json' }, options),
+
+    /**
+     * Add a custom work environment
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/environments
+     */
+    createEnvironment: (body, options) => request({ method: 'POST', path: '/api/environments', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * A work environment with its required PPE and confidence thresholds
+     *
+     * GET /api/environments/{id}
+     */
+    getEnvironment: (id, options) => request({ method: 'GET', path: `/api/environments/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Update a custom work environment
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/environments/{id}
+     */
+    updateEnvironment: (id, body, options) => request({ method: 'PUT', path: `/api/environments/${encodeURIComponent(id)}`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Delete a custom work environment
+     *
+     * Refused with 409 while a site uses it as its default environment or a zone as its work environment.
+     *
+     * Requires the `admin` role or higher.
+     *
+     * DELETE /api/environments/{id}
+     */
+    deleteEnvironment: (id, options) => request({ method: 'DELETE', path: `/api/environments/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Set the per-category confidence thresholds of a work environment
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/environments/{id}/thresholds
+     */
+    updateEnvironmentThresholds: (id, body, options) => request({ method: 'PUT', path: `/api/environments/${encodeURIComponent(id)}/thresholds`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Sites of the organization with their zones
+     *
+     * GET /api/sites
+     */
+    listSites: (options) => request({ method: 'GET', path: '/api/sites', responseType: 'json' }, options),
+
+    /**
+     * Add a site
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/sites
+     */
+    createSite: (body, options) => request({ method: 'POST', path: '/api/sites', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * A site with its zones
+     *
+     * GET /api/sites/{id}
+     */
+    getSite: (id, options) => request({ method: 'GET', path: `/api/sites/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Update a site
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/sites/{id}
+     */
+    updateSite: (id, body, options) => request({ method: 'PUT', path: `/api/sites/${encodeURIComponent(id)}`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Delete a site and its zones
+     *
+     * Analyses keep the site and zone names they were tagged with.
+     *
+     * Requires the `admin` role or higher.
+     *
+     * DELETE /api/sites/{id}
+     */
+    deleteSite: (id, options) => request({ method: 'DELETE', path: `/api/sites/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Add a zone to a site
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/sites/{id}/zones
+     */
+    createZone: (id, body, options) => request({ method: 'POST', path: `/api/sites/${encodeURIComponent(id)}/zones`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Update a zone
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/sites/{id}/zones/{zoneId}
+     */
+    updateZone: (id, zoneId, body, options) => request({ method: 'PUT', path: `/api/sites/${encodeURIComponent(id)}/zones/${encodeURIComponent(zoneId)}`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Delete a zone
+     *
+     * Requires the `admin` role or higher.
+     *
+     * DELETE /api/sites/{id}/zones/{zoneId}
+     */
+    deleteZone: (id, zoneId, options) => request({ method: 'DELETE', path: `/api/sites/${encodeURIComponent(id)}/zones/${encodeURIComponent(zoneId)}`, responseType: 'json' }, options),
+
+    /**
+     * List incidents with filtering, sorting and pagination
+     *
+     * Inspectors only see the incidents assigned to them.
+     *
+     * GET /api/incidents
+     */
+    listIncidents: (query, options) => request({ method: 'GET', path: '/api/incidents', query, responseType: 'json' }, options),
+
+    /**
+     * Open an incident for a non-compliant analysis
+     *
+     * The analysis must be non-compliant or uncertain, and can only have one incident that isn't verified yet. The PPE categories missing from it are kept with the incident.
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * POST /api/incidents
+     */
+    createIncident: (body, options) => request({ method: 'POST', path: '/api/incidents', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Users an incident can be assigned to
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * GET /api/incidents/assignees
+     */
+    listIncidentAssignees: (options) => request({ method: 'GET', path: '/api/incidents/assignees', responseType: 'json' }, options),
+
+    /**
+     * An incident with its comments and status changes
+     *
+     * GET /api/incidents/{id}
+     */
+    getIncident: (id, options) => request({ method: 'GET', path: `/api/incidents/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Change the title, description, severity, assignee or due date of an incident
+     *
+     * Requires the `supervisor` role or higher.
+     *
+     * PUT /api/incidents/{id}
+     */
+    updateIncident: (id, body, options) => request({ method: 'PUT', path: `/api/incidents/${encodeURIComponent(id)}`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Move an incident along its workflow
+     *
+     * Statuses go open → in_progress → resolved → verified, and a resolved incident can go back to in_progress. The assignee can start and resolve an incident; verifying it requires the `supervisor` role and a compliant verification analysis.
+     *
+     * POST /api/incidents/{id}/status
+     */
+    changeIncidentStatus: (id, body, options) => request({ method: 'POST', path: `/api/incidents/${encodeURIComponent(id)}/status`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Link the analysis of a follow-up photo to an incident
+     *
+     * The follow-up must be a new photo, analyzed after the incident was opened. Allowed for the assignee and supervisors.
+     *
+     * PUT /api/incidents/{id}/verification
+     */
+    setIncidentVerification: (id, body, options) => request({ method: 'PUT', path: `/api/incidents/${encodeURIComponent(id)}/verification`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Comment on an incident
+     *
+     * Allowed for the assignee and supervisors.
+     *
+     * POST /api/incidents/{id}/comments
+     */
+    addIncidentComment: (id, body, options) => request({ method: 'POST', path: `/api/incidents/${encodeURIComponent(id)}/comments`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Face anonymization and retention settings of the organization
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/privacy
+     */
+    getPrivacySettings: (options) => request({ method: 'GET', path: '/api/privacy', responseType: 'json' }, options),
+
+    /**
+     * Update face anonymization and retention settings
+     *
+     * `null` removes a retention limit.
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/privacy
+     */
+    updatePrivacySettings: (body, options) => request({ method: 'PUT', path: '/api/privacy', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Apply the retention policy now
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/privacy/retention/sweep
+     */
+    runRetentionSweep: (options) => request({ method: 'POST', path: '/api/privacy/retention/sweep', responseType: 'json' }, options),
+
+    /**
+     * Events a webhook can subscribe to
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/webhooks/events
+     */
+    listWebhookEvents: (options) => request({ method: 'GET', path: '/api/webhooks/events', responseType: 'json' }, options),
+
+    /**
+     * List webhooks of the organization
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/webhooks
+     */
+    listWebhooks: (options) => request({ method: 'GET', path: '/api/webhooks', responseType: 'json' }, options),
+
+    /**
+     * Add a webhook
+     *
+     * The signing secret is only returned in this response. URLs whose host is or resolves to a loopback, private, link-local or reserved address are refused unless the server allows private hosts.
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/webhooks
+     */
+    createWebhook: (body, options) => request({ method: 'POST', path: '/api/webhooks', body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * A webhook
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/webhooks/{id}
+     */
+    getWebhook: (id, options) => request({ method: 'GET', path: `/api/webhooks/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Update a webhook
+     *
+     * Requires the `admin` role or higher.
+     *
+     * PUT /api/webhooks/{id}
+     */
+    updateWebhook: (id, body, options) => request({ method: 'PUT', path: `/api/webhooks/${encodeURIComponent(id)}`, body, bodyType: 'json', responseType: 'json' }, options),
+
+    /**
+     * Delete a webhook
+     *
+     * Requires the `admin` role or higher.
+     *
+     * DELETE /api/webhooks/{id}
+     */
+    deleteWebhook: (id, options) => request({ method: 'DELETE', path: `/api/webhooks/${encodeURIComponent(id)}`, responseType: 'json' }, options),
+
+    /**
+     * Send a test delivery
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/webhooks/{id}/ping
+     */
+    pingWebhook: (id, options) => request({ method: 'POST', path: `/api/webhooks/${encodeURIComponent(id)}/ping`, responseType: 'json' }, options),
+
+    /**
+     * Delivery log of a webhook
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/webhooks/{id}/deliveries
+     */
+    listWebhookDeliveries: (id, query, options) => request({ method: 'GET', path: `/api/webhooks/${encodeURIComponent(id)}/deliveries`, query, responseType: 'json' }, options),
+
+    /**
+     * A delivery with its payload and response
+     *
+     * Requires the `admin` role or higher.
+     *
+     * GET /api/webhooks/{id}/deliveries/{deliveryId}
+     */
+    getWebhookDelivery: (id, deliveryId, options) => request({ method: 'GET', path: `/api/webhooks/${encodeURIComponent(id)}/deliveries/${encodeURIComponent(deliveryId)}`, responseType: 'json' }, options),
+
+    /**
+     * Send a delivery's payload again
+     *
+     * Requires the `admin` role or higher.
+     *
+     * POST /api/webhooks/{id}/deliveries/{deliveryId}/replay
+     */
+    replayWebhookDelivery: (id, deliveryId, options) => request({ method: 'POST', path: `/api/webhooks/${encodeURIComponent(id)}/deliveries/${encodeURIComponent(deliveryId)}/replay`, responseType: 'json' }, options)
+  };
+}
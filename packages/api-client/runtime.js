@@ -0,0 +1,131 @@
+// Request runtime of the SafetySnap API client. index.js is generated on top of it from the
+// server's OpenAPI document; this file is maintained by hand.
+
+// A request that didn't get a successful response. `status` is 0 when no response arrived
+// (network error, timeout); `body` is the parsed error response, usually { success: false, message }.
+export class ApiError extends Error {
+  constructor(message, status, body = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const isFile = value => typeof Blob !== 'undefined' && value instanceof Blob;
+
+// Multipart bodies can be given as FormData or as a plain object of fields;
+// arrays become repeated fields (e.g. the images of a batch)
+function toFormData(fields) {
+  if (fields instanceof FormData) return fields;
+
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      form.append(name, isFile(item) ? item : String(item));
+    }
+  }
+  return form;
+}
+
+// Empty values are left out; arrays are sent comma-separated like the server expects
+function toQueryString(query = {}) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (value === undefined || value === null || value === '') continue;
+    params.append(name, Array.isArray(value) ? value.join(',') : String(value));
+  }
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+async function readBody(response) {
+  const type = response.headers.get('Content-Type') || '';
+  if (type.includes('application/json')) {
+    return response.json().catch(() => null);
+  }
+  return response.text().catch(() => null);
+}
+
+/**
+ * Request function shared by the generated operations.
+ *
+ * - `baseUrl`: origin of the SafetySnap server, e.g. https://safetysnap.example.com (paths include /api)
+ * - `token` or `getToken()`: JWT sent as a bearer token; getToken is called for every request
+ * - `headers`: extra headers for every request
+ * - `timeout`: milliseconds before a request is aborted (default none); can be overridden per request
+ * - `fetch`: fetch implementation, defaults to the global one (browsers, Node 18+)
+ * - `onError(error, request)`: called with every ApiError before it is thrown, e.g. to end an expired session
+ */
+export function createRequester({ baseUrl = '', token, getToken, headers = {}, timeout, fetch: fetchImpl, onError } = {}) {
+  const origin = baseUrl.replace(/\/+$/, '');
+  const currentToken = () => (getToken ? getToken() : token) || null;
+
+  const fail = (error, request) => {
+    onError?.(error, request);
+    throw error;
+  };
+
+  function url(path, query) {
+    return `${origin}${path}${toQueryString(query)}`;
+  }
+
+  async function request({ method, path, query, body, bodyType, responseType }, options = {}) {
+    const requestHeaders = { ...headers, ...options.headers };
+    const authToken = currentToken();
+    if (authToken) requestHeaders.Authorization = `Bearer ${authToken}`;
+
+    let payload;
+    if (body !== undefined && bodyType === 'multipart') {
+      // fetch sets the multipart boundary itself
+      payload = toFormData(body);
+    } else if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const limit = options.timeout ?? timeout;
+    const controller = new AbortController();
+    const timer = limit ? setTimeout(() => controller.abort(), limit) : null;
+    const abort = () => controller.abort();
+    options.signal?.addEventListener('abort', abort);
+
+    const requestInfo = { method, path };
+    let response;
+    try {
+      response = await (fetchImpl || globalThis.fetch)(url(path, query), {
+        method,
+        headers: requestHeaders,
+        body: payload,
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      const message = controller.signal.aborted ? 'Request timed out' : `Network error: ${err.message}`;
+      return fail(new ApiError(message, 0), requestInfo);
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', abort);
+    }
+
+    if (!response.ok) {
+      const errorBody = await readBody(response);
+      const message = errorBody?.message || `Request failed with status ${response.status}`;
+      return fail(new ApiError(message, response.status, errorBody), requestInfo);
+    }
+
+    return responseType === 'blob' ? response.blob() : readBody(response);
+  }
+
+  // URLs for clients that can't send headers (EventSource, <img>, <video>) carry a short-lived
+  // token as ?token= that the server issues for that path only
+  async function authorizedUrl(path, options, query = {}) {
+    const { data } = await request({
+      method: 'POST', path: '/api/auth/links', body: { paths: [path] }, bodyType: 'json', responseType: 'json'
+    }, options);
+    return url(path, { ...query, token: data[0].token });
+  }
+
+  return { request, url, authorizedUrl };
+}
@@ -0,0 +1,250 @@
+// SQLite database for persistent SafetySnap data
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+// Schema migrations - append only, each entry runs once in order (tracked with PRAGMA user_version)
+const migrations = [
+  `CREATE TABLE environments (
+    id TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    required_categories TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE analyses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL,
+    original_name TEXT,
+    work_environment TEXT NOT NULL,
+    detector TEXT,
+    is_compliant INTEGER NOT NULL,
+    compliance_score INTEGER NOT NULL,
+    person_count INTEGER NOT NULL DEFAULT 0,
+    image_info TEXT NOT NULL,
+    detections TEXT NOT NULL,
+    compliance TEXT NOT NULL,
+    recommendations TEXT NOT NULL,
+    analyzed_at TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_analyses_analyzed_at ON analyses (analyzed_at);
+  CREATE INDEX idx_analyses_environment ON analyses (work_environment);
+  CREATE INDEX idx_analyses_filename ON analyses (filename);`,
+  `CREATE TABLE organizations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('inspector', 'supervisor', 'admin')),
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE uploads (
+    filename TEXT PRIMARY KEY,
+    organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    original_name TEXT,
+    kind TEXT NOT NULL DEFAULT 'image',
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_uploads_organization ON uploads (organization_id);
+  ALTER TABLE analyses ADD COLUMN organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE;
+  ALTER TABLE analyses ADD COLUMN user_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+  CREATE INDEX idx_analyses_organization ON analyses (organization_id);
+  CREATE TABLE environments_scoped (
+    organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    label TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    required_categories TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (organization_id, id)
+  );
+  INSERT INTO environments_scoped (id, label, description, required_categories, created_at, updated_at)
+    SELECT id, label, description, required_categories, created_at, updated_at FROM environments;
+  DROP TABLE environments;
+  ALTER TABLE environments_scoped RENAME TO environments;`,
+  `CREATE TABLE webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    score_threshold INTEGER,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhooks_organization ON webhooks (organization_id);
+  CREATE TABLE webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    analysis_id INTEGER REFERENCES analyses (id) ON DELETE SET NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    replay_of INTEGER REFERENCES webhook_deliveries (id) ON DELETE SET NULL,
+    next_attempt_at TEXT,
+    created_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+  CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+  CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries (status, next_attempt_at);`,
+  `CREATE TABLE sites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    default_environment TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (organization_id, name)
+  );
+  CREATE TABLE zones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL REFERENCES sites (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    work_environment TEXT,
+    required_categories TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (site_id, name)
+  );
+  ALTER TABLE analyses ADD COLUMN site_id INTEGER REFERENCES sites (id) ON DELETE SET NULL;
+  ALTER TABLE analyses ADD COLUMN zone_id INTEGER REFERENCES zones (id) ON DELETE SET NULL;
+  ALTER TABLE analyses ADD COLUMN site_name TEXT;
+  ALTER TABLE analyses ADD COLUMN zone_name TEXT;
+  CREATE INDEX idx_analyses_site ON analyses (site_id, zone_id);`,
+  `CREATE TABLE environment_thresholds (
+    organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    environment_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    accept REAL NOT NULL,
+    reject REAL NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (organization_id, environment_id, category)
+  );
+  ALTER TABLE analyses ADD COLUMN verdict TEXT;
+  UPDATE analyses SET verdict = CASE is_compliant WHEN 1 THEN 'compliant' ELSE 'non_compliant' END;`,
+  `ALTER TABLE uploads ADD COLUMN original_file TEXT;
+  ALTER TABLE uploads ADD COLUMN original_info TEXT;`,
+  `ALTER TABLE organizations ADD COLUMN anonymize_faces INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE organizations ADD COLUMN retention_max_age_days INTEGER;
+  ALTER TABLE organizations ADD COLUMN retention_max_total_mb INTEGER;
+  ALTER TABLE uploads ADD COLUMN anonymized INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE analyses ADD COLUMN legal_hold INTEGER NOT NULL DEFAULT 0;`,
+  `CREATE TABLE analysis_jobs (
+    id TEXT PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+    stage TEXT,
+    original_name TEXT,
+    upload_path TEXT,
+    result TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+  CREATE INDEX idx_analysis_jobs_status ON analysis_jobs (status, completed_at);`,
+  `CREATE TABLE analysis_reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    analysis_id INTEGER NOT NULL REFERENCES analyses (id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    reviewer_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    reviewer_name TEXT NOT NULL,
+    note TEXT,
+    detections TEXT NOT NULL,
+    compliance TEXT NOT NULL,
+    recommendations TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (analysis_id, version)
+  );
+  ALTER TABLE analyses ADD COLUMN review_id INTEGER REFERENCES analysis_reviews (id) ON DELETE SET NULL;`,
+  `CREATE TABLE incidents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    analysis_id INTEGER NOT NULL REFERENCES analyses (id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    missing_categories TEXT NOT NULL,
+    severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+    status TEXT NOT NULL CHECK (status IN ('open', 'in_progress', 'resolved', 'verified')),
+    assignee_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    due_date TEXT,
+    verification_analysis_id INTEGER REFERENCES analyses (id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_by_name TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    resolved_at TEXT,
+    verified_at TEXT
+  );
+  CREATE INDEX idx_incidents_organization ON incidents (organization_id, status);
+  CREATE INDEX idx_incidents_analysis ON incidents (analysis_id);
+  CREATE TABLE incident_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    incident_id INTEGER NOT NULL REFERENCES incidents (id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    author_name TEXT NOT NULL,
+    body TEXT NOT NULL DEFAULT '',
+    status TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_incident_comments_incident ON incident_comments (incident_id, created_at);`
+];
+
+let db = null;
+
+function migrate(database) {
+  const currentVersion = database.pragma('user_version', { simple: true });
+
+  const pending = migrations.slice(currentVersion);
+  if (pending.length === 0) return;
+
+  database.transaction(() => {
+    pending.forEach(sql => database.exec(sql));
+    database.pragma(`user_version = ${migrations.length}`);
+  })();
+
+  console.log(`Database migrated to version ${migrations.length}`);
+}
+
+// Open (and migrate) the database on first use
+export function getDb() {
+  if (db) return db;
+
+  const dbPath = process.env.DATABASE_PATH || path.join('data', 'safetysnap.db');
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  return db;
+}
+
+export function closeDb() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
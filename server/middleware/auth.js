@@ -0,0 +1,66 @@
+// Authentication and role-based access middleware
+import AuthService, { ROLES } from "../services/authService.js";
+
+const authService = new AuthService();
+
+/**
+ * The user of the token a request carries, or null when it carries none.
+ * With `allowQueryToken` a `?token=` link token issued for the request's path is accepted too.
+ * Throws an AuthError for invalid or expired tokens.
+ */
+export function requestUser(req, { allowQueryToken = false } = {}) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const linkToken = !token && allowQueryToken && typeof req.query.token === 'string' ? req.query.token : null;
+
+  if (token) return authService.verifyToken(token);
+  if (linkToken) return authService.verifyLinkToken(linkToken, req.baseUrl + req.path);
+  return null;
+}
+
+/**
+ * Require a valid JWT and attach the user to `req.user`.
+ * `allowQueryToken` also accepts `?token=` for URLs the browser loads directly
+ * (e.g. <img src>), where no Authorization header can be sent. Only short-lived
+ * link tokens issued for the requested path are accepted there, never the session token.
+ */
+export function authenticate({ allowQueryToken = false } = {}) {
+  return (req, res, next) => {
+    let user;
+    try {
+      user = requestUser(req, { allowQueryToken });
+    } catch (err) {
+      return res.status(err.status || 401).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required"
+      });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+// Roles are ordered: inspector < supervisor < admin. Each role can do everything the lower ones can.
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${role} role`
+      });
+    }
+    next();
+  };
+}
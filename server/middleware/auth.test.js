@@ -0,0 +1,81 @@
+// Auth middleware tests - session tokens in headers, link tokens in URLs
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import AuthService from '../services/authService.js';
+import { authenticate } from './auth.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'auth-test-secret';
+
+// Run the middleware on a request and report the status it responded with, or 'next'
+function run(middleware, { authorization, token, baseUrl = '/uploads', path = '/image-1.jpg' }) {
+  const req = { headers: authorization ? { authorization } : {}, query: token ? { token } : {}, baseUrl, path };
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = code;
+      return { json: () => {} };
+    }
+  };
+  middleware(req, res, () => {
+    outcome = 'next';
+  });
+  return { outcome, user: req.user };
+}
+
+describe('authenticate', () => {
+  const authService = new AuthService();
+  let session;
+
+  before(() => {
+    session = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' });
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('accepts the session token in the Authorization header', () => {
+    const { outcome, user } = run(authenticate(), { authorization: `Bearer ${session.token}` });
+
+    assert.equal(outcome, 'next');
+    assert.equal(user.username, 'alice');
+  });
+
+  test('does not accept the session token in the URL', () => {
+    assert.equal(run(authenticate({ allowQueryToken: true }), { token: session.token }).outcome, 401);
+  });
+
+  test('accepts a link token for its own path only', () => {
+    const { token, url } = authService.createLinkToken(session.user, '/uploads/image-1.jpg');
+    const middleware = authenticate({ allowQueryToken: true });
+
+    assert.equal(url, `/uploads/image-1.jpg?token=${token}`);
+    assert.equal(run(middleware, { token }).outcome, 'next');
+    assert.equal(run(middleware, { token, path: '/image-2.jpg' }).outcome, 401);
+    assert.equal(run(middleware, { token, baseUrl: '/api/jobs', path: '/image-1.jpg/events' }).outcome, 401);
+    // Only where URLs are allowed to carry a token, and never as a session
+    assert.equal(run(authenticate(), { token }).outcome, 401);
+    assert.equal(run(authenticate(), { authorization: `Bearer ${token}` }).outcome, 401);
+  });
+
+  test('issues link tokens that expire within minutes', () => {
+    const { token, expiresAt } = authService.createLinkToken(session.user, '/api/jobs/abc/events');
+    const { exp, iat } = jwt.decode(token);
+
+    assert.equal(exp - iat, 5 * 60);
+    assert.ok(Date.parse(expiresAt) - Date.now() <= 5 * 60 * 1000);
+  });
+
+  test('rejects an expired link token', () => {
+    const expired = jwt.sign(
+      { sub: String(session.user.id), typ: 'link', path: '/uploads/image-1.jpg' },
+      process.env.JWT_SECRET,
+      { expiresIn: -1 }
+    );
+
+    assert.equal(run(authenticate({ allowQueryToken: true }), { token: expired }).outcome, 401);
+  });
+});
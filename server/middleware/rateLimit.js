@@ -0,0 +1,46 @@
+// Rate limiting - per user for signed-in traffic, per IP for everything else
+import rateLimit from "express-rate-limit";
+import { requestUser } from "./auth.js";
+
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const message = "Too many requests from this IP, please try again later.";
+
+// The user a request is limited as, looked up once per request. Invalid tokens count as anonymous.
+const limitedUsers = new WeakMap();
+function limitedUser(req) {
+  if (!limitedUsers.has(req)) {
+    let user = null;
+    try {
+      // Link tokens are bound to their path, so accepting them everywhere only matches /uploads and job streams
+      user = requestUser(req, { allowQueryToken: true });
+    } catch (err) {
+      user = null;
+    }
+    limitedUsers.set(req, user);
+  }
+  return limitedUsers.get(req);
+}
+
+/**
+ * Limit for all requests. Anonymous requests share a small budget per IP; signed-in users get
+ * their own, much larger budget, since the camera's auto-check and the history gallery make
+ * several requests per image and a whole office may share one IP.
+ */
+export const apiLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  limit: (req) => limitedUser(req)
+    ? Number(process.env.RATE_LIMIT_USER_MAX || 3000)
+    : Number(process.env.RATE_LIMIT_MAX || 100),
+  keyGenerator: (req) => {
+    const user = limitedUser(req);
+    return user ? `user:${user.id}` : req.ip;
+  },
+  message: "Too many requests, please try again later."
+});
+
+// Strict limit per IP for the routes that take a password, against guessing it
+export const authLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  limit: () => Number(process.env.RATE_LIMIT_AUTH_MAX || 20),
+  message: "Too many sign-in attempts from this IP, please try again later."
+});
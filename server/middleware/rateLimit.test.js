@@ -0,0 +1,102 @@
+// Rate limit tests - a camera session stays within the limits, anonymous and sign-in traffic does not
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import AuthService from '../services/authService.js';
+import { authenticate } from './auth.js';
+import { apiLimiter, authLimiter } from './rateLimit.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'rate-limit-test-secret';
+
+// Shortest auto-check interval of the camera (CameraCapture), in seconds
+const CAMERA_INTERVAL = 5;
+const WINDOW_SECONDS = 15 * 60;
+
+describe('rate limits', () => {
+  const authService = new AuthService();
+  let server;
+  let baseUrl;
+  let session;
+
+  const get = (path, token) => fetch(`${baseUrl}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  const post = (path, body, token) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    session = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' });
+
+    // The limiters mounted as in server.js, in front of stand-ins for the routes a camera check calls
+    const app = express();
+    app.use(express.json());
+    app.use(apiLimiter);
+    app.use(['/api/auth/login', '/api/auth/register'], authLimiter);
+    app.get('/api/health', (req, res) => res.json({ status: 'OK' }));
+    app.post('/api/auth/login', (req, res) => {
+      try {
+        res.json({ data: authService.login(req.body) });
+      } catch (err) {
+        res.status(err.status).json({ message: err.message });
+      }
+    });
+    app.post('/api/auth/links', authenticate(), (req, res) => {
+      res.json({ data: req.body.paths.map(linkPath => authService.createLinkToken(req.user, linkPath)) });
+    });
+    app.post('/api/upload', authenticate(), (req, res) => res.status(202).json({ data: { id: 'job-1' } }));
+    app.get('/api/jobs/:id/events', authenticate({ allowQueryToken: true }), (req, res) => res.end());
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    apiLimiter.resetKey('127.0.0.1');
+    apiLimiter.resetKey(`user:${session.user.id}`);
+    authLimiter.resetKey('127.0.0.1');
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    closeDb();
+  });
+
+  test('a camera session at the shortest interval never hits the limit', async () => {
+    // A whole limiter window of auto-checks: submit the frame, get a link for its event stream, follow it
+    for (let check = 0; check < WINDOW_SECONDS / CAMERA_INTERVAL; check++) {
+      const job = await post('/api/upload', {}, session.token);
+      assert.equal(job.status, 202, `check ${check}: upload`);
+      const links = await post('/api/auth/links', { paths: ['/api/jobs/job-1/events'] }, session.token);
+      assert.equal(links.status, 200, `check ${check}: link`);
+      const events = await get((await links.json()).data[0].url);
+      assert.equal(events.status, 200, `check ${check}: events`);
+    }
+  });
+
+  test('limits anonymous requests per IP without holding back signed-in users on it', async () => {
+    for (let i = 0; i < 100; i++) {
+      assert.equal((await get('/api/health')).status, 200);
+    }
+
+    assert.equal((await get('/api/health')).status, 429);
+    // An invalid token doesn't get the user budget
+    assert.equal((await get('/api/health', 'not-a-token')).status, 429);
+    assert.equal((await get('/api/health', session.token)).status, 200);
+  });
+
+  test('limits password attempts strictly', async () => {
+    for (let i = 0; i < 20; i++) {
+      assert.equal((await post('/api/auth/login', { username: 'alice', password: 'wrong-password' })).status, 401);
+    }
+
+    assert.equal((await post('/api/auth/login', { username: 'alice', password: 'password123' })).status, 429);
+    // Other routes keep their own budget
+    assert.equal((await get('/api/health')).status, 200);
+  });
+});
@@ -0,0 +1,94 @@
+// Upload middleware helpers
+import fs from "fs";
+import path from "path";
+
+// Runs a multer middleware and answers its errors in the API's JSON shape instead of passing them to
+// the app's error handler: 413 for files over the size limit, 415 for rejected types, 400 otherwise.
+// Multer removes the files it already wrote before reporting an error; `cleanup(req)` runs after
+// that, e.g. to remove the folder they were written to.
+export function receiveFiles(middleware, maxSize, cleanup = () => {}) {
+  return (req, res, next) => middleware(req, res, err => {
+    if (!err) return next();
+
+    cleanup(req);
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : err.status || 400;
+    res.status(status).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE' ? `File too large. The maximum size is ${maxSize}.` : err.message
+    });
+  });
+}
+
+class SizeLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 413;
+  }
+}
+
+const megabytes = bytes => `${Math.round(bytes / (1024 * 1024))}MB`;
+
+/**
+ * Multer storage engine that writes files to disk and enforces size limits while they stream in,
+ * so nothing past a limit is written. Unlike multer's `fileSize` limit, the limit can differ per
+ * file (`maxFileSize(file)`), and `maxTotalSize` bounds all files of a request together.
+ * `destination(req, file)` and `filename(req, file)` return the folder and name to write to.
+ */
+class LimitedDiskStorage {
+  constructor({ destination, filename, maxFileSize, maxTotalSize = Infinity }) {
+    this.destination = destination;
+    this.filename = filename;
+    this.maxFileSize = maxFileSize;
+    this.maxTotalSize = maxTotalSize;
+    // Bytes received so far per request
+    this.received = new WeakMap();
+  }
+
+  _handleFile(req, file, cb) {
+    const destination = this.destination(req, file);
+    const filename = this.filename(req, file);
+    const filePath = path.join(destination, filename);
+    const maxFileSize = this.maxFileSize(file);
+    const out = fs.createWriteStream(filePath);
+    let size = 0;
+    let settled = false;
+
+    const settle = (err) => {
+      if (settled) return;
+      settled = true;
+      if (!err) {
+        return cb(null, { destination, filename, path: filePath, size });
+      }
+      // Stop writing and let the rest of the file drain unread
+      file.stream.unpipe(out);
+      file.stream.resume();
+      out.destroy();
+      fs.rm(filePath, { force: true }, () => cb(err));
+    };
+
+    file.stream.on('data', chunk => {
+      if (settled) return;
+      size += chunk.length;
+      const total = (this.received.get(req) || 0) + chunk.length;
+      this.received.set(req, total);
+
+      if (size > maxFileSize) {
+        settle(new SizeLimitError(`${file.originalname} is too large. The maximum size is ${megabytes(maxFileSize)}.`));
+      } else if (total > this.maxTotalSize) {
+        settle(new SizeLimitError(`Upload too large. The maximum size of all files together is ${megabytes(this.maxTotalSize)}.`));
+      }
+    });
+    file.stream.on('error', settle);
+    out.on('error', settle);
+    out.on('finish', () => settle());
+    file.stream.pipe(out);
+  }
+
+  _removeFile(req, file, cb) {
+    fs.rm(file.path, { force: true }, cb);
+  }
+}
+
+export function limitedDiskStorage(options) {
+  return new LimitedDiskStorage(options);
+}
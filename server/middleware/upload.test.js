@@ -0,0 +1,73 @@
+// Upload middleware tests - size limits enforced while files stream in
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { receiveFiles, limitedDiskStorage } from './upload.js';
+
+describe('limitedDiskStorage', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  // Files named *.zip may be up to 1000 bytes, others up to 100 bytes, and 1500 bytes together
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-upload-'));
+    const upload = multer({
+      storage: limitedDiskStorage({
+        destination: () => dir,
+        filename: (req, file) => file.originalname,
+        maxFileSize: file => (file.originalname.endsWith('.zip') ? 1000 : 100),
+        maxTotalSize: 1500
+      })
+    });
+
+    const app = express();
+    app.post('/files', receiveFiles(upload.array('files'), '1000 bytes'), (req, res) => {
+      res.json({ sizes: req.files.map(file => file.size) });
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function send(files) {
+    const form = new FormData();
+    files.forEach(([name, size]) => form.append('files', new Blob([Buffer.alloc(size)]), name));
+    return fetch(`${baseUrl}/files`, { method: 'POST', body: form });
+  }
+
+  test('writes files within their limits', async () => {
+    const response = await send([['a.jpg', 100], ['b.zip', 1000]]);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).sizes, [100, 1000]);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['a.jpg', 'b.zip']);
+    fs.readdirSync(dir).forEach(name => fs.rmSync(path.join(dir, name)));
+  });
+
+  test('rejects a file over its own limit and removes what was written', async () => {
+    const response = await send([['a.jpg', 50], ['b.jpg', 101]]);
+
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).message, /b\.jpg is too large/);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+
+  test('rejects files over the total limit together', async () => {
+    const response = await send([['a.zip', 1000], ['b.jpg', 100], ['c.jpg', 100], ['d.jpg', 100], ['e.jpg', 100], ['f.jpg', 100], ['g.jpg', 100]]);
+
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).message, /all files together/);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+});
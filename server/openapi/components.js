@@ -0,0 +1,669 @@
+// Response schemas of the OpenAPI document. Request schemas are derived from the routes' Joi
+// schemas; responses are built by the services, so their shapes are described here.
+import { PPE_CATEGORIES, COMPLIANCE_VERDICTS } from '../services/ppeCatalog.js';
+import { ROLES } from '../services/authService.js';
+import { WEBHOOK_EVENTS } from '../services/webhookService.js';
+import { JOB_STAGES } from '../services/analysisJobService.js';
+import { STATS_INTERVALS } from '../services/statsService.js';
+import { INCIDENT_SEVERITIES, INCIDENT_STATUSES } from '../services/incidentService.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const dateTime = { type: 'string', format: 'date-time' };
+const category = { type: 'string', enum: PPE_CATEGORIES };
+const categories = { type: 'array', items: category };
+const verdict = { type: 'string', enum: COMPLIANCE_VERDICTS };
+const timeRange = {
+  type: 'object',
+  properties: {
+    start: { type: 'number', description: 'Seconds into the video' },
+    end: { type: 'number' },
+    worstScore: { type: 'integer' }
+  }
+};
+const bbox = {
+  type: 'array',
+  items: { type: 'number' },
+  minItems: 4,
+  maxItems: 4,
+  description: '[x, y, width, height] in pixels of the analyzed image'
+};
+const location = nullable({
+  type: 'object',
+  properties: { id: { type: 'integer' }, name: { type: 'string' } }
+});
+const userRef = {
+  type: 'object',
+  properties: { id: nullable({ type: 'integer' }), username: { type: 'string' } }
+};
+const incidentStatus = { type: 'string', enum: INCIDENT_STATUSES };
+
+export const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' }
+    }
+  },
+
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      pageSize: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' }
+    }
+  },
+
+  Detection: {
+    type: 'object',
+    properties: {
+      class: { type: 'string', example: 'helmet' },
+      confidence: { type: 'number', minimum: 0, maximum: 1, description: '1 for every box of a review' },
+      bbox,
+      category: nullable({ type: 'string', description: 'PPE category, or "person"' }),
+      source: { type: 'string', enum: ['detector', 'reviewer'], description: 'Reviewed detections only: where the box came from' },
+      detectorConfidence: { type: 'number', minimum: 0, maximum: 1, description: 'Reviewed detector boxes only: the detector\'s confidence' }
+    }
+  },
+
+  ConfidenceThreshold: {
+    type: 'object',
+    description: 'PPE is accepted at or above `accept`, ignored below `reject` and uncertain in between',
+    properties: {
+      accept: { type: 'number' },
+      reject: { type: 'number' }
+    }
+  },
+
+  PersonCompliance: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      bbox,
+      confidence: { type: 'number' },
+      complianceScore: { type: 'integer', minimum: 0, maximum: 100 },
+      isCompliant: { type: 'boolean' },
+      verdict,
+      detectedCategories: categories,
+      missingCategories: categories,
+      uncertainCategories: categories,
+      items: { type: 'array', items: ref('Detection') },
+      uncertainItems: { type: 'array', items: ref('Detection') }
+    }
+  },
+
+  Compliance: {
+    type: 'object',
+    properties: {
+      personDetected: { type: 'boolean' },
+      complianceScore: { type: 'integer', minimum: 0, maximum: 100 },
+      isCompliant: { type: 'boolean' },
+      verdict,
+      detectedCategories: categories,
+      missingCategories: categories,
+      uncertainCategories: categories,
+      requiredCategories: categories,
+      detectedItems: { type: 'array', items: ref('Detection') },
+      uncertainItems: { type: 'array', items: ref('Detection') },
+      people: { type: 'array', items: ref('PersonCompliance') },
+      unassignedItems: { type: 'array', items: ref('Detection') },
+      thresholds: { type: 'object', additionalProperties: ref('ConfidenceThreshold') },
+      totalRequired: { type: 'integer' },
+      totalDetected: { type: 'integer' }
+    }
+  },
+
+  Recommendation: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['error', 'warning', 'uncertain', 'success', 'info'] },
+      message: { type: 'string' },
+      priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+    }
+  },
+
+  Analysis: {
+    type: 'object',
+    properties: {
+      imageInfo: {
+        type: 'object',
+        properties: {
+          width: { type: 'integer' },
+          height: { type: 'integer' },
+          format: { type: 'string' },
+          size: { type: 'integer' },
+          original: nullable({
+            type: 'object',
+            description: 'The upload before it was oriented, converted and downscaled',
+            additionalProperties: true
+          })
+        }
+      },
+      detections: { type: 'array', items: ref('Detection') },
+      compliance: ref('Compliance'),
+      recommendations: { type: 'array', items: ref('Recommendation') },
+      workEnvironment: { type: 'string' },
+      site: location,
+      zone: location,
+      requirementsSource: { type: 'string' },
+      detector: { type: 'string' },
+      timestamp: dateTime
+    }
+  },
+
+  AnalysisResult: {
+    type: 'object',
+    description: 'An analysis that was just run and stored',
+    properties: {
+      id: { type: 'integer', description: 'Id of the stored analysis' },
+      filename: { type: 'string' },
+      originalName: nullable({ type: 'string' }),
+      filePath: { type: 'string', example: '/uploads/image-1700000000000-123.jpg' },
+      anonymized: { type: 'boolean' },
+      workEnvironment: { type: 'string' },
+      analysis: ref('Analysis')
+    }
+  },
+
+  AnalysisSummary: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      filename: { type: 'string' },
+      originalName: nullable({ type: 'string' }),
+      userId: nullable({ type: 'integer' }),
+      imageUrl: { type: 'string' },
+      imageAvailable: { type: 'boolean' },
+      workEnvironment: { type: 'string' },
+      site: location,
+      zone: location,
+      detector: { type: 'string' },
+      isCompliant: { type: 'boolean' },
+      verdict,
+      complianceScore: { type: 'integer' },
+      personCount: { type: 'integer' },
+      legalHold: { type: 'boolean' },
+      review: {
+        allOf: [ref('ReviewInfo')],
+        nullable: true,
+        description: 'Current human review; detections, compliance and the summary fields are the reviewed version'
+      },
+      analyzedAt: dateTime,
+      createdAt: dateTime
+    }
+  },
+
+  AnalysisRecord: {
+    allOf: [
+      ref('AnalysisSummary'),
+      {
+        type: 'object',
+        properties: {
+          analysis: ref('Analysis'),
+          machineAnalysis: {
+            type: 'object',
+            nullable: true,
+            description: 'Detector output of a reviewed analysis',
+            properties: {
+              detections: { type: 'array', items: ref('Detection') },
+              compliance: ref('Compliance'),
+              recommendations: { type: 'array', items: ref('Recommendation') }
+            }
+          }
+        }
+      }
+    ]
+  },
+
+  ReviewInfo: {
+    type: 'object',
+    properties: {
+      version: { type: 'integer', minimum: 1 },
+      reviewedBy: {
+        type: 'object',
+        properties: { id: nullable({ type: 'integer' }), username: { type: 'string' } }
+      },
+      reviewedAt: dateTime,
+      note: nullable({ type: 'string' })
+    }
+  },
+
+  AnalysisReview: {
+    allOf: [
+      ref('ReviewInfo'),
+      {
+        type: 'object',
+        properties: {
+          detections: { type: 'array', items: ref('Detection') },
+          compliance: ref('Compliance'),
+          recommendations: { type: 'array', items: ref('Recommendation') }
+        }
+      }
+    ]
+  },
+
+  AnnotationImport: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['coco', 'voc', 'yolo'] },
+      imported: {
+        type: 'array',
+        description: 'Images whose annotations were saved as a new reviewed version',
+        items: {
+          type: 'object',
+          properties: {
+            file: { type: 'string' },
+            analysisId: { type: 'integer' },
+            version: { type: 'integer', description: 'Version of the review that was created' },
+            detections: { type: 'integer' }
+          }
+        }
+      },
+      skipped: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            file: { type: 'string' },
+            reason: { type: 'string' }
+          }
+        }
+      },
+      ignoredClasses: {
+        type: 'object',
+        additionalProperties: { type: 'integer' },
+        description: 'Labels of classes the PPE catalog doesn\'t track, counted per class'
+      }
+    }
+  },
+
+  AnalysisJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+      stage: nullable({ type: 'string', enum: JOB_STAGES, description: 'Last completed stage of a single image; batches stay at `stored` until they finish' }),
+      stages: { type: 'array', items: { type: 'string', enum: JOB_STAGES } },
+      originalName: nullable({ type: 'string' }),
+      // $ref can't have siblings in OpenAPI 3.0
+      result: {
+        oneOf: [ref('AnalysisResult'), ref('BatchResult')],
+        nullable: true,
+        description: 'An `AnalysisResult` for single images, a `BatchResult` for batches'
+      },
+      error: nullable({ type: 'string' }),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      completedAt: nullable(dateTime)
+    }
+  },
+
+  BatchResult: {
+    type: 'object',
+    properties: {
+      batchId: { type: 'string', format: 'uuid' },
+      workEnvironment: { type: 'string' },
+      summary: {
+        type: 'object',
+        description: 'Counts, compliance rate, average score and missing category counts',
+        additionalProperties: true
+      },
+      results: {
+        type: 'array',
+        description: 'One entry per image, in upload order with ZIP contents expanded; rejected files come last',
+        items: {
+          type: 'object',
+          properties: {
+            filename: nullable({ type: 'string' }),
+            originalName: { type: 'string' },
+            archive: nullable({ type: 'string' }),
+            filePath: nullable({ type: 'string' }),
+            anonymized: { type: 'boolean' },
+            status: { type: 'string', enum: ['completed', 'failed'] },
+            id: { type: 'integer' },
+            isCompliant: { type: 'boolean' },
+            verdict,
+            complianceScore: { type: 'integer' },
+            personDetected: { type: 'boolean' },
+            personCount: { type: 'integer' },
+            missingCategories: categories,
+            uncertainCategories: categories,
+            error: { type: 'string' }
+          }
+        }
+      },
+      startedAt: dateTime,
+      completedAt: dateTime
+    }
+  },
+
+  VideoResult: {
+    type: 'object',
+    properties: {
+      videoId: { type: 'string', format: 'uuid' },
+      filename: { type: 'string' },
+      originalName: { type: 'string' },
+      filePath: nullable({
+        type: 'string',
+        description: 'Served clip; null when the organization anonymizes faces, as the clip is then only kept as an original for admins'
+      }),
+      workEnvironment: { type: 'string' },
+      sampleRate: { type: 'number' },
+      video: {
+        type: 'object',
+        properties: { duration: { type: 'number' }, width: { type: 'integer' }, height: { type: 'integer' } }
+      },
+      summary: {
+        type: 'object',
+        description: 'Frames analyzed, average score and the time ranges of non-compliant and uncertain frames',
+        properties: {
+          framesAnalyzed: { type: 'integer' },
+          framesFailed: { type: 'integer' },
+          averageScore: { type: 'integer' },
+          compliantFrameRate: { type: 'integer', description: 'Percent of the frames with a definite verdict that are compliant' },
+          isCompliant: { type: 'boolean' },
+          verdict,
+          violationSeconds: { type: 'array', items: { type: 'integer' } },
+          violationRanges: { type: 'array', items: timeRange, description: 'Runs of non-compliant frames' },
+          uncertainFrames: { type: 'integer' },
+          uncertainRanges: { type: 'array', items: timeRange, description: 'Runs of frames that need review' }
+        }
+      },
+      timeline: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            time: { type: 'number', description: 'Seconds into the video' },
+            status: { type: 'string', enum: ['completed', 'failed'] },
+            complianceScore: { type: 'integer' },
+            isCompliant: { type: 'boolean' },
+            verdict,
+            personDetected: { type: 'boolean' },
+            personCount: { type: 'integer' },
+            missingCategories: categories,
+            uncertainCategories: categories,
+            detections: { type: 'array', items: ref('Detection') },
+            error: { type: 'string' }
+          }
+        }
+      },
+      worstFrame: nullable({
+        type: 'object',
+        description: 'The lowest-scoring frame, stored as an image and analysis',
+        additionalProperties: true
+      }),
+      timestamp: dateTime
+    }
+  },
+
+  UploadedFile: {
+    type: 'object',
+    properties: {
+      filename: { type: 'string' },
+      originalName: nullable({ type: 'string' }),
+      size: { type: 'integer' },
+      createdAt: dateTime,
+      url: { type: 'string' },
+      anonymized: { type: 'boolean' },
+      latestAnalysis: nullable({
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          workEnvironment: { type: 'string' },
+          isCompliant: { type: 'boolean' },
+          verdict,
+          complianceScore: { type: 'integer' },
+          personCount: { type: 'integer' },
+          analyzedAt: dateTime
+        }
+      })
+    }
+  },
+
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      organizationId: { type: 'integer' },
+      organizationName: { type: 'string' },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+
+  Session: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', description: 'JWT for the Authorization header' },
+      user: ref('User')
+    }
+  },
+
+  Link: {
+    type: 'object',
+    description: 'A URL authorized for one path with a short-lived ?token=',
+    properties: {
+      token: { type: 'string' },
+      url: { type: 'string', description: 'The path with its token, relative to the server origin' },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  WorkEnvironment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      label: { type: 'string' },
+      description: { type: 'string' },
+      requiredCategories: categories,
+      builtIn: { type: 'boolean' },
+      thresholds: { type: 'object', additionalProperties: ref('ConfidenceThreshold') },
+      createdAt: nullable(dateTime),
+      updatedAt: nullable(dateTime)
+    },
+    additionalProperties: true
+  },
+
+  Zone: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      siteId: { type: 'integer' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      workEnvironment: nullable({ type: 'string' }),
+      requiredCategories: nullable({ ...categories, description: 'Overrides the work environment\'s requirements' }),
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+
+  Site: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      defaultEnvironment: nullable({ type: 'string' }),
+      zones: { type: 'array', items: ref('Zone') },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+
+  IncidentAnalysis: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      filename: { type: 'string' },
+      imageUrl: { type: 'string' },
+      workEnvironment: { type: 'string' },
+      site: location,
+      zone: location,
+      verdict,
+      complianceScore: { type: 'integer' },
+      analyzedAt: dateTime
+    }
+  },
+
+  Incident: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      missingCategories: { ...categories, description: 'Categories missing from the analysis when the incident was opened' },
+      severity: { type: 'string', enum: INCIDENT_SEVERITIES },
+      status: incidentStatus,
+      assignee: nullable(userRef),
+      dueDate: nullable({ type: 'string', format: 'date' }),
+      overdue: { type: 'boolean', description: 'Open or in progress and past the due date' },
+      analysis: ref('IncidentAnalysis'),
+      verificationAnalysis: {
+        allOf: [ref('IncidentAnalysis')],
+        nullable: true,
+        description: 'Analysis of the follow-up photo; verifying the incident needs a compliant one'
+      },
+      createdBy: userRef,
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      resolvedAt: nullable(dateTime),
+      verifiedAt: nullable(dateTime)
+    }
+  },
+
+  IncidentDetail: {
+    allOf: [
+      ref('Incident'),
+      {
+        type: 'object',
+        properties: {
+          comments: { type: 'array', items: ref('IncidentComment'), description: 'Comments and status changes, oldest first' }
+        }
+      }
+    ]
+  },
+
+  IncidentComment: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      author: userRef,
+      body: { type: 'string' },
+      status: nullable({ ...incidentStatus, description: 'Status the incident was moved to, for status changes' }),
+      createdAt: dateTime
+    }
+  },
+
+  Assignee: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' },
+      role: { type: 'string', enum: ROLES }
+    }
+  },
+
+  ComplianceStats: {
+    type: 'object',
+    properties: {
+      interval: { type: 'string', enum: STATS_INTERVALS },
+      siteId: nullable({ type: 'integer' }),
+      zoneId: nullable({ type: 'integer' }),
+      from: nullable({ type: 'string', description: 'As requested: a date-time, or a date (YYYY-MM-DD) for the whole day' }),
+      to: nullable({ type: 'string', description: 'As requested: a date-time, or a date (YYYY-MM-DD) that includes the whole day' }),
+      totals: ref('StatsGroup'),
+      environments: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      series: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  },
+
+  StatsGroup: {
+    type: 'object',
+    properties: {
+      analyses: { type: 'integer' },
+      compliant: { type: 'integer' },
+      uncertain: { type: 'integer' },
+      averageScore: nullable({ type: 'number' }),
+      compliantRate: nullable({ type: 'number' }),
+      missingCategories: { type: 'object', additionalProperties: { type: 'integer' } },
+      topMissingCategories: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  },
+
+  WebhookEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', enum: Object.keys(WEBHOOK_EVENTS) },
+      description: { type: 'string' }
+    }
+  },
+
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string', format: 'uri' },
+      description: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: Object.keys(WEBHOOK_EVENTS) } },
+      scoreThreshold: nullable({ type: 'integer' }),
+      active: { type: 'boolean' },
+      secretPreview: { type: 'string', description: 'End of the signing secret' },
+      secret: { type: 'string', description: 'Full signing secret, only returned when the webhook is created' },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      webhookId: { type: 'integer' },
+      event: { type: 'string' },
+      analysisId: nullable({ type: 'integer' }),
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: { type: 'integer' },
+      responseStatus: nullable({ type: 'integer' }),
+      responseBody: nullable({ type: 'string' }),
+      error: nullable({ type: 'string' }),
+      replayOf: nullable({ type: 'integer' }),
+      nextAttemptAt: nullable(dateTime),
+      createdAt: dateTime,
+      completedAt: nullable(dateTime),
+      payload: { type: 'object', additionalProperties: true }
+    }
+  },
+
+  PrivacySettings: {
+    type: 'object',
+    properties: {
+      anonymizeFaces: { type: 'boolean' },
+      retention: {
+        type: 'object',
+        properties: {
+          maxAgeDays: nullable({ type: 'integer' }),
+          maxTotalSizeMb: nullable({ type: 'integer' })
+        }
+      }
+    }
+  },
+
+  RetentionSweepResult: {
+    type: 'object',
+    properties: {
+      organizationId: { type: 'integer' },
+      deleted: { type: 'array', items: { type: 'string' }, description: 'Deleted file names' },
+      freedBytes: { type: 'integer' },
+      totalBytes: { type: 'integer', description: 'Size of the organization\'s files after the sweep' }
+    }
+  }
+};
@@ -0,0 +1,905 @@
+// OpenAPI 3 document of the SafetySnap API
+//
+// Request bodies and query parameters are converted from the Joi schemas the routes validate
+// with, so the document follows the validation rules; response shapes come from ./components.js.
+// operationIds are the method names of the generated client (scripts/generateClient.js).
+import { joiToSchema, joiToParameters } from './joiToSchema.js';
+import { schemas } from './components.js';
+import { analysisSchema, videoAnalysisSchema, annotatedImageSchema, analyzeExistingSchema } from '../routes/uploadRoutes.js';
+import {
+  listAnalysesSchema, legalHoldSchema, reviewSchema, exportAnalysesSchema, exportAnalysisSchema, importAnnotationsSchema
+} from '../routes/analysisRoutes.js';
+import { registerSchema, loginSchema, linkSchema } from '../routes/authRoutes.js';
+import { createEnvironmentSchema, updateEnvironmentSchema, thresholdsSchema } from '../routes/environmentRoutes.js';
+import { createSiteSchema, updateSiteSchema, createZoneSchema, updateZoneSchema } from '../routes/siteRoutes.js';
+import { statsSchema, exportSchema } from '../routes/statsRoutes.js';
+import { createUserSchema, updateUserSchema } from '../routes/userRoutes.js';
+import { createWebhookSchema, updateWebhookSchema, listDeliveriesSchema } from '../routes/webhookRoutes.js';
+import { updateSettingsSchema } from '../routes/privacyRoutes.js';
+import {
+  listIncidentsSchema, createIncidentSchema, updateIncidentSchema, incidentStatusSchema, verificationSchema, commentSchema
+} from '../routes/incidentRoutes.js';
+import { MAX_BATCH_IMAGES } from '../services/batchAnalysisService.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const binary = { type: 'string', format: 'binary' };
+
+const ERROR_RESPONSES = {
+  400: ['BadRequest', 'Invalid request'],
+  401: ['Unauthorized', 'Missing, invalid or expired token'],
+  403: ['Forbidden', 'The user\'s role is too low'],
+  404: ['NotFound', 'Not found in the user\'s organization'],
+  409: ['Conflict', 'Conflicts with an existing resource'],
+  413: ['PayloadTooLarge', 'Uploaded file is too large'],
+  415: ['UnsupportedMediaType', 'Uploaded file type is not accepted']
+};
+
+// JSON envelope every endpoint responds with: { success, message?, data }
+function ok(data, { description = 'OK', extra = {} } = {}) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: data ? ['success', 'data'] : ['success'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            message: { type: 'string' },
+            ...(data ? { data } : {}),
+            ...extra
+          }
+        }
+      }
+    }
+  };
+}
+
+function file(contentTypes, description) {
+  return {
+    description,
+    content: Object.fromEntries(contentTypes.map(type => [type, { schema: binary }]))
+  };
+}
+
+function jsonBody(joiSchema) {
+  return { required: true, content: { 'application/json': { schema: joiToSchema(joiSchema) } } };
+}
+
+// Multipart form of the Joi schema's fields plus the uploaded file field(s)
+function multipartBody(joiSchema, files) {
+  const schema = joiToSchema(joiSchema);
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          ...schema,
+          properties: { ...files, ...schema.properties },
+          required: [...Object.keys(files), ...(schema.required || [])]
+        }
+      }
+    }
+  };
+}
+
+function pathParam(name, schema = { type: 'integer' }, description) {
+  return { name, in: 'path', required: true, schema, ...(description ? { description } : {}) };
+}
+
+const idParam = pathParam('id');
+const filenameParam = pathParam('filename', { type: 'string' }, 'Name of an uploaded file');
+
+/**
+ * One operation. `role` is the minimum role (inspector < supervisor < admin); operations without
+ * one only need a valid token, and `auth: false` marks public ones. `queryToken` marks those that
+ * also accept a link token (see `createLink`) as ?token=. `errors` lists the error statuses besides 401/403/500.
+ */
+function operation({ id, tag, summary, description, role, auth = true, queryToken = false, params = [], query, body, responses, errors = [] }) {
+  const roleNote = role ? `Requires the \`${role}\` role or higher.` : null;
+  const statuses = [...(auth ? [401] : []), ...(role ? [403] : []), ...errors].sort();
+
+  return {
+    operationId: id,
+    tags: [tag],
+    summary,
+    ...(description || roleNote ? { description: [description, roleNote].filter(Boolean).join('\n\n') } : {}),
+    ...(auth ? {} : { security: [] }),
+    ...(queryToken ? { security: [{ bearerAuth: [] }, { queryToken: [] }] } : {}),
+    ...(role ? { 'x-required-role': role } : {}),
+    parameters: [...params, ...(query ? joiToParameters(query) : [])],
+    ...(body ? { requestBody: body } : {}),
+    responses: {
+      ...responses,
+      ...Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` }]))
+    }
+  };
+}
+
+function buildPaths() {
+  return {
+    '/health': {
+      get: operation({
+        id: 'healthCheck',
+        tag: 'Health',
+        summary: 'Check that the server is running',
+        auth: false,
+        responses: {
+          200: {
+            description: 'OK',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: { status: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' }, service: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      })
+    },
+
+    '/auth/register': {
+      post: operation({
+        id: 'register',
+        tag: 'Authentication',
+        summary: 'Create an organization with its first admin and log in',
+        auth: false,
+        body: jsonBody(registerSchema),
+        responses: { 201: ok(ref('Session'), { description: 'Created' }) },
+        errors: [400, 403, 409]
+      })
+    },
+    '/auth/login': {
+      post: operation({
+        id: 'login',
+        tag: 'Authentication',
+        summary: 'Log in with username and password',
+        auth: false,
+        body: jsonBody(loginSchema),
+        responses: { 200: ok(ref('Session')) },
+        errors: [400, 401]
+      })
+    },
+    '/auth/me': {
+      get: operation({
+        id: 'getCurrentUser',
+        tag: 'Authentication',
+        summary: 'The user of the token',
+        responses: { 200: ok(ref('User')) }
+      })
+    },
+    '/auth/links': {
+      post: operation({
+        id: 'createLink',
+        tag: 'Authentication',
+        summary: 'Short-lived URLs of files or job event streams',
+        description: 'For <img>, <video> and EventSource, which can\'t send an Authorization header. '
+          + 'Each URL carries a token that is valid for five minutes and for its path only. '
+          + 'Links are returned in the order of `paths`, up to 100 per request.',
+        body: jsonBody(linkSchema),
+        responses: { 200: ok({ type: 'array', items: ref('Link') }) },
+        errors: [400]
+      })
+    },
+
+    '/users': {
+      get: operation({
+        id: 'listUsers',
+        tag: 'Users',
+        summary: 'List users of the organization',
+        role: 'admin',
+        responses: { 200: ok({ type: 'array', items: ref('User') }) }
+      }),
+      post: operation({
+        id: 'createUser',
+        tag: 'Users',
+        summary: 'Add a user to the organization',
+        role: 'admin',
+        body: jsonBody(createUserSchema),
+        responses: { 201: ok(ref('User'), { description: 'Created' }) },
+        errors: [400, 409]
+      })
+    },
+    '/users/{id}': {
+      put: operation({
+        id: 'updateUser',
+        tag: 'Users',
+        summary: 'Change a user\'s role or password',
+        role: 'admin',
+        params: [idParam],
+        body: jsonBody(updateUserSchema),
+        responses: { 200: ok(ref('User')) },
+        errors: [400, 404]
+      }),
+      delete: operation({
+        id: 'deleteUser',
+        tag: 'Users',
+        summary: 'Remove a user',
+        description: 'An organization always keeps at least one admin.',
+        role: 'admin',
+        params: [idParam],
+        responses: { 200: ok(null) },
+        errors: [400, 404]
+      })
+    },
+
+    '/upload': {
+      post: operation({
+        id: 'createAnalysisJob',
+        tag: 'Upload & Analysis',
+        summary: 'Upload an image and queue its analysis',
+        description: 'Responds with the analysis job right away. Follow it with `getJob` or the `getJobEvents` stream; the analysis is the job\'s `result`. '
+          + 'JPEG, PNG, WebP, HEIC/HEIF and AVIF images up to 10MB are accepted.',
+        role: 'inspector',
+        body: multipartBody(analysisSchema, { image: binary }),
+        responses: { 202: ok(ref('AnalysisJob'), { description: 'Accepted' }) },
+        errors: [400, 413, 415]
+      })
+    },
+    '/upload/batch': {
+      post: operation({
+        id: 'uploadBatch',
+        tag: 'Upload & Analysis',
+        summary: 'Upload many images or a ZIP archive of images and queue their analysis',
+        description: 'Responds with the analysis job right away; once every image has been analyzed, the `BatchResult` is the job\'s `result`. '
+          + `Up to ${MAX_BATCH_IMAGES} images: loose images up to 10MB each and at most one ZIP archive, up to 200MB for all files together. `
+          + 'Images that fail are reported per image.',
+        role: 'inspector',
+        body: multipartBody(analysisSchema, { images: { type: 'array', items: binary } }),
+        responses: { 202: ok(ref('AnalysisJob'), { description: 'Accepted' }) },
+        errors: [400, 413, 415]
+      })
+    },
+    '/upload/video': {
+      post: operation({
+        id: 'uploadVideo',
+        tag: 'Upload & Analysis',
+        summary: 'Upload an MP4/WebM clip and analyze sampled frames',
+        description: 'Videos may be up to 100MB.',
+        role: 'inspector',
+        body: multipartBody(videoAnalysisSchema, { video: binary }),
+        responses: { 200: ok(ref('VideoResult')) },
+        errors: [400, 413, 415]
+      })
+    },
+    '/upload/analyze': {
+      post: operation({
+        id: 'analyzeExistingImage',
+        tag: 'Upload & Analysis',
+        summary: 'Analyze an uploaded image again',
+        role: 'inspector',
+        body: jsonBody(analyzeExistingSchema),
+        responses: { 200: ok(ref('AnalysisResult')) },
+        errors: [400, 404]
+      })
+    },
+    '/upload/files': {
+      get: operation({
+        id: 'listFiles',
+        tag: 'Upload & Analysis',
+        summary: 'List uploaded images with their latest analysis',
+        role: 'supervisor',
+        responses: { 200: ok({ type: 'array', items: ref('UploadedFile') }) }
+      })
+    },
+    '/upload/{filename}/annotated': {
+      get: operation({
+        id: 'getAnnotatedImage',
+        tag: 'Upload & Analysis',
+        summary: 'Image with detection boxes, labels and confidences drawn server-side',
+        role: 'supervisor',
+        params: [filenameParam],
+        query: annotatedImageSchema,
+        responses: { 200: file(['image/jpeg', 'image/png', 'image/webp'], 'Annotated image') },
+        errors: [400, 404]
+      })
+    },
+    '/upload/{filename}/original': {
+      get: operation({
+        id: 'downloadOriginal',
+        tag: 'Upload & Analysis',
+        summary: 'Download the untouched upload, metadata included',
+        description: 'With bucket storage this redirects to a short-lived download URL.',
+        role: 'admin',
+        params: [filenameParam],
+        responses: {
+          200: file(['application/octet-stream'], 'Original file'),
+          302: { description: 'Redirect to a presigned download URL' }
+        },
+        errors: [404]
+      })
+    },
+    '/upload/{filename}': {
+      delete: operation({
+        id: 'deleteFile',
+        tag: 'Upload & Analysis',
+        summary: 'Delete an uploaded file and its original',
+        description: 'Files with an analysis on legal hold are kept (409).',
+        role: 'admin',
+        params: [filenameParam],
+        responses: { 200: ok(null) },
+        errors: [404, 409]
+      })
+    },
+
+    // Served outside /api so <img> and <video> tags can load files with a link ?token=
+    '/uploads/{filename}': {
+      servers: [{ url: '/' }],
+      get: operation({
+        id: 'getFile',
+        tag: 'Upload & Analysis',
+        summary: 'An uploaded image or video of the user\'s organization',
+        description: 'With bucket storage this redirects to a short-lived download URL.',
+        queryToken: true,
+        params: [filenameParam],
+        responses: {
+          200: file(['application/octet-stream'], 'File'),
+          302: { description: 'Redirect to a presigned download URL' }
+        },
+        errors: [404]
+      })
+    },
+
+    '/jobs/{id}': {
+      get: operation({
+        id: 'getJob',
+        tag: 'Analysis Jobs',
+        summary: 'Status, last completed stage and result of an analysis job',
+        params: [pathParam('id', { type: 'string', format: 'uuid' })],
+        responses: { 200: ok(ref('AnalysisJob')) },
+        errors: [404]
+      })
+    },
+    '/jobs/{id}/events': {
+      get: operation({
+        id: 'getJobEvents',
+        tag: 'Analysis Jobs',
+        summary: 'Server-Sent Events stream of an analysis job',
+        description: 'Sends the job as a `job` event now and on every change, and ends once the job has succeeded or failed.',
+        queryToken: true,
+        params: [pathParam('id', { type: 'string', format: 'uuid' })],
+        responses: {
+          200: {
+            description: 'Event stream; every `data` line is an AnalysisJob',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          }
+        },
+        errors: [404]
+      })
+    },
+
+    '/analyses': {
+      get: operation({
+        id: 'listAnalyses',
+        tag: 'Analysis History',
+        summary: 'List stored analyses with filtering, sorting and pagination',
+        role: 'supervisor',
+        query: listAnalysesSchema,
+        responses: { 200: ok({ type: 'array', items: ref('AnalysisSummary') }, { extra: { pagination: ref('Pagination') } }) },
+        errors: [400]
+      })
+    },
+    '/analyses/export': {
+      get: operation({
+        id: 'exportAnalyses',
+        tag: 'Analysis History',
+        summary: 'Download the analyses matching the list filters as COCO, Pascal VOC or YOLO annotations',
+        description: 'A ZIP archive with the annotations of the most recent `limit` matching analyses and, unless `images=false`, their images. '
+          + 'An image analyzed more than once is exported with its most recent analysis, and reviewed analyses with their current version. '
+          + '`safetysnap.json` in the archive lists the exported analyses.',
+        role: 'supervisor',
+        query: exportAnalysesSchema,
+        responses: { 200: file(['application/zip'], 'ZIP archive') },
+        errors: [400, 404]
+      })
+    },
+    '/analyses/import': {
+      post: operation({
+        id: 'importAnnotations',
+        tag: 'Analysis History',
+        summary: 'Attach annotations from a labeling tool as reviewed detections',
+        description: 'Upload a ZIP archive of COCO, Pascal VOC or YOLO annotations, a COCO `.json` or a Pascal VOC `.xml` file. '
+          + 'Every annotated image is matched by file name to the most recent analysis of that upload and its labels are saved as a new reviewed version; '
+          + 'labels of classes the PPE catalog doesn\'t track are ignored.',
+        role: 'supervisor',
+        body: multipartBody(importAnnotationsSchema, { file: binary }),
+        responses: { 200: ok(ref('AnnotationImport')) },
+        errors: [400, 413, 415]
+      })
+    },
+    '/analyses/{id}': {
+      get: operation({
+        id: 'getAnalysis',
+        tag: 'Analysis History',
+        summary: 'A stored analysis with detections and compliance',
+        role: 'supervisor',
+        params: [idParam],
+        responses: { 200: ok(ref('AnalysisRecord')) },
+        errors: [404]
+      })
+    },
+    '/analyses/{id}/legal-hold': {
+      put: operation({
+        id: 'setLegalHold',
+        tag: 'Analysis History',
+        summary: 'Place or release a legal hold on the analysis image',
+        description: 'Images on legal hold are never deleted by the retention sweep.',
+        role: 'admin',
+        params: [idParam],
+        body: jsonBody(legalHoldSchema),
+        responses: { 200: ok(ref('AnalysisSummary')) },
+        errors: [400, 404]
+      })
+    },
+    '/analyses/{id}/reviews': {
+      get: operation({
+        id: 'listAnalysisReviews',
+        tag: 'Analysis History',
+        summary: 'Reviewed versions of an analysis, oldest first',
+        role: 'supervisor',
+        params: [idParam],
+        responses: { 200: ok({ type: 'array', items: ref('AnalysisReview') }) },
+        errors: [404]
+      }),
+      post: operation({
+        id: 'reviewAnalysis',
+        tag: 'Analysis History',
+        summary: 'Save corrected detections as a new reviewed version',
+        description: 'Send the complete corrected set of detections; boxes left out are deleted. Every reviewed box counts as confirmed, '
+          + 'so compliance and recommendations are recalculated at full confidence against the requirements the analysis was made with. '
+          + 'The detector output is kept as `machineAnalysis`.',
+        role: 'supervisor',
+        params: [idParam],
+        body: jsonBody(reviewSchema),
+        responses: { 201: ok(ref('AnalysisRecord'), { description: 'Created' }) },
+        errors: [400, 404]
+      })
+    },
+    '/analyses/{id}/export': {
+      get: operation({
+        id: 'exportAnalysis',
+        tag: 'Analysis History',
+        summary: 'Download one analysis as COCO, Pascal VOC or YOLO annotations',
+        description: 'A ZIP archive in the layout of `exportAnalyses`.',
+        role: 'supervisor',
+        params: [idParam],
+        query: exportAnalysisSchema,
+        responses: { 200: file(['application/zip'], 'ZIP archive') },
+        errors: [400, 404]
+      })
+    },
+    '/analyses/{id}/report': {
+      get: operation({
+        id: 'getAnalysisReport',
+        tag: 'Analysis History',
+        summary: 'PDF inspection report of a stored analysis',
+        role: 'supervisor',
+        params: [idParam],
+        responses: { 200: file(['application/pdf'], 'PDF report') },
+        errors: [404]
+      })
+    },
+
+    '/stats': {
+      get: operation({
+        id: 'getStats',
+        tag: 'Statistics',
+        summary: 'Compliance aggregates over time, per environment',
+        role: 'supervisor',
+        query: statsSchema,
+        responses: { 200: ok(ref('ComplianceStats')) },
+        errors: [400]
+      })
+    },
+    '/stats/export': {
+      get: operation({
+        id: 'exportStats',
+        tag: 'Statistics',
+        summary: 'Download the compliance aggregates as CSV or JSON',
+        role: 'supervisor',
+        query: exportSchema,
+        responses: { 200: file(['text/csv', 'application/json'], 'Statistics file') },
+        errors: [400]
+      })
+    },
+
+    '/environments': {
+      get: operation({
+        id: 'listEnvironments',
+        tag: 'Work Environments',
+        summary: 'Built-in and organization work environments',
+        responses: { 200: ok({ type: 'array', items: ref('WorkEnvironment') }) }
+      }),
+      post: operation({
+        id: 'createEnvironment',
+        tag: 'Work Environments',
+        summary: 'Add a custom work environment',
+        role: 'admin',
+        body: jsonBody(createEnvironmentSchema),
+        responses: { 201: ok(ref('WorkEnvironment'), { description: 'Created' }) },
+        errors: [400, 409]
+      })
+    },
+    '/environments/{id}': {
+      get: operation({
+        id: 'getEnvironment',
+        tag: 'Work Environments',
+        summary: 'A work environment with its required PPE and confidence thresholds',
+        params: [pathParam('id', { type: 'string' })],
+        responses: { 200: ok(ref('WorkEnvironment')) },
+        errors: [404]
+      }),
+      put: operation({
+        id: 'updateEnvironment',
+        tag: 'Work Environments',
+        summary: 'Update a custom work environment',
+        role: 'admin',
+        params: [pathParam('id', { type: 'string' })],
+        body: jsonBody(updateEnvironmentSchema),
+        responses: { 200: ok(ref('WorkEnvironment')) },
+        errors: [400, 404]
+      }),
+      delete: operation({
+        id: 'deleteEnvironment',
+        tag: 'Work Environments',
+        summary: 'Delete a custom work environment',
+        description: 'Refused with 409 while a site uses it as its default environment or a zone as its work environment.',
+        role: 'admin',
+        params: [pathParam('id', { type: 'string' })],
+        responses: { 200: ok(null) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/environments/{id}/thresholds': {
+      put: operation({
+        id: 'updateEnvironmentThresholds',
+        tag: 'Work Environments',
+        summary: 'Set the per-category confidence thresholds of a work environment',
+        role: 'admin',
+        params: [pathParam('id', { type: 'string' })],
+        body: jsonBody(thresholdsSchema),
+        responses: { 200: ok(ref('WorkEnvironment')) },
+        errors: [400, 404]
+      })
+    },
+
+    '/sites': {
+      get: operation({
+        id: 'listSites',
+        tag: 'Sites & Zones',
+        summary: 'Sites of the organization with their zones',
+        responses: { 200: ok({ type: 'array', items: ref('Site') }) }
+      }),
+      post: operation({
+        id: 'createSite',
+        tag: 'Sites & Zones',
+        summary: 'Add a site',
+        role: 'admin',
+        body: jsonBody(createSiteSchema),
+        responses: { 201: ok(ref('Site'), { description: 'Created' }) },
+        errors: [400, 409]
+      })
+    },
+    '/sites/{id}': {
+      get: operation({
+        id: 'getSite',
+        tag: 'Sites & Zones',
+        summary: 'A site with its zones',
+        params: [idParam],
+        responses: { 200: ok(ref('Site')) },
+        errors: [404]
+      }),
+      put: operation({
+        id: 'updateSite',
+        tag: 'Sites & Zones',
+        summary: 'Update a site',
+        role: 'admin',
+        params: [idParam],
+        body: jsonBody(updateSiteSchema),
+        responses: { 200: ok(ref('Site')) },
+        errors: [400, 404, 409]
+      }),
+      delete: operation({
+        id: 'deleteSite',
+        tag: 'Sites & Zones',
+        summary: 'Delete a site and its zones',
+        description: 'Analyses keep the site and zone names they were tagged with.',
+        role: 'admin',
+        params: [idParam],
+        responses: { 200: ok(null) },
+        errors: [404]
+      })
+    },
+    '/sites/{id}/zones': {
+      post: operation({
+        id: 'createZone',
+        tag: 'Sites & Zones',
+        summary: 'Add a zone to a site',
+        role: 'admin',
+        params: [idParam],
+        body: jsonBody(createZoneSchema),
+        responses: { 201: ok(ref('Zone'), { description: 'Created' }) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/sites/{id}/zones/{zoneId}': {
+      put: operation({
+        id: 'updateZone',
+        tag: 'Sites & Zones',
+        summary: 'Update a zone',
+        role: 'admin',
+        params: [idParam, pathParam('zoneId')],
+        body: jsonBody(updateZoneSchema),
+        responses: { 200: ok(ref('Zone')) },
+        errors: [400, 404, 409]
+      }),
+      delete: operation({
+        id: 'deleteZone',
+        tag: 'Sites & Zones',
+        summary: 'Delete a zone',
+        role: 'admin',
+        params: [idParam, pathParam('zoneId')],
+        responses: { 200: ok(null) },
+        errors: [404]
+      })
+    },
+
+    '/incidents': {
+      get: operation({
+        id: 'listIncidents',
+        tag: 'Incidents',
+        summary: 'List incidents with filtering, sorting and pagination',
+        description: 'Inspectors only see the incidents assigned to them.',
+        query: listIncidentsSchema,
+        responses: { 200: ok({ type: 'array', items: ref('Incident') }, { extra: { pagination: ref('Pagination') } }) },
+        errors: [400]
+      }),
+      post: operation({
+        id: 'createIncident',
+        tag: 'Incidents',
+        summary: 'Open an incident for a non-compliant analysis',
+        description: 'The analysis must be non-compliant or uncertain, and can only have one incident that isn\'t verified yet. '
+          + 'The PPE categories missing from it are kept with the incident.',
+        role: 'supervisor',
+        body: jsonBody(createIncidentSchema),
+        responses: { 201: ok(ref('IncidentDetail'), { description: 'Created' }) },
+        errors: [400, 409]
+      })
+    },
+    '/incidents/assignees': {
+      get: operation({
+        id: 'listIncidentAssignees',
+        tag: 'Incidents',
+        summary: 'Users an incident can be assigned to',
+        role: 'supervisor',
+        responses: { 200: ok({ type: 'array', items: ref('Assignee') }) }
+      })
+    },
+    '/incidents/{id}': {
+      get: operation({
+        id: 'getIncident',
+        tag: 'Incidents',
+        summary: 'An incident with its comments and status changes',
+        params: [idParam],
+        responses: { 200: ok(ref('IncidentDetail')) },
+        errors: [404]
+      }),
+      put: operation({
+        id: 'updateIncident',
+        tag: 'Incidents',
+        summary: 'Change the title, description, severity, assignee or due date of an incident',
+        role: 'supervisor',
+        params: [idParam],
+        body: jsonBody(updateIncidentSchema),
+        responses: { 200: ok(ref('IncidentDetail')) },
+        errors: [400, 404]
+      })
+    },
+    '/incidents/{id}/status': {
+      post: operation({
+        id: 'changeIncidentStatus',
+        tag: 'Incidents',
+        summary: 'Move an incident along its workflow',
+        description: 'Statuses go open → in_progress → resolved → verified, and a resolved incident can go back to in_progress. '
+          + 'The assignee can start and resolve an incident; verifying it requires the `supervisor` role and a compliant verification analysis.',
+        params: [idParam],
+        body: jsonBody(incidentStatusSchema),
+        responses: { 200: ok(ref('IncidentDetail')) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/incidents/{id}/verification': {
+      put: operation({
+        id: 'setIncidentVerification',
+        tag: 'Incidents',
+        summary: 'Link the analysis of a follow-up photo to an incident',
+        description: 'The follow-up must be a new photo, analyzed after the incident was opened. Allowed for the assignee and supervisors.',
+        params: [idParam],
+        body: jsonBody(verificationSchema),
+        responses: { 200: ok(ref('IncidentDetail')) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/incidents/{id}/comments': {
+      post: operation({
+        id: 'addIncidentComment',
+        tag: 'Incidents',
+        summary: 'Comment on an incident',
+        description: 'Allowed for the assignee and supervisors.',
+        params: [idParam],
+        body: jsonBody(commentSchema),
+        responses: { 201: ok(ref('IncidentDetail'), { description: 'Created' }) },
+        errors: [400, 404]
+      })
+    },
+
+    '/privacy': {
+      get: operation({
+        id: 'getPrivacySettings',
+        tag: 'Privacy & Retention',
+        summary: 'Face anonymization and retention settings of the organization',
+        role: 'admin',
+        responses: { 200: ok(ref('PrivacySettings')) }
+      }),
+      put: operation({
+        id: 'updatePrivacySettings',
+        tag: 'Privacy & Retention',
+        summary: 'Update face anonymization and retention settings',
+        description: '`null` removes a retention limit.',
+        role: 'admin',
+        body: jsonBody(updateSettingsSchema),
+        responses: { 200: ok(ref('PrivacySettings')) },
+        errors: [400]
+      })
+    },
+    '/privacy/retention/sweep': {
+      post: operation({
+        id: 'runRetentionSweep',
+        tag: 'Privacy & Retention',
+        summary: 'Apply the retention policy now',
+        role: 'admin',
+        responses: { 200: ok(ref('RetentionSweepResult')) }
+      })
+    },
+
+    '/webhooks/events': {
+      get: operation({
+        id: 'listWebhookEvents',
+        tag: 'Webhooks',
+        summary: 'Events a webhook can subscribe to',
+        role: 'admin',
+        responses: { 200: ok({ type: 'array', items: ref('WebhookEvent') }) }
+      })
+    },
+    '/webhooks': {
+      get: operation({
+        id: 'listWebhooks',
+        tag: 'Webhooks',
+        summary: 'List webhooks of the organization',
+        role: 'admin',
+        responses: { 200: ok({ type: 'array', items: ref('Webhook') }) }
+      }),
+      post: operation({
+        id: 'createWebhook',
+        tag: 'Webhooks',
+        summary: 'Add a webhook',
+        description: 'The signing secret is only returned in this response. URLs whose host is or resolves to a loopback, private, '
+          + 'link-local or reserved address are refused unless the server allows private hosts.',
+        role: 'admin',
+        body: jsonBody(createWebhookSchema),
+        responses: { 201: ok(ref('Webhook'), { description: 'Created' }) },
+        errors: [400]
+      })
+    },
+    '/webhooks/{id}': {
+      get: operation({
+        id: 'getWebhook',
+        tag: 'Webhooks',
+        summary: 'A webhook',
+        role: 'admin',
+        params: [idParam],
+        responses: { 200: ok(ref('Webhook')) },
+        errors: [404]
+      }),
+      put: operation({
+        id: 'updateWebhook',
+        tag: 'Webhooks',
+        summary: 'Update a webhook',
+        role: 'admin',
+        params: [idParam],
+        body: jsonBody(updateWebhookSchema),
+        responses: { 200: ok(ref('Webhook')) },
+        errors: [400, 404]
+      }),
+      delete: operation({
+        id: 'deleteWebhook',
+        tag: 'Webhooks',
+        summary: 'Delete a webhook',
+        role: 'admin',
+        params: [idParam],
+        responses: { 200: ok(null) },
+        errors: [404]
+      })
+    },
+    '/webhooks/{id}/ping': {
+      post: operation({
+        id: 'pingWebhook',
+        tag: 'Webhooks',
+        summary: 'Send a test delivery',
+        role: 'admin',
+        params: [idParam],
+        responses: { 200: ok(ref('WebhookDelivery')) },
+        errors: [404]
+      })
+    },
+    '/webhooks/{id}/deliveries': {
+      get: operation({
+        id: 'listWebhookDeliveries',
+        tag: 'Webhooks',
+        summary: 'Delivery log of a webhook',
+        role: 'admin',
+        params: [idParam],
+        query: listDeliveriesSchema,
+        responses: { 200: ok({ type: 'array', items: ref('WebhookDelivery') }, { extra: { pagination: ref('Pagination') } }) },
+        errors: [400, 404]
+      })
+    },
+    '/webhooks/{id}/deliveries/{deliveryId}': {
+      get: operation({
+        id: 'getWebhookDelivery',
+        tag: 'Webhooks',
+        summary: 'A delivery with its payload and response',
+        role: 'admin',
+        params: [idParam, pathParam('deliveryId')],
+        responses: { 200: ok(ref('WebhookDelivery')) },
+        errors: [404]
+      })
+    },
+    '/webhooks/{id}/deliveries/{deliveryId}/replay': {
+      post: operation({
+        id: 'replayWebhookDelivery',
+        tag: 'Webhooks',
+        summary: 'Send a delivery\'s payload again',
+        role: 'admin',
+        params: [idParam, pathParam('deliveryId')],
+        responses: { 200: ok(ref('WebhookDelivery')) },
+        errors: [404]
+      })
+    }
+  };
+}
+
+let spec = null;
+
+// The document is built once; the Joi schemas it is derived from don't change at runtime
+export function buildOpenApiSpec() {
+  if (spec) return spec;
+
+  spec = {
+    openapi: '3.0.3',
+    info: {
+      title: 'SafetySnap API',
+      version: '1.0.0',
+      description: 'PPE compliance analysis of images and videos. Every response has the shape `{ success, message?, data }`; '
+        + 'errors are `{ success: false, message }`. All data is scoped to the organization of the token\'s user.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ bearerAuth: [] }],
+    paths: buildPaths(),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        // <img>, <video> and EventSource can't send headers; they get a link token from createLink
+        queryToken: { type: 'apiKey', in: 'query', name: 'token', description: 'Link token from `createLink`, valid for one path' }
+      },
+      responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [name, {
+        description,
+        content: { 'application/json': { schema: ref('Error') } }
+      }])),
+      schemas
+    }
+  };
+  return spec;
+}
@@ -0,0 +1,115 @@
+// OpenAPI tests - the document covers every route and the generated client follows the document
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { buildOpenApiSpec } from './index.js';
+import { createClient } from '../../packages/api-client/index.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+const GENERATOR = fileURLToPath(new URL('../scripts/generateClient.js', import.meta.url));
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Routers as server.js mounts them
+const MOUNTS = {
+  '/api': 'docsRoutes',
+  '/api/auth': 'authRoutes',
+  '/api/upload': 'uploadRoutes',
+  '/api/environments': 'environmentRoutes',
+  '/api/analyses': 'analysisRoutes',
+  '/api/users': 'userRoutes',
+  '/api/webhooks': 'webhookRoutes',
+  '/api/stats': 'statsRoutes',
+  '/api/sites': 'siteRoutes',
+  '/api/privacy': 'privacyRoutes',
+  '/api/incidents': 'incidentRoutes',
+  '/api/jobs': 'jobRoutes',
+  '/uploads': 'fileRoutes'
+};
+
+// Every operation of the document as { id, method, path, op } with the full path, e.g. /api/analyses/{id}
+function documentedOperations(spec) {
+  return Object.entries(spec.paths).flatMap(([route, item]) => {
+    const server = (item.servers?.[0].url ?? spec.servers[0].url).replace(/\/$/, '');
+    return METHODS.filter(method => item[method])
+      .map(method => ({ id: item[method].operationId, method: method.toUpperCase(), path: server + route, op: item[method] }));
+  });
+}
+
+describe('OpenAPI document', () => {
+  const spec = buildOpenApiSpec();
+  const operations = documentedOperations(spec);
+
+  test('documents every route the server serves', async () => {
+    const served = [];
+    for (const [mount, name] of Object.entries(MOUNTS)) {
+      const { default: router } = await import(`../routes/${name}.js`);
+      router.stack.filter(layer => layer.route).forEach(({ route }) => {
+        Object.keys(route.methods).forEach(method => {
+          served.push(`${method.toUpperCase()} ${(mount + route.path).replace(/\/$/, '').replace(/:(\w+)/g, '{$1}')}`);
+        });
+      });
+    }
+    const documented = operations.map(({ method, path }) => `${method} ${path}`);
+
+    // The document itself is not part of the API; the health check is served by server.js
+    assert.deepEqual(served.filter(route => !documented.includes(route)), ['GET /api/openapi.json']);
+    assert.deepEqual(documented.filter(route => !served.includes(route)), ['GET /api/health']);
+  });
+
+  test('names every operation once', () => {
+    const ids = operations.map(operation => operation.id);
+
+    assert.equal(ids.filter(id => !id).length, 0);
+    assert.deepEqual(ids.filter((id, index) => ids.indexOf(id) !== index), []);
+  });
+});
+
+describe('generated API client', () => {
+  const spec = buildOpenApiSpec();
+
+  test('is up to date with the document', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, [GENERATOR, '--check'], {
+      env: { ...process.env, DATABASE_PATH: ':memory:' },
+      timeout: 60000
+    });
+
+    assert.match(stdout, /API client is up to date/);
+  });
+
+  test('sends every operation to its method and path', async () => {
+    const requests = [];
+    const client = createClient({
+      baseUrl: 'http://safetysnap.test',
+      token: 'token',
+      fetch: async (url, init) => {
+        requests.push(`${init.method} ${new URL(url).pathname}`);
+        const data = url.endsWith('/api/auth/links') ? [{ token: 'link' }] : {};
+        return new Response(JSON.stringify({ success: true, data }), { headers: { 'Content-Type': 'application/json' } });
+      }
+    });
+
+    for (const { id, method, path, op } of documentedOperations(spec)) {
+      const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => `${name}-1`);
+      const expected = `${method} ${path.replace(/\{(\w+)\}/g, '$1-1')}`;
+      const stream = Object.keys(Object.entries(op.responses).find(([status]) => status.startsWith('2'))[1].content || {})
+        .includes('text/event-stream');
+
+      if (stream) {
+        // Event streams are opened by the caller from a URL with a link token
+        const url = new URL(await client[`${id}Url`](...pathParams));
+        assert.equal(`GET ${url.pathname}`, expected, id);
+        assert.equal(url.searchParams.get('token'), 'link', id);
+        continue;
+      }
+
+      assert.equal(typeof client[id], 'function', `${id} is missing from the client`);
+      const args = [...pathParams, ...(op.requestBody ? [{}] : []), ...((op.parameters || []).some(param => param.in === 'query') ? [{}] : [])];
+      requests.length = 0;
+      await client[id](...args);
+      assert.deepEqual(requests, [expected], id);
+    }
+  });
+});
@@ -0,0 +1,133 @@
+// Joi -> OpenAPI 3.0 schema conversion, working from Joi's describe() output
+//
+// Covers the Joi features the route schemas use: objects, strings, numbers, booleans, dates,
+// arrays, valid/allow lists, defaults, descriptions and min/max/pattern/uri rules. Custom rules,
+// references (Joi.ref) and conditions (.when) can't be expressed and are left out.
+
+function ruleArg(description, name) {
+  const rule = (description.rules || []).find(item => item.name === name);
+  if (!rule) return undefined;
+  // Limits given as references to other keys have no static value
+  return typeof rule.args?.limit === 'number' ? rule.args.limit : rule.args ?? null;
+}
+
+function hasRule(description, name) {
+  return (description.rules || []).some(item => item.name === name);
+}
+
+// "/^[a-z]+$/i" -> "^[a-z]+$"
+function patternOf(description) {
+  const rule = (description.rules || []).find(item => item.name === 'pattern');
+  return rule ? rule.args.regex.replace(/^\/(.*)\/[a-z]*$/, '$1') : undefined;
+}
+
+function withLimits(schema, description, { min, max }) {
+  const lower = ruleArg(description, 'min');
+  const upper = ruleArg(description, 'max');
+  const length = ruleArg(description, 'length');
+  if (typeof lower === 'number') schema[min] = lower;
+  if (typeof upper === 'number') schema[max] = upper;
+  if (typeof length === 'number') {
+    schema[min] = length;
+    schema[max] = length;
+  }
+  return schema;
+}
+
+function convertType(description) {
+  switch (description.type) {
+    case 'object': {
+      const schema = { type: 'object' };
+      const keys = Object.entries(description.keys || {});
+      if (keys.length > 0) {
+        schema.properties = Object.fromEntries(keys.map(([key, child]) => [key, describeToSchema(child)]));
+        const required = keys.filter(([, child]) => child.flags?.presence === 'required').map(([key]) => key);
+        if (required.length > 0) schema.required = required;
+        schema.additionalProperties = false;
+      }
+      if (description.patterns?.length) {
+        schema.additionalProperties = describeToSchema(description.patterns[0].rule);
+      }
+      return withLimits(schema, description, { min: 'minProperties', max: 'maxProperties' });
+    }
+    case 'string': {
+      const schema = withLimits({ type: 'string' }, description, { min: 'minLength', max: 'maxLength' });
+      const pattern = patternOf(description);
+      if (pattern) schema.pattern = pattern;
+      if (hasRule(description, 'uri')) schema.format = 'uri';
+      if (hasRule(description, 'email')) schema.format = 'email';
+      return schema;
+    }
+    case 'number': {
+      const schema = withLimits({ type: hasRule(description, 'integer') ? 'integer' : 'number' }, description, { min: 'minimum', max: 'maximum' });
+      const greater = ruleArg(description, 'greater');
+      const less = ruleArg(description, 'less');
+      if (typeof greater === 'number') {
+        schema.minimum = greater;
+        schema.exclusiveMinimum = true;
+      }
+      if (typeof less === 'number') {
+        schema.maximum = less;
+        schema.exclusiveMaximum = true;
+      }
+      return schema;
+    }
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'date':
+      return { type: 'string', format: 'date-time' };
+    case 'array': {
+      const items = description.items || [];
+      const schema = {
+        type: 'array',
+        items: items.length === 1 ? describeToSchema(items[0]) : items.length > 1 ? { oneOf: items.map(describeToSchema) } : {}
+      };
+      if (hasRule(description, 'unique')) schema.uniqueItems = true;
+      return withLimits(schema, description, { min: 'minItems', max: 'maxItems' });
+    }
+    case 'alternatives':
+      return { oneOf: (description.matches || []).filter(match => match.schema).map(match => describeToSchema(match.schema)) };
+    default:
+      return {};
+  }
+}
+
+export function describeToSchema(description) {
+  const schema = convertType(description);
+  const flags = description.flags || {};
+  const allowed = description.allow || [];
+
+  if (flags.only) {
+    schema.enum = allowed.filter(value => value !== null);
+  }
+  if (allowed.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+  return schema;
+}
+
+// OpenAPI schema of a Joi schema
+export function joiToSchema(joiSchema) {
+  return describeToSchema(joiSchema.describe());
+}
+
+// Query (or path) parameters from the keys of a Joi object schema
+export function joiToParameters(joiSchema, location = 'query') {
+  const { properties = {}, required = [] } = joiToSchema(joiSchema);
+  return Object.entries(properties).map(([name, schema]) => {
+    const { description, ...rest } = schema;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+}
@@ -0,0 +1,374 @@
+// backend/routes/analysisRoutes.js
+import express from "express";
+import multer from "multer";
+import path from "path";
+import Joi from "joi";
+import AnalysisHistoryService, { SORT_COLUMNS } from "../services/analysisHistoryService.js";
+import EnvironmentService from "../services/environmentService.js";
+import ReportService from "../services/reportService.js";
+import AnalysisReviewService from "../services/analysisReviewService.js";
+import AnnotationExchangeService, { MAX_EXPORT_ANALYSES } from "../services/annotationExchangeService.js";
+import { ANNOTATION_FORMATS, AnnotationFormatError } from "../services/annotationFormats.js";
+import { COMPLIANCE_VERDICTS, PPE_ITEMS } from "../services/ppeCatalog.js";
+import { requireRole } from "../middleware/auth.js";
+import { receiveFiles } from "../middleware/upload.js";
+
+const router = express.Router();
+const analysisHistoryService = new AnalysisHistoryService();
+const environmentService = new EnvironmentService();
+const reportService = new ReportService();
+const analysisReviewService = new AnalysisReviewService({ environmentService, analysisHistoryService });
+const annotationExchangeService = new AnnotationExchangeService({ analysisHistoryService, analysisReviewService });
+
+// Annotation files are small enough to parse in memory; images inside an archive are not extracted
+const annotationUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['.zip', '.json', '.xml'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new AnnotationFormatError('Invalid file type. Upload a ZIP archive, a COCO .json or a Pascal VOC .xml file.', 415), false);
+    }
+  },
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit, for archives that include the images
+    files: 1
+  }
+});
+
+// Validation schemas
+// Filters shared by the list and the export of analyses
+const analysisFilterKeys = {
+  from: Joi.date().iso().raw(),
+  to: Joi.date().iso().raw().description('Inclusive; a date without a time includes that whole day (UTC)'),
+  environment: Joi.string().max(50),
+  siteId: Joi.number().integer().min(1),
+  zoneId: Joi.number().integer().min(1),
+  compliant: Joi.boolean(),
+  verdict: Joi.string().valid(...COMPLIANCE_VERDICTS),
+  reviewed: Joi.boolean().description('Only analyses with (true) or without (false) a human review'),
+  minScore: Joi.number().integer().min(0).max(100),
+  maxScore: Joi.number().integer().min(0).max(100)
+};
+
+const listAnalysesSchema = Joi.object({
+  ...analysisFilterKeys,
+  sort: Joi.string().valid(...Object.keys(SORT_COLUMNS)).default('analyzedAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const exportOptionKeys = {
+  format: Joi.string().valid(...ANNOTATION_FORMATS).default('coco').description('COCO JSON, Pascal VOC XML or YOLO txt'),
+  images: Joi.boolean().default(true).description('Include the images in the archive'),
+  minConfidence: Joi.number().min(0).max(1).default(0).description('Leave out detections below this confidence')
+};
+
+const exportAnalysisSchema = Joi.object(exportOptionKeys);
+
+const exportAnalysesSchema = Joi.object({
+  ...analysisFilterKeys,
+  ...exportOptionKeys,
+  limit: Joi.number().integer().min(1).max(MAX_EXPORT_ANALYSES).default(100).description('Most recent matching analyses to export')
+});
+
+const importAnnotationsSchema = Joi.object({
+  format: Joi.string().valid(...ANNOTATION_FORMATS).description('Detected from the files when omitted')
+});
+
+const legalHoldSchema = Joi.object({
+  legalHold: Joi.boolean().required()
+});
+
+// The complete corrected set of detections; boxes left out are deleted
+const reviewSchema = Joi.object({
+  detections: Joi.array().items(Joi.object({
+    class: Joi.string().valid(...Object.keys(PPE_ITEMS)).required(),
+    bbox: Joi.array().items(Joi.number().min(0)).length(4).required()
+      .description('[x, y, width, height] in pixels of the analyzed image'),
+    detectorConfidence: Joi.number().min(0).max(1)
+      .description('Confidence of the detector box this one corrects; leave out for boxes added by the reviewer')
+  })).max(500).required(),
+  note: Joi.string().trim().max(1000).allow('')
+});
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+// GET /api/analyses - List stored analyses with filtering, sorting and pagination (supervisor)
+router.get("/", requireRole("supervisor"), (req, res) => {
+  try {
+    const { error, value } = listAnalysesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { items, pagination } = analysisHistoryService.list({ ...value, organizationId: req.user.organizationId });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// Sends an export archive as a download
+function sendArchive(res, archive, filename) {
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': archive.length
+  });
+  res.send(archive);
+}
+
+// GET /api/analyses/export - Download the analyses matching the list filters as COCO, VOC or YOLO annotations (supervisor)
+router.get("/export", requireRole("supervisor"), async (req, res) => {
+  try {
+    const { error, value } = exportAnalysesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { format, images, minConfidence, limit, ...filters } = value;
+    const { records, total } = annotationExchangeService.findAnalyses(req.user.organizationId, filters, limit);
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No analyses match the filters"
+      });
+    }
+
+    const archive = await annotationExchangeService.export(records, { format, includeImages: images, minConfidence, matching: total });
+    sendArchive(res, archive, `safetysnap-${format}-${new Date().toISOString().slice(0, 10)}.zip`);
+  } catch (err) {
+    console.error('Export error:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message || "Export failed"
+    });
+  }
+});
+
+// POST /api/analyses/import - Attach annotations from a labeling tool as reviewed detections (supervisor)
+// Accepts a ZIP archive (COCO, VOC or YOLO), a COCO .json or a VOC .xml; images are matched by file name.
+router.post("/import", requireRole("supervisor"), receiveFiles(annotationUpload.single("file"), "100MB"), async (req, res) => {
+  try {
+    const { error, value } = importAnnotationsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No annotation file uploaded"
+      });
+    }
+
+    const result = await annotationExchangeService.import(req.file, {
+      format: value.format,
+      organizationId: req.user.organizationId,
+      reviewer: req.user
+    });
+
+    res.json({
+      success: true,
+      message: `Imported annotations for ${result.imported.length} image(s)${result.skipped.length > 0 ? `, skipped ${result.skipped.length}` : ''}`,
+      data: result
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// GET /api/analyses/:id - Get a stored analysis with detections and compliance (supervisor)
+router.get("/:id", requireRole("supervisor"), (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const analysis = Number.isInteger(id) ? analysisHistoryService.get(id, req.user.organizationId) : null;
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// PUT /api/analyses/:id/legal-hold - Place or release a legal hold on the analysis image (admin)
+router.put("/:id/legal-hold", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = legalHoldSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const id = parseInt(req.params.id, 10);
+    const analysis = Number.isInteger(id) ? analysisHistoryService.setLegalHold(id, req.user.organizationId, value.legalHold) : null;
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: value.legalHold ? "Legal hold placed" : "Legal hold released",
+      data: analysis
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// GET /api/analyses/:id/reviews - Reviewed versions of an analysis, oldest first (supervisor)
+router.get("/:id/reviews", requireRole("supervisor"), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: analysisReviewService.list(parseId(req.params.id), req.user.organizationId)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// POST /api/analyses/:id/reviews - Save corrected detections as a new reviewed version (supervisor)
+// Compliance and recommendations are recalculated; the detector output is kept as machineAnalysis.
+router.post("/:id/reviews", requireRole("supervisor"), (req, res) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const analysis = analysisReviewService.review(parseId(req.params.id), req.user.organizationId, value, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Review saved as version ${analysis.review.version}`,
+      data: analysis
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// GET /api/analyses/:id/export - Download one analysis as COCO, VOC or YOLO annotations (supervisor)
+router.get("/:id/export", requireRole("supervisor"), async (req, res) => {
+  try {
+    const { error, value } = exportAnalysisSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const id = parseId(req.params.id);
+    const analysis = id ? analysisHistoryService.get(id, req.user.organizationId) : null;
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis not found"
+      });
+    }
+
+    const archive = await annotationExchangeService.export([analysis], {
+      format: value.format,
+      includeImages: value.images,
+      minConfidence: value.minConfidence
+    });
+    sendArchive(res, archive, `safetysnap-analysis-${analysis.id}-${value.format}.zip`);
+  } catch (err) {
+    console.error('Export error:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message || "Export failed"
+    });
+  }
+});
+
+// GET /api/analyses/:id/report - Download a PDF inspection report (supervisor)
+router.get("/:id/report", requireRole("supervisor"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const analysis = Number.isInteger(id) ? analysisHistoryService.get(id, req.user.organizationId) : null;
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis not found"
+      });
+    }
+
+    const environment = environmentService.get(analysis.workEnvironment, req.user.organizationId);
+    const pdf = await reportService.generate(analysis, environment);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="safetysnap-report-${analysis.id}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error('Report error:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message || "Report generation failed"
+    });
+  }
+});
+
+export { listAnalysesSchema, legalHoldSchema, reviewSchema, exportAnalysesSchema, exportAnalysisSchema, importAnnotationsSchema };
+export default router;
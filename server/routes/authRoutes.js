@@ -0,0 +1,127 @@
+// backend/routes/authRoutes.js
+import express from "express";
+import Joi from "joi";
+import AuthService from "../services/authService.js";
+import { getDb } from "../db/database.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+const authService = new AuthService();
+
+// Validation schemas
+const usernameSchema = Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).min(3).max(50)
+  .messages({ 'string.pattern.base': '"username" may only contain letters, numbers, ".", "-" and "_"' });
+
+const registerSchema = Joi.object({
+  organizationName: Joi.string().trim().max(100).required(),
+  username: usernameSchema.required(),
+  password: Joi.string().min(8).max(128).required()
+});
+
+const loginSchema = Joi.object({
+  username: Joi.string().required(),
+  password: Joi.string().required()
+});
+
+// Paths browsers load without an Authorization header: uploaded files and job event streams.
+// Several at once, so a page of thumbnails costs one request.
+const MAX_LINKS = 100;
+const linkSchema = Joi.object({
+  paths: Joi.array().items(
+    Joi.string().pattern(/^\/(uploads\/[^/?#]+|api\/jobs\/[^/?#]+\/events)$/)
+      .messages({ 'string.pattern.base': '"paths" may only contain uploaded files (/uploads/...) and job event streams (/api/jobs/.../events)' })
+  ).min(1).max(MAX_LINKS).required()
+});
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+// Self-service sign-up can be closed with ALLOW_REGISTRATION=false once the first organization exists
+function registrationOpen() {
+  if (process.env.ALLOW_REGISTRATION !== 'false') return true;
+  return getDb().prepare('SELECT COUNT(*) AS count FROM organizations').get().count === 0;
+}
+
+// POST /api/auth/register - Create an organization and its admin account
+router.post("/register", (req, res) => {
+  try {
+    if (!registrationOpen()) {
+      return res.status(403).json({
+        success: false,
+        message: "Registration is closed. Ask an admin of your organization for an account."
+      });
+    }
+
+    const { error, value } = registerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created",
+      data: authService.register(value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/auth/login - Exchange username and password for a JWT
+router.post("/login", (req, res) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Logged in",
+      data: authService.login(value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/auth/me - Current user and organization
+router.get("/me", authenticate(), (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// POST /api/auth/links - Short-lived URLs of files or event streams, for <img>, <video> and EventSource
+router.post("/links", authenticate(), (req, res) => {
+  const { error, value } = linkSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: value.paths.map(linkPath => authService.createLinkToken(req.user, linkPath))
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+export { registerSchema, loginSchema, linkSchema };
+export default router;
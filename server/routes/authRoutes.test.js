@@ -0,0 +1,60 @@
+// Auth routes tests - links for several files in one request
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import AuthService from '../services/authService.js';
+import authRoutes from './authRoutes.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'auth-routes-test-secret';
+
+describe('POST /api/auth/links', () => {
+  const authService = new AuthService();
+  let server;
+  let baseUrl;
+  let session;
+
+  const createLinks = (body) => fetch(`${baseUrl}/api/auth/links`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.token}` },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    session = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    closeDb();
+  });
+
+  test('returns one link per path, in order', async () => {
+    const paths = ['/uploads/image-2.jpg', '/uploads/image-1.jpg', '/api/jobs/abc/events'];
+    const response = await createLinks({ paths });
+    const { data } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(data.map(link => link.url.split('?')[0]), paths);
+    data.forEach((link, index) => {
+      assert.equal(authService.verifyLinkToken(link.token, paths[index]).username, 'alice');
+    });
+  });
+
+  test('rejects other paths, empty lists and more than 100 paths', async () => {
+    assert.equal((await createLinks({ paths: ['/uploads/image-1.jpg', '/api/analyses'] })).status, 400);
+    assert.equal((await createLinks({ paths: [] })).status, 400);
+    assert.equal((await createLinks({ path: '/uploads/image-1.jpg' })).status, 400);
+
+    const paths = Array.from({ length: 101 }, (_, index) => `/uploads/image-${index}.jpg`);
+    assert.equal((await createLinks({ paths })).status, 400);
+  });
+});
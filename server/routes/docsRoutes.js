@@ -0,0 +1,22 @@
+// backend/routes/docsRoutes.js
+import express from "express";
+import swaggerUi from "swagger-ui-express";
+import { buildOpenApiSpec } from "../openapi/index.js";
+
+const router = express.Router();
+
+// GET /api/openapi.json - OpenAPI 3 document of the API
+router.get("/openapi.json", (req, res) => {
+  res.json(buildOpenApiSpec());
+});
+
+// GET /api/docs - Interactive API documentation; "Authorize" takes a token from /api/auth/login
+router.use("/docs", swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: "SafetySnap API",
+  swaggerOptions: {
+    url: "/api/openapi.json",
+    persistAuthorization: true
+  }
+}));
+
+export default router;
@@ -0,0 +1,159 @@
+// backend/routes/environmentRoutes.js
+import express from "express";
+import Joi from "joi";
+import EnvironmentService from "../services/environmentService.js";
+import { PPE_CATEGORIES } from "../services/ppeCatalog.js";
+import { requireRole } from "../middleware/auth.js";
+
+const router = express.Router();
+const environmentService = new EnvironmentService();
+
+// Validation schemas
+const requiredCategoriesSchema = Joi.array()
+  .items(Joi.string().valid(...PPE_CATEGORIES))
+  .min(1)
+  .unique();
+
+const createEnvironmentSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).max(50).required()
+    .messages({ 'string.pattern.base': '"id" may only contain lowercase letters, numbers, "-" and "_"' }),
+  label: Joi.string().trim().max(100).required(),
+  description: Joi.string().allow('').max(500).optional(),
+  requiredCategories: requiredCategoriesSchema.required()
+});
+
+const updateEnvironmentSchema = Joi.object({
+  label: Joi.string().trim().max(100),
+  description: Joi.string().allow('').max(500),
+  requiredCategories: requiredCategoriesSchema
+}).min(1);
+
+// Confidence band per category: uncertain between reject and accept
+const thresholdSchema = Joi.object({
+  accept: Joi.number().greater(0).max(1).required(),
+  reject: Joi.number().min(0).max(Joi.ref('accept')).required()
+    .messages({ 'number.max': '"reject" must not be greater than "accept"' })
+});
+
+const thresholdsSchema = Joi.object({
+  thresholds: Joi.object(Object.fromEntries(PPE_CATEGORIES.map(category => [category, thresholdSchema]))).required()
+});
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+// GET /api/environments - List built-in and custom work environments
+router.get("/", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: environmentService.list(req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/environments/:id - Get a single work environment
+router.get("/:id", (req, res) => {
+  try {
+    const environment = environmentService.get(req.params.id, req.user.organizationId);
+    if (!environment) {
+      return res.status(404).json({
+        success: false,
+        message: "Work environment not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: environment
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/environments - Create a custom work environment (admin)
+router.post("/", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = createEnvironmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Work environment created",
+      data: environmentService.create(req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/environments/:id - Update a custom work environment (admin)
+router.put("/:id", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = updateEnvironmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Work environment updated",
+      data: environmentService.update(req.user.organizationId, req.params.id, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/environments/:id/thresholds - Set the organization's confidence thresholds for a built-in or custom work environment (admin)
+router.put("/:id/thresholds", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = thresholdsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Confidence thresholds updated",
+      data: environmentService.setThresholds(req.user.organizationId, req.params.id, value.thresholds)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// DELETE /api/environments/:id - Delete a custom work environment (admin)
+router.delete("/:id", requireRole("admin"), (req, res) => {
+  try {
+    environmentService.remove(req.user.organizationId, req.params.id);
+
+    res.json({
+      success: true,
+      message: "Work environment deleted"
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+export { createEnvironmentSchema, updateEnvironmentSchema, thresholdsSchema };
+export default router;
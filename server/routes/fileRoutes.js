@@ -0,0 +1,42 @@
+// backend/routes/fileRoutes.js
+import express from "express";
+import path from "path";
+import FileRegistryService from "../services/fileRegistryService.js";
+import { getStorage } from "../services/storage/index.js";
+
+const router = express.Router();
+const fileRegistryService = new FileRegistryService();
+
+// GET /uploads/:filename - Serve an uploaded file to members of the owning organization
+router.get("/:filename", async (req, res) => {
+  try {
+    const filename = path.basename(req.params.filename);
+    const storage = getStorage();
+
+    if (!fileRegistryService.get(filename, req.user.organizationId) || !await storage.exists(filename)) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found"
+      });
+    }
+
+    // Bucket files are fetched straight from storage through a short-lived presigned URL
+    const url = await storage.getDownloadUrl(filename);
+    if (url) {
+      res.set('Cache-Control', 'no-store');
+      return res.redirect(302, url);
+    }
+
+    // The client is served from another origin, so helmet's same-origin resource policy is relaxed for files
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.sendFile(path.resolve(storage.localPath(filename)));
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+export default router;
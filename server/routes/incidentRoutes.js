@@ -0,0 +1,262 @@
+// backend/routes/incidentRoutes.js
+import express from "express";
+import Joi from "joi";
+import IncidentService, { IncidentError, INCIDENT_SEVERITIES, INCIDENT_STATUSES } from "../services/incidentService.js";
+import { requireRole, hasRole } from "../middleware/auth.js";
+
+const router = express.Router();
+const incidentService = new IncidentService();
+
+const SORT_KEYS = ['createdAt', 'updatedAt', 'dueDate', 'severity'];
+
+// Validation schemas
+// Dates that don't exist (2025-02-31) fail to round-trip through Date
+const dueDateSchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      return helpers.error('date.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'string.pattern.base': '"dueDate" must be a date in the format YYYY-MM-DD',
+    'date.invalid': '"dueDate" must be a valid date'
+  })
+  .description('YYYY-MM-DD');
+
+const listIncidentsSchema = Joi.object({
+  status: Joi.string().valid(...INCIDENT_STATUSES),
+  active: Joi.boolean().description('Only incidents that are not verified yet (true) or only verified ones (false)'),
+  severity: Joi.string().valid(...INCIDENT_SEVERITIES),
+  assigneeId: Joi.number().integer().min(1),
+  analysisId: Joi.number().integer().min(1),
+  siteId: Joi.number().integer().min(1),
+  overdue: Joi.boolean().description('Only incidents past (true) or not past (false) their due date that are open or in progress'),
+  sort: Joi.string().valid(...SORT_KEYS).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const createIncidentSchema = Joi.object({
+  analysisId: Joi.number().integer().min(1).required(),
+  title: Joi.string().trim().max(200).description('Defaults to the PPE categories missing from the analysis'),
+  description: Joi.string().allow('').max(2000),
+  severity: Joi.string().valid(...INCIDENT_SEVERITIES).default('medium'),
+  assigneeId: Joi.number().integer().min(1).allow(null),
+  dueDate: dueDateSchema
+});
+
+const updateIncidentSchema = Joi.object({
+  title: Joi.string().trim().max(200),
+  description: Joi.string().allow('').max(2000),
+  severity: Joi.string().valid(...INCIDENT_SEVERITIES),
+  assigneeId: Joi.number().integer().min(1).allow(null),
+  dueDate: dueDateSchema
+}).min(1);
+
+const incidentStatusSchema = Joi.object({
+  status: Joi.string().valid(...INCIDENT_STATUSES.filter(status => status !== 'open')).required(),
+  comment: Joi.string().trim().max(2000).allow('')
+});
+
+const verificationSchema = Joi.object({
+  analysisId: Joi.number().integer().min(1).required()
+    .description('Analysis of a follow-up photo that shows the violation was corrected')
+});
+
+const commentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required()
+});
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+// Supervisors see every incident of the organization; inspectors only those assigned to them
+function getVisibleIncident(req) {
+  const incident = incidentService.get(parseId(req.params.id), req.user.organizationId);
+  if (!hasRole(req.user, "supervisor") && incident.assignee?.id !== req.user.id) {
+    throw new IncidentError("Incident not found", 404);
+  }
+  return incident;
+}
+
+// GET /api/incidents - List incidents with filtering, sorting and pagination (inspectors see their own)
+router.get("/", (req, res) => {
+  try {
+    const { error, value } = listIncidentsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    if (!hasRole(req.user, "supervisor")) {
+      value.assigneeId = req.user.id;
+    }
+
+    const { items, pagination } = incidentService.list({ ...value, organizationId: req.user.organizationId });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/incidents/assignees - Users an incident can be assigned to (supervisor)
+router.get("/assignees", requireRole("supervisor"), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: incidentService.listAssignees(req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/incidents - Open an incident for a non-compliant analysis (supervisor)
+router.post("/", requireRole("supervisor"), (req, res) => {
+  try {
+    const { error, value } = createIncidentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Incident opened",
+      data: incidentService.create(req.user.organizationId, value, req.user)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/incidents/:id - Get an incident with its comments and status changes
+router.get("/:id", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getVisibleIncident(req)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/incidents/:id - Change title, description, severity, assignee or due date (supervisor)
+router.put("/:id", requireRole("supervisor"), (req, res) => {
+  try {
+    const { error, value } = updateIncidentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Incident updated",
+      data: incidentService.update(parseId(req.params.id), req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/incidents/:id/status - Move the incident along its workflow (assignee or supervisor)
+// open → in_progress → resolved → verified; only supervisors verify, and resolved can go back to in_progress.
+router.post("/:id/status", (req, res) => {
+  try {
+    const { error, value } = incidentStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    getVisibleIncident(req);
+    if (value.status === "verified" && !hasRole(req.user, "supervisor")) {
+      return res.status(403).json({
+        success: false,
+        message: "Verifying an incident requires the supervisor role"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Incident status changed",
+      data: incidentService.changeStatus(parseId(req.params.id), req.user.organizationId, value, req.user)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/incidents/:id/verification - Link the analysis of a follow-up photo (assignee or supervisor)
+router.put("/:id/verification", (req, res) => {
+  try {
+    const { error, value } = verificationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    getVisibleIncident(req);
+
+    res.json({
+      success: true,
+      message: "Verification analysis linked",
+      data: incidentService.setVerificationAnalysis(parseId(req.params.id), req.user.organizationId, value.analysisId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/incidents/:id/comments - Add a comment (assignee or supervisor)
+router.post("/:id/comments", (req, res) => {
+  try {
+    const { error, value } = commentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    getVisibleIncident(req);
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added",
+      data: incidentService.addComment(parseId(req.params.id), req.user.organizationId, value.body, req.user)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+export {
+  listIncidentsSchema, createIncidentSchema, updateIncidentSchema, incidentStatusSchema, verificationSchema, commentSchema
+};
+export default router;
@@ -0,0 +1,70 @@
+// backend/routes/jobRoutes.js
+import express from "express";
+import AnalysisJobService, { isFinished } from "../services/analysisJobService.js";
+
+const router = express.Router();
+const analysisJobService = new AnalysisJobService();
+
+// Comment lines keep idle event streams open through proxies
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+// GET /api/jobs/:id - Status, last completed stage and (once succeeded) result of an analysis job
+router.get("/:id", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: analysisJobService.get(req.params.id, req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/jobs/:id/events - Server-Sent Events stream of the job
+// Sends the current job as a "job" event, then again on every change; the stream ends once the job has finished.
+router.get("/:id/events", (req, res) => {
+  let job;
+  try {
+    job = analysisJobService.get(req.params.id, req.user.organizationId);
+  } catch (err) {
+    return handleError(res, err);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = current => {
+    res.write(`event: job\ndata: ${JSON.stringify(current)}\n\n`);
+    if (isFinished(current)) {
+      res.end();
+    }
+  };
+
+  if (isFinished(job)) {
+    return send(job);
+  }
+
+  const unsubscribe = analysisJobService.subscribe(job.id, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  });
+
+  // Re-read after subscribing so an update in between isn't missed
+  send(analysisJobService.get(job.id, req.user.organizationId));
+});
+
+export default router;
@@ -0,0 +1,116 @@
+// Job routes tests - job status and its Server-Sent Events stream
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import AuthService from '../services/authService.js';
+import AnalysisJobService from '../services/analysisJobService.js';
+import jobRoutes from './jobRoutes.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+// The "job" events of a stream until the server ends it
+async function readEvents(response, onEvent = () => {}) {
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffered.indexOf('\n\n')) !== -1) {
+      const message = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      const data = message.match(/^event: job\ndata: (.*)$/);
+      if (data) {
+        events.push(JSON.parse(data[1]));
+        onEvent(events.at(-1));
+      }
+    }
+  }
+  return events;
+}
+
+describe('job routes', () => {
+  const service = new AnalysisJobService();
+  let server;
+  let baseUrl;
+  let acme;
+  let globex;
+  let user;
+
+  before(async () => {
+    const authService = new AuthService();
+    acme = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user;
+    globex = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user;
+    user = acme;
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api/jobs', jobRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    closeDb();
+  });
+
+  test('returns the job of the organization', async () => {
+    const job = service.create({ organizationId: acme.organizationId, originalName: 'site.jpg' });
+
+    const response = await fetch(`${baseUrl}/api/jobs/${job.id}`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.originalName, 'site.jpg');
+
+    user = globex;
+    try {
+      assert.equal((await fetch(`${baseUrl}/api/jobs/${job.id}`)).status, 404);
+      assert.equal((await fetch(`${baseUrl}/api/jobs/${job.id}/events`)).status, 404);
+    } finally {
+      user = acme;
+    }
+  });
+
+  test('streams every update and ends once the job has finished', async () => {
+    const job = service.create({ organizationId: acme.organizationId });
+    const response = await fetch(`${baseUrl}/api/jobs/${job.id}/events`);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    // Move the job on each time the client has seen the previous update
+    const next = [
+      () => service.update(job.id, { status: 'running' }),
+      () => service.update(job.id, { stage: 'preprocessed' }),
+      () => service.update(job.id, { stage: 'detected' }),
+      () => service.update(job.id, { stage: 'scored' }),
+      () => service.update(job.id, { status: 'succeeded', result: { complianceScore: 100 } })
+    ];
+    const events = await readEvents(response, () => next.shift()?.());
+
+    assert.deepEqual(events.map(event => [event.status, event.stage]), [
+      ['queued', 'stored'],
+      ['running', 'stored'],
+      ['running', 'preprocessed'],
+      ['running', 'detected'],
+      ['running', 'scored'],
+      ['succeeded', 'scored']
+    ]);
+    assert.deepEqual(events.at(-1).result, { complianceScore: 100 });
+  });
+
+  test('sends a finished job once and ends the stream', async () => {
+    const job = service.create({ organizationId: acme.organizationId });
+    service.update(job.id, { status: 'failed', error: 'Analysis was interrupted by a server restart. Please upload again.' });
+
+    const events = await readEvents(await fetch(`${baseUrl}/api/jobs/${job.id}/events`));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].status, 'failed');
+    assert.match(events[0].error, /server restart/);
+  });
+});
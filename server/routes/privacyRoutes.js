@@ -0,0 +1,88 @@
+// backend/routes/privacyRoutes.js
+import express from "express";
+import Joi from "joi";
+import PrivacyService from "../services/privacyService.js";
+import RetentionService from "../services/retentionService.js";
+import FileRegistryService from "../services/fileRegistryService.js";
+import ImagePreprocessingService from "../services/imagePreprocessingService.js";
+import { requireRole } from "../middleware/auth.js";
+
+const router = express.Router();
+const privacyService = new PrivacyService();
+const retentionService = new RetentionService({
+  privacyService,
+  fileRegistryService: new FileRegistryService(),
+  imagePreprocessingService: new ImagePreprocessingService()
+});
+
+// Validation schemas
+// null removes a retention limit
+const updateSettingsSchema = Joi.object({
+  anonymizeFaces: Joi.boolean(),
+  retention: Joi.object({
+    maxAgeDays: Joi.number().integer().min(1).max(36500).allow(null),
+    maxTotalSizeMb: Joi.number().integer().min(1).allow(null)
+  }).min(1)
+}).min(1);
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+// Privacy settings apply to the whole organization
+router.use(requireRole("admin"));
+
+// GET /api/privacy - Face anonymization and retention settings of the organization
+router.get("/", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: privacyService.getSettings(req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/privacy - Update face anonymization and retention settings
+router.put("/", (req, res) => {
+  try {
+    const { error, value } = updateSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Privacy settings updated",
+      data: privacyService.updateSettings(req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/privacy/retention/sweep - Apply the retention policy now instead of waiting for the scheduled sweep
+router.post("/retention/sweep", async (req, res) => {
+  try {
+    const { retention } = privacyService.getSettings(req.user.organizationId);
+    const result = await retentionService.sweepOrganization({ organizationId: req.user.organizationId, ...retention });
+
+    res.json({
+      success: true,
+      message: `Retention sweep deleted ${result.deleted.length} file(s)`,
+      data: result
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+export { updateSettingsSchema };
+export default router;
@@ -0,0 +1,207 @@
+// backend/routes/siteRoutes.js
+import express from "express";
+import Joi from "joi";
+import SiteService from "../services/siteService.js";
+import EnvironmentService from "../services/environmentService.js";
+import { PPE_CATEGORIES } from "../services/ppeCatalog.js";
+import { requireRole } from "../middleware/auth.js";
+
+const router = express.Router();
+const siteService = new SiteService();
+const environmentService = new EnvironmentService();
+
+// Validation schemas
+const workEnvironmentSchema = Joi.string().max(50).allow(null).custom((value, helpers) => {
+  if (!environmentService.exists(value, helpers.prefs.context.organizationId)) {
+    return helpers.message(`Unknown work environment "${value}"`);
+  }
+  return value;
+});
+
+// null clears a zone override so the zone falls back to its work environment's requirements
+const requiredCategoriesSchema = Joi.array()
+  .items(Joi.string().valid(...PPE_CATEGORIES))
+  .min(1)
+  .unique()
+  .allow(null);
+
+const createSiteSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().allow('').max(500).optional(),
+  defaultEnvironment: workEnvironmentSchema.optional()
+});
+
+const updateSiteSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow('').max(500),
+  defaultEnvironment: workEnvironmentSchema
+}).min(1);
+
+const createZoneSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().allow('').max(500).optional(),
+  workEnvironment: workEnvironmentSchema.optional(),
+  requiredCategories: requiredCategoriesSchema.optional()
+});
+
+const updateZoneSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow('').max(500),
+  workEnvironment: workEnvironmentSchema,
+  requiredCategories: requiredCategoriesSchema
+}).min(1);
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+function validate(schema, req) {
+  return schema.validate(req.body, { context: { organizationId: req.user.organizationId } });
+}
+
+// GET /api/sites - List the organization's sites with their zones
+router.get("/", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: siteService.list(req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/sites/:id - Get a site with its zones
+router.get("/:id", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: siteService.get(parseId(req.params.id), req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/sites - Create a site (admin)
+router.post("/", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = validate(createSiteSchema, req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Site created",
+      data: siteService.create(req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/sites/:id - Update a site (admin)
+router.put("/:id", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = validate(updateSiteSchema, req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Site updated",
+      data: siteService.update(parseId(req.params.id), req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// DELETE /api/sites/:id - Delete a site and its zones (admin)
+router.delete("/:id", requireRole("admin"), (req, res) => {
+  try {
+    siteService.remove(parseId(req.params.id), req.user.organizationId);
+
+    res.json({
+      success: true,
+      message: "Site deleted"
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/sites/:id/zones - Add a zone to a site (admin)
+router.post("/:id/zones", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = validate(createZoneSchema, req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Zone created",
+      data: siteService.createZone(parseId(req.params.id), req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/sites/:id/zones/:zoneId - Update a zone (admin)
+router.put("/:id/zones/:zoneId", requireRole("admin"), (req, res) => {
+  try {
+    const { error, value } = validate(updateZoneSchema, req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Zone updated",
+      data: siteService.updateZone(parseId(req.params.id), parseId(req.params.zoneId), req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// DELETE /api/sites/:id/zones/:zoneId - Delete a zone (admin)
+router.delete("/:id/zones/:zoneId", requireRole("admin"), (req, res) => {
+  try {
+    siteService.removeZone(parseId(req.params.id), parseId(req.params.zoneId), req.user.organizationId);
+
+    res.json({
+      success: true,
+      message: "Zone deleted"
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+export { createSiteSchema, updateSiteSchema, createZoneSchema, updateZoneSchema };
+export default router;
@@ -0,0 +1,80 @@
+// backend/routes/statsRoutes.js
+import express from "express";
+import Joi from "joi";
+import StatsService, { STATS_INTERVALS } from "../services/statsService.js";
+import { requireRole } from "../middleware/auth.js";
+
+const router = express.Router();
+const statsService = new StatsService();
+
+// Validation schemas
+const statsSchema = Joi.object({
+  interval: Joi.string().valid(...STATS_INTERVALS).default('day'),
+  from: Joi.date().iso().raw(),
+  to: Joi.date().iso().raw().description('Inclusive; a date without a time includes that whole day (UTC)'),
+  environment: Joi.string().max(50),
+  siteId: Joi.number().integer().min(1),
+  zoneId: Joi.number().integer().min(1)
+});
+
+const exportSchema = statsSchema.keys({
+  format: Joi.string().valid('csv', 'json').default('csv')
+});
+
+// Statistics are part of reviewing the organization's history
+router.use(requireRole("supervisor"));
+
+// GET /api/stats - Compliance aggregates per day, week or month, broken down by work environment
+router.get("/", (req, res) => {
+  try {
+    const { error, value } = statsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statsService.getStats({ ...value, organizationId: req.user.organizationId })
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// GET /api/stats/export - Download the same aggregates as CSV or JSON
+router.get("/export", (req, res) => {
+  try {
+    const { error, value } = exportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { format, ...query } = value;
+    const stats = statsService.getStats({ ...query, organizationId: req.user.organizationId });
+    const filename = `safetysnap-stats-${stats.interval}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(statsService.toCsv(stats));
+    } else {
+      res.type('application/json').send(JSON.stringify(stats, null, 2));
+    }
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+export { statsSchema, exportSchema };
+export default router;
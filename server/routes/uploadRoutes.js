@@ -3,16 +3,52 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
 import Joi from "joi";
 import PPEAnalysisService from "../services/ppeAnalysisService.js";
+import EnvironmentService from "../services/environmentService.js";
+import AnalysisHistoryService from "../services/analysisHistoryService.js";
+import FileRegistryService from "../services/fileRegistryService.js";
+import WebhookService from "../services/webhookService.js";
+import SiteService from "../services/siteService.js";
+import BatchAnalysisService, { MAX_BATCH_IMAGES } from "../services/batchAnalysisService.js";
+import AnnotationService, { OUTPUT_FORMATS } from "../services/annotationService.js";
+import VideoAnalysisService, { MAX_SAMPLE_RATE } from "../services/videoAnalysisService.js";
+import ImagePreprocessingService, { CONVERTED_EXTENSIONS } from "../services/imagePreprocessingService.js";
+import PrivacyService from "../services/privacyService.js";
+import AnalysisJobService from "../services/analysisJobService.js";
+import { getStorage, UPLOAD_PATH } from "../services/storage/index.js";
+import { CATEGORY_COLORS } from "../services/ppeCatalog.js";
+import { requireRole } from "../middleware/auth.js";
+import { receiveFiles, limitedDiskStorage } from "../middleware/upload.js";
 
 const router = express.Router();
-const ppeAnalysisService = new PPEAnalysisService();
+const environmentService = new EnvironmentService();
+const ppeAnalysisService = new PPEAnalysisService({ environmentService });
+const analysisHistoryService = new AnalysisHistoryService({ webhookService: new WebhookService() });
+const fileRegistryService = new FileRegistryService();
+const siteService = new SiteService();
+const imagePreprocessingService = new ImagePreprocessingService();
+const privacyService = new PrivacyService();
+const batchAnalysisService = new BatchAnalysisService({ ppeAnalysisService, analysisHistoryService, fileRegistryService, imagePreprocessingService });
+const annotationService = new AnnotationService();
+const videoAnalysisService = new VideoAnalysisService({ ppeAnalysisService, analysisHistoryService, fileRegistryService, imagePreprocessingService });
+const analysisJobService = new AnalysisJobService();
+// Batches have their own queue so a large one doesn't hold up single images and camera checks
+const batchJobService = new AnalysisJobService({ concurrency: 1 });
 
-// ensure uploads folder exists
-const uploadPath = "uploads";
+// Uploads are written to the local working folder first and moved to storage once analyzed
+const uploadPath = UPLOAD_PATH;
 if (!fs.existsSync(uploadPath)) fs.mkdirSync(uploadPath);
 
+// Rejected uploads carry the HTTP status to answer with
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
 // Configure multer with file validation
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadPath),
@@ -22,13 +58,14 @@ const storage = multer.diskStorage({
   },
 });
 
-// File filter for images only
+// File filter for images only. HEIC/HEIF and AVIF are converted by ImagePreprocessingService;
+// browsers often send them as application/octet-stream, so their extension is accepted too.
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-  if (allowedTypes.includes(file.mimetype)) {
+  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif'];
+  if (allowedTypes.includes(file.mimetype) || CONVERTED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only JPEG, PNG, and WebP images are allowed.'), false);
+    cb(new UploadError('Invalid file type. Only JPEG, PNG, WebP, HEIC/HEIF and AVIF images are allowed.', 415), false);
   }
 };
 
@@ -41,13 +78,203 @@ const upload = multer({
   }
 });
 
+// Batch uploads accept many images or one ZIP archive of images. Each request writes into its own
+// folder under uploads/.batches, which the batch job removes once it has analyzed the files.
+const zipTypes = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+const MAX_ZIP_SIZE = 200 * 1024 * 1024; // 200MB
+const MAX_BATCH_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB, same as single uploads
+const batchesPath = path.join(uploadPath, '.batches');
+
+const isZipUpload = file => zipTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+
+const batchFileFilter = (req, file, cb) => {
+  if (!isZipUpload(file)) return fileFilter(req, file, cb);
+  if (req.batchHasZip) {
+    return cb(new UploadError('Only one ZIP archive can be uploaded per batch.'), false);
+  }
+  req.batchHasZip = true;
+  cb(null, true);
+};
+
+function batchFolder(req) {
+  if (!req.batchPath) {
+    req.batchPath = path.join(batchesPath, crypto.randomUUID());
+    fs.mkdirSync(req.batchPath, { recursive: true });
+  }
+  return req.batchPath;
+}
+
+function removeBatchFolder(req) {
+  if (req.batchPath) fs.rmSync(req.batchPath, { recursive: true, force: true });
+}
+
+// Sizes are enforced while the files stream in: the ZIP up to 200MB, images up to 10MB each,
+// and all files of the request together up to 200MB
+const batchUpload = multer({
+  storage: limitedDiskStorage({
+    destination: batchFolder,
+    filename: (req, file) => `${file.fieldname}-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname)}`,
+    maxFileSize: file => (isZipUpload(file) ? MAX_ZIP_SIZE : MAX_BATCH_IMAGE_SIZE),
+    maxTotalSize: MAX_ZIP_SIZE
+  }),
+  fileFilter: batchFileFilter,
+  limits: {
+    files: MAX_BATCH_IMAGES
+  }
+});
+
+// Video clips for frame-sampled analysis
+const videoFileFilter = (req, file, cb) => {
+  const allowedTypes = ['video/mp4', 'video/webm'];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new UploadError('Invalid file type. Only MP4 and WebM videos are allowed.', 415), false);
+  }
+};
+
+const videoUpload = multer({
+  storage,
+  fileFilter: videoFileFilter,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit
+    files: 1
+  }
+});
+
 // Validation schemas
+// Work environments can be built-in or custom to the user's organization, so existence is
+// checked against EnvironmentService with the organization passed in the validation context
+const workEnvironmentSchema = Joi.string().max(50).custom((value, helpers) => {
+  if (!environmentService.exists(value, helpers.prefs.context.organizationId)) {
+    return helpers.message(`Unknown work environment "${value}"`);
+  }
+  return value;
+}).description('Id of a built-in or organization work environment; defaults to the zone\'s, then the site\'s environment');
+
+// Uploads can be tagged with a site and zone of the organization; a zone implies its site
+const locationKeys = {
+  siteId: Joi.number().integer().min(1).description('Site to tag the analysis with'),
+  zoneId: Joi.number().integer().min(1).description('Zone to tag the analysis with; its PPE requirements apply')
+};
+
 const analysisSchema = Joi.object({
-  workEnvironment: Joi.string().valid('construction', 'manufacturing', 'laboratory', 'healthcare', 'general').optional()
+  workEnvironment: workEnvironmentSchema.optional(),
+  ...locationKeys
+});
+
+const videoAnalysisSchema = Joi.object({
+  workEnvironment: workEnvironmentSchema.optional(),
+  ...locationKeys,
+  sampleRate: Joi.number().greater(0).max(MAX_SAMPLE_RATE).default(1).description('Frames per second to analyze')
+});
+
+const annotatedImageSchema = Joi.object({
+  analysisId: Joi.number().integer().min(1).description('Analysis to draw (default: the most recent of the image)'),
+  minConfidence: Joi.number().min(0).max(1).default(0).description('Hide boxes below this confidence'),
+  categories: Joi.string().pattern(new RegExp(`^(${Object.keys(CATEGORY_COLORS).join('|')})(,(${Object.keys(CATEGORY_COLORS).join('|')}))*$`))
+    .messages({ 'string.pattern.base': `"categories" must be a comma-separated list of: ${Object.keys(CATEGORY_COLORS).join(', ')}` })
+    .description('Comma-separated categories to draw, e.g. person,head_protection'),
+  format: Joi.string().valid(...Object.keys(OUTPUT_FORMATS)).default('jpeg')
+});
+
+const analyzeExistingSchema = Joi.object({
+  filename: Joi.string().required().messages({ 'any.required': 'Filename is required' }).description('Name of an uploaded image'),
+  workEnvironment: workEnvironmentSchema.optional(),
+  ...locationKeys
 });
 
-// POST /api/upload - Upload and analyze image
-router.post("/", upload.single("image"), async (req, res) => {
+// Uploaded files and analyses belong to the user's organization
+function ownerOf(req) {
+  return { organizationId: req.user.organizationId, userId: req.user.id };
+}
+
+function validationContext(req) {
+  return { context: { organizationId: req.user.organizationId } };
+}
+
+// Site/zone of a validated request and the work environment to analyze under: the requested one,
+// else the zone's, else the site's default. Unknown site or zone ids throw a SiteError (400).
+function resolveTarget(req, value) {
+  const location = siteService.resolveLocation(value, req.user.organizationId);
+  const { id: workEnvironment } = ppeAnalysisService.getRequirements(value.workEnvironment, req.user.organizationId, location);
+  return { location, workEnvironment };
+}
+
+// Whether the organization blurs faces in stored images
+function shouldAnonymize(req) {
+  return privacyService.getSettings(req.user.organizationId).anonymizeFaces;
+}
+
+// Normalize, analyze and store an uploaded image; runs as an analysis job that reports each stage
+async function analyzeUpload({ file, location, workEnvironment, anonymize, owner }, progress) {
+  let normalized = null;
+  try {
+    // Orient, convert and downscale the upload; the stored file may get a new extension
+    normalized = await imagePreprocessingService.normalize(file.path);
+    progress('preprocessed');
+    const { filename } = normalized;
+
+    console.log(`Analyzing image: ${filename}`);
+
+    // Perform PPE analysis
+    const analysisResult = await ppeAnalysisService.analyzeImage(normalized.path, {
+      workEnvironment,
+      organizationId: owner.organizationId,
+      location,
+      original: normalized.original,
+      onStage: progress
+    });
+
+    if (!analysisResult.success) {
+      throw new Error(`PPE analysis failed: ${analysisResult.error}`);
+    }
+
+    await imagePreprocessingService.persist(normalized);
+
+    // Analysis ran on the unblurred image; only the stored copy is anonymized
+    if (anonymize) {
+      await imagePreprocessingService.anonymize(filename, analysisResult.analysis.detections);
+    }
+
+    fileRegistryService.register({
+      filename,
+      originalName: file.originalname,
+      originalFile: normalized.originalFile,
+      originalInfo: normalized.original,
+      anonymized: anonymize,
+      ...owner
+    });
+    const record = analysisHistoryService.save({
+      filename,
+      originalName: file.originalname,
+      analysis: analysisResult.analysis,
+      ...owner
+    });
+
+    return {
+      id: record.id,
+      filename,
+      originalName: file.originalname,
+      filePath: `/uploads/${filename}`,
+      anonymized: anonymize,
+      workEnvironment,
+      analysis: analysisResult.analysis
+    };
+  } catch (err) {
+    // Clean up uploaded file on error
+    if (normalized) {
+      await imagePreprocessingService.remove(normalized.filename, normalized.originalFile);
+    } else if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+    throw err;
+  }
+}
+
+// POST /api/upload - Upload an image and queue its analysis (inspector)
+// Responds with the job right away; follow it with GET /api/jobs/:id or its event stream.
+router.post("/", requireRole("inspector"), receiveFiles(upload.single("image"), "10MB"), async (req, res) => {
   try {
     // Validate request
     if (!req.file) {
@@ -57,82 +284,188 @@ router.post("/", upload.single("image"), async (req, res) => {
       });
     }
 
-    const { error } = analysisSchema.validate(req.body);
+    const { error, value } = analysisSchema.validate(req.body, validationContext(req));
     if (error) {
+      fs.unlinkSync(req.file.path);
       return res.status(400).json({ 
         success: false, 
         message: error.details[0].message 
       });
     }
 
-    const imagePath = req.file.path;
-    const workEnvironment = req.body.workEnvironment || 'construction';
+    const { location, workEnvironment } = resolveTarget(req, value);
 
-    console.log(`Analyzing image: ${req.file.filename}`);
+    const job = analysisJobService.create({
+      originalName: req.file.originalname,
+      uploadPath: req.file.path,
+      ...ownerOf(req)
+    });
+    const context = { file: req.file, location, workEnvironment, anonymize: shouldAnonymize(req), owner: ownerOf(req) };
+    analysisJobService.enqueue(job.id, progress => analyzeUpload(context, progress));
 
-    // Perform PPE analysis
-    const analysisResult = await ppeAnalysisService.analyzeImage(imagePath);
+    res.status(202).json({
+      success: true,
+      message: "Image uploaded, analysis queued",
+      data: job
+    });
 
-    if (!analysisResult.success) {
-      return res.status(500).json({
+  } catch (err) {
+    console.error('Upload error:', err);
+    
+    // Clean up uploaded file on error
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(err.status || 500).json({ 
+      success: false, 
+      message: err.message || "Upload failed"
+    });
+  }
+});
+
+// POST /api/upload/batch - Upload many images or a ZIP archive and queue their analysis (inspector)
+// Responds with the job right away; its result is the batch once every image has been analyzed.
+router.post("/batch", requireRole("inspector"), receiveFiles(batchUpload.array("images", MAX_BATCH_IMAGES), "200MB", removeBatchFolder), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      removeBatchFolder(req);
+      return res.status(400).json({
         success: false,
-        message: "PPE analysis failed",
-        error: analysisResult.error
+        message: "No image or ZIP files provided"
+      });
+    }
+
+    const { error, value } = analysisSchema.validate(req.body, validationContext(req));
+    if (error) {
+      removeBatchFolder(req);
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
       });
     }
 
-    // Clean up old files (optional - keep last 100 files)
-    await cleanupOldFiles();
+    const { location, workEnvironment } = resolveTarget(req, value);
+
+    console.log(`Queueing batch of ${req.files.length} file(s)`);
+
+    const job = batchJobService.create({
+      originalName: req.files.length === 1 ? req.files[0].originalname : `${req.files.length} files`,
+      uploadPath: req.batchPath,
+      ...ownerOf(req)
+    });
+    const { files, batchPath } = req;
+    const options = { workEnvironment, location, owner: ownerOf(req), anonymize: shouldAnonymize(req) };
+    batchJobService.enqueue(job.id, async () => {
+      try {
+        return await batchAnalysisService.analyzeBatch(files, options);
+      } finally {
+        fs.rmSync(batchPath, { recursive: true, force: true });
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Batch of ${req.files.length} file(s) uploaded, analysis queued`,
+      data: job
+    });
+
+  } catch (err) {
+    console.error('Batch upload error:', err);
+
+    // Clean up uploaded files on error
+    removeBatchFolder(req);
+
+    res.status(err.status || 500).json({
+      success: false,
+      message: err.message || "Batch upload failed"
+    });
+  }
+});
+
+// POST /api/upload/video - Upload a video clip and analyze sampled frames (inspector)
+router.post("/video", requireRole("inspector"), receiveFiles(videoUpload.single("video"), "100MB"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No video file provided"
+      });
+    }
+
+    const { error, value } = videoAnalysisSchema.validate(req.body, validationContext(req));
+    if (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { location, workEnvironment } = resolveTarget(req, value);
+
+    console.log(`Analyzing video: ${req.file.filename} at ${value.sampleRate} fps`);
+
+    const anonymize = shouldAnonymize(req);
+    const result = await videoAnalysisService.analyzeVideo(req.file, {
+      workEnvironment,
+      sampleRate: value.sampleRate,
+      location,
+      owner: ownerOf(req),
+      anonymize
+    });
+    await videoAnalysisService.keepClip(req.file, ownerOf(req), anonymize);
 
     res.json({
       success: true,
-      message: "Image analyzed successfully",
-      data: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        filePath: `/uploads/${req.file.filename}`,
-        workEnvironment,
-        analysis: analysisResult.analysis
-      }
+      message: `Video analyzed: ${result.summary.framesAnalyzed} frames`,
+      data: result
     });
 
   } catch (err) {
-    console.error('Upload error:', err);
-    
+    console.error('Video upload error:', err);
+
     // Clean up uploaded file on error
     if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
 
-    res.status(500).json({ 
-      success: false, 
-      message: err.message || "Upload failed"
+    res.status(err.status || 500).json({
+      success: false,
+      message: err.message || "Video analysis failed"
     });
   }
 });
 
-// POST /api/upload/analyze - Analyze existing image
-router.post("/analyze", async (req, res) => {
+// POST /api/upload/analyze - Analyze existing image (inspector)
+router.post("/analyze", requireRole("inspector"), async (req, res) => {
   try {
-    const { filename, workEnvironment = 'construction' } = req.body;
-
-    if (!filename) {
+    const { error, value } = analyzeExistingSchema.validate(req.body, validationContext(req));
+    if (error) {
       return res.status(400).json({ 
         success: false, 
-        message: "Filename is required" 
+        message: error.details[0].message 
       });
     }
 
-    const imagePath = path.join(uploadPath, filename);
-    
-    if (!fs.existsSync(imagePath)) {
+    const file = fileRegistryService.get(path.basename(value.filename), req.user.organizationId);
+
+    if (!file || file.kind !== 'image' || !await getStorage().exists(file.filename)) {
       return res.status(404).json({ 
         success: false, 
         message: "Image file not found" 
       });
     }
 
-    const analysisResult = await ppeAnalysisService.analyzeImage(imagePath);
+    const { location, workEnvironment } = resolveTarget(req, value);
+    const analysisResult = await imagePreprocessingService.withAnalysisFile(file.filename, imagePath =>
+      ppeAnalysisService.analyzeImage(imagePath, {
+        workEnvironment,
+        organizationId: req.user.organizationId,
+        location,
+        original: file.originalInfo
+      })
+    );
 
     if (!analysisResult.success) {
       return res.status(500).json({
@@ -142,11 +475,25 @@ router.post("/analyze", async (req, res) => {
       });
     }
 
+    // Re-blur with the new detections, or anonymize an image stored before anonymization was enabled
+    if (file.anonymized || shouldAnonymize(req)) {
+      await imagePreprocessingService.anonymize(file.filename, analysisResult.analysis.detections);
+      fileRegistryService.markAnonymized(file.filename);
+    }
+
+    const record = analysisHistoryService.save({
+      filename: file.filename,
+      originalName: file.originalName,
+      analysis: analysisResult.analysis,
+      ...ownerOf(req)
+    });
+
     res.json({
       success: true,
       message: "Image analyzed successfully",
       data: {
-        filename,
+        id: record.id,
+        filename: file.filename,
         workEnvironment,
         analysis: analysisResult.analysis
       }
@@ -154,32 +501,42 @@ router.post("/analyze", async (req, res) => {
 
   } catch (err) {
     console.error('Analysis error:', err);
-    res.status(500).json({ 
+    res.status(err.status || 500).json({ 
       success: false, 
       message: err.message || "Analysis failed"
     });
   }
 });
 
-// GET /api/upload/files - List uploaded files
-router.get("/files", (req, res) => {
+// GET /api/upload/files - List the organization's uploaded images with their latest analysis (supervisor)
+router.get("/files", requireRole("supervisor"), async (req, res) => {
   try {
-    const files = fs.readdirSync(uploadPath)
-      .filter(file => {
-        const ext = path.extname(file).toLowerCase();
-        return ['.jpg', '.jpeg', '.png', '.webp'].includes(ext);
-      })
+    // One storage listing instead of a lookup per file
+    const sizes = new Map((await getStorage().list()).map(object => [object.key, object.size]));
+    const files = fileRegistryService.list(req.user.organizationId, { kind: 'image' })
+      .filter(file => sizes.has(file.filename))
       .map(file => {
-        const filePath = path.join(uploadPath, file);
-        const stats = fs.statSync(filePath);
+        const latest = analysisHistoryService.getLatestForFilename(file.filename, req.user.organizationId);
         return {
-          filename: file,
-          size: stats.size,
-          createdAt: stats.birthtime,
-          url: `/uploads/${file}`
+          filename: file.filename,
+          originalName: file.originalName,
+          size: sizes.get(file.filename),
+          createdAt: file.createdAt,
+          url: `/uploads/${file.filename}`,
+          anonymized: file.anonymized,
+          latestAnalysis: latest
+            ? {
+              id: latest.id,
+              workEnvironment: latest.workEnvironment,
+              isCompliant: latest.isCompliant,
+              verdict: latest.verdict,
+              complianceScore: latest.complianceScore,
+              personCount: latest.personCount,
+              analyzedAt: latest.analyzedAt
+            }
+            : null
         };
-      })
-      .sort((a, b) => b.createdAt - a.createdAt);
+      });
 
     res.json({
       success: true,
@@ -193,20 +550,111 @@ router.get("/files", (req, res) => {
   }
 });
 
-// DELETE /api/upload/:filename - Delete uploaded file
-router.delete("/:filename", (req, res) => {
+// GET /api/upload/:filename/annotated - Image with detection boxes rendered server-side (supervisor)
+router.get("/:filename/annotated", requireRole("supervisor"), async (req, res) => {
   try {
+    const { error, value } = annotatedImageSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
     const { filename } = req.params;
-    const filePath = path.join(uploadPath, filename);
+    const storage = getStorage();
+
+    if (!fileRegistryService.get(path.basename(filename), req.user.organizationId) || !await storage.exists(path.basename(filename))) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found"
+      });
+    }
+
+    // A specific analysis of this image, or the most recent one
+    const record = value.analysisId
+      ? analysisHistoryService.get(value.analysisId, req.user.organizationId)
+      : analysisHistoryService.getLatestForFilename(path.basename(filename), req.user.organizationId);
+
+    if (!record || record.filename !== path.basename(filename)) {
+      return res.status(404).json({
+        success: false,
+        message: "No analysis found for this image"
+      });
+    }
+
+    const { buffer, contentType } = await annotationService.render(await storage.get(path.basename(filename)), record.analysis.detections, {
+      minConfidence: value.minConfidence,
+      categories: value.categories ? value.categories.split(',') : null,
+      format: value.format
+    });
+
+    res.set('Content-Type', contentType);
+    res.send(buffer);
+  } catch (err) {
+    console.error('Annotation error:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message || "Annotation failed"
+    });
+  }
+});
+
+// GET /api/upload/:filename/original - The untouched upload, with its EXIF/GPS metadata (admin)
+router.get("/:filename/original", requireRole("admin"), async (req, res) => {
+  try {
+    const file = fileRegistryService.get(path.basename(req.params.filename), req.user.organizationId);
+    const key = file?.originalFile && `originals/${file.originalFile}`;
+    const storage = getStorage();
+
+    if (!key || !await storage.exists(key)) {
+      return res.status(404).json({
+        success: false,
+        message: "Original file not found"
+      });
+    }
 
-    if (!fs.existsSync(filePath)) {
+    const downloadName = file.originalName || file.originalFile;
+    const url = await storage.getDownloadUrl(key, { filename: downloadName });
+    if (url) {
+      res.set('Cache-Control', 'no-store');
+      return res.redirect(302, url);
+    }
+    res.download(path.resolve(storage.localPath(key)), downloadName);
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+});
+
+// DELETE /api/upload/:filename - Delete uploaded file (admin)
+router.delete("/:filename", requireRole("admin"), async (req, res) => {
+  try {
+    const filename = path.basename(req.params.filename);
+    const file = fileRegistryService.get(filename, req.user.organizationId);
+    const storage = getStorage();
+    // Clips of anonymizing organizations are only stored as originals
+    const stored = file && (await storage.exists(filename)
+      || (file.originalFile && await storage.exists(`originals/${file.originalFile}`)));
+
+    if (!stored) {
       return res.status(404).json({ 
         success: false, 
         message: "File not found" 
       });
     }
 
-    fs.unlinkSync(filePath);
+    if (analysisHistoryService.hasLegalHold(filename, req.user.organizationId)) {
+      return res.status(409).json({
+        success: false,
+        message: "File is on legal hold. Release the hold on its analyses before deleting it."
+      });
+    }
+
+    await imagePreprocessingService.remove(filename, file.originalFile);
+    fileRegistryService.remove(filename);
     
     res.json({
       success: true,
@@ -220,31 +668,5 @@ router.delete("/:filename", (req, res) => {
   }
 });
 
-// Helper function to clean up old files
-async function cleanupOldFiles() {
-  try {
-    const files = fs.readdirSync(uploadPath)
-      .map(file => {
-        const filePath = path.join(uploadPath, file);
-        const stats = fs.statSync(filePath);
-        return { file, stats };
-      })
-      .sort((a, b) => b.stats.birthtime - a.stats.birthtime);
-
-    // Keep only the last 100 files
-    if (files.length > 100) {
-      const filesToDelete = files.slice(100);
-      filesToDelete.forEach(({ file }) => {
-        const filePath = path.join(uploadPath, file);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`Cleaned up old file: ${file}`);
-        }
-      });
-    }
-  } catch (err) {
-    console.error('Cleanup error:', err);
-  }
-}
-
+export { analysisSchema, videoAnalysisSchema, annotatedImageSchema, analyzeExistingSchema };
 export default router;
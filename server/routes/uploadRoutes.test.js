@@ -0,0 +1,155 @@
+// Upload routes tests - batch uploads and deleting files
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import AuthService from '../services/authService.js';
+import AnalysisHistoryService from '../services/analysisHistoryService.js';
+import FileRegistryService from '../services/fileRegistryService.js';
+import AnalysisJobService from '../services/analysisJobService.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.PPE_DETECTOR = 'fixture';
+
+const analysis = {
+  workEnvironment: 'construction',
+  timestamp: new Date().toISOString(),
+  imageInfo: { width: 100, height: 100 },
+  detections: [],
+  recommendations: [],
+  compliance: { isCompliant: false, verdict: 'non_compliant', complianceScore: 0, missingCategories: ['head_protection'] }
+};
+
+describe('upload routes', () => {
+  const historyService = new AnalysisHistoryService();
+  const registry = new FileRegistryService();
+  let cwd;
+  let dir;
+  let server;
+  let baseUrl;
+  let user;
+
+  // An uploaded image of the organization with one stored analysis
+  function upload(filename) {
+    fs.writeFileSync(path.join(dir, 'uploads', filename), 'image');
+    registry.register({ filename, organizationId: user.organizationId, kind: 'image' });
+    return historyService.save({ filename, analysis, organizationId: user.organizationId });
+  }
+
+  const remove = filename => fetch(`${baseUrl}/api/upload/${filename}`, { method: 'DELETE' });
+
+  // POST /api/upload/batch with the given [name, data, type] files
+  function uploadBatch(files) {
+    const form = new FormData();
+    files.forEach(([name, data, type]) => form.append('images', new Blob([data], { type }), name));
+    return fetch(`${baseUrl}/api/upload/batch`, { method: 'POST', body: form });
+  }
+
+  const batchFolders = () => fs.readdirSync(path.join(dir, 'uploads', '.batches'));
+
+  async function waitForJob(id) {
+    const jobService = new AnalysisJobService();
+    for (;;) {
+      const job = jobService.get(id, user.organizationId);
+      if (job.status === 'succeeded' || job.status === 'failed') return job;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  before(async () => {
+    // Uploads are stored relative to the working directory
+    cwd = process.cwd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-upload-routes-'));
+    process.chdir(dir);
+    const { default: uploadRoutes } = await import('./uploadRoutes.js');
+
+    user = new AuthService().register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user;
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api/upload', uploadRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    closeDb();
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('deletes a file', async () => {
+    upload('image-1.jpg');
+    const response = await remove('image-1.jpg');
+
+    assert.equal(response.status, 200);
+    assert.equal(fs.existsSync(path.join(dir, 'uploads', 'image-1.jpg')), false);
+    assert.equal(registry.get('image-1.jpg', user.organizationId), null);
+  });
+
+  test('keeps a file with an analysis on legal hold', async () => {
+    const record = upload('image-2.jpg');
+    historyService.setLegalHold(record.id, user.organizationId, true);
+    const response = await remove('image-2.jpg');
+
+    assert.equal(response.status, 409);
+    assert.match((await response.json()).message, /legal hold/);
+    assert.equal(fs.existsSync(path.join(dir, 'uploads', 'image-2.jpg')), true);
+    assert.notEqual(registry.get('image-2.jpg', user.organizationId), null);
+
+    historyService.setLegalHold(record.id, user.organizationId, false);
+    assert.equal((await remove('image-2.jpg')).status, 200);
+  });
+
+  test('queues a batch and analyzes it as a job', async () => {
+    const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#808080' } }).jpeg().toBuffer();
+    const response = await uploadBatch([['first.jpg', image, 'image/jpeg'], ['second.jpg', image, 'image/jpeg']]);
+    const { data: queued } = await response.json();
+
+    assert.equal(response.status, 202);
+    assert.equal(queued.status, 'queued');
+
+    const job = await waitForJob(queued.id);
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(job.result.results.map(result => [result.originalName, result.status]), [
+      ['first.jpg', 'completed'],
+      ['second.jpg', 'completed']
+    ]);
+    // The batch folder is gone once its images are stored
+    assert.deepEqual(batchFolders(), []);
+    job.result.results.forEach(result => {
+      assert.equal(fs.existsSync(path.join(dir, 'uploads', result.filename)), true);
+    });
+  });
+
+  test('stops a batch at the first image over 10MB', async () => {
+    const response = await uploadBatch([
+      ['small.jpg', Buffer.from('small'), 'image/jpeg'],
+      ['huge.jpg', Buffer.alloc(11 * 1024 * 1024), 'image/jpeg']
+    ]);
+
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).message, /huge\.jpg is too large\. The maximum size is 10MB/);
+    assert.deepEqual(batchFolders(), []);
+  });
+
+  test('accepts one ZIP archive per batch', async () => {
+    const response = await uploadBatch([
+      ['first.zip', Buffer.from('zip'), 'application/zip'],
+      ['second.zip', Buffer.from('zip'), 'application/zip']
+    ]);
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).message, /one ZIP archive/);
+    assert.deepEqual(batchFolders(), []);
+  });
+});
@@ -0,0 +1,107 @@
+// backend/routes/userRoutes.js
+import express from "express";
+import Joi from "joi";
+import AuthService, { ROLES } from "../services/authService.js";
+import { requireRole } from "../middleware/auth.js";
+
+const router = express.Router();
+const authService = new AuthService();
+
+// Validation schemas
+const createUserSchema = Joi.object({
+  username: Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).min(3).max(50).required()
+    .messages({ 'string.pattern.base': '"username" may only contain letters, numbers, ".", "-" and "_"' }),
+  password: Joi.string().min(8).max(128).required(),
+  role: Joi.string().valid(...ROLES).default('inspector')
+});
+
+const updateUserSchema = Joi.object({
+  role: Joi.string().valid(...ROLES),
+  password: Joi.string().min(8).max(128)
+}).min(1);
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+function parseId(req) {
+  const id = parseInt(req.params.id, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+// Managing accounts is limited to admins of the same organization
+router.use(requireRole("admin"));
+
+// GET /api/users - List users of the organization
+router.get("/", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: authService.listUsers(req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/users - Add a user to the organization
+router.post("/", (req, res) => {
+  try {
+    const { error, value } = createUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "User created",
+      data: authService.createUser(req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/users/:id - Change a user's role or password
+router.put("/:id", (req, res) => {
+  try {
+    const { error, value } = updateUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "User updated",
+      data: authService.updateUser(req.user.organizationId, parseId(req), value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// DELETE /api/users/:id - Remove a user from the organization
+router.delete("/:id", (req, res) => {
+  try {
+    authService.removeUser(req.user.organizationId, parseId(req));
+
+    res.json({
+      success: true,
+      message: "User deleted"
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+export { createUserSchema, updateUserSchema };
+export default router;
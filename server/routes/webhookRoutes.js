@@ -0,0 +1,206 @@
+// backend/routes/webhookRoutes.js
+import express from "express";
+import Joi from "joi";
+import WebhookService, { WEBHOOK_EVENTS } from "../services/webhookService.js";
+import { requireRole } from "../middleware/auth.js";
+
+const router = express.Router();
+const webhookService = new WebhookService();
+
+// Validation schemas
+const eventsSchema = Joi.array()
+  .items(Joi.string().valid(...Object.keys(WEBHOOK_EVENTS)))
+  .min(1)
+  .unique();
+
+const createWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+  description: Joi.string().allow('').max(500).optional(),
+  events: eventsSchema.required(),
+  scoreThreshold: Joi.number().integer().min(1).max(100)
+    .when('events', { is: Joi.array().items().has('score_below_threshold'), then: Joi.required() }),
+  active: Joi.boolean().default(true),
+  secret: Joi.string().min(16).max(200).optional()
+});
+
+const updateWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+  description: Joi.string().allow('').max(500),
+  events: eventsSchema,
+  scoreThreshold: Joi.number().integer().min(1).max(100).allow(null),
+  active: Joi.boolean(),
+  secret: Joi.string().min(16).max(200)
+}).min(1);
+
+const listDeliveriesSchema = Joi.object({
+  status: Joi.string().valid('pending', 'succeeded', 'failed'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20)
+});
+
+function handleError(res, err) {
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.message
+  });
+}
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+// Webhooks are part of the organization's configuration
+router.use(requireRole("admin"));
+
+// GET /api/webhooks/events - Events a webhook can subscribe to
+router.get("/events", (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(WEBHOOK_EVENTS).map(([id, description]) => ({ id, description }))
+  });
+});
+
+// GET /api/webhooks - List the organization's webhooks
+router.get("/", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: webhookService.list(req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/webhooks - Register a webhook endpoint (the signing secret is only returned here)
+router.post("/", async (req, res) => {
+  try {
+    const { error, value } = createWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook created",
+      data: await webhookService.create(req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/webhooks/:id - Get a webhook
+router.get("/:id", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: webhookService.get(parseId(req.params.id), req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// PUT /api/webhooks/:id - Update a webhook
+router.put("/:id", async (req, res) => {
+  try {
+    const { error, value } = updateWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook updated",
+      data: await webhookService.update(parseId(req.params.id), req.user.organizationId, value)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+router.delete("/:id", (req, res) => {
+  try {
+    webhookService.remove(parseId(req.params.id), req.user.organizationId);
+
+    res.json({
+      success: true,
+      message: "Webhook deleted"
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/webhooks/:id/ping - Send a test delivery
+router.post("/:id/ping", (req, res) => {
+  try {
+    res.status(202).json({
+      success: true,
+      message: "Ping queued",
+      data: webhookService.ping(parseId(req.params.id), req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Delivery log with status, attempts and receiver responses
+router.get("/:id/deliveries", (req, res) => {
+  try {
+    const { error, value } = listDeliveriesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { items, pagination } = webhookService.listDeliveries(parseId(req.params.id), req.user.organizationId, value);
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - A single delivery with its payload
+router.get("/:id/deliveries/:deliveryId", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: webhookService.getDelivery(parseId(req.params.id), parseId(req.params.deliveryId), req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/replay - Send a logged payload again
+router.post("/:id/deliveries/:deliveryId/replay", (req, res) => {
+  try {
+    res.status(202).json({
+      success: true,
+      message: "Delivery replay queued",
+      data: webhookService.replay(parseId(req.params.id), parseId(req.params.deliveryId), req.user.organizationId)
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+export { createWebhookSchema, updateWebhookSchema, listDeliveriesSchema };
+export default router;
@@ -0,0 +1,133 @@
+// backend/scripts/evaluateDetector.js
+// Runs the configured PPE detector over a labeled dataset (COCO or YOLO) and reports per-category
+// precision, recall and AP, mAP and image-level compliance accuracy as report.json and report.html.
+// Runs can be compared so a detector change that makes things worse is easy to spot.
+//
+// Usage: npm run detector:evaluate -- <dataset-folder> [options]
+//        npm run detector:evaluate -- --compare <baseline.json> <candidate.json> [--out <folder>] [--tolerance <n>]
+//   --format coco|yolo     dataset format, detected from the folder when omitted
+//   --annotations <file>   COCO annotation file, if not annotations.json or _annotations.coco.json
+//   --environment <id>     built-in work environment to score compliance for (default construction)
+//   --iou <n>              IoU a detection needs with a label to match it (default 0.5)
+//   --name <name>          name of the run (default <detector>-<timestamp>)
+//   --out <folder>         where the reports are written (default evaluations/<name>)
+//   --baseline <file>      report.json of an earlier run to compare this run with
+//   --tolerance <n>        drop of a metric that counts as a regression (default 0.01)
+// The exit code is 1 when a comparison finds regressions.
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import DetectorEvaluationService from "../services/detectorEvaluationService.js";
+import { compareRuns } from "../services/evaluation/metrics.js";
+import { renderRunHtml, renderComparisonHtml } from "../services/evaluation/htmlReport.js";
+
+dotenv.config();
+// Compliance is scored with the default thresholds, so runs don't depend on a server's settings
+process.env.DATABASE_PATH = ":memory:";
+
+const VALUE_OPTIONS = ["format", "annotations", "environment", "iou", "name", "out", "baseline", "tolerance"];
+
+function parseArgs(argv) {
+  const options = { positional: [], compare: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--compare") {
+      options.compare = true;
+    } else if (arg.startsWith("--")) {
+      const name = arg.slice(2);
+      if (!VALUE_OPTIONS.includes(name) || argv[i + 1] === undefined) {
+        throw new Error(`Unknown option or missing value: ${arg}`);
+      }
+      options[name] = argv[++i];
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+function writeReport(outDir, baseName, data, html) {
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, `${baseName}.json`), `${JSON.stringify(data, null, 2)}\n`);
+  fs.writeFileSync(path.join(outDir, `${baseName}.html`), html);
+  console.log(`Wrote ${path.join(outDir, `${baseName}.json`)} and ${baseName}.html`);
+}
+
+const pct = value => (value === null ? "   -  " : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function printRun(run) {
+  console.log(`\n${"category".padEnd(16)} labels  dets  precision  recall     AP`);
+  for (const [name, result] of Object.entries(run.categories)) {
+    console.log(
+      `${name.padEnd(16)} ${String(result.groundTruth).padStart(6)} ${String(result.detections).padStart(5)}` +
+      `     ${pct(result.precision)}  ${pct(result.recall)} ${pct(result.ap)}`
+    );
+  }
+  console.log(`\nmAP@${run.iouThreshold}: ${pct(run.mAP).trim()}`);
+  console.log(`Compliance accuracy: ${pct(run.compliance.accuracy).trim()} (${run.compliance.correct}/${run.compliance.images} images)`);
+  if (run.failed > 0) console.log(`${run.failed} image(s) could not be analyzed`);
+}
+
+function printComparison(comparison) {
+  comparison.warnings.forEach(warning => console.log(`warning: ${warning}`));
+  if (comparison.regressions.length === 0) {
+    console.log(`\nNo regressions against ${comparison.base.name}`);
+  } else {
+    console.log(`\n${comparison.regressions.length} regression(s) against ${comparison.base.name}:`);
+    comparison.regressions.forEach(item => console.log(`  - ${item}`));
+  }
+  if (comparison.fixedImages.length > 0) {
+    console.log(`${comparison.fixedImages.length} image(s) now get the right compliance verdict`);
+  }
+}
+
+function compare(base, candidate, { out, tolerance }) {
+  const comparison = compareRuns(base, candidate, { tolerance: tolerance !== undefined ? parseFloat(tolerance) : undefined });
+  printComparison(comparison);
+  writeReport(out, "comparison", comparison, renderComparisonHtml(comparison));
+  return comparison.regressions.length > 0 ? 1 : 0;
+}
+
+const readRun = file => JSON.parse(fs.readFileSync(file, "utf8"));
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.compare) {
+    const [baseFile, candidateFile] = options.positional;
+    if (!baseFile || !candidateFile) {
+      throw new Error("--compare needs the report.json of a baseline and of a candidate run");
+    }
+    return compare(readRun(baseFile), readRun(candidateFile), { ...options, out: options.out || path.dirname(candidateFile) });
+  }
+
+  const [datasetDir] = options.positional;
+  if (!datasetDir) {
+    throw new Error("Usage: npm run detector:evaluate -- <dataset-folder> [options]");
+  }
+
+  const service = new DetectorEvaluationService();
+  const run = await service.evaluate(datasetDir, {
+    name: options.name,
+    format: options.format,
+    annotations: options.annotations,
+    workEnvironment: options.environment,
+    iouThreshold: options.iou !== undefined ? parseFloat(options.iou) : undefined,
+    onImage: (image, index, total) => console.log(
+      `[${index + 1}/${total}] ${image.file}: ${image.error ? `failed (${image.error})` : `${image.detections} detection(s), ${image.verdict}, expected ${image.expected}`}`
+    )
+  });
+
+  printRun(run);
+  const outDir = options.out || path.join("evaluations", run.name);
+  writeReport(outDir, "report", run, renderRunHtml(run));
+
+  return options.baseline ? compare(readRun(options.baseline), run, { ...options, out: outDir }) : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error("Detector evaluation failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,287 @@
+// backend/scripts/generateClient.js
+// Generates the JS client package in packages/api-client from the OpenAPI document:
+// index.js (one method per operation), index.d.ts (types of the schemas and methods) and openapi.json.
+// runtime.js, package.json and README.md of the package are maintained by hand.
+//
+// Usage: npm run client:generate -- [--check]
+//   --check  only report whether the generated files are out of date (exit code 1 if so)
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildOpenApiSpec } from "../openapi/index.js";
+
+const outDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../packages/api-client");
+const check = process.argv.slice(2).includes("--check");
+
+const HEADER = [
+  "// Generated by server/scripts/generateClient.js from the server's OpenAPI document - do not edit.",
+  "// Regenerate with `npm run client:generate` in server/."
+].join("\n");
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+function camelCase(name) {
+  return name.replace(/[-_](\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+// Everything the generator needs to know about one operation
+function collectOperations(spec) {
+  const defaultServer = spec.servers[0].url;
+  const operations = [];
+
+  for (const [route, item] of Object.entries(spec.paths)) {
+    const server = (item.servers?.[0].url ?? defaultServer).replace(/\/$/, "");
+
+    for (const method of METHODS.filter(name => item[name])) {
+      const op = item[method];
+      const parameters = op.parameters || [];
+      const content = op.requestBody?.content;
+      const success = Object.entries(op.responses).find(([status]) => status.startsWith("2"))[1];
+      const responseTypes = Object.keys(success.content || {});
+
+      operations.push({
+        id: op.operationId,
+        method: method.toUpperCase(),
+        path: server + route,
+        summary: op.summary,
+        description: op.description,
+        pathParams: [...route.matchAll(/\{(\w+)\}/g)].map(([, name]) => parameters.find(param => param.in === "path" && param.name === name)),
+        queryParams: parameters.filter(param => param.in === "query"),
+        bodyType: !content ? null : content["multipart/form-data"] ? "multipart" : "json",
+        bodySchema: content && Object.values(content)[0].schema,
+        responseType: responseTypes.includes("text/event-stream") ? "stream"
+          : responseTypes[0] === "application/json" ? "json"
+          : responseTypes.length > 0 ? "blob" : "json",
+        responseSchema: success.content?.["application/json"]?.schema,
+        queryToken: (op.security || []).some(requirement => "queryToken" in requirement)
+      });
+    }
+  }
+  return operations;
+}
+
+// Template literal of the operation path, e.g. `/api/analyses/${encodeURIComponent(id)}`
+function pathExpression(op) {
+  const pathString = op.path.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${camelCase(name)})}`);
+  return op.pathParams.length > 0 ? `\`${pathString}\`` : `'${pathString}'`;
+}
+
+// Positional arguments: path parameters in order, then the body, then the query
+function argumentNames(op) {
+  return [
+    ...op.pathParams.map(param => camelCase(param.name)),
+    ...(op.bodyType ? ["body"] : []),
+    ...(op.queryParams.length > 0 ? ["query"] : [])
+  ];
+}
+
+// Files and event streams that accept ?token= also get a URL builder for <img>, <video> and EventSource;
+// it resolves to a short-lived link from createLink
+const hasUrlBuilder = op => op.queryToken && op.method === "GET" && op.responseType !== "json";
+
+function docComment(lines, indent) {
+  const text = lines.filter(Boolean).join("\n\n").split("\n");
+  if (text.length === 1) return `${indent}/** ${text[0]} */`;
+  return [`${indent}/**`, ...text.map(line => `${indent} *${line ? ` ${line}` : ""}`), `${indent} */`].join("\n");
+}
+
+function operationDoc(op, indent) {
+  return docComment([op.summary, op.description, `${op.method} ${op.path}`], indent);
+}
+
+function generateJs(operations) {
+  const members = [];
+
+  for (const op of operations) {
+    const args = argumentNames(op);
+    const withUrl = hasUrlBuilder(op);
+
+    if (op.responseType !== "stream") {
+      const fields = [
+        `method: '${op.method}'`,
+        `path: ${pathExpression(op)}`,
+        ...(op.queryParams.length > 0 ? ["query"] : []),
+        ...(op.bodyType ? ["body", `bodyType: '${op.bodyType}'`] : []),
+        `responseType: '${op.responseType}'`
+      ];
+      members.push(`${operationDoc(op, "    ")}\n    ${op.id}: (${[...args, "options"].join(", ")}) => request({ ${fields.join(", ")} }, options)`);
+    }
+
+    if (withUrl) {
+      const urlArgs = args.filter(name => name !== "body");
+      const query = op.queryParams.length > 0 ? ", query" : "";
+      members.push(`${docComment([`Short-lived URL of ${op.id}, authorized with a link ?token=`, `${op.method} ${op.path}`], "    ")}\n    ${op.id}Url: (${[...urlArgs, "options"].join(", ")}) => authorizedUrl(${pathExpression(op)}, options${query})`);
+    }
+  }
+
+  return `${HEADER}
+import { createRequester } from './runtime.js';
+
+export { ApiError } from './runtime.js';
+
+// Creates a client of the SafetySnap API; see createRequester in runtime.js for the options
+export function createClient(options = {}) {
+  const { request, authorizedUrl } = createRequester(options);
+
+  return {
+${members.join(",\n\n")}
+  };
+}
+`;
+}
+
+// OpenAPI schema -> TypeScript type
+function tsType(schema, indent = "") {
+  if (!schema) return "unknown";
+
+  let type;
+  if (schema.$ref) {
+    type = schema.$ref.split("/").pop();
+  } else if (schema.allOf) {
+    type = schema.allOf.map(item => tsType(item, indent)).join(" & ");
+  } else if (schema.oneOf) {
+    type = schema.oneOf.map(item => tsType(item, indent)).join(" | ");
+  } else if (schema.enum) {
+    type = schema.enum.map(value => JSON.stringify(value)).join(" | ");
+  } else if (schema.type === "string") {
+    type = schema.format === "binary" ? "Blob" : "string";
+  } else if (schema.type === "integer" || schema.type === "number") {
+    type = "number";
+  } else if (schema.type === "boolean") {
+    type = "boolean";
+  } else if (schema.type === "array") {
+    const items = tsType(schema.items, indent);
+    type = /[\s|&]/.test(items) ? `Array<${items}>` : `${items}[]`;
+  } else if (schema.type === "object" || schema.properties) {
+    type = objectType(schema, indent);
+  } else {
+    type = "unknown";
+  }
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function objectType(schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  const extra = typeof schema.additionalProperties === "object" ? tsType(schema.additionalProperties, `${indent}  `) : null;
+
+  if (properties.length === 0) {
+    return `Record<string, ${extra || "unknown"}>`;
+  }
+
+  const required = schema.required || [];
+  const lines = properties.map(([name, property]) => {
+    const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+    const doc = property.description ? `${docComment([property.description], `${indent}  `)}\n` : "";
+    return `${doc}${indent}  ${key}${required.includes(name) ? "" : "?"}: ${tsType(property, `${indent}  `)};`;
+  });
+  if (extra) {
+    lines.push(`${indent}  [key: string]: ${extra};`);
+  }
+  return `{\n${lines.join("\n")}\n${indent}}`;
+}
+
+function queryType(params, indent) {
+  return objectType({
+    properties: Object.fromEntries(params.map(param => [param.name, { ...param.schema, description: param.description }])),
+    required: params.filter(param => param.required).map(param => param.name)
+  }, indent);
+}
+
+function generateTypes(spec, operations) {
+  const schemaTypes = Object.entries(spec.components.schemas).map(([name, schema]) => {
+    const doc = schema.description ? `${docComment([schema.description], "")}\n` : "";
+    return `${doc}export type ${name} = ${tsType(schema)};`;
+  });
+
+  const members = [];
+  for (const op of operations) {
+    const args = [
+      ...op.pathParams.map(param => `${camelCase(param.name)}: ${tsType(param.schema)}`),
+      ...(op.bodyType === "multipart" ? [`body: ${tsType(op.bodySchema, "  ")} | FormData`] : []),
+      ...(op.bodyType === "json" ? [`body: ${tsType(op.bodySchema, "  ")}`] : []),
+      ...(op.queryParams.length > 0 ? [`query${op.queryParams.some(param => param.required) ? "" : "?"}: ${queryType(op.queryParams, "  ")}`] : [])
+    ];
+
+    if (op.responseType !== "stream") {
+      const result = op.responseType === "blob" ? "Blob" : tsType(op.responseSchema, "  ");
+      members.push(`${operationDoc(op, "  ")}\n  ${op.id}(${[...args, "options?: RequestOptions"].join(", ")}): Promise<${result}>;`);
+    }
+    if (hasUrlBuilder(op)) {
+      const urlArgs = args.filter(arg => !arg.startsWith("body"));
+      members.push(`${docComment([`Short-lived URL of ${op.id}, authorized with a link ?token=`, `${op.method} ${op.path}`], "  ")}\n  ${op.id}Url(${[...urlArgs, "options?: RequestOptions"].join(", ")}): Promise<string>;`);
+    }
+  }
+
+  return `${HEADER}
+
+export interface ClientOptions {
+  /** Origin of the SafetySnap server, e.g. https://safetysnap.example.com; paths include /api */
+  baseUrl?: string;
+  /** JWT sent as a bearer token */
+  token?: string;
+  /** Called for every request; takes precedence over \`token\` */
+  getToken?: () => string | null | undefined;
+  /** Extra headers for every request */
+  headers?: Record<string, string>;
+  /** Milliseconds before a request is aborted */
+  timeout?: number;
+  /** Defaults to the global fetch */
+  fetch?: typeof fetch;
+  /** Called with every ApiError before it is thrown */
+  onError?: (error: ApiError, request: { method: string; path: string }) => void;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  headers?: Record<string, string>;
+  timeout?: number;
+}
+
+/** A request that didn't get a successful response; \`status\` is 0 when no response arrived */
+export declare class ApiError extends Error {
+  constructor(message: string, status: number, body?: unknown);
+  status: number;
+  body: unknown;
+}
+
+${schemaTypes.join("\n\n")}
+
+export interface SafetySnapClient {
+${members.join("\n\n")}
+}
+
+export declare function createClient(options?: ClientOptions): SafetySnapClient;
+`;
+}
+
+function generate() {
+  const spec = buildOpenApiSpec();
+  const operations = collectOperations(spec);
+
+  const files = {
+    "index.js": generateJs(operations),
+    "index.d.ts": generateTypes(spec, operations),
+    "openapi.json": `${JSON.stringify(spec, null, 2)}\n`
+  };
+
+  const stale = Object.keys(files).filter(name => {
+    const target = path.join(outDir, name);
+    return !fs.existsSync(target) || fs.readFileSync(target, "utf8") !== files[name];
+  });
+
+  if (check) {
+    if (stale.length > 0) {
+      console.error(`Out of date: ${stale.join(", ")}. Run npm run client:generate`);
+      process.exit(1);
+    }
+    console.log("API client is up to date");
+    return;
+  }
+
+  for (const name of stale) {
+    fs.writeFileSync(path.join(outDir, name), files[name]);
+  }
+  console.log(`Generated ${operations.length} operations in ${outDir} (${stale.length} file(s) changed)`);
+}
+
+generate();
@@ -0,0 +1,68 @@
+// backend/scripts/migrateStorage.js
+// Copies files from the local uploads folder into the S3 bucket configured in .env.
+//
+// Usage: npm run storage:migrate -- [--dry-run] [--keep-local]
+//   --dry-run     only list what would be copied
+//   --keep-local  leave the local files in place after copying
+import dotenv from "dotenv";
+import { createStorage } from "../services/storage/index.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const keepLocal = args.includes("--keep-local");
+
+async function migrate() {
+  const local = createStorage("local");
+  const s3 = createStorage("s3");
+  const files = await local.list();
+  const summary = { copied: 0, skipped: 0, failed: 0, bytes: 0 };
+
+  console.log(`${dryRun ? "[dry run] " : ""}Migrating ${files.length} file(s) to bucket ${s3.bucket}`);
+
+  for (const file of files) {
+    try {
+      if (await s3.exists(file.key)) {
+        summary.skipped++;
+        console.log(`skip  ${file.key} (already in bucket)`);
+      } else if (dryRun) {
+        summary.copied++;
+        summary.bytes += file.size;
+        console.log(`copy  ${file.key} (${file.size} bytes)`);
+        continue;
+      } else {
+        await s3.put(file.key, local.createReadStream(file.key));
+        if (!await s3.exists(file.key)) {
+          throw new Error("not found in bucket after upload");
+        }
+        summary.copied++;
+        summary.bytes += file.size;
+        console.log(`copy  ${file.key} (${file.size} bytes)`);
+      }
+
+      if (!dryRun && !keepLocal) {
+        await local.remove(file.key);
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`fail  ${file.key}: ${error.message}`);
+    }
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Copied ${summary.copied} file(s) (${summary.bytes} bytes), ` +
+    `skipped ${summary.skipped}, failed ${summary.failed}`
+  );
+  if (!dryRun && !keepLocal && summary.failed === 0) {
+    console.log("Local copies were removed. Set STORAGE_DRIVER=s3 and restart the server.");
+  }
+  return summary;
+}
+
+migrate()
+  .then(summary => process.exit(summary.failed ? 1 : 0))
+  .catch(error => {
+    console.error("Storage migration failed:", error.message);
+    process.exit(1);
+  });
@@ -3,8 +3,28 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import helmet from "helmet";
-import rateLimit from "express-rate-limit";
 import uploadRoutes from "./routes/uploadRoutes.js";
+import environmentRoutes from "./routes/environmentRoutes.js";
+import analysisRoutes from "./routes/analysisRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import userRoutes from "./routes/userRoutes.js";
+import fileRoutes from "./routes/fileRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import statsRoutes from "./routes/statsRoutes.js";
+import siteRoutes from "./routes/siteRoutes.js";
+import privacyRoutes from "./routes/privacyRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import incidentRoutes from "./routes/incidentRoutes.js";
+import docsRoutes from "./routes/docsRoutes.js";
+import WebhookService from "./services/webhookService.js";
+import PrivacyService from "./services/privacyService.js";
+import RetentionService from "./services/retentionService.js";
+import AnalysisJobService from "./services/analysisJobService.js";
+import FileRegistryService from "./services/fileRegistryService.js";
+import ImagePreprocessingService from "./services/imagePreprocessingService.js";
+import { authenticate } from "./middleware/auth.js";
+import { apiLimiter, authLimiter } from "./middleware/rateLimit.js";
+import { checkDetector, detectorName } from "./services/detectors/index.js";
 
 dotenv.config();
 const app = express();
@@ -12,13 +32,9 @@ const app = express();
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later."
-});
-app.use(limiter);
+// Rate limiting: per user once signed in, per IP otherwise, and strictly for password attempts
+app.use(apiLimiter);
+app.use(["/api/auth/login", "/api/auth/register"], authLimiter);
 
 // CORS configuration
 const allowedOrigins = [
@@ -44,8 +60,8 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve uploaded files statically
-app.use('/uploads', express.static('uploads'));
+// Serve uploaded files to their organization. <img>/<video> tags can't send headers, so ?token= is accepted here.
+app.use('/uploads', authenticate({ allowQueryToken: true }), fileRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -56,10 +72,32 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-app.use("/api/upload", uploadRoutes);
+// OpenAPI document and interactive docs, public like the health check
+app.use("/api", docsRoutes);
+
+app.use("/api/auth", authRoutes);
+app.use("/api/upload", authenticate(), uploadRoutes);
+app.use("/api/environments", authenticate(), environmentRoutes);
+app.use("/api/analyses", authenticate(), analysisRoutes);
+app.use("/api/users", authenticate(), userRoutes);
+app.use("/api/webhooks", authenticate(), webhookRoutes);
+app.use("/api/stats", authenticate(), statsRoutes);
+app.use("/api/sites", authenticate(), siteRoutes);
+app.use("/api/privacy", authenticate(), privacyRoutes);
+app.use("/api/incidents", authenticate(), incidentRoutes);
+// EventSource can't send headers either, so job event streams accept ?token= as well
+app.use("/api/jobs", authenticate({ allowQueryToken: true }), jobRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Client errors raised by middleware, such as malformed JSON or oversized bodies, keep their status
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.expose ? err.message : 'Invalid request'
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({ 
     success: false, 
@@ -80,4 +118,34 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🦺 SafetySnap Backend running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+
+  // The ONNX model doesn't ship with the repo; say so now rather than on every upload
+  const detector = detectorName();
+  const detectorError = checkDetector();
+  if (detectorError) {
+    console.error(`❌ PPE detector "${detector}" is not usable: ${detectorError}`);
+    console.error('   Image analyses will fail until PPE_MODEL_PATH and PPE_LABELS_PATH point to a model (or PPE_DETECTOR=fixture for development)');
+  } else if (detector === 'fixture') {
+    console.warn('⚠️  PPE detector "fixture" returns canned detections, not real ones');
+    console.warn('   Set PPE_DETECTOR=onnx with PPE_MODEL_PATH and PPE_LABELS_PATH to analyze images with a model (see "Detector Backends" in the README)');
+  }
+
+  // Pick up webhook deliveries that were waiting for a retry when the server stopped
+  const resumed = new WebhookService().resumePending();
+  if (resumed > 0) {
+    console.log(`🔔 Resumed ${resumed} pending webhook deliveries`);
+  }
+
+  // Analysis jobs run in memory; fail those the last shutdown interrupted
+  const interrupted = new AnalysisJobService().recover();
+  if (interrupted > 0) {
+    console.log(`⚠️ Failed ${interrupted} analysis job(s) interrupted by the restart`);
+  }
+
+  // Retention runs on a schedule instead of inside upload requests
+  new RetentionService({
+    privacyService: new PrivacyService(),
+    fileRegistryService: new FileRegistryService(),
+    imagePreprocessingService: new ImagePreprocessingService()
+  }).start();
 });
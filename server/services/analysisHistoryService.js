@@ -0,0 +1,238 @@
+// Analysis History Service - persists every analysis and queries past results
+import { getDb } from '../db/database.js';
+import { addDateRange } from './dateRange.js';
+
+// The image is available while its upload is registered; deleting a file removes its registration.
+// The current review (see AnalysisReviewService) replaces the detector output, which stays in the analyses row.
+const SELECT_ANALYSES = `
+  SELECT analyses.*, EXISTS (SELECT 1 FROM uploads WHERE uploads.filename = analyses.filename) AS image_available,
+    reviews.version AS review_version, reviews.reviewer_id, reviews.reviewer_name, reviews.note AS review_note,
+    reviews.detections AS reviewed_detections, reviews.compliance AS reviewed_compliance,
+    reviews.recommendations AS reviewed_recommendations, reviews.created_at AS reviewed_at
+  FROM analyses
+  LEFT JOIN analysis_reviews AS reviews ON reviews.id = analyses.review_id
+`;
+
+// API sort keys -> columns
+const SORT_COLUMNS = {
+  analyzedAt: 'analyzed_at',
+  complianceScore: 'compliance_score',
+  workEnvironment: 'work_environment',
+  filename: 'filename'
+};
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    originalName: row.original_name,
+    userId: row.user_id,
+    imageUrl: `/uploads/${row.filename}`,
+    imageAvailable: row.image_available === 1,
+    workEnvironment: row.work_environment,
+    // Names are kept from the time of analysis, so records stay readable after a site or zone is deleted
+    site: row.site_name ? { id: row.site_id, name: row.site_name } : null,
+    zone: row.zone_name ? { id: row.zone_id, name: row.zone_name } : null,
+    detector: row.detector,
+    isCompliant: row.is_compliant === 1,
+    verdict: row.verdict,
+    complianceScore: row.compliance_score,
+    personCount: row.person_count,
+    // Files of analyses on legal hold are never deleted by the retention sweep
+    legalHold: row.legal_hold === 1,
+    review: row.review_id ? {
+      version: row.review_version,
+      reviewedBy: { id: row.reviewer_id, username: row.reviewer_name },
+      reviewedAt: row.reviewed_at,
+      note: row.review_note
+    } : null,
+    analyzedAt: row.analyzed_at,
+    createdAt: row.created_at
+  };
+}
+
+// `analysis` is the reviewed version when there is one; `machineAnalysis` is then the detector output
+function toRecord(row) {
+  const summary = toSummary(row);
+  const machine = {
+    detections: JSON.parse(row.detections),
+    compliance: JSON.parse(row.compliance),
+    recommendations: JSON.parse(row.recommendations)
+  };
+  const current = row.review_id ? {
+    detections: JSON.parse(row.reviewed_detections),
+    compliance: JSON.parse(row.reviewed_compliance),
+    recommendations: JSON.parse(row.reviewed_recommendations)
+  } : machine;
+
+  return {
+    ...summary,
+    analysis: {
+      imageInfo: JSON.parse(row.image_info),
+      ...current,
+      workEnvironment: row.work_environment,
+      site: summary.site,
+      zone: summary.zone,
+      detector: row.detector,
+      timestamp: row.analyzed_at
+    },
+    machineAnalysis: row.review_id ? machine : null
+  };
+}
+
+class AnalysisHistoryService {
+  constructor(options = {}) {
+    // Notified of every stored analysis when set (see WebhookService.notifyAnalysis)
+    this.webhookService = options.webhookService || null;
+  }
+
+  // Store the result of PPEAnalysisService.analyzeImage for an organization
+  save({ filename, originalName = null, analysis, organizationId, userId = null }) {
+    const { compliance } = analysis;
+    const result = getDb().prepare(`
+      INSERT INTO analyses (
+        organization_id, user_id, site_id, zone_id, site_name, zone_name, filename, original_name, work_environment, detector, is_compliant, verdict,
+        compliance_score, person_count, image_info, detections, compliance, recommendations, analyzed_at, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      organizationId,
+      userId,
+      analysis.site?.id || null,
+      analysis.zone?.id || null,
+      analysis.site?.name || null,
+      analysis.zone?.name || null,
+      filename,
+      originalName,
+      analysis.workEnvironment,
+      analysis.detector || null,
+      compliance.isCompliant ? 1 : 0,
+      compliance.verdict || (compliance.isCompliant ? 'compliant' : 'non_compliant'),
+      compliance.complianceScore,
+      (compliance.people || []).length,
+      JSON.stringify(analysis.imageInfo),
+      JSON.stringify(analysis.detections),
+      JSON.stringify(compliance),
+      JSON.stringify(analysis.recommendations),
+      analysis.timestamp,
+      new Date().toISOString()
+    );
+
+    const record = this.get(result.lastInsertRowid, organizationId);
+    if (this.webhookService) {
+      this.webhookService.notifyAnalysis(record, organizationId);
+    }
+    return record;
+  }
+
+  // Records of other organizations are reported as not found
+  get(id, organizationId) {
+    const row = getDb().prepare(`${SELECT_ANALYSES} WHERE analyses.id = ? AND organization_id = ?`).get(id, organizationId);
+    return row ? toRecord(row) : null;
+  }
+
+  // Place or release a legal hold; returns the updated record, or null when not found
+  setLegalHold(id, organizationId, legalHold) {
+    const { changes } = getDb().prepare('UPDATE analyses SET legal_hold = ? WHERE id = ? AND organization_id = ?')
+      .run(legalHold ? 1 : 0, id, organizationId);
+    return changes > 0 ? this.get(id, organizationId) : null;
+  }
+
+  // Whether any analysis of an uploaded image is on legal hold, which keeps the image from being deleted
+  hasLegalHold(filename, organizationId) {
+    return Boolean(getDb().prepare('SELECT 1 FROM analyses WHERE filename = ? AND organization_id = ? AND legal_hold = 1 LIMIT 1')
+      .get(filename, organizationId));
+  }
+
+  // Most recent analysis of an uploaded image
+  getLatestForFilename(filename, organizationId) {
+    const row = getDb().prepare(`
+      ${SELECT_ANALYSES} WHERE filename = ? AND organization_id = ?
+      ORDER BY analyzed_at DESC, analyses.id DESC LIMIT 1
+    `).get(filename, organizationId);
+    return row ? toRecord(row) : null;
+  }
+
+  /**
+   * List stored analyses of an organization.
+   * @param {object} query - organizationId, from, to, environment, siteId, zoneId, compliant, verdict, reviewed, minScore,
+   *   maxScore, sort, order, page, pageSize (already validated by the route)
+   */
+  list({
+    organizationId,
+    from,
+    to,
+    environment,
+    siteId,
+    zoneId,
+    compliant,
+    verdict,
+    reviewed,
+    minScore,
+    maxScore,
+    sort = 'analyzedAt',
+    order = 'desc',
+    page = 1,
+    pageSize = 20
+  } = {}) {
+    const conditions = ['organization_id = ?'];
+    const params = [organizationId];
+
+    addDateRange(conditions, params, { from, to });
+    if (environment) {
+      conditions.push('work_environment = ?');
+      params.push(environment);
+    }
+    if (siteId) {
+      conditions.push('site_id = ?');
+      params.push(siteId);
+    }
+    if (zoneId) {
+      conditions.push('zone_id = ?');
+      params.push(zoneId);
+    }
+    if (compliant !== undefined) {
+      conditions.push('is_compliant = ?');
+      params.push(compliant ? 1 : 0);
+    }
+    if (verdict) {
+      conditions.push('verdict = ?');
+      params.push(verdict);
+    }
+    if (reviewed !== undefined) {
+      conditions.push(reviewed ? 'review_id IS NOT NULL' : 'review_id IS NULL');
+    }
+    if (minScore !== undefined) {
+      conditions.push('compliance_score >= ?');
+      params.push(minScore);
+    }
+    if (maxScore !== undefined) {
+      conditions.push('compliance_score <= ?');
+      params.push(maxScore);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const column = SORT_COLUMNS[sort] || SORT_COLUMNS.analyzedAt;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const db = getDb();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM analyses ${where}`).get(...params);
+    const rows = db.prepare(`
+      ${SELECT_ANALYSES} ${where}
+      ORDER BY ${column} ${direction}, analyses.id ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, (page - 1) * pageSize);
+
+    return {
+      items: rows.map(toSummary),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+export { SORT_COLUMNS };
+export default AnalysisHistoryService;
@@ -0,0 +1,144 @@
+// Analysis History Service tests - stored analyses, their filters, sorting and pages
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import AuthService from './authService.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import FileRegistryService from './fileRegistryService.js';
+import SiteService from './siteService.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+function analysis({ workEnvironment = 'construction', score, verdict, analyzedAt, people = 1, site = null, zone = null }) {
+  return {
+    workEnvironment,
+    site,
+    zone,
+    detector: 'fixture',
+    timestamp: analyzedAt,
+    imageInfo: { width: 640, height: 480 },
+    detections: [{ class: 'person', category: 'person', confidence: 0.9, bbox: [0, 0, 100, 200] }],
+    recommendations: [],
+    compliance: {
+      isCompliant: verdict === 'compliant',
+      verdict,
+      complianceScore: score,
+      missingCategories: [],
+      people: Array.from({ length: people }, (_, index) => ({ index }))
+    }
+  };
+}
+
+describe('AnalysisHistoryService', () => {
+  const service = new AnalysisHistoryService();
+  const names = page => page.items.map(item => item.filename);
+  let acme;
+  let globex;
+  let site;
+  let zone;
+
+  before(() => {
+    const authService = new AuthService();
+    acme = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user;
+    globex = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user;
+    const siteService = new SiteService();
+    site = siteService.create(acme.organizationId, { name: 'Depot' });
+    zone = siteService.createZone(site.id, acme.organizationId, { name: 'Dock' });
+
+    const save = (filename, options, user = acme) => service.save({ filename, analysis: analysis(options), organizationId: user.organizationId, userId: user.id });
+    save('a.jpg', { score: 100, verdict: 'compliant', analyzedAt: '2025-03-01T08:00:00.000Z', people: 2 });
+    save('b.jpg', { score: 40, verdict: 'non_compliant', analyzedAt: '2025-03-02T08:00:00.000Z', site });
+    save('c.jpg', { workEnvironment: 'laboratory', score: 70, verdict: 'uncertain', analyzedAt: '2025-03-03T08:00:00.000Z', site, zone });
+    save('d.jpg', { workEnvironment: 'laboratory', score: 100, verdict: 'compliant', analyzedAt: '2025-03-04T23:30:00.000Z' });
+    save('e.jpg', { score: 0, verdict: 'non_compliant', analyzedAt: '2025-03-05T08:00:00.000Z' }, globex);
+    new FileRegistryService().register({ filename: 'a.jpg', organizationId: acme.organizationId, kind: 'image' });
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('stores an analysis and reads it back', () => {
+    const record = service.list({ organizationId: acme.organizationId, sort: 'filename', order: 'asc', pageSize: 1 }).items[0];
+    const stored = service.get(record.id, acme.organizationId);
+
+    assert.equal(stored.filename, 'a.jpg');
+    assert.equal(stored.userId, acme.id);
+    assert.equal(stored.imageUrl, '/uploads/a.jpg');
+    assert.equal(stored.imageAvailable, true);
+    assert.equal(stored.personCount, 2);
+    assert.equal(stored.verdict, 'compliant');
+    assert.deepEqual(stored.analysis.imageInfo, { width: 640, height: 480 });
+    assert.equal(stored.analysis.detections.length, 1);
+    assert.equal(stored.analysis.timestamp, '2025-03-01T08:00:00.000Z');
+    assert.equal(stored.machineAnalysis, null);
+  });
+
+  test('does not show analyses to other organizations', () => {
+    const [record] = service.list({ organizationId: globex.organizationId }).items;
+
+    assert.equal(record.filename, 'e.jpg');
+    assert.equal(service.get(record.id, acme.organizationId), null);
+    assert.equal(service.getLatestForFilename('e.jpg', acme.organizationId), null);
+    assert.equal(service.list({ organizationId: acme.organizationId }).pagination.total, 4);
+  });
+
+  test('lists the newest analyses first by default', () => {
+    const page = service.list({ organizationId: acme.organizationId });
+
+    assert.deepEqual(names(page), ['d.jpg', 'c.jpg', 'b.jpg', 'a.jpg']);
+    assert.equal(page.items[1].site.name, 'Depot');
+    assert.equal(page.items[1].zone.name, 'Dock');
+    assert.equal(page.items[0].imageAvailable, false);
+  });
+
+  test('filters by environment, location, verdict and score', () => {
+    const list = filters => names(service.list({ organizationId: acme.organizationId, order: 'asc', ...filters }));
+
+    assert.deepEqual(list({ environment: 'laboratory' }), ['c.jpg', 'd.jpg']);
+    assert.deepEqual(list({ siteId: site.id }), ['b.jpg', 'c.jpg']);
+    assert.deepEqual(list({ zoneId: zone.id }), ['c.jpg']);
+    assert.deepEqual(list({ compliant: true }), ['a.jpg', 'd.jpg']);
+    assert.deepEqual(list({ compliant: false }), ['b.jpg', 'c.jpg']);
+    assert.deepEqual(list({ verdict: 'uncertain' }), ['c.jpg']);
+    assert.deepEqual(list({ minScore: 50, maxScore: 99 }), ['c.jpg']);
+    assert.deepEqual(list({ reviewed: true }), []);
+    assert.deepEqual(list({ environment: 'laboratory', compliant: true }), ['d.jpg']);
+  });
+
+  test('filters by date range, with a date-only `to` including that day', () => {
+    const list = range => names(service.list({ organizationId: acme.organizationId, order: 'asc', ...range }));
+
+    assert.deepEqual(list({ from: '2025-03-02', to: '2025-03-03' }), ['b.jpg', 'c.jpg']);
+    assert.deepEqual(list({ from: '2025-03-04' }), ['d.jpg']);
+    assert.deepEqual(list({ to: '2025-03-04' }), ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg']);
+    assert.deepEqual(list({ to: '2025-03-04T12:00:00.000Z' }), ['a.jpg', 'b.jpg', 'c.jpg']);
+  });
+
+  test('sorts by score and file name with the id breaking ties', () => {
+    const list = (sort, order) => names(service.list({ organizationId: acme.organizationId, sort, order }));
+
+    assert.deepEqual(list('complianceScore', 'asc'), ['b.jpg', 'c.jpg', 'a.jpg', 'd.jpg']);
+    assert.deepEqual(list('complianceScore', 'desc'), ['d.jpg', 'a.jpg', 'c.jpg', 'b.jpg']);
+    assert.deepEqual(list('filename', 'asc'), ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg']);
+  });
+
+  test('pages through the results', () => {
+    const first = service.list({ organizationId: acme.organizationId, pageSize: 3 });
+    const second = service.list({ organizationId: acme.organizationId, pageSize: 3, page: 2 });
+
+    assert.deepEqual(names(first), ['d.jpg', 'c.jpg', 'b.jpg']);
+    assert.deepEqual(names(second), ['a.jpg']);
+    assert.deepEqual(second.pagination, { page: 2, pageSize: 3, total: 4, totalPages: 2 });
+  });
+
+  test('finds the latest analysis of an image', () => {
+    const newer = service.save({
+      filename: 'a.jpg',
+      analysis: analysis({ score: 60, verdict: 'non_compliant', analyzedAt: '2025-03-06T08:00:00.000Z' }),
+      organizationId: acme.organizationId
+    });
+
+    assert.equal(service.getLatestForFilename('a.jpg', acme.organizationId).id, newer.id);
+  });
+});
@@ -0,0 +1,165 @@
+// Analysis Job Service - runs image and batch analyses in the background and reports their progress
+import crypto from 'crypto';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { getDb } from '../db/database.js';
+
+// Stages of an image analysis, in order; a job's `stage` is the last one completed
+export const JOB_STAGES = ['stored', 'preprocessed', 'detected', 'scored'];
+
+const FINISHED_STATUSES = ['succeeded', 'failed'];
+
+// Finished jobs are only needed by clients that reload while waiting for them
+const FINISHED_JOB_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Updates are shared by all instances so a stream opened in one route sees jobs run by another
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+class JobError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    stage: row.stage,
+    stages: JOB_STAGES,
+    originalName: row.original_name,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+export function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+class AnalysisJobService {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || null;
+    this.queue = [];
+    this.running = 0;
+  }
+
+  // Read on first use so .env is loaded by then
+  getConcurrency() {
+    return this.concurrency || parseInt(process.env.ANALYSIS_JOB_CONCURRENCY, 10) || 2;
+  }
+
+  // A job starts out queued with its upload (a file, or a folder of files for batches) already stored
+  create({ organizationId, userId = null, originalName = null, uploadPath = null }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    getDb().prepare(`
+      INSERT INTO analysis_jobs (id, organization_id, user_id, status, stage, original_name, upload_path, created_at, updated_at)
+      VALUES (?, ?, ?, 'queued', 'stored', ?, ?, ?, ?)
+    `).run(id, organizationId, userId, originalName, uploadPath, now, now);
+    return this.get(id, organizationId);
+  }
+
+  get(id, organizationId) {
+    const row = getDb().prepare('SELECT * FROM analysis_jobs WHERE id = ? AND organization_id = ?').get(id, organizationId);
+    if (!row) {
+      throw new JobError('Job not found', 404);
+    }
+    return fromRow(row);
+  }
+
+  /**
+   * Queue `task(progress)` for the job. The task calls `progress(stage)` after each stage and
+   * resolves with the job result; a rejection fails the job with the error's message.
+   */
+  enqueue(id, task) {
+    this.queue.push({ id, task });
+    this.drain();
+  }
+
+  drain() {
+    while (this.running < this.getConcurrency() && this.queue.length > 0) {
+      this.running++;
+      this.execute(this.queue.shift()).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async execute({ id, task }) {
+    this.update(id, { status: 'running' });
+    try {
+      const result = await task(stage => this.update(id, { stage }));
+      this.update(id, { status: 'succeeded', result });
+    } catch (error) {
+      console.error(`Analysis job ${id} failed:`, error);
+      this.update(id, { status: 'failed', error: error.message });
+    }
+  }
+
+  update(id, { status, stage, result, error }) {
+    const now = new Date().toISOString();
+    const finished = FINISHED_STATUSES.includes(status);
+    getDb().prepare(`
+      UPDATE analysis_jobs SET
+        status = COALESCE(?, status),
+        stage = COALESCE(?, stage),
+        result = COALESCE(?, result),
+        error = COALESCE(?, error),
+        upload_path = CASE WHEN ? THEN NULL ELSE upload_path END,
+        updated_at = ?,
+        completed_at = CASE WHEN ? THEN ? ELSE completed_at END
+      WHERE id = ?
+    `).run(
+      status ?? null,
+      stage ?? null,
+      result === undefined ? null : JSON.stringify(result),
+      error ?? null,
+      finished ? 1 : 0,
+      now,
+      finished ? 1 : 0,
+      now,
+      id
+    );
+
+    const row = getDb().prepare('SELECT * FROM analysis_jobs WHERE id = ?').get(id);
+    updates.emit(id, fromRow(row));
+  }
+
+  // Calls `listener(job)` on every update of the job; returns the unsubscribe function
+  subscribe(id, listener) {
+    updates.on(id, listener);
+    return () => updates.off(id, listener);
+  }
+
+  /**
+   * Jobs run in memory, so those still queued or running when the server stopped are failed
+   * and their uploads deleted. Old finished jobs are pruned at the same time.
+   */
+  recover(now = new Date()) {
+    const db = getDb();
+    const interrupted = db.prepare("SELECT id, upload_path FROM analysis_jobs WHERE status IN ('queued', 'running')").all();
+
+    interrupted.forEach(({ id, upload_path: uploadPath }) => {
+      if (uploadPath) {
+        // A single upload, or the folder of a batch
+        fs.rmSync(uploadPath, { recursive: true, force: true });
+      }
+      this.update(id, { status: 'failed', error: 'Analysis was interrupted by a server restart. Please upload again.' });
+    });
+
+    db.prepare('DELETE FROM analysis_jobs WHERE completed_at < ?')
+      .run(new Date(now.getTime() - FINISHED_JOB_MAX_AGE_MS).toISOString());
+
+    return interrupted.length;
+  }
+}
+
+export { JobError };
+export default AnalysisJobService;
@@ -0,0 +1,157 @@
+// Analysis Job Service tests - the job queue, progress updates and recovery after a restart
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AuthService from './authService.js';
+import AnalysisJobService from './analysisJobService.js';
+import { getDb, closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+// A promise with its resolve and reject functions, to finish tasks when a test says so
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('AnalysisJobService', () => {
+  let acme;
+  let globex;
+  let dir;
+
+  before(() => {
+    const authService = new AuthService();
+    acme = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+    globex = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user.organizationId;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-jobs-'));
+  });
+
+  after(() => {
+    closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates queued jobs visible to their organization only', () => {
+    const service = new AnalysisJobService();
+    const job = service.create({ organizationId: acme, originalName: 'site.jpg' });
+
+    assert.equal(job.status, 'queued');
+    assert.equal(job.stage, 'stored');
+    assert.deepEqual(job.stages, ['stored', 'preprocessed', 'detected', 'scored']);
+    assert.equal(job.originalName, 'site.jpg');
+    assert.throws(() => service.get(job.id, globex), { status: 404 });
+    service.update(job.id, { status: 'failed', error: 'Not run' });
+  });
+
+  test('reports every stage and the result to subscribers', async () => {
+    const service = new AnalysisJobService();
+    const job = service.create({ organizationId: acme });
+    const seen = [];
+    const unsubscribe = service.subscribe(job.id, update => seen.push([update.status, update.stage]));
+    const done = deferred();
+
+    service.enqueue(job.id, async progress => {
+      progress('preprocessed');
+      progress('detected');
+      await done.promise;
+      progress('scored');
+      return { complianceScore: 80 };
+    });
+    await tick();
+    assert.equal(service.get(job.id, acme).status, 'running');
+
+    done.resolve();
+    await tick();
+    unsubscribe();
+
+    const finished = service.get(job.id, acme);
+    assert.equal(finished.status, 'succeeded');
+    assert.deepEqual(finished.result, { complianceScore: 80 });
+    assert.ok(finished.completedAt);
+    assert.deepEqual(seen, [
+      ['running', 'stored'],
+      ['running', 'preprocessed'],
+      ['running', 'detected'],
+      ['running', 'scored'],
+      ['succeeded', 'scored']
+    ]);
+  });
+
+  test('fails the job with the message of the error', async () => {
+    const service = new AnalysisJobService();
+    const job = service.create({ organizationId: acme });
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      service.enqueue(job.id, async () => {
+        throw new Error('No person in the image');
+      });
+      await tick();
+    } finally {
+      console.error = originalError;
+    }
+
+    const failed = service.get(job.id, acme);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'No person in the image');
+    assert.equal(failed.result, null);
+  });
+
+  test('runs no more jobs at once than its concurrency', async () => {
+    const service = new AnalysisJobService({ concurrency: 2 });
+    const tasks = [deferred(), deferred(), deferred()];
+    const jobs = tasks.map(() => service.create({ organizationId: acme }));
+    jobs.forEach((job, index) => service.enqueue(job.id, () => tasks[index].promise));
+    const statuses = () => jobs.map(job => service.get(job.id, acme).status);
+
+    await tick();
+    assert.deepEqual(statuses(), ['running', 'running', 'queued']);
+
+    tasks[0].resolve({});
+    await tick();
+    assert.deepEqual(statuses(), ['succeeded', 'running', 'running']);
+
+    tasks[1].resolve({});
+    tasks[2].resolve({});
+    await tick();
+    assert.deepEqual(statuses(), ['succeeded', 'succeeded', 'succeeded']);
+  });
+
+  test('fails jobs interrupted by a restart, deletes their uploads and prunes old jobs', () => {
+    const service = new AnalysisJobService();
+    const uploadPath = path.join(dir, 'image-1.jpg');
+    const batchPath = path.join(dir, 'batch');
+    fs.writeFileSync(uploadPath, 'image');
+    fs.mkdirSync(batchPath);
+    fs.writeFileSync(path.join(batchPath, 'site.zip'), 'zip');
+
+    const queued = service.create({ organizationId: acme, uploadPath });
+    const running = service.create({ organizationId: acme, uploadPath: batchPath });
+    service.update(running.id, { status: 'running', stage: 'detected' });
+    const old = service.create({ organizationId: acme });
+    service.update(old.id, { status: 'succeeded', result: {} });
+    getDb().prepare('UPDATE analysis_jobs SET completed_at = ? WHERE id = ?').run('2025-01-01T00:00:00.000Z', old.id);
+
+    assert.equal(service.recover(new Date('2025-01-10T00:00:00.000Z')), 2);
+
+    [queued, running].forEach(job => {
+      const failed = service.get(job.id, acme);
+      assert.equal(failed.status, 'failed');
+      assert.match(failed.error, /interrupted by a server restart/);
+    });
+    assert.equal(service.get(running.id, acme).stage, 'detected');
+    assert.equal(fs.existsSync(uploadPath), false);
+    assert.equal(fs.existsSync(batchPath), false);
+    assert.throws(() => service.get(old.id, acme), { status: 404 });
+  });
+});
@@ -0,0 +1,125 @@
+// Analysis Review Service - human corrections of detections, stored as reviewed versions of an analysis
+import { getDb } from '../db/database.js';
+import { getCategory } from './ppeCatalog.js';
+import PPEAnalysisService from './ppeAnalysisService.js';
+import EnvironmentService from './environmentService.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+
+class ReviewError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function fromRow(row) {
+  return {
+    version: row.version,
+    reviewedBy: { id: row.reviewer_id, username: row.reviewer_name },
+    reviewedAt: row.created_at,
+    note: row.note,
+    detections: JSON.parse(row.detections),
+    compliance: JSON.parse(row.compliance),
+    recommendations: JSON.parse(row.recommendations)
+  };
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+class AnalysisReviewService {
+  constructor(options = {}) {
+    this.environmentService = options.environmentService || new EnvironmentService();
+    this.ppeAnalysisService = options.ppeAnalysisService || new PPEAnalysisService({ environmentService: this.environmentService });
+    this.analysisHistoryService = options.analysisHistoryService || new AnalysisHistoryService();
+  }
+
+  getAnalysis(analysisId, organizationId) {
+    const record = this.analysisHistoryService.get(analysisId, organizationId);
+    if (!record) {
+      throw new ReviewError('Analysis not found', 404);
+    }
+    return record;
+  }
+
+  // Reviewed versions of an analysis, oldest first
+  list(analysisId, organizationId) {
+    this.getAnalysis(analysisId, organizationId);
+    return getDb().prepare('SELECT * FROM analysis_reviews WHERE analysis_id = ? ORDER BY version')
+      .all(analysisId)
+      .map(fromRow);
+  }
+
+  /**
+   * Store corrected detections as a new reviewed version and make it the current one; the
+   * detector output stays in the analysis as `machineAnalysis`.
+   * A reviewer has looked at every box they keep, so all of them count as confirmed: compliance is
+   * rescored at full confidence against the requirements and thresholds the analysis was made with.
+   * @param {object} review - detections ({ class, bbox, detectorConfidence? }) and an optional note
+   * @param {object} reviewer - the user saving the review
+   * @returns {object} the analysis record with the review applied
+   */
+  review(analysisId, organizationId, { detections, note = null }, reviewer) {
+    const record = this.getAnalysis(analysisId, organizationId);
+    const { imageInfo } = record.analysis;
+    const corrected = detections.map((detection, index) => this.toReviewedDetection(detection, index, imageInfo));
+
+    const { requiredCategories, thresholds } = (record.machineAnalysis || record.analysis).compliance;
+    const compliance = this.ppeAnalysisService.analyzeCompliance(corrected, requiredCategories, thresholds);
+    const environment = this.environmentService.get(record.workEnvironment, organizationId);
+    const recommendations = this.ppeAnalysisService.generateRecommendations(compliance, environment);
+
+    const db = getDb();
+    db.transaction(() => {
+      const { version } = db.prepare('SELECT COALESCE(MAX(version), 0) + 1 AS version FROM analysis_reviews WHERE analysis_id = ?')
+        .get(analysisId);
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO analysis_reviews (analysis_id, version, reviewer_id, reviewer_name, note, detections, compliance, recommendations, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        analysisId,
+        version,
+        reviewer.id,
+        reviewer.username,
+        note || null,
+        JSON.stringify(corrected),
+        JSON.stringify(compliance),
+        JSON.stringify(recommendations),
+        new Date().toISOString()
+      );
+
+      // The summary columns follow the current version, so lists, filters and statistics use the corrected result
+      db.prepare(`
+        UPDATE analyses SET review_id = ?, is_compliant = ?, verdict = ?, compliance_score = ?, person_count = ?
+        WHERE id = ?
+      `).run(lastInsertRowid, compliance.isCompliant ? 1 : 0, compliance.verdict, compliance.complianceScore, compliance.people.length, analysisId);
+    })();
+
+    return this.analysisHistoryService.get(analysisId, organizationId);
+  }
+
+  // Boxes are clipped to the image; detectorConfidence marks a box that came from the detector
+  toReviewedDetection(detection, index, { width = Infinity, height = Infinity } = {}) {
+    const [x, y, w, h] = detection.bbox;
+    const left = clamp(x, 0, width);
+    const top = clamp(y, 0, height);
+    const right = clamp(x + w, 0, width);
+    const bottom = clamp(y + h, 0, height);
+
+    if (right - left < 1 || bottom - top < 1) {
+      throw new ReviewError(`Detection ${index + 1} lies outside the image`, 400);
+    }
+
+    const fromDetector = detection.detectorConfidence !== undefined;
+    return {
+      class: detection.class,
+      confidence: 1,
+      bbox: [left, top, right - left, bottom - top].map(Math.round),
+      category: getCategory(detection.class),
+      source: fromDetector ? 'detector' : 'reviewer',
+      ...(fromDetector ? { detectorConfidence: detection.detectorConfidence } : {})
+    };
+  }
+}
+
+export { ReviewError };
+export default AnalysisReviewService;
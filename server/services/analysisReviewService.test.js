@@ -0,0 +1,127 @@
+// Analysis Review Service tests - reviewed versions of an analysis and the rescored compliance
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import AuthService from './authService.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import AnalysisReviewService from './analysisReviewService.js';
+import PPEAnalysisService from './ppeAnalysisService.js';
+import EnvironmentService from './environmentService.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+const person = { class: 'person', confidence: 0.95, bbox: [0, 0, 100, 300] };
+const glasses = { class: 'safety glasses', confidence: 0.55, bbox: [35, 30, 30, 10] };
+const gloves = { class: 'gloves', bbox: [0, 150, 20, 20] };
+
+describe('AnalysisReviewService', () => {
+  const historyService = new AnalysisHistoryService();
+  const service = new AnalysisReviewService({ analysisHistoryService: historyService });
+  let alice;
+  let bob;
+  let analysisId;
+
+  before(() => {
+    const authService = new AuthService();
+    alice = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user;
+    bob = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user;
+
+    // Scored by the detector on a laboratory: uncertain glasses and no gloves
+    const environment = new EnvironmentService().get('laboratory');
+    const compliance = new PPEAnalysisService().analyzeCompliance([person, glasses], environment.requiredCategories, environment.thresholds);
+    analysisId = historyService.save({
+      filename: 'image-1.jpg',
+      organizationId: alice.organizationId,
+      analysis: {
+        workEnvironment: 'laboratory',
+        timestamp: new Date().toISOString(),
+        imageInfo: { width: 100, height: 300 },
+        detections: [person, glasses],
+        recommendations: [],
+        compliance
+      }
+    }).id;
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('starts with the detector output and no reviews', () => {
+    const record = historyService.get(analysisId, alice.organizationId);
+
+    assert.equal(record.verdict, 'non_compliant');
+    assert.equal(record.review, null);
+    assert.equal(record.machineAnalysis, null);
+    assert.deepEqual(service.list(analysisId, alice.organizationId), []);
+  });
+
+  test('rescores the corrected detections as confirmed and keeps the detector output', () => {
+    const record = service.review(analysisId, alice.organizationId, {
+      detections: [
+        { ...person, detectorConfidence: person.confidence },
+        { ...glasses, detectorConfidence: glasses.confidence },
+        gloves
+      ],
+      note: 'Gloves hidden by the bench'
+    }, alice);
+
+    assert.equal(record.isCompliant, true);
+    assert.equal(record.verdict, 'compliant');
+    assert.equal(record.complianceScore, 100);
+    assert.deepEqual(record.review, {
+      version: 1,
+      reviewedBy: { id: alice.id, username: 'alice' },
+      reviewedAt: record.review.reviewedAt,
+      note: 'Gloves hidden by the bench'
+    });
+    assert.deepEqual(record.analysis.detections.map(detection => [detection.class, detection.confidence, detection.source]), [
+      ['person', 1, 'detector'],
+      ['safety glasses', 1, 'detector'],
+      ['gloves', 1, 'reviewer']
+    ]);
+    assert.equal(record.analysis.detections[1].detectorConfidence, 0.55);
+    assert.equal(record.analysis.detections[2].category, 'hand_protection');
+    assert.deepEqual(record.machineAnalysis.detections, [person, glasses]);
+    assert.equal(record.machineAnalysis.compliance.verdict, 'non_compliant');
+  });
+
+  test('adds a version per review with the latest one current', () => {
+    const record = service.review(analysisId, alice.organizationId, { detections: [person, glasses] }, alice);
+
+    assert.equal(record.review.version, 2);
+    assert.equal(record.review.note, null);
+    assert.deepEqual(record.analysis.compliance.missingCategories, ['hand_protection']);
+    assert.equal(record.verdict, 'non_compliant');
+    assert.deepEqual(service.list(analysisId, alice.organizationId).map(review => [review.version, review.compliance.verdict]), [
+      [1, 'compliant'],
+      [2, 'non_compliant']
+    ]);
+
+    // Every version is scored against the requirements stored with the detector's result
+    assert.deepEqual(record.analysis.compliance.requiredCategories, ['eye_protection', 'hand_protection']);
+  });
+
+  test('lists and filters by the current version', () => {
+    service.review(analysisId, alice.organizationId, { detections: [person, glasses, gloves] }, alice);
+    const list = filters => historyService.list({ organizationId: alice.organizationId, ...filters }).items.map(item => item.id);
+
+    assert.deepEqual(list({ compliant: true }), [analysisId]);
+    assert.deepEqual(list({ reviewed: true }), [analysisId]);
+    assert.deepEqual(list({ reviewed: false }), []);
+  });
+
+  test('clips boxes to the image and refuses boxes outside it', () => {
+    assert.deepEqual(service.toReviewedDetection({ class: 'boots', bbox: [90, 280, 50, 50] }, 0, { width: 100, height: 300 }).bbox, [90, 280, 10, 20]);
+    assert.throws(
+      () => service.review(analysisId, alice.organizationId, { detections: [person, { class: 'helmet', bbox: [200, 0, 10, 10] }] }, alice),
+      { status: 400, message: 'Detection 2 lies outside the image' }
+    );
+    assert.equal(service.list(analysisId, alice.organizationId).length, 3);
+  });
+
+  test('does not review analyses of other organizations', () => {
+    assert.throws(() => service.review(analysisId, bob.organizationId, { detections: [] }, bob), { status: 404 });
+    assert.throws(() => service.list(analysisId, bob.organizationId), { status: 404 });
+  });
+});
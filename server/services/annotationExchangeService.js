@@ -0,0 +1,275 @@
+// Annotation Exchange Service - exports analyses for labeling and training tools (COCO, Pascal VOC, YOLO)
+// and imports their annotations as reviewed versions of analyses
+import path from 'path';
+import AdmZip from 'adm-zip';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import AnalysisReviewService from './analysisReviewService.js';
+import { NORMALIZED_EXTENSIONS } from './imagePreprocessingService.js';
+import { getStorage } from './storage/index.js';
+import { PPE_ITEMS } from './ppeCatalog.js';
+import {
+  CLASS_NAMES, AnnotationFormatError, toCoco, parseCoco, toVoc, parseVoc, toYoloLabels, toYoloDataYaml, parseYoloNames, parseYoloLabels
+} from './annotationFormats.js';
+
+export const MAX_EXPORT_ANALYSES = 500;
+
+// Where an export puts the images and the per-image annotation files
+const IMAGE_FOLDERS = { coco: 'images', voc: 'JPEGImages', yolo: 'images' };
+
+const MANIFEST_FILE = 'safetysnap.json';
+const YOLO_NAME_FILES = ['data.yaml', 'dataset.yaml', 'classes.txt', 'obj.names'];
+const TEXT_EXTENSIONS = ['.json', '.xml', '.txt', '.yaml', '.yml', '.names'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.bmp'];
+
+const stem = file => path.parse(file).name;
+
+// Annotation files of an upload - a ZIP archive, or a single COCO .json or VOC .xml file - as
+// { texts: [{ name, text }], images: [names] }; images inside an archive are only listed
+function readUpload({ buffer, originalname }) {
+  const extension = path.extname(originalname).toLowerCase();
+  if (extension !== '.zip') {
+    return { texts: [{ name: originalname, text: buffer.toString('utf8') }], images: [] };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'));
+  } catch (error) {
+    throw new AnnotationFormatError(`Could not read the ZIP archive: ${error.message}`);
+  }
+
+  return {
+    texts: entries
+      .filter(entry => TEXT_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase()))
+      .map(entry => ({ name: entry.entryName, text: entry.getData().toString('utf8') })),
+    images: entries
+      .filter(entry => IMAGE_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase()))
+      .map(entry => entry.entryName)
+  };
+}
+
+function parseJson(file) {
+  try {
+    return JSON.parse(file.text);
+  } catch (error) {
+    throw new AnnotationFormatError(`${file.name} is not valid JSON`);
+  }
+}
+
+// COCO files are the JSON files with an images array; the manifest of a SafetySnap export isn't one
+const isCocoFile = file => path.extname(file.name).toLowerCase() === '.json'
+  && path.basename(file.name) !== MANIFEST_FILE
+  && Array.isArray(parseJson(file).images);
+
+function detectFormat({ texts }) {
+  if (texts.some(isCocoFile)) return 'coco';
+  if (texts.some(file => path.extname(file.name).toLowerCase() === '.xml')) return 'voc';
+  if (texts.some(file => path.extname(file.name).toLowerCase() === '.txt' && !YOLO_NAME_FILES.includes(path.basename(file.name)))) return 'yolo';
+  throw new AnnotationFormatError('No COCO, Pascal VOC or YOLO annotations found');
+}
+
+/**
+ * Annotated images of an upload as { file, width?, height?, boxes? , yolo? }. YOLO boxes are
+ * normalized, so their labels are kept as text until the size of the analyzed image is known.
+ */
+function parseUpload(upload, format) {
+  if (format === 'coco') {
+    return upload.texts.filter(isCocoFile).flatMap(file => parseCoco(parseJson(file)));
+  }
+
+  if (format === 'voc') {
+    return upload.texts
+      .filter(file => path.extname(file.name).toLowerCase() === '.xml')
+      .map(file => {
+        const entry = parseVoc(file.text, file.name);
+        return { ...entry, file: entry.file || stem(file.name) };
+      });
+  }
+
+  const namesFile = YOLO_NAME_FILES
+    .map(name => upload.texts.find(file => path.basename(file.name) === name))
+    .find(Boolean);
+  if (!namesFile) {
+    throw new AnnotationFormatError(`YOLO annotations need their class names in one of ${YOLO_NAME_FILES.join(', ')}`);
+  }
+  const names = parseYoloNames(namesFile.text, { yaml: /\.ya?ml$/.test(namesFile.name) });
+
+  return upload.texts
+    .filter(file => path.extname(file.name).toLowerCase() === '.txt' && !YOLO_NAME_FILES.includes(path.basename(file.name)))
+    .map(file => {
+      // The image of a label file has the same name, if the archive includes it
+      const image = upload.images.find(name => stem(name) === stem(file.name));
+      return { file: image ? path.basename(image) : stem(file.name), yolo: { text: file.text, names, source: file.name } };
+    });
+}
+
+class AnnotationExchangeService {
+  constructor(options = {}) {
+    this.analysisHistoryService = options.analysisHistoryService || new AnalysisHistoryService();
+    this.analysisReviewService = options.analysisReviewService
+      || new AnalysisReviewService({ analysisHistoryService: this.analysisHistoryService });
+  }
+
+  /**
+   * Analyses to export: the newest `limit` matching the list filters of AnalysisHistoryService.list.
+   * An image analyzed more than once is exported once, with its most recent analysis.
+   * @returns {{ records, total }} total is the number of analyses matching the filters
+   */
+  findAnalyses(organizationId, filters, limit = MAX_EXPORT_ANALYSES) {
+    const { items, pagination } = this.analysisHistoryService.list({
+      ...filters,
+      organizationId,
+      sort: 'analyzedAt',
+      order: 'desc',
+      page: 1,
+      pageSize: limit
+    });
+
+    const filenames = new Set();
+    const records = items
+      .filter(item => !filenames.has(item.filename) && filenames.add(item.filename))
+      .map(item => this.analysisHistoryService.get(item.id, organizationId));
+    return { records, total: pagination.total };
+  }
+
+  /**
+   * ZIP archive of analyses in a labeling format, with their images unless `includeImages` is false.
+   * The current version of every analysis is exported, so reviewed analyses carry the corrected boxes.
+   * Layouts: COCO annotations.json + images/, VOC Annotations/*.xml + JPEGImages/, YOLO labels/*.txt +
+   * images/ + data.yaml and classes.txt; safetysnap.json lists the exported analyses.
+   * @param {object} options - format, includeImages, minConfidence, and the number of analyses that
+   *   matched when the export was limited
+   * @returns {Promise<Buffer>}
+   */
+  async export(records, { format, includeImages = true, minConfidence = 0, matching = records.length }) {
+    const zip = new AdmZip();
+    const storage = getStorage();
+    const imageFolder = IMAGE_FOLDERS[format];
+    const entries = [];
+    const manifest = [];
+
+    for (const record of records) {
+      const { width, height } = record.analysis.imageInfo;
+      const entry = {
+        id: record.id,
+        file: record.filename,
+        width,
+        height,
+        detections: record.analysis.detections.filter(detection => PPE_ITEMS[detection.class] && detection.confidence >= minConfidence)
+      };
+
+      // Exported images are the stored ones, so faces stay blurred when the organization anonymizes images
+      const imageIncluded = includeImages && record.imageAvailable && await storage.exists(record.filename);
+      if (imageIncluded) {
+        zip.addFile(`${imageFolder}/${record.filename}`, await storage.get(record.filename));
+      }
+
+      if (format === 'voc') {
+        zip.addFile(`Annotations/${stem(record.filename)}.xml`, Buffer.from(toVoc(entry)));
+      } else if (format === 'yolo') {
+        zip.addFile(`labels/${stem(record.filename)}.txt`, Buffer.from(toYoloLabels(entry)));
+      }
+
+      entries.push(entry);
+      manifest.push({
+        analysisId: record.id,
+        file: record.filename,
+        originalName: record.originalName,
+        workEnvironment: record.workEnvironment,
+        reviewVersion: record.review?.version ?? null,
+        detections: entry.detections.length,
+        imageIncluded
+      });
+    }
+
+    if (format === 'coco') {
+      const coco = toCoco(entries.map(entry => ({ ...entry, file: `${imageFolder}/${entry.file}` })));
+      zip.addFile('annotations.json', Buffer.from(JSON.stringify(coco, null, 2)));
+    } else if (format === 'yolo') {
+      zip.addFile('data.yaml', Buffer.from(toYoloDataYaml()));
+      zip.addFile('classes.txt', Buffer.from(`${CLASS_NAMES.join('\n')}\n`));
+    }
+
+    zip.addFile(MANIFEST_FILE, Buffer.from(JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      format,
+      minConfidence,
+      matchingAnalyses: matching,
+      analyses: manifest
+    }, null, 2)));
+
+    return zip.toBuffer();
+  }
+
+  // Most recent analysis of an image name; YOLO label files only give the name without extension
+  findAnalysisForImage(file, organizationId) {
+    const name = path.basename(file);
+    const candidates = path.extname(name) ? [name] : NORMALIZED_EXTENSIONS.map(extension => `${name}${extension}`);
+    for (const candidate of candidates) {
+      const record = this.analysisHistoryService.getLatestForFilename(candidate, organizationId);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Attach annotations from a labeling tool as reviewed versions of analyses. Every annotated image
+   * is matched by file name to the most recent analysis of the upload with that name, and its boxes
+   * are scaled to the analyzed image when the annotation gives another size. Labels of classes the
+   * PPE catalog doesn't track are ignored; an image without any other labels is skipped.
+   * @param {object} file - the uploaded file ({ buffer, originalname }): a ZIP archive, a COCO .json or a VOC .xml
+   * @param {object} options - format (detected when omitted), organizationId, reviewer
+   * @returns {object} { format, imported: [{ file, analysisId, version, detections }], skipped: [{ file, reason }], ignoredClasses }
+   */
+  async import(file, { format, organizationId, reviewer }) {
+    const upload = readUpload(file);
+    const annotationFormat = format || detectFormat(upload);
+    const entries = parseUpload(upload, annotationFormat);
+    if (entries.length === 0) {
+      throw new AnnotationFormatError(`No ${annotationFormat.toUpperCase()} annotations found`);
+    }
+
+    const result = { format: annotationFormat, imported: [], skipped: [], ignoredClasses: {} };
+    const note = `Imported from ${file.originalname} (${annotationFormat.toUpperCase()})`;
+
+    for (const entry of entries) {
+      const record = this.findAnalysisForImage(entry.file, organizationId);
+      if (!record) {
+        result.skipped.push({ file: entry.file, reason: 'No analysis of this image' });
+        continue;
+      }
+
+      const { width, height } = record.analysis.imageInfo;
+      const scaleX = entry.width ? width / entry.width : 1;
+      const scaleY = entry.height ? height / entry.height : 1;
+      const boxes = entry.yolo
+        ? parseYoloLabels(entry.yolo.text, entry.yolo.names, width, height, entry.yolo.source)
+        : entry.boxes.map(box => ({ ...box, bbox: [box.bbox[0] * scaleX, box.bbox[1] * scaleY, box.bbox[2] * scaleX, box.bbox[3] * scaleY] }));
+
+      const detections = boxes.filter(box => {
+        if (PPE_ITEMS[box.class]) return true;
+        result.ignoredClasses[box.class] = (result.ignoredClasses[box.class] || 0) + 1;
+        return false;
+      });
+      if (boxes.length > 0 && detections.length === 0) {
+        result.skipped.push({ file: entry.file, reason: 'None of the labels is a PPE class' });
+        continue;
+      }
+
+      try {
+        const reviewed = this.analysisReviewService.review(record.id, organizationId, {
+          detections: detections.map(box => ({ class: box.class, bbox: box.bbox })),
+          note
+        }, reviewer);
+        result.imported.push({ file: entry.file, analysisId: record.id, version: reviewed.review.version, detections: detections.length });
+      } catch (error) {
+        if (!error.status) throw error;
+        result.skipped.push({ file: entry.file, reason: error.message });
+      }
+    }
+
+    return result;
+  }
+}
+
+export default AnnotationExchangeService;
@@ -0,0 +1,221 @@
+// Annotation formats of labeling and training tools: COCO JSON, Pascal VOC XML and YOLO txt
+//
+// Writers take entries of { id, file, width, height, detections } (detections in SafetySnap's
+// { class, confidence, bbox: [x, y, width, height] } shape); parsers return entries of
+// { file, width, height, boxes: [{ class, bbox }] } with class names lower-cased and boxes in pixels.
+// Class ids of COCO and YOLO follow the order of PPE_ITEMS.
+import { PPE_ITEMS } from './ppeCatalog.js';
+
+export const ANNOTATION_FORMATS = ['coco', 'voc', 'yolo'];
+
+export const CLASS_NAMES = Object.keys(PPE_ITEMS);
+
+// Invalid annotation files are rejected with 400
+class AnnotationFormatError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+export const normalizeClassName = name => String(name).trim().toLowerCase();
+
+// COCO
+
+export function toCoco(entries, { description = 'SafetySnap export' } = {}) {
+  let annotationId = 0;
+  return {
+    info: { description, version: '1.0', date_created: new Date().toISOString() },
+    licenses: [],
+    categories: CLASS_NAMES.map((name, index) => ({ id: index + 1, name, supercategory: PPE_ITEMS[name].category })),
+    images: entries.map(entry => ({ id: entry.id, file_name: entry.file, width: entry.width, height: entry.height })),
+    annotations: entries.flatMap(entry => entry.detections.map(detection => {
+      const bbox = detection.bbox.map(round);
+      return {
+        id: ++annotationId,
+        image_id: entry.id,
+        category_id: CLASS_NAMES.indexOf(detection.class) + 1,
+        bbox,
+        area: round(bbox[2] * bbox[3]),
+        iscrowd: 0,
+        // Not part of COCO ground truth, but read by most tools as the detection score
+        score: detection.confidence
+      };
+    }))
+  };
+}
+
+export function parseCoco(coco) {
+  if (!coco || !Array.isArray(coco.images) || !Array.isArray(coco.annotations) || !Array.isArray(coco.categories)) {
+    throw new AnnotationFormatError('Not a COCO annotation file: images, annotations and categories are required');
+  }
+
+  const categoryNames = new Map(coco.categories.map(category => [category.id, category.name]));
+  const entries = new Map(coco.images.map(image => [image.id, {
+    file: image.file_name,
+    width: image.width,
+    height: image.height,
+    boxes: []
+  }]));
+
+  for (const annotation of coco.annotations) {
+    const entry = entries.get(annotation.image_id);
+    if (!entry || !Array.isArray(annotation.bbox) || annotation.bbox.length !== 4) continue;
+    entry.boxes.push({
+      class: normalizeClassName(categoryNames.get(annotation.category_id) ?? annotation.category_id),
+      bbox: annotation.bbox.map(Number)
+    });
+  }
+  return [...entries.values()];
+}
+
+// Pascal VOC
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = value => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+export function toVoc(entry, { folder = 'JPEGImages' } = {}) {
+  const objects = entry.detections.map(({ class: name, bbox: [x, y, width, height] }) => `  <object>
+    <name>${escapeXml(name)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(x)}</xmin>
+      <ymin>${Math.round(y)}</ymin>
+      <xmax>${Math.round(x + width)}</xmax>
+      <ymax>${Math.round(y + height)}</ymax>
+    </bndbox>
+  </object>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<annotation>
+  <folder>${escapeXml(folder)}</folder>
+  <filename>${escapeXml(entry.file)}</filename>
+  <source>
+    <database>SafetySnap</database>
+  </source>
+  <size>
+    <width>${entry.width}</width>
+    <height>${entry.height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>
+${objects.join('\n')}
+</annotation>
+`;
+}
+
+// Text of the first <name> element in an XML fragment, or null
+function xmlValue(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return match ? unescapeXml(match[1].trim()) : null;
+}
+
+export function parseVoc(xml, source = 'VOC file') {
+  if (!/<annotation[\s>]/.test(xml)) {
+    throw new AnnotationFormatError(`${source} is not a Pascal VOC annotation`);
+  }
+
+  const size = xml.match(/<size>([\s\S]*?)<\/size>/)?.[1] || '';
+  const boxes = [...xml.matchAll(/<object>([\s\S]*?)<\/object>/g)].map(([, object]) => {
+    const bndbox = object.match(/<bndbox>([\s\S]*?)<\/bndbox>/);
+    const name = xmlValue(object, 'name');
+    if (!bndbox || name === null) {
+      throw new AnnotationFormatError(`${source} has an object without a name or bndbox`);
+    }
+    const [xmin, ymin, xmax, ymax] = ['xmin', 'ymin', 'xmax', 'ymax'].map(key => Number(xmlValue(bndbox[1], key)));
+    if ([xmin, ymin, xmax, ymax].some(Number.isNaN)) {
+      throw new AnnotationFormatError(`${source} has an invalid bndbox for "${name}"`);
+    }
+    return { class: normalizeClassName(name), bbox: [xmin, ymin, xmax - xmin, ymax - ymin] };
+  });
+
+  return {
+    file: xmlValue(xml, 'filename'),
+    width: Number(xmlValue(size, 'width')) || undefined,
+    height: Number(xmlValue(size, 'height')) || undefined,
+    boxes
+  };
+}
+
+// YOLO
+
+export function toYoloLabels(entry) {
+  const lines = entry.detections.map(({ class: name, bbox: [x, y, width, height] }) => [
+    CLASS_NAMES.indexOf(name),
+    ...[(x + width / 2) / entry.width, (y + height / 2) / entry.height, width / entry.width, height / entry.height].map(value => value.toFixed(6))
+  ].join(' '));
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+// data.yaml in the layout of Ultralytics datasets
+export function toYoloDataYaml() {
+  return [
+    '# SafetySnap export',
+    'path: .',
+    'train: images',
+    'val: images',
+    `nc: ${CLASS_NAMES.length}`,
+    'names:',
+    ...CLASS_NAMES.map((name, index) => `  ${index}: ${name}`),
+    ''
+  ].join('\n');
+}
+
+// Class names from a YOLO data.yaml ("names: [a, b]", a "- a" list or "0: a" entries) or a
+// names file (classes.txt, obj.names) with one class per line
+export function parseYoloNames(text, { yaml = false } = {}) {
+  if (!yaml) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+
+  const unquote = value => value.trim().replace(/^['"]|['"]$/g, '');
+  const inline = text.match(/^names:\s*\[(.*)\]\s*$/m);
+  if (inline) {
+    return inline[1].split(',').map(unquote).filter(Boolean);
+  }
+
+  const names = [];
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(line => /^names:\s*$/.test(line));
+  if (start === -1) return names;
+  for (const line of lines.slice(start + 1)) {
+    const item = line.match(/^\s+(\d+):\s*(.+)$/) || line.match(/^\s+-\s*(.+)$/);
+    if (!item) break;
+    if (item.length === 3) {
+      names[Number(item[1])] = unquote(item[2]);
+    } else {
+      names.push(unquote(item[1]));
+    }
+  }
+  return names;
+}
+
+// Boxes of a YOLO label file ("<class> <cx> <cy> <w> <h>", normalized) in pixels of an image of the given size
+export function parseYoloLabels(text, names, width, height, source = 'YOLO label file') {
+  return text.split(/\r?\n/).filter(line => line.trim()).map(line => {
+    const [classId, cx, cy, w, h] = line.trim().split(/\s+/).map(Number);
+    if ([classId, cx, cy, w, h].some(Number.isNaN)) {
+      throw new AnnotationFormatError(`Invalid YOLO label in ${source}: "${line.trim()}"`);
+    }
+    return {
+      class: normalizeClassName(names[classId] ?? classId),
+      bbox: [(cx - w / 2) * width, (cy - h / 2) * height, w * width, h * height]
+    };
+  });
+}
+
+export { AnnotationFormatError };
@@ -0,0 +1,91 @@
+// Annotation formats tests - round-trips through the COCO, Pascal VOC and YOLO writers and parsers
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CLASS_NAMES, toCoco, parseCoco, toVoc, parseVoc, toYoloLabels, toYoloDataYaml, parseYoloNames, parseYoloLabels
+} from './annotationFormats.js';
+
+const entry = {
+  id: 7,
+  file: 'site & gate.jpg',
+  width: 640,
+  height: 480,
+  detections: [
+    { class: 'person', confidence: 0.95, bbox: [100, 50, 200, 400] },
+    { class: 'hi-vis vest', confidence: 0.8, bbox: [140, 150, 120, 160] }
+  ]
+};
+
+const boxesOf = detections => detections.map(({ class: name, bbox }) => ({ class: name, bbox }));
+
+describe('COCO', () => {
+  test('parses what it writes', () => {
+    const coco = toCoco([entry, { id: 8, file: 'empty.jpg', width: 100, height: 100, detections: [] }]);
+
+    assert.equal(coco.annotations[1].category_id, CLASS_NAMES.indexOf('hi-vis vest') + 1);
+    assert.equal(coco.annotations[0].score, 0.95);
+    assert.deepEqual(parseCoco(JSON.parse(JSON.stringify(coco))), [
+      { file: 'site & gate.jpg', width: 640, height: 480, boxes: boxesOf(entry.detections) },
+      { file: 'empty.jpg', width: 100, height: 100, boxes: [] }
+    ]);
+  });
+
+  test('lower-cases class names and rejects files that are not COCO', () => {
+    const [parsed] = parseCoco({
+      images: [{ id: 1, file_name: 'a.jpg', width: 10, height: 10 }],
+      annotations: [{ image_id: 1, category_id: 3, bbox: [1, 2, 3, 4] }, { image_id: 2, category_id: 3, bbox: [0, 0, 1, 1] }],
+      categories: [{ id: 3, name: ' Hard Hat ' }]
+    });
+
+    assert.deepEqual(parsed.boxes, [{ class: 'hard hat', bbox: [1, 2, 3, 4] }]);
+    assert.throws(() => parseCoco({ images: [] }), { status: 400 });
+  });
+});
+
+describe('Pascal VOC', () => {
+  test('parses what it writes, escaping XML', () => {
+    const xml = toVoc(entry);
+
+    assert.match(xml, /<filename>site &amp; gate\.jpg<\/filename>/);
+    assert.deepEqual(parseVoc(xml), { file: 'site & gate.jpg', width: 640, height: 480, boxes: boxesOf(entry.detections) });
+  });
+
+  test('rounds boxes to whole pixels', () => {
+    const xml = toVoc({ ...entry, detections: [{ class: 'helmet', confidence: 0.9, bbox: [10.4, 20.6, 30.2, 40.2] }] });
+
+    assert.deepEqual(parseVoc(xml).boxes, [{ class: 'helmet', bbox: [10, 21, 31, 40] }]);
+  });
+
+  test('rejects other XML and objects without a box', () => {
+    assert.throws(() => parseVoc('<svg></svg>', 'a.xml'), /a\.xml is not a Pascal VOC annotation/);
+    assert.throws(() => parseVoc('<annotation><object><name>helmet</name></object></annotation>'), /without a name or bndbox/);
+  });
+});
+
+describe('YOLO', () => {
+  test('parses the labels and class names it writes', () => {
+    const names = parseYoloNames(toYoloDataYaml(), { yaml: true });
+    const boxes = parseYoloLabels(toYoloLabels(entry), names, entry.width, entry.height);
+
+    assert.deepEqual(names, CLASS_NAMES);
+    assert.deepEqual(boxes.map(box => box.class), ['person', 'hi-vis vest']);
+    boxes.forEach((box, index) => box.bbox.forEach((value, i) => {
+      assert.ok(Math.abs(value - entry.detections[index].bbox[i]) < 0.01, `${value} != ${entry.detections[index].bbox[i]}`);
+    }));
+  });
+
+  test('reads names files and the other data.yaml layouts', () => {
+    assert.deepEqual(parseYoloNames('helmet\r\nperson\n\n'), ['helmet', 'person']);
+    assert.deepEqual(parseYoloNames("names: ['helmet', \"person\"]\n", { yaml: true }), ['helmet', 'person']);
+    assert.deepEqual(parseYoloNames('names:\n  - helmet\n  - person\nnc: 2\n', { yaml: true }), ['helmet', 'person']);
+  });
+
+  test('writes an empty label file for an image without detections', () => {
+    assert.equal(toYoloLabels({ ...entry, detections: [] }), '');
+  });
+
+  test('keeps unknown class ids and rejects malformed lines', () => {
+    assert.deepEqual(parseYoloLabels('5 0.5 0.5 1 1', ['helmet'], 10, 10), [{ class: '5', bbox: [0, 0, 10, 10] }]);
+    assert.throws(() => parseYoloLabels('0 0.5 half 1 1', ['helmet'], 10, 10, 'a.txt'), /Invalid YOLO label in a\.txt/);
+  });
+});
@@ -0,0 +1,86 @@
+// Annotation Service - renders detection boxes onto stored images with sharp
+import sharp from 'sharp';
+import { getCategoryColor } from './ppeCatalog.js';
+
+const OUTPUT_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', apply: image => image.jpeg({ quality: 90 }) },
+  png: { contentType: 'image/png', apply: image => image.png() },
+  webp: { contentType: 'image/webp', apply: image => image.webp({ quality: 90 }) }
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class AnnotationService {
+  // Keep detections at or above minConfidence and, if given, in one of the categories
+  filterDetections(detections, { minConfidence = 0, categories = null } = {}) {
+    return detections.filter(detection =>
+      detection.confidence >= minConfidence &&
+      (!categories || categories.length === 0 || categories.includes(detection.category))
+    );
+  }
+
+  // People are numbered in detection order (before filtering) so numbers match compliance.people
+  labelDetections(detections) {
+    let personCount = 0;
+    return detections.map(detection => {
+      const name = detection.class === 'person' ? `Person ${++personCount}` : detection.class;
+      return { ...detection, label: `${name} (${(detection.confidence * 100).toFixed(1)}%)` };
+    });
+  }
+
+  // SVG overlay with one box and label per detection, sized to the image
+  buildOverlay(width, height, detections) {
+    const fontSize = Math.max(12, Math.round(Math.min(width, height) / 40));
+    const strokeWidth = Math.max(2, Math.round(Math.min(width, height) / 200));
+    const labelHeight = Math.round(fontSize * 1.6);
+    // Rough text width - librsvg has no text measuring we can query ahead of rendering
+    const charWidth = fontSize * 0.6;
+
+    const shapes = detections.map(({ bbox, category, label }) => {
+      const [x, y, w, h] = bbox;
+      const color = getCategoryColor(category);
+      const labelWidth = Math.round(label.length * charWidth + fontSize * 0.6);
+      const labelY = y - labelHeight >= 0 ? y - labelHeight : y;
+
+      return `
+        <rect x="${x}" y="${y}" width="${w}" height="${h}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"/>
+        <rect x="${x}" y="${labelY}" width="${labelWidth}" height="${labelHeight}" fill="${color}"/>
+        <text x="${x + fontSize * 0.3}" y="${labelY + labelHeight - fontSize * 0.45}" font-family="Arial, Helvetica, sans-serif"
+          font-size="${fontSize}" font-weight="bold" fill="white">${escapeXml(label)}</text>`;
+    });
+
+    return Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`
+    );
+  }
+
+  /**
+   * Composite detection boxes, labels and confidences onto an image.
+   * @param {string|Buffer} image - Image path or buffer
+   * @param {Array} detections - { class, confidence, bbox, category }
+   * @param {object} [options] - minConfidence, categories, format (jpeg, png or webp)
+   * @returns {Promise<{ buffer: Buffer, contentType: string, info: object }>}
+   */
+  async render(image, detections, { minConfidence = 0, categories = null, format = 'jpeg' } = {}) {
+    const output = OUTPUT_FORMATS[format] || OUTPUT_FORMATS.jpeg;
+    const { width, height } = await sharp(image).metadata();
+    const visible = this.filterDetections(this.labelDetections(detections), { minConfidence, categories });
+
+    const composited = sharp(image).composite([
+      { input: this.buildOverlay(width, height, visible), top: 0, left: 0 }
+    ]);
+    const { data, info } = await output.apply(composited).toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, contentType: output.contentType, info };
+  }
+}
+
+export { OUTPUT_FORMATS };
+export default AnnotationService;
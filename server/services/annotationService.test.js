@@ -0,0 +1,84 @@
+// Annotation Service tests - which detections are drawn and where
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import AnnotationService from './annotationService.js';
+import { CATEGORY_COLORS } from './ppeCatalog.js';
+
+const SIZE = 400;
+
+const detections = [
+  { class: 'person', category: 'person', confidence: 0.95, bbox: [20, 60, 100, 300] },
+  { class: 'hardhat', category: 'head_protection', confidence: 0.8, bbox: [200, 60, 100, 100] },
+  { class: 'person', category: 'person', confidence: 0.4, bbox: [150, 200, 60, 150] },
+  { class: 'glasses', category: 'eye_protection', confidence: 0.3, bbox: [260, 250, 100, 100] }
+];
+
+// A black PNG to draw on; PNG output keeps the drawn colors exact enough to compare
+const blank = () => sharp({ create: { width: SIZE, height: SIZE, channels: 3, background: '#000000' } }).png().toBuffer();
+
+// Color at the middle of the left edge of a box
+async function edgeColor(image, [x, y, , h]) {
+  const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+  const offset = (Math.round(y + h / 2) * info.width + x) * info.channels;
+  return [data[offset], data[offset + 1], data[offset + 2]];
+}
+
+function isColor([r, g, b], hex) {
+  const expected = [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+  return [r, g, b].every((value, index) => Math.abs(value - expected[index]) <= 24);
+}
+
+describe('AnnotationService', () => {
+  const service = new AnnotationService();
+
+  test('numbers people in detection order, before filtering', () => {
+    const visible = service.filterDetections(service.labelDetections(detections), { minConfidence: 0.35, categories: ['person'] });
+
+    assert.deepEqual(visible.map(detection => detection.label), ['Person 1 (95.0%)', 'Person 2 (40.0%)']);
+  });
+
+  test('filters by confidence and category', () => {
+    const labels = options => service.filterDetections(detections, options).map(detection => detection.class);
+
+    assert.deepEqual(labels({}), ['person', 'hardhat', 'person', 'glasses']);
+    assert.deepEqual(labels({ minConfidence: 0.5 }), ['person', 'hardhat']);
+    assert.deepEqual(labels({ categories: ['head_protection', 'eye_protection'] }), ['hardhat', 'glasses']);
+    assert.deepEqual(labels({ categories: [] }), ['person', 'hardhat', 'person', 'glasses']);
+  });
+
+  test('escapes labels in the overlay', () => {
+    const overlay = service.buildOverlay(SIZE, SIZE, [{ bbox: [0, 0, 10, 10], category: 'person', label: '<hat & "vest">' }]).toString();
+
+    assert.match(overlay, /&lt;hat &amp; &quot;vest&quot;&gt;/);
+    assert.match(overlay, /width="400" height="400"/);
+  });
+
+  test('draws boxes in their category colors', async () => {
+    const { buffer, contentType, info } = await service.render(await blank(), detections, { format: 'png' });
+
+    assert.equal(contentType, 'image/png');
+    assert.deepEqual([info.width, info.height, info.format], [SIZE, SIZE, 'png']);
+    assert.ok(isColor(await edgeColor(buffer, detections[0].bbox), CATEGORY_COLORS.person));
+    assert.ok(isColor(await edgeColor(buffer, detections[1].bbox), CATEGORY_COLORS.head_protection));
+    assert.ok(isColor(await edgeColor(buffer, detections[3].bbox), CATEGORY_COLORS.eye_protection));
+  });
+
+  test('leaves out the boxes that are filtered away', async () => {
+    const { buffer } = await service.render(await blank(), detections, { format: 'png', minConfidence: 0.5, categories: ['head_protection'] });
+
+    assert.deepEqual(await edgeColor(buffer, detections[0].bbox), [0, 0, 0]);
+    assert.ok(isColor(await edgeColor(buffer, detections[1].bbox), CATEGORY_COLORS.head_protection));
+    assert.deepEqual(await edgeColor(buffer, detections[3].bbox), [0, 0, 0]);
+  });
+
+  test('renders JPEG by default and WebP on request', async () => {
+    const jpeg = await service.render(await blank(), detections);
+    const webp = await service.render(await blank(), detections, { format: 'webp' });
+
+    assert.equal(jpeg.contentType, 'image/jpeg');
+    assert.equal((await sharp(jpeg.buffer).metadata()).format, 'jpeg');
+    assert.equal(webp.contentType, 'image/webp');
+    assert.equal((await sharp(webp.buffer).metadata()).format, 'webp');
+  });
+});
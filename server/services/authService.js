@@ -0,0 +1,244 @@
+// Auth Service - organizations, users, password hashing and JWT sessions
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { getDb } from '../db/database.js';
+
+export const ROLES = ['inspector', 'supervisor', 'admin'];
+
+const PASSWORD_ROUNDS = 10;
+// Links for <img>, <video> and EventSource carry their token in the URL, where it ends up in logs and history
+const LINK_TOKEN_EXPIRES_IN = 5 * 60;
+const uploadPath = 'uploads';
+
+let generatedSecret = null;
+
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// JWT_SECRET is required in production; development falls back to a per-process secret
+function getSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new AuthError('JWT_SECRET is not configured', 500);
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('JWT_SECRET not set - using a temporary secret, sessions end when the server restarts');
+  }
+  return generatedSecret;
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    organizationId: row.organization_id,
+    organizationName: row.organization_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const USER_QUERY = `
+  SELECT users.*, organizations.name AS organization_name
+  FROM users JOIN organizations ON organizations.id = users.organization_id
+`;
+
+class AuthService {
+  // Create an organization with its first admin user
+  register({ organizationName, username, password }) {
+    const db = getDb();
+    if (this.findByUsername(username)) {
+      throw new AuthError('Username is already taken', 409);
+    }
+
+    const passwordHash = bcrypt.hashSync(password, PASSWORD_ROUNDS);
+    const now = new Date().toISOString();
+
+    const userId = db.transaction(() => {
+      const isFirstOrganization = db.prepare('SELECT COUNT(*) AS count FROM organizations').get().count === 0;
+      const { lastInsertRowid: organizationId } = db.prepare(
+        'INSERT INTO organizations (name, created_at) VALUES (?, ?)'
+      ).run(organizationName, now);
+
+      if (isFirstOrganization) {
+        this.claimUnownedData(organizationId);
+      }
+
+      return db.prepare(`
+        INSERT INTO users (organization_id, username, password_hash, role, created_at, updated_at)
+        VALUES (?, ?, ?, 'admin', ?, ?)
+      `).run(organizationId, username, passwordHash, now, now).lastInsertRowid;
+    })();
+
+    return this.createSession(this.getUser(userId));
+  }
+
+  // Data from before accounts existed belongs to the first organization
+  claimUnownedData(organizationId) {
+    const db = getDb();
+    db.prepare('UPDATE analyses SET organization_id = ? WHERE organization_id IS NULL').run(organizationId);
+    db.prepare('UPDATE environments SET organization_id = ? WHERE organization_id IS NULL').run(organizationId);
+    db.prepare('UPDATE uploads SET organization_id = ? WHERE organization_id IS NULL').run(organizationId);
+
+    if (!fs.existsSync(uploadPath)) return;
+
+    const register = db.prepare(`
+      INSERT OR IGNORE INTO uploads (filename, organization_id, original_name, kind, created_at)
+      VALUES (?, ?, NULL, ?, ?)
+    `);
+    fs.readdirSync(uploadPath, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .forEach(entry => {
+        const kind = ['.mp4', '.webm'].includes(path.extname(entry.name).toLowerCase()) ? 'video' : 'image';
+        const { birthtime } = fs.statSync(path.join(uploadPath, entry.name));
+        register.run(entry.name, organizationId, kind, birthtime.toISOString());
+      });
+  }
+
+  login({ username, password }) {
+    const row = this.findByUsername(username);
+    if (!row || !bcrypt.compareSync(password, row.password_hash)) {
+      throw new AuthError('Invalid username or password', 401);
+    }
+    return this.createSession(toUser(row));
+  }
+
+  createSession(user) {
+    const token = jwt.sign(
+      { sub: String(user.id), org: user.organizationId, role: user.role },
+      getSecret(),
+      { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+    );
+    return { token, user };
+  }
+
+  // A token for one path only (e.g. /uploads/image-1.jpg), to put in a URL as ?token=
+  createLinkToken(user, linkPath) {
+    const token = jwt.sign(
+      { sub: String(user.id), org: user.organizationId, typ: 'link', path: linkPath },
+      getSecret(),
+      { expiresIn: LINK_TOKEN_EXPIRES_IN }
+    );
+    return {
+      token,
+      url: `${linkPath}?token=${encodeURIComponent(token)}`,
+      expiresAt: new Date(Date.now() + LINK_TOKEN_EXPIRES_IN * 1000).toISOString()
+    };
+  }
+
+  // Verify a session JWT and load the current state of its user (role changes and deletions apply immediately)
+  verifyToken(token) {
+    const payload = this.decode(token);
+    if (payload.typ === 'link') {
+      throw new AuthError('Invalid token', 401);
+    }
+    return this.loadUser(payload);
+  }
+
+  // Verify a link token against the path it is used for
+  verifyLinkToken(token, linkPath) {
+    const payload = this.decode(token);
+    if (payload.typ !== 'link' || payload.path !== linkPath) {
+      throw new AuthError('Invalid token', 401);
+    }
+    return this.loadUser(payload);
+  }
+
+  decode(token) {
+    try {
+      return jwt.verify(token, getSecret());
+    } catch (err) {
+      throw new AuthError(err.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid token', 401);
+    }
+  }
+
+  loadUser(payload) {
+    const user = this.getUser(parseInt(payload.sub, 10));
+    if (!user) {
+      throw new AuthError('User no longer exists', 401);
+    }
+    return user;
+  }
+
+  findByUsername(username) {
+    return getDb().prepare(`${USER_QUERY} WHERE users.username = ?`).get(username);
+  }
+
+  getUser(id, organizationId = null) {
+    const row = organizationId === null
+      ? getDb().prepare(`${USER_QUERY} WHERE users.id = ?`).get(id)
+      : getDb().prepare(`${USER_QUERY} WHERE users.id = ? AND users.organization_id = ?`).get(id, organizationId);
+    return row ? toUser(row) : null;
+  }
+
+  listUsers(organizationId) {
+    return getDb().prepare(`${USER_QUERY} WHERE users.organization_id = ? ORDER BY users.username`)
+      .all(organizationId)
+      .map(toUser);
+  }
+
+  createUser(organizationId, { username, password, role }) {
+    if (this.findByUsername(username)) {
+      throw new AuthError('Username is already taken', 409);
+    }
+
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = getDb().prepare(`
+      INSERT INTO users (organization_id, username, password_hash, role, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(organizationId, username, bcrypt.hashSync(password, PASSWORD_ROUNDS), role, now, now);
+
+    return this.getUser(lastInsertRowid);
+  }
+
+  updateUser(organizationId, id, { role, password }) {
+    const user = this.getUser(id, organizationId);
+    if (!user) {
+      throw new AuthError('User not found', 404);
+    }
+    if (role && role !== 'admin' && user.role === 'admin') {
+      this.assertAnotherAdmin(organizationId, id);
+    }
+
+    getDb().prepare(`
+      UPDATE users SET role = ?, password_hash = COALESCE(?, password_hash), updated_at = ? WHERE id = ?
+    `).run(role || user.role, password ? bcrypt.hashSync(password, PASSWORD_ROUNDS) : null, new Date().toISOString(), id);
+
+    return this.getUser(id);
+  }
+
+  removeUser(organizationId, id) {
+    const user = this.getUser(id, organizationId);
+    if (!user) {
+      throw new AuthError('User not found', 404);
+    }
+    if (user.role === 'admin') {
+      this.assertAnotherAdmin(organizationId, id);
+    }
+
+    getDb().prepare('DELETE FROM users WHERE id = ?').run(id);
+  }
+
+  // An organization must always keep at least one admin
+  assertAnotherAdmin(organizationId, excludedUserId) {
+    const { count } = getDb().prepare(
+      "SELECT COUNT(*) AS count FROM users WHERE organization_id = ? AND role = 'admin' AND id != ?"
+    ).get(organizationId, excludedUserId);
+    if (count === 0) {
+      throw new AuthError('An organization needs at least one admin', 409);
+    }
+  }
+}
+
+export { AuthError };
+export default AuthService;
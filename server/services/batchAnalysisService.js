@@ -0,0 +1,277 @@
+// Batch Analysis Service - analyzes many uploaded images or a ZIP archive of images
+import AdmZip from 'adm-zip';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { NORMALIZED_EXTENSIONS, CONVERTED_EXTENSIONS } from './imagePreprocessingService.js';
+
+const IMAGE_EXTENSIONS = [...NORMALIZED_EXTENSIONS, ...CONVERTED_EXTENSIONS];
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB, same as single uploads
+const TOO_LARGE = 'File too large. Maximum size is 10MB.';
+
+// ZIP compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+export const MAX_BATCH_IMAGES = 500;
+// Images extracted from one archive together, so a highly compressed archive can't fill the disk
+const MAX_EXTRACTED_SIZE = 1024 * 1024 * 1024; // 1GB
+
+/**
+ * Decompress a ZIP entry. The size in its header is only a claim, so inflating stops as soon
+ * as the real output passes the single-upload limit, and runs off the request thread.
+ */
+async function readEntry(entry) {
+  if (entry.header.encrypted) {
+    throw new Error('Encrypted entries are not supported');
+  }
+
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === STORED) {
+    if (compressed.length > MAX_IMAGE_SIZE) throw new Error(TOO_LARGE);
+    return compressed;
+  }
+  if (entry.header.method !== DEFLATED) {
+    throw new Error(`Unsupported compression method ${entry.header.method}`);
+  }
+
+  try {
+    return await inflateRaw(compressed, { maxOutputLength: MAX_IMAGE_SIZE });
+  } catch (error) {
+    throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE' ? TOO_LARGE : `Corrupt entry: ${error.message}`);
+  }
+}
+
+class BatchAnalysisService {
+  constructor({ ppeAnalysisService, analysisHistoryService, fileRegistryService, imagePreprocessingService, concurrency } = {}) {
+    this.ppeAnalysisService = ppeAnalysisService;
+    this.imagePreprocessingService = imagePreprocessingService;
+    this.analysisHistoryService = analysisHistoryService;
+    this.fileRegistryService = fileRegistryService;
+    this.concurrency = concurrency || parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+  }
+
+  isZip(file) {
+    return path.extname(file.originalname).toLowerCase() === '.zip';
+  }
+
+  /**
+   * Extract the images in a ZIP archive into the folder of the archive, at most `limit` of them.
+   * Directories, hidden files and non-image entries are skipped; entries over the
+   * single-upload size limit, past `limit` or past 1GB extracted in total are reported as
+   * rejected instead of extracted.
+   * @returns {Promise<Array<{ image: {path, filename, originalname, archive} } | { rejected: {originalName, archive, error} }>>}
+   *   in archive order
+   */
+  async extractZip(zipPath, archiveName, limit = MAX_BATCH_IMAGES) {
+    const zip = new AdmZip(zipPath);
+    const entries = [];
+    let extracted = 0;
+    let extractedSize = 0;
+
+    for (const entry of zip.getEntries()) {
+      const entryName = entry.entryName;
+      const baseName = path.basename(entryName);
+      const extension = path.extname(baseName).toLowerCase();
+
+      if (entry.isDirectory || baseName.startsWith('.') || entryName.startsWith('__MACOSX/')) continue;
+      if (!IMAGE_EXTENSIONS.includes(extension)) continue;
+
+      const reject = (error) => entries.push({ rejected: { originalName: entryName, archive: archiveName, error } });
+      if (extracted >= limit) {
+        reject(`Batch limit of ${MAX_BATCH_IMAGES} images reached`);
+        continue;
+      }
+
+      let data;
+      try {
+        data = await readEntry(entry);
+      } catch (error) {
+        reject(error.message);
+        continue;
+      }
+
+      if (extractedSize + data.length > MAX_EXTRACTED_SIZE) {
+        reject('Archive limit of 1GB of extracted images reached');
+        continue;
+      }
+
+      // Entry names are never used as paths - each image gets a fresh upload name
+      const uniqueSuffix = Date.now() + '-' + crypto.randomInt(1E9);
+      const filename = `image-${uniqueSuffix}${extension}`;
+      const filePath = path.join(path.dirname(zipPath), filename);
+      fs.writeFileSync(filePath, data);
+
+      extracted += 1;
+      extractedSize += data.length;
+      entries.push({ image: { path: filePath, filename, originalname: entryName, archive: archiveName } });
+    }
+
+    return entries;
+  }
+
+  // Normalize, analyze and store one image; failures are reported per image instead of failing the batch
+  async analyzeOne(image, { workEnvironment, location, owner, anonymize = false }) {
+    let normalized = null;
+
+    try {
+      normalized = await this.imagePreprocessingService.normalize(image.path);
+
+      const result = await this.ppeAnalysisService.analyzeImage(normalized.path, {
+        workEnvironment,
+        organizationId: owner.organizationId,
+        location,
+        original: normalized.original
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await this.imagePreprocessingService.persist(normalized);
+      if (anonymize) {
+        await this.imagePreprocessingService.anonymize(normalized.filename, result.analysis.detections);
+      }
+
+      this.fileRegistryService.register({
+        filename: normalized.filename,
+        originalName: image.originalname,
+        originalFile: normalized.originalFile,
+        originalInfo: normalized.original,
+        anonymized: anonymize,
+        ...owner
+      });
+      const record = this.analysisHistoryService.save({
+        filename: normalized.filename,
+        originalName: image.originalname,
+        analysis: result.analysis,
+        ...owner
+      });
+      const { compliance } = result.analysis;
+
+      return {
+        filename: normalized.filename,
+        originalName: image.originalname,
+        archive: image.archive || null,
+        filePath: `/uploads/${normalized.filename}`,
+        anonymized: anonymize,
+        status: 'completed',
+        id: record.id,
+        isCompliant: compliance.isCompliant,
+        verdict: compliance.verdict,
+        complianceScore: compliance.complianceScore,
+        personDetected: compliance.personDetected,
+        personCount: (compliance.people || []).length,
+        missingCategories: compliance.missingCategories,
+        uncertainCategories: compliance.uncertainCategories
+      };
+    } catch (error) {
+      if (normalized) {
+        await this.imagePreprocessingService.remove(normalized.filename, normalized.originalFile);
+      } else if (fs.existsSync(image.path)) {
+        fs.unlinkSync(image.path);
+      }
+      return {
+        filename: image.filename,
+        originalName: image.originalname,
+        archive: image.archive || null,
+        filePath: null,
+        status: 'failed',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Analyze multer files (images and/or ZIP archives) with bounded concurrency.
+   * Results keep upload order, with ZIP contents expanded in place; at most MAX_BATCH_IMAGES
+   * images are analyzed across all files, and the rest are reported as failed.
+   * `owner` ({ organizationId, userId }) owns the stored files and analyses;
+   * `location` ({ site, zone }) tags every analysis and may override the PPE requirements.
+   * With `anonymize`, faces are blurred in the stored images after analysis.
+   */
+  async analyzeBatch(files, { workEnvironment = 'construction', location = null, owner, anonymize = false } = {}) {
+    const startedAt = new Date();
+    // Images to analyze and files rejected up front, in upload order
+    const entries = [];
+    const imageCount = () => entries.filter(entry => entry.image).length;
+
+    for (const file of files) {
+      if (this.isZip(file)) {
+        try {
+          entries.push(...await this.extractZip(file.path, file.originalname, MAX_BATCH_IMAGES - imageCount()));
+        } catch (error) {
+          entries.push({ rejected: { originalName: file.originalname, error: `Invalid ZIP archive: ${error.message}` } });
+        } finally {
+          if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        }
+      } else if (file.size > MAX_IMAGE_SIZE) {
+        fs.unlinkSync(file.path);
+        entries.push({ rejected: { originalName: file.originalname, error: TOO_LARGE } });
+      } else if (imageCount() >= MAX_BATCH_IMAGES) {
+        fs.unlinkSync(file.path);
+        entries.push({ rejected: { originalName: file.originalname, error: `Batch limit of ${MAX_BATCH_IMAGES} images reached` } });
+      } else {
+        entries.push({ image: { path: file.path, filename: file.filename, originalname: file.originalname } });
+      }
+    }
+
+    const images = entries.filter(entry => entry.image).map(entry => entry.image);
+    const analyzed = await mapWithConcurrency(images, this.concurrency, image =>
+      this.analyzeOne(image, { workEnvironment, location, owner, anonymize })
+    );
+
+    let next = 0;
+    const results = entries.map(({ image, rejected }) => (image ? analyzed[next++] : {
+      filename: null,
+      originalName: rejected.originalName,
+      archive: rejected.archive || null,
+      status: 'failed',
+      error: rejected.error
+    }));
+
+    return {
+      batchId: crypto.randomUUID(),
+      workEnvironment,
+      summary: this.summarize(results),
+      results,
+      startedAt: startedAt.toISOString(),
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  // Aggregate compliance across the completed images of a batch
+  summarize(results) {
+    const completed = results.filter(result => result.status === 'completed');
+    const compliant = completed.filter(result => result.isCompliant).length;
+    const uncertain = completed.filter(result => result.verdict === 'uncertain').length;
+
+    const missingCategoryCounts = {};
+    completed.forEach(result => {
+      result.missingCategories.forEach(category => {
+        missingCategoryCounts[category] = (missingCategoryCounts[category] || 0) + 1;
+      });
+    });
+
+    return {
+      total: results.length,
+      completed: completed.length,
+      failed: results.length - completed.length,
+      compliant,
+      nonCompliant: completed.length - compliant - uncertain,
+      uncertain,
+      complianceRate: completed.length > 0 ? Math.round((compliant / completed.length) * 100) : 0,
+      averageScore: completed.length > 0
+        ? Math.round(completed.reduce((sum, result) => sum + result.complianceScore, 0) / completed.length)
+        : 0,
+      noPersonDetected: completed.filter(result => !result.personDetected).length,
+      missingCategoryCounts
+    };
+  }
+}
+
+export default BatchAnalysisService;
@@ -0,0 +1,142 @@
+// Batch Analysis Service tests - ZIP extraction limits and result order
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BatchAnalysisService, { MAX_BATCH_IMAGES } from './batchAnalysisService.js';
+
+const IMAGE = Buffer.from('not really a jpeg');
+
+function writeZip(dir, name, entries) {
+  const zip = new AdmZip();
+  entries.forEach(([entryName, data]) => zip.addFile(entryName, data));
+  const zipPath = path.join(dir, name);
+  zip.writeZip(zipPath);
+  return zipPath;
+}
+
+// Rewrite the uncompressed size in the local and central headers, as a zip bomb would
+function declareSize(zipPath, size) {
+  const buffer = fs.readFileSync(zipPath);
+  buffer.writeUInt32LE(size, 22);
+  const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(size, central + 24);
+  fs.writeFileSync(zipPath, buffer);
+}
+
+describe('BatchAnalysisService', () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-batch-'));
+    service = new BatchAnalysisService({ concurrency: 4 });
+    // Analysis itself is covered elsewhere; report every extracted image as completed
+    service.analyzeOne = async (image) => ({
+      filename: image.filename,
+      originalName: image.originalname,
+      archive: image.archive || null,
+      status: 'completed',
+      isCompliant: true,
+      verdict: 'compliant',
+      complianceScore: 100,
+      personDetected: true,
+      missingCategories: []
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('extracts images in archive order and skips other entries', async () => {
+    const zipPath = writeZip(dir, 'site.zip', [
+      ['a.jpg', IMAGE],
+      ['notes.txt', Buffer.from('skip me')],
+      ['__MACOSX/._a.jpg', IMAGE],
+      ['nested/b.png', IMAGE]
+    ]);
+    const entries = await service.extractZip(zipPath, 'site.zip');
+
+    assert.deepEqual(entries.map(entry => entry.image.originalname), ['a.jpg', 'nested/b.png']);
+    entries.forEach(({ image }) => {
+      assert.equal(path.dirname(image.path), dir);
+      assert.deepEqual(fs.readFileSync(image.path), IMAGE);
+    });
+  });
+
+  test('rejects entries that inflate past 10MB', async () => {
+    const zipPath = writeZip(dir, 'big.zip', [['big.jpg', Buffer.alloc(10 * 1024 * 1024 + 1)], ['ok.jpg', IMAGE]]);
+    const entries = await service.extractZip(zipPath, 'big.zip');
+
+    assert.deepEqual(entries[0], { rejected: { originalName: 'big.jpg', archive: 'big.zip', error: 'File too large. Maximum size is 10MB.' } });
+    assert.equal(entries[1].image.originalname, 'ok.jpg');
+    assert.equal(fs.readdirSync(dir).filter(name => name.startsWith('image-')).length, 1);
+  });
+
+  test('does not trust the size an entry header declares', async () => {
+    const zipPath = writeZip(dir, 'bomb.zip', [['bomb.jpg', Buffer.alloc(20 * 1024 * 1024)]]);
+    declareSize(zipPath, 1024);
+    const entries = await service.extractZip(zipPath, 'bomb.zip');
+
+    assert.equal(entries[0].rejected.error, 'File too large. Maximum size is 10MB.');
+  });
+
+  test('extracts at most `limit` images', async () => {
+    const zipPath = writeZip(dir, 'site.zip', [['a.jpg', IMAGE], ['b.jpg', IMAGE], ['c.jpg', IMAGE]]);
+    const entries = await service.extractZip(zipPath, 'site.zip', 2);
+
+    assert.equal(entries.filter(entry => entry.image).length, 2);
+    assert.match(entries[2].rejected.error, /Batch limit/);
+  });
+
+  test('applies the image limit across every file of a request', async () => {
+    const half = Math.ceil(MAX_BATCH_IMAGES / 2) + 10;
+    const names = (prefix) => Array.from({ length: half }, (_, i) => [`${prefix}-${i}.jpg`, IMAGE]);
+    const files = ['first', 'second'].map(prefix => ({
+      path: writeZip(dir, `${prefix}.zip`, names(prefix)),
+      originalname: `${prefix}.zip`
+    }));
+    const loosePath = path.join(dir, 'loose.jpg');
+    fs.writeFileSync(loosePath, IMAGE);
+    files.push({ path: loosePath, filename: 'loose.jpg', originalname: 'loose.jpg', size: IMAGE.length });
+
+    const batch = await service.analyzeBatch(files, { owner: { organizationId: 1, userId: 1 } });
+
+    assert.equal(batch.summary.completed, MAX_BATCH_IMAGES);
+    assert.equal(batch.summary.failed, 2 * half + 1 - MAX_BATCH_IMAGES);
+    assert.equal(batch.results.at(-1).originalName, 'loose.jpg');
+    assert.match(batch.results.at(-1).error, /Batch limit/);
+    assert.equal(fs.existsSync(loosePath), false);
+  });
+
+  test('keeps results in upload order with ZIP contents in place', async () => {
+    const first = path.join(dir, 'first.jpg');
+    const last = path.join(dir, 'last.jpg');
+    fs.writeFileSync(first, IMAGE);
+    fs.writeFileSync(last, IMAGE);
+    const zipPath = writeZip(dir, 'site.zip', [['a.jpg', IMAGE], ['b-huge.jpg', Buffer.alloc(11 * 1024 * 1024)], ['c.jpg', IMAGE]]);
+
+    const batch = await service.analyzeBatch([
+      { path: first, filename: 'first.jpg', originalname: 'first.jpg', size: IMAGE.length },
+      { path: zipPath, originalname: 'site.zip' },
+      { path: path.join(dir, 'broken.zip'), originalname: 'broken.zip' },
+      { path: last, filename: 'last.jpg', originalname: 'last.jpg', size: IMAGE.length }
+    ], { owner: { organizationId: 1, userId: 1 } });
+
+    assert.deepEqual(
+      batch.results.map(result => [result.originalName, result.archive, result.status]),
+      [
+        ['first.jpg', null, 'completed'],
+        ['a.jpg', 'site.zip', 'completed'],
+        ['b-huge.jpg', 'site.zip', 'failed'],
+        ['c.jpg', 'site.zip', 'completed'],
+        ['broken.zip', null, 'failed'],
+        ['last.jpg', null, 'completed']
+      ]
+    );
+    assert.match(batch.results[4].error, /^Invalid ZIP archive/);
+  });
+});
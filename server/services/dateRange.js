@@ -0,0 +1,32 @@
+// Date range filters - `from` and `to` of list, export and stats queries as SQL conditions
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Add the conditions for a date range on a timestamp column (ISO strings, UTC).
+ * Both bounds are inclusive. A date-only `to` (e.g. 2026-10-19) includes that whole day,
+ * so it becomes "before the start of the next day" rather than "at or before its midnight".
+ * @param {string|Date} [range.from]
+ * @param {string|Date} [range.to]
+ */
+export function addDateRange(conditions, params, { from, to }, column = 'analyzed_at') {
+  if (from) {
+    conditions.push(`${column} >= ?`);
+    params.push(new Date(from).toISOString());
+  }
+  if (to && typeof to === 'string' && DATE_ONLY.test(to)) {
+    const nextDay = new Date(to);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    conditions.push(`${column} < ?`);
+    params.push(nextDay.toISOString());
+  } else if (to) {
+    conditions.push(`${column} <= ?`);
+    params.push(new Date(to).toISOString());
+  }
+}
+
+// A range bound as echoed back in responses: a date without a time stays that date (the whole day),
+// anything else becomes an ISO timestamp
+export function formatDateBound(value) {
+  if (!value) return null;
+  return typeof value === 'string' && DATE_ONLY.test(value) ? value : new Date(value).toISOString();
+}
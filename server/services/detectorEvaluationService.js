@@ -0,0 +1,82 @@
+// Detector Evaluation Service - runs PPEAnalysisService over a labeled dataset and scores the result
+import path from 'path';
+import PPEAnalysisService from './ppeAnalysisService.js';
+import { loadDataset } from './evaluation/datasets.js';
+import { computeMetrics } from './evaluation/metrics.js';
+
+class DetectorEvaluationService {
+  constructor(options = {}) {
+    this.ppeAnalysisService = options.ppeAnalysisService || new PPEAnalysisService();
+  }
+
+  /**
+   * Analyze every image of a dataset and score the detections against its labels.
+   * The expected compliance of an image is the verdict its labels get when scored like an analysis,
+   * so compliance accuracy measures the detector and not the scoring rules.
+   * @param {string} dir - dataset folder (see evaluation/datasets.js for the COCO and YOLO layouts)
+   * @param {object} [options]
+   * @param {string} [options.name] - name of the run in reports and comparisons
+   * @param {string} [options.format] - "coco" or "yolo", detected when omitted
+   * @param {string} [options.annotations] - COCO annotation file
+   * @param {string} [options.workEnvironment] - built-in or custom environment to score compliance for
+   * @param {number} [options.iouThreshold] - minimum IoU of a detection with a label to match it
+   * @param {Function} [options.onImage] - called with (imageResult, index, total) after each image
+   * @returns {object} the run: settings, per-category metrics, compliance accuracy and per-image results
+   */
+  async evaluate(dir, { name, format, annotations, workEnvironment = 'construction', iouThreshold = 0.5, onImage = () => {} } = {}) {
+    if (!this.ppeAnalysisService.environmentService.get(workEnvironment)) {
+      throw new Error(`Unknown work environment "${workEnvironment}"`);
+    }
+
+    const dataset = await loadDataset(dir, { format, annotations });
+    const environment = this.ppeAnalysisService.getRequirements(workEnvironment);
+    const detector = this.ppeAnalysisService.getDetector();
+    await detector.load();
+
+    const scored = [];
+    const images = [];
+    for (const [index, image] of dataset.images.entries()) {
+      const labels = image.boxes.map(box => ({ ...box, confidence: 1 }));
+      const expected = this.ppeAnalysisService.analyzeCompliance(labels, environment.requiredCategories, environment.thresholds);
+      const result = await this.ppeAnalysisService.analyzeImage(image.path, { workEnvironment: environment.id });
+
+      const imageResult = {
+        file: image.file,
+        labels: labels.length,
+        expected: expected.isCompliant ? 'compliant' : 'non_compliant'
+      };
+      if (result.success) {
+        const { detections, compliance } = result.analysis;
+        imageResult.detections = detections.length;
+        imageResult.verdict = compliance.verdict;
+        imageResult.correct = (compliance.verdict === 'compliant') === expected.isCompliant;
+        scored.push({ labels, detections, expected: imageResult.expected, verdict: compliance.verdict });
+      } else {
+        imageResult.error = result.error;
+      }
+
+      images.push(imageResult);
+      onImage(imageResult, index, dataset.images.length);
+    }
+
+    return {
+      name: name || `${detector.name}-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+      createdAt: new Date().toISOString(),
+      detector: detector.name,
+      environment: environment.id,
+      iouThreshold,
+      thresholds: environment.thresholds,
+      dataset: {
+        path: path.resolve(dir),
+        format: dataset.format,
+        images: dataset.images.length,
+        ignoredClasses: dataset.ignoredClasses
+      },
+      failed: images.filter(image => image.error).length,
+      ...computeMetrics(scored, { iouThreshold, thresholds: environment.thresholds }),
+      images
+    };
+  }
+}
+
+export default DetectorEvaluationService;
@@ -0,0 +1,52 @@
+// Detector backends for PPEAnalysisService
+//
+// Every backend exposes `name`, `check()`, `load()` and `detect(image)`, where `image` is
+// { data, info, path } - the raw pixels sharp has decoded plus the source file path -
+// and `detect` resolves to an array of { class, confidence, bbox: [x, y, width, height], category }.
+// `check` throws when the backend isn't configured, e.g. its model file is missing.
+import OnnxDetector from './onnxDetector.js';
+import FixtureDetector from './fixtureDetector.js';
+
+const detectors = {
+  onnx: () => new OnnxDetector({
+    modelPath: process.env.PPE_MODEL_PATH,
+    labelsPath: process.env.PPE_LABELS_PATH,
+    inputSize: parseInt(process.env.PPE_MODEL_INPUT_SIZE, 10) || 640,
+    scoreThreshold: parseFloat(process.env.PPE_SCORE_THRESHOLD) || 0.25
+  }),
+  fixture: () => new FixtureDetector({
+    fixturePath: process.env.PPE_FIXTURE_PATH
+  })
+};
+
+/**
+ * Name of the detector selected by PPE_DETECTOR. Without it, production runs the ONNX model and
+ * everything else the fixture detector, since no model ships with the repository.
+ */
+export function detectorName() {
+  return process.env.PPE_DETECTOR || (process.env.NODE_ENV === 'production' ? 'onnx' : 'fixture');
+}
+
+// Create the detector selected by PPE_DETECTOR
+export function createDetector(name = detectorName()) {
+  const factory = detectors[name];
+  if (!factory) {
+    throw new Error(`Unknown PPE detector "${name}". Available: ${Object.keys(detectors).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Check that the selected detector can load, so a misconfigured deployment is reported at
+ * startup instead of failing every analysis. Returns the error message, or null when it is usable.
+ */
+export function checkDetector(name = detectorName()) {
+  try {
+    createDetector(name).check();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+export { OnnxDetector, FixtureDetector };
@@ -0,0 +1,174 @@
+// ONNX detector - CPU-only inference with a local YOLO-style model
+import fs from 'fs';
+import sharp from 'sharp';
+import { getCategory } from '../ppeCatalog.js';
+
+class OnnxDetector {
+  /**
+   * @param {object} options
+   * @param {string} options.modelPath - Path to the .onnx model file
+   * @param {string} options.labelsPath - JSON array or newline-separated class names, in model output order
+   * @param {number} [options.inputSize=640] - Square input size the model was exported with
+   * @param {number} [options.scoreThreshold=0.25] - Minimum class score to keep a box
+   * @param {number} [options.iouThreshold=0.45] - IoU above which overlapping boxes are suppressed
+   */
+  constructor({ modelPath, labelsPath, inputSize = 640, scoreThreshold = 0.25, iouThreshold = 0.45 } = {}) {
+    this.name = 'onnx';
+    this.modelPath = modelPath;
+    this.labelsPath = labelsPath;
+    this.inputSize = inputSize;
+    this.scoreThreshold = scoreThreshold;
+    this.iouThreshold = iouThreshold;
+    this.session = null;
+    this.labels = null;
+  }
+
+  // Throws when the model or its labels are missing, without loading the model
+  check() {
+    if (!this.modelPath || !fs.existsSync(this.modelPath)) {
+      throw new Error(`ONNX model not found: ${this.modelPath || '(PPE_MODEL_PATH not set)'}`);
+    }
+    if (!this.labelsPath || !fs.existsSync(this.labelsPath)) {
+      throw new Error(`Model labels not found: ${this.labelsPath || '(PPE_LABELS_PATH not set)'}`);
+    }
+  }
+
+  async load() {
+    if (this.session) return;
+
+    this.check();
+
+    const raw = fs.readFileSync(this.labelsPath, 'utf8').trim();
+    this.labels = raw.startsWith('[')
+      ? JSON.parse(raw)
+      : raw.split(/\r?\n/).map(label => label.trim()).filter(Boolean);
+
+    // Loaded lazily so the fixture detector works without the native runtime
+    const ort = await import('onnxruntime-node');
+    this.ort = ort;
+    this.session = await ort.InferenceSession.create(this.modelPath, {
+      executionProviders: ['cpu']
+    });
+  }
+
+  // image: { data, info } as returned by sharp().raw().toBuffer({ resolveWithObject: true })
+  async detect(image) {
+    await this.load();
+
+    const { tensor, scale, padX, padY } = await this.preprocess(image);
+    const feeds = { [this.session.inputNames[0]]: tensor };
+    const results = await this.session.run(feeds);
+    const output = results[this.session.outputNames[0]];
+
+    const boxes = this.decode(output, scale, padX, padY, image.info);
+    return this.nonMaxSuppression(boxes);
+  }
+
+  // Letterbox the decoded RGB pixels into the model input and convert HWC uint8 to CHW float32
+  async preprocess({ data, info }) {
+    const size = this.inputSize;
+    const scale = Math.min(size / info.width, size / info.height);
+    const resizedWidth = Math.round(info.width * scale);
+    const resizedHeight = Math.round(info.height * scale);
+    const padX = Math.floor((size - resizedWidth) / 2);
+    const padY = Math.floor((size - resizedHeight) / 2);
+
+    const pixels = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .removeAlpha()
+      .resize(resizedWidth, resizedHeight)
+      .extend({
+        top: padY,
+        bottom: size - resizedHeight - padY,
+        left: padX,
+        right: size - resizedWidth - padX,
+        background: { r: 114, g: 114, b: 114 }
+      })
+      .raw()
+      .toBuffer();
+
+    const planeSize = size * size;
+    const input = new Float32Array(3 * planeSize);
+    for (let i = 0; i < planeSize; i++) {
+      input[i] = pixels[i * 3] / 255;
+      input[i + planeSize] = pixels[i * 3 + 1] / 255;
+      input[i + 2 * planeSize] = pixels[i * 3 + 2] / 255;
+    }
+
+    return {
+      tensor: new this.ort.Tensor('float32', input, [1, 3, size, size]),
+      scale,
+      padX,
+      padY
+    };
+  }
+
+  // YOLOv8 output: [1, 4 + numClasses, numBoxes] with cx, cy, w, h in input pixels
+  decode(output, scale, padX, padY, info) {
+    const [, rows, count] = output.dims;
+    const values = output.data;
+    const boxes = [];
+
+    for (let i = 0; i < count; i++) {
+      let bestClass = -1;
+      let bestScore = 0;
+      for (let c = 4; c < rows; c++) {
+        const score = values[c * count + i];
+        if (score > bestScore) {
+          bestScore = score;
+          bestClass = c - 4;
+        }
+      }
+      if (bestScore < this.scoreThreshold) continue;
+
+      const className = this.labels[bestClass];
+      const category = getCategory(className);
+      if (!category) continue;
+
+      const cx = values[i];
+      const cy = values[count + i];
+      const w = values[2 * count + i];
+      const h = values[3 * count + i];
+
+      const x = Math.max(0, (cx - w / 2 - padX) / scale);
+      const y = Math.max(0, (cy - h / 2 - padY) / scale);
+      const width = Math.min(info.width - x, w / scale);
+      const height = Math.min(info.height - y, h / scale);
+
+      boxes.push({
+        class: className.toLowerCase(),
+        confidence: bestScore,
+        bbox: [Math.round(x), Math.round(y), Math.round(width), Math.round(height)],
+        category
+      });
+    }
+
+    return boxes;
+  }
+
+  // Per-class greedy NMS
+  nonMaxSuppression(boxes) {
+    const kept = [];
+    const sorted = [...boxes].sort((a, b) => b.confidence - a.confidence);
+
+    sorted.forEach(candidate => {
+      const overlaps = kept.some(box =>
+        box.class === candidate.class && iou(box.bbox, candidate.bbox) > this.iouThreshold
+      );
+      if (!overlaps) kept.push(candidate);
+    });
+
+    return kept;
+  }
+}
+
+function iou([ax, ay, aw, ah], [bx, by, bw, bh]) {
+  const x1 = Math.max(ax, bx);
+  const y1 = Math.max(ay, by);
+  const x2 = Math.min(ax + aw, bx + bw);
+  const y2 = Math.min(ay + ah, by + bh);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = aw * ah + bw * bh - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+export default OnnxDetector;
@@ -0,0 +1,109 @@
+// ONNX detector tests - decoding and NMS run without the native runtime or a model
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import OnnxDetector from './onnxDetector.js';
+import { checkDetector, detectorName } from './index.js';
+
+// Build a YOLOv8 output tensor ([1, 4 + classes, boxes]) from { box: [cx, cy, w, h], scores } rows
+function yoloOutput(rows, classCount) {
+  const count = rows.length;
+  const data = new Float32Array((4 + classCount) * count);
+  rows.forEach(({ box, scores }, i) => {
+    box.forEach((value, j) => {
+      data[j * count + i] = value;
+    });
+    scores.forEach((score, c) => {
+      data[(4 + c) * count + i] = score;
+    });
+  });
+  return { dims: [1, 4 + classCount, count], data };
+}
+
+function createDetector() {
+  const detector = new OnnxDetector({ inputSize: 640, scoreThreshold: 0.25, iouThreshold: 0.45 });
+  detector.labels = ['person', 'helmet', 'forklift'];
+  return detector;
+}
+
+describe('OnnxDetector.decode', () => {
+  test('maps letterboxed boxes back to image pixels', () => {
+    // A 1280x640 image is scaled by 0.5 and padded by 160 pixels at the top and bottom
+    const output = yoloOutput([{ box: [320, 320, 100, 200], scores: [0.9, 0.1, 0] }], 3);
+    const [box] = createDetector().decode(output, 0.5, 0, 160, { width: 1280, height: 640 });
+
+    assert.deepEqual(box, { class: 'person', confidence: box.confidence, bbox: [540, 120, 200, 400], category: 'person' });
+    assert.ok(Math.abs(box.confidence - 0.9) < 1e-6);
+  });
+
+  test('keeps the best class of each box and drops low scores and unknown classes', () => {
+    const output = yoloOutput([
+      { box: [100, 100, 50, 50], scores: [0.3, 0.8, 0] },
+      { box: [200, 200, 50, 50], scores: [0.1, 0.2, 0] },
+      { box: [300, 300, 50, 50], scores: [0, 0, 0.95] }
+    ], 3);
+    const boxes = createDetector().decode(output, 1, 0, 0, { width: 640, height: 640 });
+
+    assert.equal(boxes.length, 1);
+    assert.equal(boxes[0].class, 'helmet');
+    assert.equal(boxes[0].category, 'head_protection');
+  });
+
+  test('clips boxes to the image', () => {
+    const output = yoloOutput([{ box: [10, 630, 40, 40], scores: [0.9, 0, 0] }], 3);
+    const [box] = createDetector().decode(output, 1, 0, 0, { width: 640, height: 640 });
+
+    assert.deepEqual(box.bbox, [0, 610, 40, 30]);
+  });
+});
+
+describe('OnnxDetector.nonMaxSuppression', () => {
+  test('suppresses overlapping boxes of the same class only', () => {
+    const boxes = [
+      { class: 'person', confidence: 0.7, bbox: [105, 100, 100, 200], category: 'person' },
+      { class: 'person', confidence: 0.9, bbox: [100, 100, 100, 200], category: 'person' },
+      { class: 'helmet', confidence: 0.8, bbox: [100, 100, 100, 200], category: 'head_protection' },
+      { class: 'person', confidence: 0.6, bbox: [400, 100, 100, 200], category: 'person' }
+    ];
+    const kept = createDetector().nonMaxSuppression(boxes);
+
+    assert.deepEqual(kept.map(box => [box.class, box.confidence]), [['person', 0.9], ['helmet', 0.8], ['person', 0.6]]);
+  });
+});
+
+describe('checkDetector', () => {
+  test('reports a missing model without loading the runtime', () => {
+    const previous = process.env.PPE_MODEL_PATH;
+    process.env.PPE_MODEL_PATH = '/nonexistent/ppe.onnx';
+    try {
+      assert.match(checkDetector('onnx'), /ONNX model not found: \/nonexistent\/ppe\.onnx/);
+    } finally {
+      if (previous === undefined) delete process.env.PPE_MODEL_PATH;
+      else process.env.PPE_MODEL_PATH = previous;
+    }
+  });
+
+  test('accepts the fixture detector and rejects unknown names', () => {
+    assert.equal(checkDetector('fixture'), null);
+    assert.match(checkDetector('yolo'), /Unknown PPE detector "yolo"/);
+  });
+});
+
+describe('detectorName', () => {
+  test('defaults to the model in production only', () => {
+    const previous = { PPE_DETECTOR: process.env.PPE_DETECTOR, NODE_ENV: process.env.NODE_ENV };
+    try {
+      delete process.env.PPE_DETECTOR;
+      process.env.NODE_ENV = 'production';
+      assert.equal(detectorName(), 'onnx');
+      process.env.NODE_ENV = 'development';
+      assert.equal(detectorName(), 'fixture');
+      process.env.PPE_DETECTOR = 'onnx';
+      assert.equal(detectorName(), 'onnx');
+    } finally {
+      Object.entries(previous).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      });
+    }
+  });
+});
@@ -0,0 +1,195 @@
+// Work Environment Service - built-in and custom PPE requirement profiles
+import { getDb } from '../db/database.js';
+import { PPE_CATEGORIES, DEFAULT_THRESHOLDS } from './ppeCatalog.js';
+
+// Built-in profiles are read-only; custom profiles are stored in the database
+const BUILT_IN_ENVIRONMENTS = [
+  {
+    id: 'construction',
+    label: 'Construction Site',
+    description: 'Hard hat, safety vest, boots, gloves, safety glasses required',
+    requiredCategories: ['head_protection', 'visibility', 'eye_protection', 'hand_protection', 'foot_protection']
+  },
+  {
+    id: 'manufacturing',
+    label: 'Manufacturing Plant',
+    description: 'Hard hat, safety glasses, gloves, boots required',
+    requiredCategories: ['head_protection', 'eye_protection', 'hand_protection', 'foot_protection']
+  },
+  {
+    id: 'laboratory',
+    label: 'Laboratory',
+    description: 'Safety glasses, gloves required',
+    requiredCategories: ['eye_protection', 'hand_protection']
+  },
+  {
+    id: 'healthcare',
+    label: 'Healthcare',
+    description: 'Gloves, safety glasses required',
+    requiredCategories: ['hand_protection', 'eye_protection']
+  },
+  {
+    id: 'general',
+    label: 'General Workplace',
+    description: 'Standard PPE requirements',
+    requiredCategories: [...PPE_CATEGORIES]
+  }
+];
+
+class EnvironmentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    description: row.description,
+    requiredCategories: JSON.parse(row.required_categories),
+    builtIn: false,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Default confidence bands with an environment's overrides applied
+function withThresholds(environment, overrides = {}) {
+  return { ...environment, thresholds: { ...DEFAULT_THRESHOLDS, ...overrides } };
+}
+
+// Threshold overrides of an organization keyed by environment id, then category
+function loadThresholds(organizationId, environmentId = null) {
+  const rows = environmentId
+    ? getDb().prepare('SELECT * FROM environment_thresholds WHERE organization_id IS ? AND environment_id = ?').all(organizationId ?? null, environmentId)
+    : getDb().prepare('SELECT * FROM environment_thresholds WHERE organization_id IS ?').all(organizationId ?? null);
+
+  const overrides = {};
+  rows.forEach(row => {
+    overrides[row.environment_id] = overrides[row.environment_id] || {};
+    overrides[row.environment_id][row.category] = { accept: row.accept, reject: row.reject };
+  });
+  return overrides;
+}
+
+// Custom profiles belong to an organization; built-ins are shared by all.
+// Confidence thresholds can be overridden per organization for built-in and custom profiles.
+class EnvironmentService {
+  // List built-in profiles followed by the organization's custom ones
+  list(organizationId) {
+    const rows = getDb().prepare('SELECT * FROM environments WHERE organization_id IS ? ORDER BY label').all(organizationId ?? null);
+    const thresholds = loadThresholds(organizationId);
+    return [
+      ...BUILT_IN_ENVIRONMENTS.map(env => ({ ...env, builtIn: true })),
+      ...rows.map(fromRow)
+    ].map(env => withThresholds(env, thresholds[env.id]));
+  }
+
+  get(id, organizationId) {
+    const builtIn = BUILT_IN_ENVIRONMENTS.find(env => env.id === id);
+    const row = builtIn
+      ? null
+      : getDb().prepare('SELECT * FROM environments WHERE id = ? AND organization_id IS ?').get(id, organizationId ?? null);
+    if (!builtIn && !row) return null;
+
+    const environment = builtIn ? { ...builtIn, builtIn: true } : fromRow(row);
+    return withThresholds(environment, loadThresholds(organizationId, id)[id]);
+  }
+
+  exists(id, organizationId) {
+    return this.get(id, organizationId) !== null;
+  }
+
+  create(organizationId, { id, label, description = '', requiredCategories }) {
+    if (this.exists(id, organizationId)) {
+      throw new EnvironmentError(`Work environment "${id}" already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    getDb().prepare(`
+      INSERT INTO environments (organization_id, id, label, description, required_categories, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(organizationId, id, label, description, JSON.stringify(requiredCategories), now, now);
+
+    return this.get(id, organizationId);
+  }
+
+  update(organizationId, id, changes) {
+    const existing = this.getCustom(id, organizationId);
+
+    const updated = { ...existing, ...changes };
+    getDb().prepare(`
+      UPDATE environments
+      SET label = ?, description = ?, required_categories = ?, updated_at = ?
+      WHERE id = ? AND organization_id = ?
+    `).run(updated.label, updated.description, JSON.stringify(updated.requiredCategories), new Date().toISOString(), id, organizationId);
+
+    return this.get(id, organizationId);
+  }
+
+  // Refused while sites or zones use the environment, so their uploads don't silently fall back to other requirements
+  remove(organizationId, id) {
+    this.getCustom(id, organizationId);
+    const db = getDb();
+    db.transaction(() => {
+      const { sites, zones } = db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM sites WHERE organization_id = ? AND default_environment = ?) AS sites,
+          (SELECT COUNT(*) FROM zones JOIN sites ON sites.id = zones.site_id
+            WHERE sites.organization_id = ? AND zones.work_environment = ?) AS zones
+      `).get(organizationId, id, organizationId, id);
+      if (sites > 0 || zones > 0) {
+        throw new EnvironmentError(
+          `Work environment "${id}" is used by ${sites} site(s) and ${zones} zone(s); assign them another environment first`,
+          409
+        );
+      }
+
+      db.prepare('DELETE FROM environment_thresholds WHERE environment_id = ? AND organization_id = ?').run(id, organizationId);
+      db.prepare('DELETE FROM environments WHERE id = ? AND organization_id = ?').run(id, organizationId);
+    })();
+  }
+
+  /**
+   * Replace an organization's confidence threshold overrides for a built-in or custom profile.
+   * Categories left out fall back to the defaults.
+   * @param {object} thresholds - { [category]: { accept, reject } } (already validated by the route)
+   */
+  setThresholds(organizationId, id, thresholds) {
+    if (!this.exists(id, organizationId)) {
+      throw new EnvironmentError(`Work environment "${id}" not found`, 404);
+    }
+
+    const db = getDb();
+    const now = new Date().toISOString();
+    const insert = db.prepare(`
+      INSERT INTO environment_thresholds (organization_id, environment_id, category, accept, reject, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      db.prepare('DELETE FROM environment_thresholds WHERE environment_id = ? AND organization_id = ?').run(id, organizationId);
+      Object.entries(thresholds).forEach(([category, { accept, reject }]) => {
+        insert.run(organizationId, id, category, accept, reject, now);
+      });
+    })();
+
+    return this.get(id, organizationId);
+  }
+
+  // Custom profile lookup for mutations - built-ins cannot be changed
+  getCustom(id, organizationId) {
+    const environment = this.get(id, organizationId);
+    if (!environment) {
+      throw new EnvironmentError(`Work environment "${id}" not found`, 404);
+    }
+    if (environment.builtIn) {
+      throw new EnvironmentError(`Built-in work environment "${id}" cannot be modified`, 403);
+    }
+    return environment;
+  }
+}
+
+export { EnvironmentError };
+export default EnvironmentService;
@@ -0,0 +1,157 @@
+// Environment Service tests - custom work environments per organization and their validation
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import AuthService from './authService.js';
+import EnvironmentService from './environmentService.js';
+import SiteService from './siteService.js';
+import { createEnvironmentSchema, updateEnvironmentSchema, thresholdsSchema } from '../routes/environmentRoutes.js';
+import { DEFAULT_THRESHOLDS } from './ppeCatalog.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+const warehouse = {
+  id: 'warehouse',
+  label: 'Warehouse',
+  description: 'Vest and boots',
+  requiredCategories: ['visibility', 'foot_protection']
+};
+
+describe('EnvironmentService', () => {
+  const service = new EnvironmentService();
+  let acme;
+  let globex;
+
+  before(() => {
+    const authService = new AuthService();
+    acme = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+    globex = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user.organizationId;
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('lists the built-in environments before custom ones', () => {
+    service.create(acme, warehouse);
+    const environments = service.list(acme);
+
+    assert.deepEqual(environments.slice(0, 5).map(env => [env.id, env.builtIn]), [
+      ['construction', true],
+      ['manufacturing', true],
+      ['laboratory', true],
+      ['healthcare', true],
+      ['general', true]
+    ]);
+    assert.deepEqual(environments.at(-1), {
+      ...warehouse,
+      builtIn: false,
+      createdAt: environments.at(-1).createdAt,
+      updatedAt: environments.at(-1).updatedAt,
+      thresholds: DEFAULT_THRESHOLDS
+    });
+  });
+
+  test('keeps custom environments to their organization', () => {
+    assert.equal(service.exists('warehouse', acme), true);
+    assert.equal(service.exists('warehouse', globex), false);
+    assert.equal(service.get('warehouse', globex), null);
+    assert.equal(service.list(globex).length, 5);
+
+    // Other organizations may use the same id
+    assert.equal(service.create(globex, { ...warehouse, label: 'Globex Warehouse' }).label, 'Globex Warehouse');
+    assert.equal(service.get('warehouse', acme).label, 'Warehouse');
+  });
+
+  test('refuses ids that are taken, built-in ones included', () => {
+    assert.throws(() => service.create(acme, warehouse), { status: 409 });
+    assert.throws(() => service.create(acme, { ...warehouse, id: 'construction' }), { status: 409 });
+  });
+
+  test('updates only the given fields', () => {
+    const updated = service.update(acme, 'warehouse', { requiredCategories: ['visibility'] });
+
+    assert.deepEqual(updated.requiredCategories, ['visibility']);
+    assert.equal(updated.label, 'Warehouse');
+    assert.equal(updated.description, 'Vest and boots');
+  });
+
+  test('does not change or delete built-in or unknown environments', () => {
+    assert.throws(() => service.update(acme, 'construction', { label: 'Site' }), { status: 403 });
+    assert.throws(() => service.remove(acme, 'construction'), { status: 403 });
+    assert.throws(() => service.update(acme, 'missing', { label: 'Missing' }), { status: 404 });
+    assert.throws(() => service.remove(globex, 'missing'), { status: 404 });
+  });
+
+  test('applies threshold overrides per organization', () => {
+    const environment = service.setThresholds(acme, 'construction', { head_protection: { accept: 0.8, reject: 0.5 } });
+
+    assert.deepEqual(environment.thresholds.head_protection, { accept: 0.8, reject: 0.5 });
+    assert.deepEqual(environment.thresholds.eye_protection, DEFAULT_THRESHOLDS.eye_protection);
+    assert.deepEqual(service.get('construction', globex).thresholds, DEFAULT_THRESHOLDS);
+    assert.throws(() => service.setThresholds(acme, 'missing', {}), { status: 404 });
+  });
+
+  test('deletes a custom environment with its thresholds', () => {
+    service.setThresholds(acme, 'warehouse', { visibility: { accept: 0.9, reject: 0.4 } });
+    service.remove(acme, 'warehouse');
+
+    assert.equal(service.get('warehouse', acme), null);
+    assert.equal(service.get('warehouse', globex).label, 'Globex Warehouse');
+
+    // A new environment with the same id starts from the defaults
+    assert.deepEqual(service.create(acme, warehouse).thresholds, DEFAULT_THRESHOLDS);
+  });
+
+  test('refuses to delete an environment while sites or zones use it', () => {
+    const siteService = new SiteService();
+    const site = siteService.create(acme, { name: 'Depot', defaultEnvironment: 'warehouse' });
+    const zone = siteService.createZone(site.id, acme, { name: 'Dock', workEnvironment: 'warehouse' });
+    // A site of another organization using its own environment of the same id doesn't count
+    new SiteService().create(globex, { name: 'Depot', defaultEnvironment: 'warehouse' });
+
+    assert.throws(() => service.remove(acme, 'warehouse'), {
+      status: 409,
+      message: 'Work environment "warehouse" is used by 1 site(s) and 1 zone(s); assign them another environment first'
+    });
+    siteService.update(site.id, acme, { defaultEnvironment: 'construction' });
+    assert.throws(() => service.remove(acme, 'warehouse'), { status: 409, message: /0 site\(s\) and 1 zone\(s\)/ });
+    assert.equal(service.get('warehouse', acme).label, 'Warehouse');
+
+    siteService.updateZone(site.id, zone.id, acme, { workEnvironment: null });
+    service.remove(acme, 'warehouse');
+    assert.equal(service.get('warehouse', acme), null);
+  });
+});
+
+describe('work environment validation', () => {
+  test('accepts a well-formed environment', () => {
+    assert.equal(createEnvironmentSchema.validate(warehouse).error, undefined);
+  });
+
+  test('rejects malformed ids, unknown or repeated categories and empty requirements', () => {
+    const invalid = [
+      { ...warehouse, id: 'Warehouse' },
+      { ...warehouse, id: '-warehouse' },
+      { ...warehouse, requiredCategories: ['jetpack'] },
+      { ...warehouse, requiredCategories: ['visibility', 'visibility'] },
+      { ...warehouse, requiredCategories: [] },
+      { id: 'warehouse', label: 'Warehouse' }
+    ];
+    invalid.forEach(environment => {
+      assert.notEqual(createEnvironmentSchema.validate(environment).error, undefined, JSON.stringify(environment));
+    });
+  });
+
+  test('requires at least one change on update', () => {
+    assert.notEqual(updateEnvironmentSchema.validate({}).error, undefined);
+    assert.equal(updateEnvironmentSchema.validate({ label: 'Depot' }).error, undefined);
+  });
+
+  test('rejects thresholds whose reject band is above accept', () => {
+    const { error } = thresholdsSchema.validate({ thresholds: { head_protection: { accept: 0.5, reject: 0.7 } } });
+
+    assert.match(error.message, /"reject" must not be greater than "accept"/);
+    assert.notEqual(thresholdsSchema.validate({ thresholds: { jetpack: { accept: 0.5, reject: 0.2 } } }).error, undefined);
+  });
+});
@@ -0,0 +1,125 @@
+// Labeled datasets for detector evaluation
+//
+// Both loaders resolve to { format, images, ignoredClasses }, where every image is
+// { file, path, width, height, boxes: [{ class, category, bbox: [x, y, width, height] }] } in pixels
+// and ignoredClasses counts the labels of classes the PPE catalog doesn't track.
+//
+// COCO: a JSON annotation file (images, annotations, categories) whose image file_names are
+//   relative to the dataset folder, e.g. annotations.json or _annotations.coco.json.
+// YOLO: images with one .txt label file each ("<class> <cx> <cy> <w> <h>", normalized), either next
+//   to the images or in a labels/ folder beside images/, and class names in data.yaml,
+//   classes.txt or obj.names.
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { getCategory } from '../ppeCatalog.js';
+import { parseCoco, parseYoloNames, parseYoloLabels } from '../annotationFormats.js';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.bmp', '.tif', '.tiff'];
+const COCO_ANNOTATION_FILES = ['annotations.json', '_annotations.coco.json', 'instances.json'];
+const YOLO_NAME_FILES = ['data.yaml', 'dataset.yaml', 'classes.txt', 'obj.names'];
+
+class DatasetError extends Error {}
+
+const isImage = file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+function countIgnored(ignoredClasses, className) {
+  ignoredClasses[className] = (ignoredClasses[className] || 0) + 1;
+}
+
+// Label of a tracked class, or null (and counted) for classes the PPE catalog doesn't know
+function toBox(name, bbox, ignoredClasses) {
+  const category = getCategory(name);
+  if (!category) {
+    countIgnored(ignoredClasses, name);
+    return null;
+  }
+  return { class: name, category, bbox };
+}
+
+function findAnnotationFile(dir) {
+  const file = COCO_ANNOTATION_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+  return file || null;
+}
+
+function loadCoco(dir, annotationsPath) {
+  const ignoredClasses = {};
+  const images = parseCoco(JSON.parse(fs.readFileSync(annotationsPath, 'utf8'))).map(entry => ({
+    file: entry.file,
+    path: path.resolve(dir, entry.file),
+    width: entry.width,
+    height: entry.height,
+    boxes: entry.boxes.map(box => toBox(box.class, box.bbox, ignoredClasses)).filter(Boolean)
+  }));
+
+  return { format: 'coco', images, ignoredClasses };
+}
+
+function findYoloNames(dir) {
+  const file = YOLO_NAME_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    throw new DatasetError(`No class names found for the YOLO dataset; add one of ${YOLO_NAME_FILES.join(', ')}`);
+  }
+  return parseYoloNames(fs.readFileSync(file, 'utf8'), { yaml: file.endsWith('.yaml') });
+}
+
+async function loadYolo(dir) {
+  const names = findYoloNames(dir);
+  const imageDir = fs.existsSync(path.join(dir, 'images')) ? path.join(dir, 'images') : dir;
+  const labelDir = fs.existsSync(path.join(dir, 'labels')) ? path.join(dir, 'labels') : imageDir;
+  const ignoredClasses = {};
+  const images = [];
+
+  for (const file of fs.readdirSync(imageDir).filter(isImage).sort()) {
+    const imagePath = path.join(imageDir, file);
+    // Labels are in the stored orientation of the pixels, which is what the detector sees
+    const { width, height } = await sharp(imagePath).metadata();
+    const labelPath = path.join(labelDir, `${path.parse(file).name}.txt`);
+    const labels = fs.existsSync(labelPath) ? parseYoloLabels(fs.readFileSync(labelPath, 'utf8'), names, width, height, labelPath) : [];
+
+    images.push({
+      file: path.relative(dir, imagePath),
+      path: imagePath,
+      width,
+      height,
+      boxes: labels.map(box => toBox(box.class, box.bbox, ignoredClasses)).filter(Boolean)
+    });
+  }
+
+  return { format: 'yolo', images, ignoredClasses };
+}
+
+/**
+ * Load a labeled dataset folder.
+ * @param {string} dir - dataset folder
+ * @param {object} [options]
+ * @param {string} [options.format] - "coco" or "yolo"; detected from the folder contents when omitted
+ * @param {string} [options.annotations] - COCO annotation file, if not one of the default names
+ */
+export async function loadDataset(dir, { format, annotations } = {}) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new DatasetError(`Dataset folder not found: ${dir}`);
+  }
+
+  const annotationsPath = annotations ? path.resolve(annotations) : findAnnotationFile(dir);
+  const datasetFormat = format || (annotationsPath ? 'coco' : 'yolo');
+
+  let dataset;
+  if (datasetFormat === 'coco') {
+    if (!annotationsPath || !fs.existsSync(annotationsPath)) {
+      throw new DatasetError(`No COCO annotation file found in ${dir}; pass one with --annotations`);
+    }
+    dataset = loadCoco(dir, annotationsPath);
+  } else if (datasetFormat === 'yolo') {
+    dataset = await loadYolo(dir);
+  } else {
+    throw new DatasetError(`Unknown dataset format "${datasetFormat}". Available: coco, yolo`);
+  }
+
+  if (dataset.images.length === 0) {
+    throw new DatasetError(`No images found in ${dir}`);
+  }
+  return dataset;
+}
+
+export { DatasetError };
@@ -0,0 +1,145 @@
+// Standalone HTML pages of an evaluation run and of a comparison of two runs
+import { formatCategory } from '../ppeCatalog.js';
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const percent = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const signed = value => (value === null ? '-' : `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`);
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f3f4f6; }
+  .meta { color: #6b7280; }
+  .summary { display: flex; gap: 1rem; flex-wrap: wrap; }
+  .summary div { background: #f3f4f6; border-radius: 0.5rem; padding: 0.75rem 1rem; }
+  .summary strong { display: block; font-size: 1.4rem; }
+  .regressed { color: #b91c1c; font-weight: 600; }
+  .improved { color: #047857; font-weight: 600; }
+  .warning { background: #fef3c7; color: #92400e; padding: 0.5rem 0.75rem; border-radius: 0.5rem; }
+  .banner { padding: 0.75rem 1rem; border-radius: 0.5rem; font-weight: 600; }
+  .banner.regressed { background: #fee2e2; }
+  .banner.improved { background: #d1fae5; }
+`;
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const table = (headers, rows) => `<table>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+export function renderRunHtml(run) {
+  const categoryRows = Object.entries(run.categories).map(([name, result]) => [
+    escapeHtml(formatCategory(name)),
+    result.groundTruth,
+    result.detections,
+    result.accept,
+    result.truePositives,
+    result.falsePositives,
+    result.falseNegatives,
+    percent(result.precision),
+    percent(result.recall),
+    percent(result.ap)
+  ]);
+
+  const { matrix } = run.compliance;
+  const matrixRows = Object.entries(matrix).map(([expected, predicted]) => [
+    escapeHtml(expected),
+    predicted.compliant,
+    predicted.non_compliant,
+    predicted.uncertain
+  ]);
+
+  const imageRows = run.images.map(image => [
+    escapeHtml(image.file),
+    image.labels ?? '-',
+    image.detections ?? '-',
+    escapeHtml(image.expected ?? '-'),
+    image.error ? `<span class="regressed">${escapeHtml(image.error)}</span>` : escapeHtml(image.verdict),
+    image.error ? '-' : (image.correct ? 'yes' : '<span class="regressed">no</span>')
+  ]);
+
+  const ignored = Object.entries(run.dataset.ignoredClasses);
+
+  return page(`Detector evaluation - ${run.name}`, `
+<h1>Detector evaluation: ${escapeHtml(run.name)}</h1>
+<p class="meta">${escapeHtml(run.createdAt)} · detector ${escapeHtml(run.detector)} · ${escapeHtml(run.dataset.format.toUpperCase())} dataset ${escapeHtml(run.dataset.path)} · ${run.dataset.images} image(s) · environment ${escapeHtml(run.environment)} · IoU ${run.iouThreshold}</p>
+${ignored.length > 0 ? `<p class="warning">Labels of untracked classes were ignored: ${ignored.map(([name, count]) => `${escapeHtml(name)} (${count})`).join(', ')}</p>` : ''}
+${run.failed > 0 ? `<p class="warning">${run.failed} image(s) could not be analyzed and are left out of the metrics</p>` : ''}
+<div class="summary">
+  <div><strong>${percent(run.mAP)}</strong>mAP@${run.iouThreshold}</div>
+  <div><strong>${percent(run.compliance.accuracy)}</strong>Compliance accuracy (${run.compliance.correct}/${run.compliance.images})</div>
+</div>
+<h2>Per category</h2>
+<p class="meta">Precision and recall count the detections at or above the category's accept threshold; AP uses all detections.</p>
+${table(['Category', 'Labels', 'Detections', 'Accept', 'TP', 'FP', 'FN', 'Precision', 'Recall', 'AP'], categoryRows)}
+<h2>Image compliance</h2>
+${table(['Labelled \\ analyzed', 'compliant', 'non_compliant', 'uncertain'], matrixRows)}
+<h2>Images</h2>
+${table(['Image', 'Labels', 'Detections', 'Expected', 'Verdict', 'Correct'], imageRows)}
+`);
+}
+
+export function renderComparisonHtml(comparison) {
+  const cell = value => `<span class="${value.status}">${percent(value.base)} → ${percent(value.candidate)} (${signed(value.delta)})</span>`;
+
+  const categoryRows = Object.entries(comparison.categories).map(([name, metrics]) => [
+    escapeHtml(formatCategory(name)),
+    cell(metrics.precision),
+    cell(metrics.recall),
+    cell(metrics.ap)
+  ]);
+
+  const imageRows = images => images.map(image => [
+    escapeHtml(image.file),
+    escapeHtml(image.expected),
+    escapeHtml(image.before),
+    escapeHtml(image.after)
+  ]);
+
+  const banner = comparison.regressions.length > 0
+    ? `<div class="banner regressed">${comparison.regressions.length} regression(s):<ul>${comparison.regressions.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul></div>`
+    : '<div class="banner improved">No regressions</div>';
+
+  return page(`Detector comparison - ${comparison.base.name} vs ${comparison.candidate.name}`, `
+<h1>Detector comparison</h1>
+<p class="meta">Baseline ${escapeHtml(comparison.base.name)} (${escapeHtml(comparison.base.detector)}, ${escapeHtml(comparison.base.createdAt)}) · candidate ${escapeHtml(comparison.candidate.name)} (${escapeHtml(comparison.candidate.detector)}, ${escapeHtml(comparison.candidate.createdAt)}) · tolerance ${comparison.tolerance}</p>
+${comparison.warnings.map(warning => `<p class="warning">${escapeHtml(warning)}</p>`).join('\n')}
+${banner}
+<div class="summary">
+  <div><strong>${cell(comparison.mAP)}</strong>mAP</div>
+  <div><strong>${cell(comparison.complianceAccuracy)}</strong>Compliance accuracy</div>
+</div>
+<h2>Per category</h2>
+${table(['Category', 'Precision', 'Recall', 'AP'], categoryRows)}
+<h2>Images now wrong (${comparison.regressedImages.length})</h2>
+${comparison.regressedImages.length > 0 ? table(['Image', 'Expected', 'Baseline', 'Candidate'], imageRows(comparison.regressedImages)) : '<p class="meta">None</p>'}
+<h2>Images now right (${comparison.fixedImages.length})</h2>
+${comparison.fixedImages.length > 0 ? table(['Image', 'Expected', 'Baseline', 'Candidate'], imageRows(comparison.fixedImages)) : '<p class="meta">None</p>'}
+`);
+}
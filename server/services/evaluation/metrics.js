@@ -0,0 +1,214 @@
+// Detection and compliance metrics of an evaluation run, and the comparison of two runs
+import { PPE_CATEGORIES } from '../ppeCatalog.js';
+
+// Persons are scored like PPE, but have no review band
+const PERSON_ACCEPT = 0.5;
+
+export const EVALUATED_CATEGORIES = ['person', ...PPE_CATEGORIES];
+
+const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+
+export function iou([ax, ay, aw, ah], [bx, by, bw, bh]) {
+  const x1 = Math.max(ax, bx);
+  const y1 = Math.max(ay, by);
+  const x2 = Math.min(ax + aw, bx + bw);
+  const y2 = Math.min(ay + ah, by + bh);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = aw * ah + bw * bh - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Area under the precision/recall curve with all-point interpolation (Pascal VOC 2010+).
+// `matches` holds true/false per detection, most confident first.
+export function averagePrecision(matches, groundTruthCount) {
+  if (groundTruthCount === 0) return null;
+
+  let truePositives = 0;
+  const points = matches.map((matched, index) => {
+    if (matched) truePositives++;
+    return { recall: truePositives / groundTruthCount, precision: truePositives / (index + 1) };
+  });
+
+  // Precision envelope: the best precision at this recall or any higher one
+  for (let i = points.length - 2; i >= 0; i--) {
+    points[i].precision = Math.max(points[i].precision, points[i + 1].precision);
+  }
+
+  let ap = 0;
+  let previousRecall = 0;
+  for (const point of points) {
+    ap += (point.recall - previousRecall) * point.precision;
+    previousRecall = point.recall;
+  }
+  return ap;
+}
+
+/**
+ * Match the detections of one category against the labels, most confident first; each label can
+ * be matched once, by the unmatched label of the same image with the highest IoU.
+ * Precision and recall are taken at the category's accept threshold - the detections an analysis
+ * counts as worn - and AP over all detections.
+ */
+function evaluateCategory(category, images, { iouThreshold, accept }) {
+  const detections = [];
+  let groundTruthCount = 0;
+
+  images.forEach((image, imageIndex) => {
+    groundTruthCount += image.labels.filter(box => box.category === category).length;
+    image.detections
+      .filter(detection => detection.category === category)
+      .forEach(detection => detections.push({ ...detection, imageIndex }));
+  });
+  detections.sort((a, b) => b.confidence - a.confidence);
+
+  const used = images.map(() => new Set());
+  const matches = detections.map(detection => {
+    const labels = images[detection.imageIndex].labels;
+    let best = -1;
+    let bestIou = iouThreshold;
+    labels.forEach((label, labelIndex) => {
+      if (label.category !== category || used[detection.imageIndex].has(labelIndex)) return;
+      const overlap = iou(detection.bbox, label.bbox);
+      if (overlap >= bestIou) {
+        best = labelIndex;
+        bestIou = overlap;
+      }
+    });
+    if (best === -1) return false;
+    used[detection.imageIndex].add(best);
+    return true;
+  });
+
+  const counted = matches.filter((matched, index) => detections[index].confidence >= accept);
+  const truePositives = counted.filter(Boolean).length;
+  const falsePositives = counted.length - truePositives;
+
+  return {
+    groundTruth: groundTruthCount,
+    detections: detections.length,
+    accept,
+    truePositives,
+    falsePositives,
+    falseNegatives: groundTruthCount - truePositives,
+    precision: round(counted.length > 0 ? truePositives / counted.length : null),
+    recall: round(groundTruthCount > 0 ? truePositives / groundTruthCount : null),
+    ap: round(averagePrecision(matches, groundTruthCount))
+  };
+}
+
+/**
+ * Metrics of a run over the analyzed images.
+ * @param {Array} images - { labels, detections, expected, verdict } per analyzed image, where
+ *   expected is the verdict of the labels and verdict the one of the analysis
+ * @param {object} options - iouThreshold, and the thresholds per PPE category
+ */
+export function computeMetrics(images, { iouThreshold, thresholds }) {
+  const categories = {};
+  for (const category of EVALUATED_CATEGORIES) {
+    const accept = category === 'person' ? PERSON_ACCEPT : thresholds[category].accept;
+    const result = evaluateCategory(category, images, { iouThreshold, accept });
+    if (result.groundTruth > 0 || result.detections > 0) {
+      categories[category] = result;
+    }
+  }
+
+  const aps = Object.values(categories).map(result => result.ap).filter(ap => ap !== null);
+
+  // An uncertain verdict isn't compliant, so it only counts as correct for images labelled non-compliant
+  const matrix = {
+    compliant: { compliant: 0, non_compliant: 0, uncertain: 0 },
+    non_compliant: { compliant: 0, non_compliant: 0, uncertain: 0 }
+  };
+  let correct = 0;
+  images.forEach(image => {
+    matrix[image.expected][image.verdict]++;
+    if ((image.verdict === 'compliant') === (image.expected === 'compliant')) correct++;
+  });
+
+  return {
+    categories,
+    mAP: round(aps.length > 0 ? aps.reduce((sum, ap) => sum + ap, 0) / aps.length : null),
+    compliance: {
+      images: images.length,
+      correct,
+      accuracy: round(images.length > 0 ? correct / images.length : null),
+      matrix
+    }
+  };
+}
+
+function compareValue(base, candidate, tolerance) {
+  const delta = base === null || candidate === null ? null : round(candidate - base);
+  let status = 'unchanged';
+  if (delta !== null && delta < -tolerance) status = 'regressed';
+  if (delta !== null && delta > tolerance) status = 'improved';
+  return { base, candidate, delta, status };
+}
+
+/**
+ * Compare a candidate run with a baseline run of the same dataset. A metric that drops by more
+ * than `tolerance` is a regression; so is an image whose compliance verdict was right in the
+ * baseline and is wrong in the candidate.
+ */
+export function compareRuns(base, candidate, { tolerance = 0.01 } = {}) {
+  const warnings = [];
+  if (base.dataset.path !== candidate.dataset.path || base.dataset.images !== candidate.dataset.images) {
+    warnings.push('The runs were made on different datasets');
+  }
+  if (base.iouThreshold !== candidate.iouThreshold) {
+    warnings.push(`The runs use different IoU thresholds (${base.iouThreshold} and ${candidate.iouThreshold})`);
+  }
+  if (base.environment !== candidate.environment) {
+    warnings.push(`The runs score compliance for different work environments (${base.environment} and ${candidate.environment})`);
+  }
+
+  const categoryNames = EVALUATED_CATEGORIES.filter(name => base.categories[name] || candidate.categories[name]);
+  const categories = Object.fromEntries(categoryNames.map(name => {
+    const before = base.categories[name] || {};
+    const after = candidate.categories[name] || {};
+    return [name, Object.fromEntries(['precision', 'recall', 'ap'].map(metric => [
+      metric,
+      compareValue(before[metric] ?? null, after[metric] ?? null, tolerance)
+    ]))];
+  }));
+
+  const mAP = compareValue(base.mAP, candidate.mAP, tolerance);
+  const complianceAccuracy = compareValue(base.compliance.accuracy, candidate.compliance.accuracy, tolerance);
+
+  const baseImages = new Map(base.images.filter(image => !image.error).map(image => [image.file, image]));
+  const regressedImages = [];
+  const fixedImages = [];
+  for (const image of candidate.images.filter(item => !item.error)) {
+    const before = baseImages.get(image.file);
+    if (!before) continue;
+    if (before.correct && !image.correct) regressedImages.push({ file: image.file, expected: image.expected, before: before.verdict, after: image.verdict });
+    if (!before.correct && image.correct) fixedImages.push({ file: image.file, expected: image.expected, before: before.verdict, after: image.verdict });
+  }
+
+  const regressions = [];
+  if (mAP.status === 'regressed') regressions.push(`mAP@${candidate.iouThreshold} ${mAP.base} -> ${mAP.candidate}`);
+  if (complianceAccuracy.status === 'regressed') {
+    regressions.push(`Compliance accuracy ${complianceAccuracy.base} -> ${complianceAccuracy.candidate}`);
+  }
+  for (const [name, metrics] of Object.entries(categories)) {
+    for (const [metric, value] of Object.entries(metrics)) {
+      if (value.status === 'regressed') regressions.push(`${name} ${metric} ${value.base} -> ${value.candidate}`);
+    }
+  }
+  if (regressedImages.length > 0) {
+    regressions.push(`${regressedImages.length} image(s) now get a wrong compliance verdict`);
+  }
+
+  return {
+    base: { name: base.name, createdAt: base.createdAt, detector: base.detector },
+    candidate: { name: candidate.name, createdAt: candidate.createdAt, detector: candidate.detector },
+    tolerance,
+    warnings,
+    mAP,
+    complianceAccuracy,
+    categories,
+    regressedImages,
+    fixedImages,
+    regressions
+  };
+}
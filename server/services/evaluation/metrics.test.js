@@ -0,0 +1,120 @@
+// Evaluation metrics tests - IoU, average precision, run metrics and run comparison
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { iou, averagePrecision, computeMetrics, compareRuns } from './metrics.js';
+import { PPE_CATEGORIES } from '../ppeCatalog.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-4, `${actual} is not ${expected}`);
+
+const thresholds = Object.fromEntries(PPE_CATEGORIES.map(category => [category, { accept: 0.5, reject: 0.3 }]));
+
+describe('iou', () => {
+  test('is the intersection over the union of two boxes', () => {
+    assert.equal(iou([0, 0, 10, 10], [0, 0, 10, 10]), 1);
+    close(iou([0, 0, 10, 10], [5, 0, 10, 10]), 1 / 3);
+    close(iou([0, 0, 10, 10], [2, 2, 5, 5]), 0.25);
+  });
+
+  test('is 0 for boxes that only touch or have no area', () => {
+    assert.equal(iou([0, 0, 10, 10], [10, 0, 10, 10]), 0);
+    assert.equal(iou([0, 0, 10, 10], [50, 50, 10, 10]), 0);
+    assert.equal(iou([0, 0, 0, 0], [0, 0, 0, 0]), 0);
+  });
+});
+
+describe('averagePrecision', () => {
+  test('integrates the interpolated precision over recall', () => {
+    // Precision 1 up to recall 0.5, then the envelope of 2/3 up to recall 1
+    close(averagePrecision([true, false, true], 2), 0.5 + 0.5 * (2 / 3));
+    assert.equal(averagePrecision([true, true], 2), 1);
+  });
+
+  test('counts labels that were never detected against recall', () => {
+    assert.equal(averagePrecision([true], 2), 0.5);
+    assert.equal(averagePrecision([false, false], 1), 0);
+    assert.equal(averagePrecision([], 3), 0);
+  });
+
+  test('is undefined without labels', () => {
+    assert.equal(averagePrecision([false], 0), null);
+  });
+});
+
+describe('computeMetrics', () => {
+  const helmet = (bbox, confidence) => ({ category: 'head_protection', bbox, confidence });
+
+  test('matches detections to labels most confident first', () => {
+    const images = [
+      {
+        labels: [{ category: 'head_protection', bbox: [0, 0, 10, 10] }],
+        detections: [helmet([0, 0, 10, 10], 0.9), helmet([50, 50, 10, 10], 0.95), helmet([1, 0, 10, 10], 0.4)],
+        expected: 'compliant',
+        verdict: 'uncertain'
+      },
+      { labels: [], detections: [], expected: 'non_compliant', verdict: 'uncertain' }
+    ];
+    const metrics = computeMetrics(images, { iouThreshold: 0.5, thresholds });
+    const head = metrics.categories.head_protection;
+
+    // The stray helmet ranks first, and the label can only be matched once
+    assert.equal(head.ap, 0.5);
+    assert.equal(head.truePositives, 1);
+    assert.equal(head.falsePositives, 1);
+    assert.equal(head.falseNegatives, 0);
+    assert.equal(head.precision, 0.5);
+    assert.equal(head.recall, 1);
+    assert.equal(metrics.mAP, 0.5);
+    assert.deepEqual(Object.keys(metrics.categories), ['head_protection']);
+  });
+
+  test('counts an uncertain verdict as correct for non-compliant images only', () => {
+    const images = [
+      { labels: [], detections: [], expected: 'compliant', verdict: 'uncertain' },
+      { labels: [], detections: [], expected: 'non_compliant', verdict: 'uncertain' },
+      { labels: [], detections: [], expected: 'compliant', verdict: 'compliant' }
+    ];
+    const { compliance } = computeMetrics(images, { iouThreshold: 0.5, thresholds });
+
+    assert.equal(compliance.correct, 2);
+    assert.equal(compliance.accuracy, 0.6667);
+    assert.equal(compliance.matrix.compliant.uncertain, 1);
+    assert.equal(compliance.matrix.non_compliant.uncertain, 1);
+  });
+});
+
+describe('compareRuns', () => {
+  const run = (mAP, accuracy, images, overrides = {}) => ({
+    name: 'run',
+    dataset: { path: 'datasets/site', images: images.length },
+    iouThreshold: 0.5,
+    environment: 'construction',
+    categories: { head_protection: { precision: 0.9, recall: 0.8, ap: mAP } },
+    mAP,
+    compliance: { accuracy },
+    images,
+    ...overrides
+  });
+
+  test('reports drops beyond the tolerance and images that became wrong', () => {
+    const base = run(0.8, 1, [{ file: 'a.jpg', correct: true, expected: 'compliant', verdict: 'compliant' }]);
+    const candidate = run(0.75, 0, [{ file: 'a.jpg', correct: false, expected: 'compliant', verdict: 'non_compliant' }]);
+    const comparison = compareRuns(base, candidate);
+
+    assert.equal(comparison.mAP.status, 'regressed');
+    assert.equal(comparison.mAP.delta, -0.05);
+    assert.equal(comparison.categories.head_protection.precision.status, 'unchanged');
+    assert.deepEqual(comparison.regressedImages, [{ file: 'a.jpg', expected: 'compliant', before: 'compliant', after: 'non_compliant' }]);
+    assert.equal(comparison.regressions.length, 4);
+    assert.deepEqual(comparison.warnings, []);
+  });
+
+  test('tolerates small changes and warns about incomparable runs', () => {
+    const base = run(0.8, 1, []);
+    const candidate = run(0.795, 1, [], { iouThreshold: 0.75 });
+    const comparison = compareRuns(base, candidate);
+
+    assert.equal(comparison.mAP.status, 'unchanged');
+    assert.deepEqual(comparison.regressions, []);
+    assert.deepEqual(comparison.warnings, ['The runs use different IoU thresholds (0.5 and 0.75)']);
+  });
+});
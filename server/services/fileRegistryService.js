@@ -0,0 +1,69 @@
+// File Registry Service - records which organization owns each uploaded file
+import { getDb } from '../db/database.js';
+
+function fromRow(row) {
+  return {
+    filename: row.filename,
+    organizationId: row.organization_id,
+    userId: row.user_id,
+    originalName: row.original_name,
+    kind: row.kind,
+    // Untouched upload kept in uploads/originals and its metadata, for normalized images
+    originalFile: row.original_file,
+    originalInfo: row.original_info ? JSON.parse(row.original_info) : null,
+    // Faces are blurred in the served copy
+    anonymized: row.anonymized === 1,
+    createdAt: row.created_at
+  };
+}
+
+class FileRegistryService {
+  register({
+    filename,
+    organizationId,
+    userId = null,
+    originalName = null,
+    kind = 'image',
+    originalFile = null,
+    originalInfo = null,
+    anonymized = false
+  }) {
+    getDb().prepare(`
+      INSERT OR REPLACE INTO uploads (filename, organization_id, user_id, original_name, kind, original_file, original_info, anonymized, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      filename,
+      organizationId,
+      userId,
+      originalName,
+      kind,
+      originalFile,
+      originalInfo ? JSON.stringify(originalInfo) : null,
+      anonymized ? 1 : 0,
+      new Date().toISOString()
+    );
+  }
+
+  // Files of other organizations are reported as not found
+  get(filename, organizationId) {
+    const row = getDb().prepare('SELECT * FROM uploads WHERE filename = ? AND organization_id = ?').get(filename, organizationId);
+    return row ? fromRow(row) : null;
+  }
+
+  list(organizationId, { kind } = {}) {
+    const rows = kind
+      ? getDb().prepare('SELECT * FROM uploads WHERE organization_id = ? AND kind = ? ORDER BY created_at DESC').all(organizationId, kind)
+      : getDb().prepare('SELECT * FROM uploads WHERE organization_id = ? ORDER BY created_at DESC').all(organizationId);
+    return rows.map(fromRow);
+  }
+
+  markAnonymized(filename) {
+    getDb().prepare('UPDATE uploads SET anonymized = 1 WHERE filename = ?').run(filename);
+  }
+
+  remove(filename) {
+    getDb().prepare('DELETE FROM uploads WHERE filename = ?').run(filename);
+  }
+}
+
+export default FileRegistryService;
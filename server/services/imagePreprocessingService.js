@@ -0,0 +1,202 @@
+// Image Preprocessing Service - normalizes uploaded photos before analysis and anonymizes the stored copies
+import sharp from 'sharp';
+import fs from 'fs';
+import path from 'path';
+import convertHeic from 'heic-convert';
+import { getBodyRegion } from './personAssociation.js';
+import { getStorage, UPLOAD_PATH } from './storage/index.js';
+
+// Formats stored as they are; anything else (HEIC/HEIF, AVIF) is converted to JPEG
+const STORED_FORMATS = {
+  jpeg: '.jpg',
+  png: '.png',
+  webp: '.webp'
+};
+
+export const NORMALIZED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+export const CONVERTED_EXTENSIONS = ['.heic', '.heif', '.avif'];
+
+const DEFAULT_MAX_DIMENSION = 2048;
+
+// ISO-BMFF brands of HEIC/HEIF stills; the prebuilt libvips in sharp only decodes AVIF
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+function isHeic(buffer) {
+  return buffer.length >= 12
+    && buffer.toString('ascii', 4, 8) === 'ftyp'
+    && HEIC_BRANDS.includes(buffer.toString('ascii', 8, 12));
+}
+
+class ImagePreprocessingService {
+  constructor(options = {}) {
+    // Local working folder; files are moved to storage by persist()
+    this.uploadPath = options.uploadPath || UPLOAD_PATH;
+    this.originalsPath = path.join(this.uploadPath, 'originals');
+    // Read lazily so .env is loaded before IMAGE_MAX_DIMENSION is used
+    this.maxDimension = options.maxDimension || null;
+  }
+
+  getMaxDimension() {
+    return this.maxDimension || parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || DEFAULT_MAX_DIMENSION;
+  }
+
+  // Decoded input for sharp; HEIC is converted to JPEG first
+  async decode(buffer) {
+    const unsupported = () => Object.assign(new Error('Unsupported or corrupt image file'), { status: 415 });
+    try {
+      const metadata = await sharp(buffer).metadata();
+      // libvips reads AVIF as HEIF with AV1 compression
+      const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+      return { input: buffer, metadata, format };
+    } catch (error) {
+      if (!isHeic(buffer)) {
+        throw unsupported();
+      }
+    }
+
+    let jpeg;
+    try {
+      jpeg = Buffer.from(await convertHeic({ buffer, format: 'JPEG', quality: 0.92 }));
+    } catch (error) {
+      throw unsupported();
+    }
+    return { input: jpeg, metadata: await sharp(jpeg).metadata(), format: 'heic' };
+  }
+
+  /**
+   * Normalize an uploaded image: apply its EXIF orientation, convert HEIC/HEIF and AVIF to JPEG,
+   * downscale to the max dimension and drop all metadata (GPS included). The normalized copy
+   * replaces the upload in the working folder and the untouched file is moved to originals/;
+   * persist() stores both once analysis succeeded.
+   * @returns {{ filename, path, originalFile, original: object, normalized: object }}
+   *   `filename` may differ from the upload's when the format changes
+   */
+  async normalize(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const { input, metadata, format } = await this.decode(buffer);
+
+    const outputFormat = STORED_FORMATS[metadata.format] ? metadata.format : 'jpeg';
+    const maxDimension = this.getMaxDimension();
+    const { data, info } = await sharp(input)
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+      .toFormat(outputFormat, outputFormat === 'jpeg' ? { quality: 90 } : {})
+      .toBuffer({ resolveWithObject: true });
+
+    const originalFile = path.basename(filePath);
+    const filename = `${path.basename(filePath, path.extname(filePath))}${STORED_FORMATS[outputFormat]}`;
+    const normalizedPath = path.join(this.uploadPath, filename);
+
+    fs.mkdirSync(this.originalsPath, { recursive: true });
+    fs.renameSync(filePath, path.join(this.originalsPath, originalFile));
+    fs.writeFileSync(normalizedPath, data);
+
+    return {
+      filename,
+      path: normalizedPath,
+      originalFile,
+      original: {
+        width: metadata.width,
+        height: metadata.height,
+        format,
+        size: buffer.length,
+        // EXIF orientation (1-8) applied to the normalized copy
+        orientation: metadata.orientation || 1
+      },
+      normalized: {
+        width: info.width,
+        height: info.height,
+        format: info.format,
+        size: info.size
+      }
+    };
+  }
+
+  // Move a normalized upload and its original from the working folder into storage
+  async persist({ filename, originalFile = null }) {
+    await getStorage().putFile(filename, path.join(this.uploadPath, filename));
+    if (originalFile) {
+      await getStorage().putFile(`originals/${originalFile}`, path.join(this.originalsPath, originalFile));
+    }
+  }
+
+  /**
+   * Blur the head region of every detected person (and any detected face) in the stored copy.
+   * The unblurred copy is kept in unblurred/ for withAnalysisFile() and is never served;
+   * anonymizing again starts from it, so the blur follows the latest detections.
+   * @returns {number} Number of blurred regions
+   */
+  async anonymize(filename, detections) {
+    const storage = getStorage();
+    const unblurredKey = `unblurred/${path.basename(filename)}`;
+
+    let source;
+    if (await storage.exists(unblurredKey)) {
+      source = await storage.get(unblurredKey);
+    } else {
+      source = await storage.get(path.basename(filename));
+      await storage.put(unblurredKey, source);
+    }
+
+    const { width, height, format } = await sharp(source).metadata();
+
+    const regions = detections
+      .filter(detection => detection.class === 'person' || detection.class === 'face')
+      .map(detection => (detection.class === 'person' ? getBodyRegion(detection.bbox, 'head') : detection.bbox))
+      .map(([x, y, w, h]) => {
+        // Clamp to the image; boxes can extend past its edges
+        const left = Math.max(0, Math.floor(x));
+        const top = Math.max(0, Math.floor(y));
+        return {
+          left,
+          top,
+          width: Math.min(width, Math.ceil(x + w)) - left,
+          height: Math.min(height, Math.ceil(y + h)) - top
+        };
+      })
+      .filter(region => region.width > 0 && region.height > 0);
+
+    // Blur strength scales with the region so faces stay unrecognizable at any size
+    const overlays = await Promise.all(regions.map(async region => ({
+      input: await sharp(source)
+        .extract(region)
+        .blur(Math.max(8, Math.min(region.width, region.height) / 4))
+        .toBuffer(),
+      left: region.left,
+      top: region.top
+    })));
+
+    const blurred = await sharp(source)
+      .composite(overlays)
+      .toFormat(format, format === 'jpeg' ? { quality: 90 } : {})
+      .toBuffer();
+    await storage.put(path.basename(filename), blurred);
+
+    return regions.length;
+  }
+
+  // Run `fn` with a local path of a stored image to analyze: the unblurred copy when the stored one is anonymized
+  async withAnalysisFile(filename, fn) {
+    const storage = getStorage();
+    const unblurredKey = `unblurred/${path.basename(filename)}`;
+    const key = await storage.exists(unblurredKey) ? unblurredKey : path.basename(filename);
+    return storage.withLocalFile(key, fn);
+  }
+
+  // Storage keys of everything kept for an upload: the served copy, its unblurred copy and its original
+  keysOf(filename, originalFile = null) {
+    const keys = [path.basename(filename), `unblurred/${path.basename(filename)}`];
+    if (originalFile) keys.push(`originals/${path.basename(originalFile)}`);
+    return keys;
+  }
+
+  // Delete a stored upload with its unblurred copy and original, and any working files left behind
+  async remove(filename, originalFile = null) {
+    await Promise.all(this.keysOf(filename, originalFile).map(async key => {
+      await getStorage().remove(key);
+      fs.rmSync(path.join(this.uploadPath, key), { force: true });
+    }));
+  }
+}
+
+export default ImagePreprocessingService;
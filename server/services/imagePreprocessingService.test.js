@@ -0,0 +1,101 @@
+// Image Preprocessing Service tests - orientation, format conversion, downscaling and metadata removal
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import ImagePreprocessingService from './imagePreprocessingService.js';
+
+// A 300x200 image, landscape as stored
+const image = () => sharp({ create: { width: 300, height: 200, channels: 3, background: '#808080' } });
+
+describe('ImagePreprocessingService', () => {
+  const service = new ImagePreprocessingService({ maxDimension: 100 });
+  let cwd;
+  let dir;
+
+  before(() => {
+    // The working folder and local storage are relative to the working directory
+    cwd = process.cwd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-preprocess-'));
+    process.chdir(dir);
+    fs.mkdirSync('uploads');
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('applies the EXIF orientation, downscales and drops all metadata', async () => {
+    // Orientation 6: the camera was turned, the photo is shown rotated by 90 degrees
+    await image().withMetadata({ orientation: 6 }).jpeg().toFile('uploads/image-1.jpg');
+    const size = fs.statSync('uploads/image-1.jpg').size;
+
+    const result = await service.normalize('uploads/image-1.jpg');
+
+    assert.equal(result.filename, 'image-1.jpg');
+    assert.equal(result.originalFile, 'image-1.jpg');
+    assert.deepEqual(result.original, { width: 300, height: 200, format: 'jpeg', size, orientation: 6 });
+    assert.deepEqual([result.normalized.width, result.normalized.height, result.normalized.format], [67, 100, 'jpeg']);
+
+    const metadata = await sharp(result.path).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [67, 100]);
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.orientation, undefined);
+
+    // The untouched upload is kept in originals/
+    assert.equal(fs.statSync('uploads/originals/image-1.jpg').size, size);
+  });
+
+  test('keeps PNG and small images as they are', async () => {
+    await sharp({ create: { width: 60, height: 40, channels: 4, background: '#ff000080' } }).png().toFile('uploads/image-2.png');
+
+    const result = await service.normalize('uploads/image-2.png');
+
+    assert.equal(result.filename, 'image-2.png');
+    assert.deepEqual([result.normalized.width, result.normalized.height, result.normalized.format], [60, 40, 'png']);
+    assert.equal(result.original.orientation, 1);
+  });
+
+  test('converts AVIF to JPEG', async () => {
+    await image().avif().toFile('uploads/image-3.avif');
+
+    const result = await service.normalize('uploads/image-3.avif');
+
+    assert.equal(result.filename, 'image-3.jpg');
+    assert.equal(result.originalFile, 'image-3.avif');
+    assert.equal(result.original.format, 'avif');
+    assert.equal(result.normalized.format, 'jpeg');
+    assert.equal((await sharp('uploads/image-3.jpg').metadata()).format, 'jpeg');
+    assert.ok(fs.existsSync('uploads/originals/image-3.avif'));
+  });
+
+  test('rejects files that are no image with 415', async () => {
+    fs.writeFileSync('uploads/image-4.jpg', 'not an image');
+
+    await assert.rejects(service.normalize('uploads/image-4.jpg'), { status: 415, message: 'Unsupported or corrupt image file' });
+  });
+
+  test('rejects a corrupt HEIC with 415', async () => {
+    // Recognized as HEIC by its file type box, but there is no image in it
+    const heic = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic'), Buffer.alloc(40)]);
+
+    await assert.rejects(service.decode(heic), { status: 415 });
+  });
+
+  test('stores the normalized image with its original and removes both', async () => {
+    await image().png().toFile('uploads/image-5.png');
+    const normalized = await service.normalize('uploads/image-5.png');
+    await service.persist(normalized);
+
+    assert.deepEqual(service.keysOf(normalized.filename, normalized.originalFile), ['image-5.png', 'unblurred/image-5.png', 'originals/image-5.png']);
+    assert.ok(fs.existsSync('uploads/image-5.png'));
+    assert.ok(fs.existsSync('uploads/originals/image-5.png'));
+
+    await service.remove(normalized.filename, normalized.originalFile);
+    assert.equal(fs.existsSync('uploads/image-5.png'), false);
+    assert.equal(fs.existsSync('uploads/originals/image-5.png'), false);
+  });
+});
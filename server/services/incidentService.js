@@ -0,0 +1,351 @@
+// Incident Service - corrective actions opened from non-compliant analyses and verified with a follow-up photo
+import { getDb } from '../db/database.js';
+import { formatCategory } from './ppeCatalog.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import AuthService from './authService.js';
+
+export const INCIDENT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+export const INCIDENT_STATUSES = ['open', 'in_progress', 'resolved', 'verified'];
+
+// Allowed status changes; a resolved incident whose fix doesn't hold goes back to in_progress
+export const STATUS_TRANSITIONS = {
+  open: ['in_progress'],
+  in_progress: ['resolved'],
+  resolved: ['in_progress', 'verified'],
+  verified: []
+};
+
+// Statuses in which a past due date makes an incident overdue
+const ACTIVE_STATUSES = ['open', 'in_progress'];
+
+// API sort keys -> expressions; incidents without a due date sort last
+const SORT_COLUMNS = {
+  createdAt: 'incidents.created_at',
+  updatedAt: 'incidents.updated_at',
+  dueDate: `COALESCE(incidents.due_date, '9999-12-31')`,
+  severity: `CASE incidents.severity ${INCIDENT_SEVERITIES.map((severity, index) => `WHEN '${severity}' THEN ${index}`).join(' ')} END`
+};
+
+// Incidents with their analysis, follow-up analysis and assignee
+const SELECT_INCIDENTS = `
+  SELECT incidents.*, assignees.username AS assignee_name,
+    source.filename AS source_filename, source.work_environment AS source_environment, source.verdict AS source_verdict,
+    source.compliance_score AS source_score, source.site_id AS source_site_id, source.site_name AS source_site_name,
+    source.zone_id AS source_zone_id, source.zone_name AS source_zone_name, source.analyzed_at AS source_analyzed_at,
+    verification.filename AS verification_filename, verification.work_environment AS verification_environment,
+    verification.verdict AS verification_verdict, verification.compliance_score AS verification_score,
+    verification.site_id AS verification_site_id, verification.site_name AS verification_site_name,
+    verification.zone_id AS verification_zone_id, verification.zone_name AS verification_zone_name,
+    verification.analyzed_at AS verification_analyzed_at
+  FROM incidents
+  JOIN analyses AS source ON source.id = incidents.analysis_id
+  LEFT JOIN analyses AS verification ON verification.id = incidents.verification_analysis_id
+  LEFT JOIN users AS assignees ON assignees.id = incidents.assignee_id
+`;
+
+class IncidentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Summary of the analysis an incident was opened from ("source") or verified with ("verification")
+function toAnalysisLink(row, prefix, id) {
+  return {
+    id,
+    filename: row[`${prefix}_filename`],
+    imageUrl: `/uploads/${row[`${prefix}_filename`]}`,
+    workEnvironment: row[`${prefix}_environment`],
+    site: row[`${prefix}_site_name`] ? { id: row[`${prefix}_site_id`], name: row[`${prefix}_site_name`] } : null,
+    zone: row[`${prefix}_zone_name`] ? { id: row[`${prefix}_zone_id`], name: row[`${prefix}_zone_name`] } : null,
+    verdict: row[`${prefix}_verdict`],
+    complianceScore: row[`${prefix}_score`],
+    analyzedAt: row[`${prefix}_analyzed_at`]
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    missingCategories: JSON.parse(row.missing_categories),
+    severity: row.severity,
+    status: row.status,
+    assignee: row.assignee_id ? { id: row.assignee_id, username: row.assignee_name } : null,
+    dueDate: row.due_date,
+    overdue: Boolean(row.due_date) && row.due_date < today() && ACTIVE_STATUSES.includes(row.status),
+    analysis: toAnalysisLink(row, 'source', row.analysis_id),
+    verificationAnalysis: row.verification_analysis_id ? toAnalysisLink(row, 'verification', row.verification_analysis_id) : null,
+    createdBy: { id: row.created_by, username: row.created_by_name },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    resolvedAt: row.resolved_at,
+    verifiedAt: row.verified_at
+  };
+}
+
+// A comment, or a status change with an optional comment
+function fromCommentRow(row) {
+  return {
+    id: row.id,
+    author: { id: row.author_id, username: row.author_name },
+    body: row.body,
+    status: row.status,
+    createdAt: row.created_at
+  };
+}
+
+class IncidentService {
+  constructor(options = {}) {
+    this.analysisHistoryService = options.analysisHistoryService || new AnalysisHistoryService();
+    this.authService = options.authService || new AuthService();
+  }
+
+  /**
+   * List incidents of an organization, newest first by default.
+   * @param {object} query - organizationId, status, active, severity, assigneeId, analysisId, siteId, overdue, sort,
+   *   order, page, pageSize (already validated by the route)
+   */
+  list({
+    organizationId,
+    status,
+    active,
+    severity,
+    assigneeId,
+    analysisId,
+    siteId,
+    overdue,
+    sort = 'createdAt',
+    order = 'desc',
+    page = 1,
+    pageSize = 20
+  } = {}) {
+    const conditions = ['incidents.organization_id = ?'];
+    const params = [organizationId];
+
+    if (status) {
+      conditions.push('incidents.status = ?');
+      params.push(status);
+    }
+    if (active !== undefined) {
+      conditions.push(active ? `incidents.status != 'verified'` : `incidents.status = 'verified'`);
+    }
+    if (severity) {
+      conditions.push('incidents.severity = ?');
+      params.push(severity);
+    }
+    if (assigneeId) {
+      conditions.push('incidents.assignee_id = ?');
+      params.push(assigneeId);
+    }
+    if (analysisId) {
+      conditions.push('incidents.analysis_id = ?');
+      params.push(analysisId);
+    }
+    if (siteId) {
+      conditions.push('source.site_id = ?');
+      params.push(siteId);
+    }
+    if (overdue !== undefined) {
+      const isOverdue = `(incidents.due_date < ? AND incidents.status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')}))`;
+      conditions.push(overdue ? isOverdue : `NOT ${isOverdue} OR incidents.due_date IS NULL`);
+      params.push(today(), ...ACTIVE_STATUSES);
+    }
+
+    const where = `WHERE ${conditions.map(condition => `(${condition})`).join(' AND ')}`;
+    const column = SORT_COLUMNS[sort] || SORT_COLUMNS.createdAt;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const db = getDb();
+    const { total } = db.prepare(`
+      SELECT COUNT(*) AS total FROM incidents JOIN analyses AS source ON source.id = incidents.analysis_id ${where}
+    `).get(...params);
+    const rows = db.prepare(`
+      ${SELECT_INCIDENTS} ${where}
+      ORDER BY ${column} ${direction}, incidents.id ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, (page - 1) * pageSize);
+
+    return {
+      items: rows.map(fromRow),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  // An incident with its comments and status changes, oldest first
+  get(id, organizationId) {
+    const row = getDb().prepare(`${SELECT_INCIDENTS} WHERE incidents.id = ? AND incidents.organization_id = ?`).get(id, organizationId);
+    if (!row) {
+      throw new IncidentError('Incident not found', 404);
+    }
+
+    const comments = getDb().prepare('SELECT * FROM incident_comments WHERE incident_id = ? ORDER BY created_at, id')
+      .all(id)
+      .map(fromCommentRow);
+    return { ...fromRow(row), comments };
+  }
+
+  // Users of the organization an incident can be assigned to
+  listAssignees(organizationId) {
+    return this.authService.listUsers(organizationId).map(({ id, username, role }) => ({ id, username, role }));
+  }
+
+  getAnalysis(analysisId, organizationId) {
+    const record = this.analysisHistoryService.get(analysisId, organizationId);
+    if (!record) {
+      throw new IncidentError('Analysis not found', 400);
+    }
+    return record;
+  }
+
+  assertAssignee(assigneeId, organizationId) {
+    if (assigneeId !== null && assigneeId !== undefined && !this.authService.getUser(assigneeId, organizationId)) {
+      throw new IncidentError('Assignee not found', 400);
+    }
+  }
+
+  /**
+   * Open an incident for a non-compliant or uncertain analysis. The categories missing from its
+   * current (reviewed) version are kept with the incident and name it unless a title is given.
+   * An analysis has at most one incident that isn't verified yet.
+   */
+  create(organizationId, { analysisId, title, description = '', severity = 'medium', assigneeId = null, dueDate = null }, user) {
+    const record = this.getAnalysis(analysisId, organizationId);
+    const { compliance } = record.analysis;
+    if (record.verdict === 'compliant') {
+      throw new IncidentError('The analysis is compliant; incidents are opened for non-compliant or uncertain results', 409);
+    }
+    this.assertAssignee(assigneeId, organizationId);
+
+    const existing = getDb().prepare(`SELECT id FROM incidents WHERE analysis_id = ? AND status != 'verified'`).get(analysisId);
+    if (existing) {
+      throw new IncidentError(`Incident #${existing.id} is already open for this analysis`, 409);
+    }
+
+    const missingCategories = compliance.missingCategories || [];
+    const defaultTitle = missingCategories.length > 0
+      ? `Missing ${missingCategories.map(formatCategory).join(', ').toLowerCase()}`
+      : 'PPE compliance needs review';
+    const now = new Date().toISOString();
+
+    const db = getDb();
+    const id = db.transaction(() => {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO incidents (
+          organization_id, analysis_id, title, description, missing_categories, severity, status, assignee_id, due_date,
+          created_by, created_by_name, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?, ?, ?, ?, ?)
+      `).run(
+        organizationId,
+        analysisId,
+        title || defaultTitle,
+        description,
+        JSON.stringify(missingCategories),
+        severity,
+        assigneeId,
+        dueDate,
+        user.id,
+        user.username,
+        now,
+        now
+      );
+      this.insertComment(lastInsertRowid, user, { status: 'open' }, now);
+      return lastInsertRowid;
+    })();
+
+    return this.get(id, organizationId);
+  }
+
+  // Change title, description, severity, assignee or due date (null clears the last two)
+  update(id, organizationId, changes) {
+    const updated = { ...this.get(id, organizationId), ...changes };
+    if (changes.assigneeId !== undefined) {
+      this.assertAssignee(changes.assigneeId, organizationId);
+    }
+    const assigneeId = changes.assigneeId !== undefined ? changes.assigneeId : updated.assignee?.id ?? null;
+
+    getDb().prepare(`
+      UPDATE incidents SET title = ?, description = ?, severity = ?, assignee_id = ?, due_date = ?, updated_at = ? WHERE id = ?
+    `).run(updated.title, updated.description, updated.severity, assigneeId, updated.dueDate, new Date().toISOString(), id);
+    return this.get(id, organizationId);
+  }
+
+  /**
+   * Link the analysis of a follow-up photo that shows the violation was corrected. It has to be a
+   * new photo, analyzed after the incident was opened.
+   */
+  setVerificationAnalysis(id, organizationId, analysisId) {
+    const incident = this.get(id, organizationId);
+    if (incident.status === 'verified') {
+      throw new IncidentError('The incident is already verified', 409);
+    }
+
+    const record = this.getAnalysis(analysisId, organizationId);
+    if (record.filename === incident.analysis.filename) {
+      throw new IncidentError('The verification needs a new photo, not the image the incident was opened for', 400);
+    }
+    if (record.analyzedAt < incident.createdAt) {
+      throw new IncidentError('The verification analysis must be made after the incident was opened', 400);
+    }
+
+    getDb().prepare('UPDATE incidents SET verification_analysis_id = ?, updated_at = ? WHERE id = ?')
+      .run(analysisId, new Date().toISOString(), id);
+    return this.get(id, organizationId);
+  }
+
+  /**
+   * Move an incident along open → in_progress → resolved → verified (see STATUS_TRANSITIONS).
+   * Verifying needs a compliant verification analysis.
+   */
+  changeStatus(id, organizationId, { status, comment = '' }, user) {
+    const incident = this.get(id, organizationId);
+    if (!STATUS_TRANSITIONS[incident.status].includes(status)) {
+      throw new IncidentError(`An incident can't go from ${incident.status} to ${status}`, 409);
+    }
+    if (status === 'verified' && incident.verificationAnalysis?.verdict !== 'compliant') {
+      throw new IncidentError('Verifying an incident needs a compliant verification analysis', 409);
+    }
+
+    const now = new Date().toISOString();
+    const db = getDb();
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE incidents SET status = ?, updated_at = ?,
+          resolved_at = CASE ? WHEN 'resolved' THEN ? WHEN 'in_progress' THEN NULL ELSE resolved_at END,
+          verified_at = CASE ? WHEN 'verified' THEN ? ELSE verified_at END
+        WHERE id = ?
+      `).run(status, now, status, now, status, now, id);
+      this.insertComment(id, user, { body: comment, status }, now);
+    })();
+    return this.get(id, organizationId);
+  }
+
+  addComment(id, organizationId, body, user) {
+    this.get(id, organizationId);
+    const now = new Date().toISOString();
+    const db = getDb();
+    db.transaction(() => {
+      this.insertComment(id, user, { body }, now);
+      db.prepare('UPDATE incidents SET updated_at = ? WHERE id = ?').run(now, id);
+    })();
+    return this.get(id, organizationId);
+  }
+
+  insertComment(incidentId, user, { body = '', status = null }, createdAt) {
+    getDb().prepare(`
+      INSERT INTO incident_comments (incident_id, author_id, author_name, body, status, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(incidentId, user.id, user.username, body, status, createdAt);
+  }
+}
+
+export { IncidentError };
+export default IncidentService;
@@ -0,0 +1,138 @@
+// Incident Service tests - opening incidents and the status workflow
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import IncidentService, { STATUS_TRANSITIONS } from './incidentService.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import AuthService from './authService.js';
+import { createIncidentSchema, updateIncidentSchema } from '../routes/incidentRoutes.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+// A stored analysis with the given verdict, missing head protection unless compliant
+function analysisWith(verdict, timestamp = new Date().toISOString()) {
+  return {
+    workEnvironment: 'construction',
+    timestamp,
+    imageInfo: { width: 100, height: 100 },
+    detections: [],
+    recommendations: [],
+    compliance: {
+      isCompliant: verdict === 'compliant',
+      verdict,
+      complianceScore: verdict === 'compliant' ? 100 : 80,
+      missingCategories: verdict === 'non_compliant' ? ['head_protection'] : []
+    }
+  };
+}
+
+describe('IncidentService', () => {
+  const historyService = new AnalysisHistoryService();
+  const incidentService = new IncidentService({ analysisHistoryService: historyService });
+  let user;
+  let organizationId;
+  let imageCount = 0;
+
+  const analyze = (verdict, timestamp) => historyService.save({
+    filename: `image-${++imageCount}.jpg`,
+    analysis: analysisWith(verdict, timestamp),
+    organizationId
+  });
+
+  // An incident opened from a non-compliant analysis made an hour ago
+  const openIncident = () => incidentService.create(organizationId, {
+    analysisId: analyze('non_compliant', new Date(Date.now() - 60 * 60 * 1000).toISOString()).id
+  }, user);
+
+  before(() => {
+    ({ user } = new AuthService().register({ organizationName: 'Acme', username: 'alice', password: 'password123' }));
+    organizationId = user.organizationId;
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('opens an incident named after the missing PPE', () => {
+    const incident = openIncident();
+
+    assert.equal(incident.status, 'open');
+    assert.equal(incident.title, 'Missing head protection');
+    assert.deepEqual(incident.missingCategories, ['head_protection']);
+    assert.deepEqual(incident.comments.map(comment => comment.status), ['open']);
+  });
+
+  test('refuses compliant analyses and a second active incident per analysis', () => {
+    assert.throws(() => incidentService.create(organizationId, { analysisId: analyze('compliant').id }, user), { status: 409 });
+
+    const incident = openIncident();
+    assert.throws(
+      () => incidentService.create(organizationId, { analysisId: incident.analysis.id }, user),
+      { status: 409, message: `Incident #${incident.id} is already open for this analysis` }
+    );
+  });
+
+  test('only allows the transitions of the workflow', () => {
+    const { id } = openIncident();
+    const change = status => incidentService.changeStatus(id, organizationId, { status }, user);
+
+    assert.throws(() => change('resolved'), { status: 409, message: "An incident can't go from open to resolved" });
+    assert.equal(change('in_progress').status, 'in_progress');
+    const resolved = change('resolved');
+    assert.equal(resolved.status, 'resolved');
+    assert.ok(resolved.resolvedAt);
+
+    // A fix that doesn't hold goes back to work
+    const reopened = change('in_progress');
+    assert.equal(reopened.resolvedAt, null);
+    assert.deepEqual(reopened.comments.map(comment => comment.status), ['open', 'in_progress', 'resolved', 'in_progress']);
+    assert.deepEqual(STATUS_TRANSITIONS.verified, []);
+  });
+
+  test('verifies only with a compliant follow-up photo taken after the incident was opened', () => {
+    const incident = openIncident();
+    const { id } = incident;
+    incidentService.changeStatus(id, organizationId, { status: 'in_progress' }, user);
+    incidentService.changeStatus(id, organizationId, { status: 'resolved' }, user);
+
+    assert.throws(() => incidentService.changeStatus(id, organizationId, { status: 'verified' }, user), /compliant verification analysis/);
+    assert.throws(() => incidentService.setVerificationAnalysis(id, organizationId, incident.analysis.id), /new photo/);
+    const earlier = analyze('compliant', new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString());
+    assert.throws(() => incidentService.setVerificationAnalysis(id, organizationId, earlier.id), /after the incident was opened/);
+
+    incidentService.setVerificationAnalysis(id, organizationId, analyze('non_compliant').id);
+    assert.throws(() => incidentService.changeStatus(id, organizationId, { status: 'verified' }, user), { status: 409 });
+
+    incidentService.setVerificationAnalysis(id, organizationId, analyze('compliant').id);
+    const verified = incidentService.changeStatus(id, organizationId, { status: 'verified', comment: 'Helmet worn' }, user);
+    assert.equal(verified.status, 'verified');
+    assert.ok(verified.verifiedAt);
+    assert.equal(verified.comments.at(-1).body, 'Helmet worn');
+
+    assert.throws(() => incidentService.changeStatus(id, organizationId, { status: 'in_progress' }, user), { status: 409 });
+    assert.throws(() => incidentService.setVerificationAnalysis(id, organizationId, analyze('compliant').id), /already verified/);
+    // A verified incident no longer blocks a new one for the same analysis
+    assert.equal(incidentService.create(organizationId, { analysisId: incident.analysis.id }, user).status, 'open');
+  });
+
+  test('reports incidents of other organizations as not found', () => {
+    const { id } = openIncident();
+
+    assert.throws(() => incidentService.get(id, organizationId + 1), { status: 404 });
+  });
+});
+
+describe('incident validation', () => {
+  test('accepts due dates that exist and null', () => {
+    ['2025-02-28', '2024-02-29', '2025-12-31', null].forEach(dueDate => {
+      assert.equal(createIncidentSchema.validate({ analysisId: 1, dueDate }).error, undefined, String(dueDate));
+    });
+  });
+
+  test('rejects due dates that do not exist or are not YYYY-MM-DD', () => {
+    ['2025-02-31', '2025-02-29', '2025-13-01', '2025-00-10', '2025-04-31'].forEach(dueDate => {
+      assert.equal(updateIncidentSchema.validate({ dueDate }).error?.message, '"dueDate" must be a valid date', dueDate);
+    });
+    assert.equal(updateIncidentSchema.validate({ dueDate: '2025-2-3' }).error?.message, '"dueDate" must be a date in the format YYYY-MM-DD');
+  });
+});
@@ -0,0 +1,85 @@
+// Person association - assigns PPE boxes to the detected person wearing them
+
+// Body region each PPE category is worn on
+const CATEGORY_REGIONS = {
+  head_protection: 'head',
+  eye_protection: 'head',
+  visibility: 'torso',
+  hand_protection: 'hands',
+  foot_protection: 'feet'
+};
+
+// Minimum share of a PPE box that must fall inside a person's body region
+const MIN_REGION_OVERLAP = 0.3;
+
+// Body regions as [x, y, width, height] relative to the person box.
+// Regions overlap and extend past the box because helmets sit above the head,
+// arms reach sideways and boxes around feet are often clipped at the ankles.
+export function getBodyRegion([x, y, width, height], region) {
+  switch (region) {
+    case 'head':
+      return [x - width * 0.1, y - height * 0.1, width * 1.2, height * 0.35];
+    case 'torso':
+      return [x, y + height * 0.15, width, height * 0.5];
+    case 'hands':
+      return [x - width * 0.25, y, width * 1.5, height];
+    case 'feet':
+      return [x - width * 0.1, y + height * 0.75, width * 1.2, height * 0.35];
+    default:
+      return [x, y, width, height];
+  }
+}
+
+// Fraction of box a that lies inside box b
+function overlapRatio([ax, ay, aw, ah], [bx, by, bw, bh]) {
+  const x1 = Math.max(ax, bx);
+  const y1 = Math.max(ay, by);
+  const x2 = Math.min(ax + aw, bx + bw);
+  const y2 = Math.min(ay + ah, by + bh);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const area = aw * ah;
+  return area > 0 ? intersection / area : 0;
+}
+
+function centerDistance([ax, ay, aw, ah], [bx, by, bw, bh]) {
+  return Math.hypot((ax + aw / 2) - (bx + bw / 2), (ay + ah / 2) - (by + bh / 2));
+}
+
+/**
+ * Assign each PPE item to at most one person, by how much of the item falls
+ * inside the body region its category is worn on. Ties go to the person whose
+ * region center is closest.
+ *
+ * @param {Array<{bbox: number[]}>} people - Person detections
+ * @param {Array<{category: string, bbox: number[]}>} items - PPE detections
+ * @returns {{ assignments: Array<Array<object>>, unassigned: Array<object> }}
+ *   `assignments[i]` holds the items assigned to `people[i]`
+ */
+export function associatePPEWithPeople(people, items) {
+  const assignments = people.map(() => []);
+  const unassigned = [];
+
+  items.forEach(item => {
+    const region = CATEGORY_REGIONS[item.category];
+    let best = null;
+
+    people.forEach((person, index) => {
+      const regionBox = getBodyRegion(person.bbox, region);
+      const overlap = overlapRatio(item.bbox, regionBox);
+      if (overlap < MIN_REGION_OVERLAP) return;
+
+      const distance = centerDistance(item.bbox, regionBox);
+      if (!best || overlap > best.overlap || (overlap === best.overlap && distance < best.distance)) {
+        best = { index, overlap, distance };
+      }
+    });
+
+    if (best) {
+      assignments[best.index].push(item);
+    } else {
+      unassigned.push(item);
+    }
+  });
+
+  return { assignments, unassigned };
+}
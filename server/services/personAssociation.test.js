@@ -0,0 +1,70 @@
+// Person association tests - run with `npm test`
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { associatePPEWithPeople, getBodyRegion } from './personAssociation.js';
+
+const person = (x, y = 0) => ({ bbox: [x, y, 100, 300] });
+const item = (category, bbox) => ({ category, bbox });
+
+describe('getBodyRegion', () => {
+  test('places regions relative to the person box', () => {
+    assert.deepEqual(getBodyRegion([0, 0, 100, 300], 'head'), [-10, -30, 120, 105]);
+    assert.deepEqual(getBodyRegion([0, 0, 100, 300], 'torso'), [0, 45, 100, 150]);
+    assert.deepEqual(getBodyRegion([0, 0, 100, 300], 'feet'), [-10, 225, 120, 105]);
+    assert.deepEqual(getBodyRegion([0, 0, 100, 300], 'unknown'), [0, 0, 100, 300]);
+  });
+});
+
+describe('associatePPEWithPeople', () => {
+  test('assigns each item to the person wearing it', () => {
+    const people = [person(0), person(300)];
+    const helmetA = item('head_protection', [30, 0, 40, 30]);
+    const vestB = item('visibility', [320, 60, 60, 100]);
+    const bootsB = item('foot_protection', [330, 270, 40, 30]);
+
+    const { assignments, unassigned } = associatePPEWithPeople(people, [helmetA, vestB, bootsB]);
+
+    assert.deepEqual(assignments, [[helmetA], [vestB, bootsB]]);
+    assert.deepEqual(unassigned, []);
+  });
+
+  test('uses the body region of the category', () => {
+    // Boots at head height are not worn by this person, a helmet in the feet region neither
+    const { assignments, unassigned } = associatePPEWithPeople([person(0)], [
+      item('foot_protection', [30, 0, 40, 30]),
+      item('head_protection', [30, 270, 40, 30])
+    ]);
+
+    assert.deepEqual(assignments, [[]]);
+    assert.equal(unassigned.length, 2);
+  });
+
+  test('leaves items outside every person unassigned', () => {
+    const stray = item('head_protection', [800, 500, 40, 30]);
+    const { assignments, unassigned } = associatePPEWithPeople([person(0), person(300)], [stray]);
+
+    assert.deepEqual(assignments, [[], []]);
+    assert.deepEqual(unassigned, [stray]);
+  });
+
+  test('gives an item between overlapping people to the one it overlaps most', () => {
+    // The people overlap by 40 pixels; the helmet lies mostly in the head region of the second
+    const helmet = item('head_protection', [80, 0, 40, 30]);
+    const { assignments } = associatePPEWithPeople([person(0), person(60)], [helmet]);
+
+    assert.deepEqual(assignments, [[], [helmet]]);
+  });
+
+  test('breaks overlap ties by distance to the region center', () => {
+    // The helmet lies inside both head regions and is closer to the center of the second
+    const helmet = item('head_protection', [90, 0, 10, 10]);
+    const { assignments } = associatePPEWithPeople([person(0), person(70)], [helmet]);
+
+    assert.deepEqual(assignments, [[], [helmet]]);
+  });
+
+  test('assigns nothing without people', () => {
+    const helmet = item('head_protection', [30, 0, 40, 30]);
+    assert.deepEqual(associatePPEWithPeople([], [helmet]), { assignments: [], unassigned: [helmet] });
+  });
+});
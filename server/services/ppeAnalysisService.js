@@ -1,35 +1,54 @@
 // PPE Analysis Service
 import sharp from 'sharp';
 import fs from 'fs';
-import path from 'path';
+import { PPE_ITEMS, DEFAULT_THRESHOLDS } from './ppeCatalog.js';
+import { createDetector } from './detectors/index.js';
+import EnvironmentService from './environmentService.js';
+import { associatePPEWithPeople } from './personAssociation.js';
+
+// Person detections have no review band
+const PERSON_THRESHOLD = { accept: 0.5, reject: 0.5 };
+
+const CATEGORY_ACTIONS = {
+  'head_protection': 'Wear a safety helmet or hard hat',
+  'visibility': 'Wear a high-visibility safety vest',
+  'eye_protection': 'Wear safety glasses or protective eyewear',
+  'hand_protection': 'Wear safety gloves',
+  'foot_protection': 'Wear safety boots or work boots'
+};
+
+function toVerdict(missingCategories, uncertainCategories) {
+  if (missingCategories.length > 0) return 'non_compliant';
+  return uncertainCategories.length > 0 ? 'uncertain' : 'compliant';
+}
+
+function scoreOf(requiredCategories, confirmedCount) {
+  return requiredCategories.length > 0 ? (confirmedCount / requiredCategories.length) * 100 : 100;
+}
 
 class PPEAnalysisService {
-  constructor() {
+  constructor(options = {}) {
     // PPE items to detect
-    this.ppeItems = {
-      'person': { required: true, category: 'person' },
-      'helmet': { required: true, category: 'head_protection', aliases: ['hard hat', 'safety helmet'] },
-      'hard hat': { required: true, category: 'head_protection', aliases: ['helmet', 'safety helmet'] },
-      'safety helmet': { required: true, category: 'head_protection', aliases: ['helmet', 'hard hat'] },
-      'safety vest': { required: true, category: 'visibility', aliases: ['reflective vest', 'hi-vis vest'] },
-      'reflective vest': { required: true, category: 'visibility', aliases: ['safety vest', 'hi-vis vest'] },
-      'hi-vis vest': { required: true, category: 'visibility', aliases: ['safety vest', 'reflective vest'] },
-      'safety glasses': { required: true, category: 'eye_protection', aliases: ['protective eyewear', 'goggles'] },
-      'goggles': { required: true, category: 'eye_protection', aliases: ['safety glasses', 'protective eyewear'] },
-      'protective eyewear': { required: true, category: 'eye_protection', aliases: ['safety glasses', 'goggles'] },
-      'gloves': { required: true, category: 'hand_protection', aliases: ['safety gloves', 'work gloves'] },
-      'safety gloves': { required: true, category: 'hand_protection', aliases: ['gloves', 'work gloves'] },
-      'work gloves': { required: true, category: 'hand_protection', aliases: ['gloves', 'safety gloves'] },
-      'boots': { required: true, category: 'foot_protection', aliases: ['safety boots', 'work boots'] },
-      'safety boots': { required: true, category: 'foot_protection', aliases: ['boots', 'work boots'] },
-      'work boots': { required: true, category: 'foot_protection', aliases: ['boots', 'safety boots'] }
-    };
+    this.ppeItems = PPE_ITEMS;
+
+    // Detector backend - created on first use so .env is loaded before PPE_DETECTOR is read
+    this.detector = options.detector || null;
+
+    this.environmentService = options.environmentService || new EnvironmentService();
 
     this.requiredCategories = ['head_protection', 'visibility', 'eye_protection', 'hand_protection', 'foot_protection'];
   }
 
-  // Analyze image for PPE compliance
-  async analyzeImage(imagePath) {
+  /**
+   * Analyze image for PPE compliance against the requirements of a work environment.
+   * `location` ({ site, zone } from SiteService.resolveLocation) tags the analysis; a zone's
+   * required categories replace the environment's, and the zone or site environment is used
+   * when no workEnvironment is given.
+   * `original` is the pre-normalization info from ImagePreprocessingService; detections are in
+   * the coordinates of the image at `imagePath`.
+   * `onStage` is called with "detected" and "scored" as the analysis progresses.
+   */
+  async analyzeImage(imagePath, { workEnvironment, organizationId = null, location = null, original = null, onStage = () => {} } = {}) {
     try {
       // Validate image file
       if (!fs.existsSync(imagePath)) {
@@ -38,15 +57,24 @@ class PPEAnalysisService {
 
       // Get image metadata
       const metadata = await sharp(imagePath).metadata();
-      
-      // Simulate PPE detection (in a real app, you'd use a trained model or API)
-      const detectionResults = await this.simulatePPEDetection(imagePath, metadata);
+
+      // Decode once and hand the raw pixels to the detector backend
+      const { data, info } = await sharp(imagePath)
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const detector = this.getDetector();
+      const detectionResults = await detector.detect({ data, info, path: imagePath });
+      onStage('detected');
       
       // Analyze compliance
-      const complianceAnalysis = this.analyzeCompliance(detectionResults);
+      const environment = this.getRequirements(workEnvironment, organizationId, location);
+      const complianceAnalysis = this.analyzeCompliance(detectionResults, environment.requiredCategories, environment.thresholds);
       
       // Generate recommendations
-      const recommendations = this.generateRecommendations(complianceAnalysis);
+      const recommendations = this.generateRecommendations(complianceAnalysis, environment);
+      onStage('scored');
 
       return {
         success: true,
@@ -55,11 +83,17 @@ class PPEAnalysisService {
             width: metadata.width,
             height: metadata.height,
             format: metadata.format,
-            size: fs.statSync(imagePath).size
+            size: fs.statSync(imagePath).size,
+            original
           },
           detections: detectionResults,
           compliance: complianceAnalysis,
           recommendations: recommendations,
+          workEnvironment: environment.id,
+          site: location ? { id: location.site.id, name: location.site.name } : null,
+          zone: location?.zone ? { id: location.zone.id, name: location.zone.name } : null,
+          requirementsSource: environment.requirementsSource,
+          detector: detector.name,
           timestamp: new Date().toISOString()
         }
       };
@@ -72,108 +106,134 @@ class PPEAnalysisService {
     }
   }
 
-  // Simulate PPE detection (replace with actual ML model in production)
-  async simulatePPEDetection(imagePath, metadata) {
-    // This is a simulation - in production, you'd use:
-    // - Custom trained model for PPE detection
-    // - Cloud vision APIs (Google Vision, AWS Rekognition)
-    // - Pre-trained models fine-tuned for PPE
-    
-    const mockDetections = [
-      { 
-        class: 'person', 
-        confidence: 0.95, 
-        bbox: [100, 50, 200, 400],
-        category: 'person'
-      },
-      { 
-        class: 'helmet', 
-        confidence: 0.88, 
-        bbox: [120, 60, 80, 60],
-        category: 'head_protection'
-      },
-      { 
-        class: 'safety vest', 
-        confidence: 0.92, 
-        bbox: [110, 120, 180, 120],
-        category: 'visibility'
-      },
-      { 
-        class: 'gloves', 
-        confidence: 0.75, 
-        bbox: [80, 350, 60, 40],
-        category: 'hand_protection'
-      },
-      { 
-        class: 'safety glasses', 
-        confidence: 0.82, 
-        bbox: [140, 100, 60, 20],
-        category: 'eye_protection'
-      },
-      { 
-        class: 'boots', 
-        confidence: 0.78, 
-        bbox: [130, 420, 80, 60],
-        category: 'foot_protection'
-      }
-    ];
-
-    // Add some randomness to make it more realistic
-    return mockDetections.map(detection => ({
-      ...detection,
-      confidence: Math.max(0.3, Math.min(0.99, detection.confidence + (Math.random() - 0.5) * 0.2))
-    }));
+  // Detector backend selected by PPE_DETECTOR
+  getDetector() {
+    if (!this.detector) {
+      this.detector = createDetector();
+    }
+    return this.detector;
   }
 
-  // Analyze PPE compliance
-  analyzeCompliance(detections) {
+  /**
+   * Analyze PPE compliance per detected person. Each PPE detection is accepted, uncertain or
+   * ignored by the confidence thresholds of its category; uncertain PPE is neither counted as
+   * worn nor as missing, and makes the verdict "uncertain" when nothing is missing.
+   */
+  analyzeCompliance(detections, requiredCategories = this.requiredCategories, thresholds = DEFAULT_THRESHOLDS) {
     const detectedCategories = new Set();
     const detectedItems = [];
-    let personDetected = false;
+    const uncertainItems = [];
+    const personDetections = [];
 
     // Process detections
     detections.forEach(detection => {
-      if (detection.class === 'person') {
-        personDetected = true;
-      }
-      
       const item = this.ppeItems[detection.class];
-      if (item && detection.confidence > 0.5) {
+      if (!item) return;
+
+      const band = item.category === 'person' ? PERSON_THRESHOLD : (thresholds[item.category] || DEFAULT_THRESHOLDS[item.category]);
+      const entry = {
+        item: detection.class,
+        category: item.category,
+        confidence: detection.confidence,
+        bbox: detection.bbox
+      };
+      if (detection.confidence >= band.accept) {
         detectedCategories.add(item.category);
-        detectedItems.push({
-          item: detection.class,
-          category: item.category,
-          confidence: detection.confidence,
-          bbox: detection.bbox
-        });
+        detectedItems.push(entry);
+        // Only confident person boxes are scored; a weak or stray one would fail the frame without any PPE
+        if (item.category === 'person') {
+          personDetections.push(detection);
+        }
+      } else if (detection.confidence >= band.reject) {
+        uncertainItems.push(entry);
       }
     });
 
-    // Check compliance
-    const missingCategories = this.requiredCategories.filter(
-      category => !detectedCategories.has(category)
+    const personDetected = personDetections.length > 0;
+
+    // Assign PPE to the person wearing it, so one worker's helmet can't count for another
+    const ppeDetections = detectedItems.filter(item => item.category !== 'person');
+    const { assignments, unassigned } = associatePPEWithPeople(personDetections, ppeDetections);
+    const uncertainAssignments = associatePPEWithPeople(personDetections, uncertainItems).assignments;
+    const people = personDetections.map((person, index) =>
+      this.analyzePersonCompliance(index + 1, person, assignments[index], requiredCategories, uncertainAssignments[index])
     );
 
-    const complianceScore = this.requiredCategories.length > 0 
-      ? (detectedCategories.size / this.requiredCategories.length) * 100 
-      : 0;
+    // Frame-level results: a category is missing if any person lacks it,
+    // and uncertain if nobody lacks it but someone only has it below the accept threshold
+    let missingCategories;
+    let uncertainCategories;
+    let complianceScore;
+    if (personDetected) {
+      missingCategories = requiredCategories.filter(
+        category => people.some(person => person.missingCategories.includes(category))
+      );
+      uncertainCategories = requiredCategories.filter(
+        category => !missingCategories.includes(category)
+          && people.some(person => person.uncertainCategories.includes(category))
+      );
+      complianceScore = people.reduce((sum, person) => sum + person.complianceScore, 0) / people.length;
+    } else {
+      uncertainCategories = requiredCategories.filter(
+        category => !detectedCategories.has(category) && uncertainItems.some(item => item.category === category)
+      );
+      missingCategories = requiredCategories.filter(
+        category => !detectedCategories.has(category) && !uncertainCategories.includes(category)
+      );
+      complianceScore = scoreOf(requiredCategories, requiredCategories.length - missingCategories.length - uncertainCategories.length);
+    }
 
-    const isCompliant = missingCategories.length === 0 && personDetected;
+    const verdict = personDetected ? toVerdict(missingCategories, uncertainCategories) : 'non_compliant';
 
     return {
       personDetected,
       complianceScore: Math.round(complianceScore),
-      isCompliant,
+      isCompliant: verdict === 'compliant',
+      verdict,
       detectedCategories: Array.from(detectedCategories),
       missingCategories,
+      uncertainCategories,
+      requiredCategories,
       detectedItems,
-      totalRequired: this.requiredCategories.length,
-      totalDetected: detectedCategories.size
+      uncertainItems,
+      people,
+      unassignedItems: unassigned,
+      thresholds: Object.fromEntries(requiredCategories.map(category => [category, thresholds[category] || DEFAULT_THRESHOLDS[category]])),
+      totalRequired: requiredCategories.length,
+      totalDetected: requiredCategories.length - missingCategories.length - uncertainCategories.length
+    };
+  }
+
+  // Score a single person against the required categories using only their own PPE
+  analyzePersonCompliance(id, person, items, requiredCategories, uncertainItems = []) {
+    const detectedCategories = new Set(items.map(item => item.category));
+    const uncertainCategories = requiredCategories.filter(
+      category => !detectedCategories.has(category) && uncertainItems.some(item => item.category === category)
+    );
+    const missingCategories = requiredCategories.filter(
+      category => !detectedCategories.has(category) && !uncertainCategories.includes(category)
+    );
+
+    const complianceScore = scoreOf(requiredCategories, requiredCategories.length - missingCategories.length - uncertainCategories.length);
+    const verdict = toVerdict(missingCategories, uncertainCategories);
+
+    return {
+      id,
+      bbox: person.bbox,
+      confidence: person.confidence,
+      complianceScore: Math.round(complianceScore),
+      isCompliant: verdict === 'compliant',
+      verdict,
+      detectedCategories: Array.from(detectedCategories),
+      missingCategories,
+      uncertainCategories,
+      items,
+      uncertainItems
     };
   }
 
   // Generate recommendations based on analysis
-  generateRecommendations(compliance) {
+  generateRecommendations(compliance, environment = null) {
     const recommendations = [];
 
     if (!compliance.personDetected) {
@@ -184,28 +244,46 @@ class PPEAnalysisService {
       });
     }
 
+    // With several people, name the ones a category applies to
+    const whoIs = (key, category) => {
+      const people = (compliance.people || []).filter(person => (person[key] || []).includes(category));
+      return compliance.people && compliance.people.length > 1
+        ? ` (person ${people.map(person => person.id).join(', ')})`
+        : '';
+    };
+
     if (compliance.missingCategories.length > 0) {
       compliance.missingCategories.forEach(category => {
-        const categoryMessages = {
-          'head_protection': 'Wear a safety helmet or hard hat',
-          'visibility': 'Wear a high-visibility safety vest',
-          'eye_protection': 'Wear safety glasses or protective eyewear',
-          'hand_protection': 'Wear safety gloves',
-          'foot_protection': 'Wear safety boots or work boots'
-        };
-
         recommendations.push({
           type: 'warning',
-          message: `Missing ${category.replace('_', ' ')}: ${categoryMessages[category]}`,
+          message: `Missing ${category.replace('_', ' ')}${whoIs('missingCategories', category)}: ${CATEGORY_ACTIONS[category]}`,
           priority: 'high'
         });
       });
     }
 
+    // Uncertain PPE may well be worn; ask for a human check instead of reporting it missing
+    (compliance.uncertainCategories || []).forEach(category => {
+      const best = compliance.uncertainItems
+        .filter(item => item.category === category)
+        .reduce((top, item) => (!top || item.confidence > top.confidence ? item : top), null);
+      const accept = compliance.thresholds[category].accept;
+
+      recommendations.push({
+        type: 'uncertain',
+        message: `Uncertain ${category.replace('_', ' ')}${whoIs('uncertainCategories', category)}: `
+          + `detected at ${Math.round(best.confidence * 100)}% confidence, below the ${Math.round(accept * 100)}% needed to confirm it. `
+          + 'Review the image or check on site.',
+        priority: 'medium'
+      });
+    });
+
     if (compliance.isCompliant) {
       recommendations.push({
         type: 'success',
-        message: 'Great! All required PPE items are detected and properly worn.',
+        message: environment
+          ? `Great! All PPE required for ${environment.label} is detected and properly worn.`
+          : 'Great! All required PPE items are detected and properly worn.',
         priority: 'low'
       });
     }
@@ -220,17 +298,34 @@ class PPEAnalysisService {
     return recommendations;
   }
 
-  // Get PPE requirements for different work environments
-  getPPERequirements(workEnvironment = 'construction') {
-    const requirements = {
-      construction: ['head_protection', 'visibility', 'eye_protection', 'hand_protection', 'foot_protection'],
-      manufacturing: ['head_protection', 'eye_protection', 'hand_protection', 'foot_protection'],
-      laboratory: ['eye_protection', 'hand_protection'],
-      healthcare: ['hand_protection', 'eye_protection'],
-      general: ['head_protection', 'visibility', 'eye_protection', 'hand_protection', 'foot_protection']
-    };
+  // Resolve a built-in or organization's custom work environment, falling back to general requirements
+  getEnvironment(workEnvironment = 'construction', organizationId = null) {
+    return this.environmentService.get(workEnvironment, organizationId)
+      || this.environmentService.get('general');
+  }
+
+  // Environment to score against, with the required categories of the zone when it overrides them
+  getRequirements(workEnvironment, organizationId = null, location = null) {
+    const zone = location?.zone || null;
+    const environment = this.getEnvironment(
+      workEnvironment || zone?.workEnvironment || location?.site.defaultEnvironment || 'construction',
+      organizationId
+    );
 
-    return requirements[workEnvironment] || requirements.general;
+    if (zone?.requiredCategories) {
+      return {
+        ...environment,
+        label: `${location.site.name} / ${zone.name}`,
+        requiredCategories: zone.requiredCategories,
+        requirementsSource: 'zone'
+      };
+    }
+    return { ...environment, requirementsSource: 'environment' };
+  }
+
+  // Get PPE requirements for different work environments
+  getPPERequirements(workEnvironment = 'construction', organizationId = null) {
+    return this.getEnvironment(workEnvironment, organizationId).requiredCategories;
   }
 }
 
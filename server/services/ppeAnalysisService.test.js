@@ -0,0 +1,190 @@
+// PPE Analysis Service tests - run with `npm test`
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import PPEAnalysisService from './ppeAnalysisService.js';
+import { FixtureDetector } from './detectors/index.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+// A worker with every construction PPE item inside the body regions of a 100x300 person box at x
+function worker(x, confidence = 0.9) {
+  return [
+    { class: 'person', confidence: 0.95, bbox: [x, 0, 100, 300] },
+    { class: 'helmet', confidence, bbox: [x + 30, 0, 40, 30] },
+    { class: 'safety glasses', confidence, bbox: [x + 35, 30, 30, 10] },
+    { class: 'safety vest', confidence, bbox: [x + 20, 60, 60, 100] },
+    { class: 'gloves', confidence, bbox: [x, 150, 20, 20] },
+    { class: 'boots', confidence, bbox: [x + 30, 270, 40, 30] }
+  ];
+}
+
+const without = (detections, className) => detections.filter(detection => detection.class !== className);
+
+describe('analyzeImage with the fixture detector', () => {
+  let dir;
+  let imagePath;
+  let fixturePath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-analysis-'));
+    imagePath = path.join(dir, 'worker.jpg');
+    await sharp({ create: { width: 400, height: 500, channels: 3, background: '#808080' } }).jpeg().toFile(imagePath);
+
+    fixturePath = path.join(dir, 'fixtures.json');
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      images: {
+        'no-vest.jpg': [
+          { class: 'person', confidence: 0.95, bbox: [100, 50, 200, 400] },
+          { class: 'helmet', confidence: 0.9, bbox: [150, 55, 80, 60] }
+        ]
+      }
+    }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    closeDb();
+  });
+
+  test('scores the default detections as compliant on a construction site', async () => {
+    const service = new PPEAnalysisService({ detector: new FixtureDetector() });
+    const result = await service.analyzeImage(imagePath, { workEnvironment: 'construction' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.analysis.detector, 'fixture');
+    assert.equal(result.analysis.workEnvironment, 'construction');
+    assert.deepEqual(result.analysis.imageInfo, { width: 400, height: 500, format: 'jpeg', size: fs.statSync(imagePath).size, original: null });
+    assert.equal(result.analysis.detections.length, 6);
+    assert.equal(result.analysis.compliance.verdict, 'compliant');
+    assert.equal(result.analysis.compliance.complianceScore, 100);
+    assert.ok(result.analysis.recommendations.some(recommendation => recommendation.type === 'success'));
+  });
+
+  test('looks detections up by file name in the fixture file', async () => {
+    const noVestPath = path.join(dir, 'no-vest.jpg');
+    fs.copyFileSync(imagePath, noVestPath);
+
+    const service = new PPEAnalysisService({ detector: new FixtureDetector({ fixturePath }) });
+    const result = await service.analyzeImage(noVestPath, { workEnvironment: 'construction' });
+
+    assert.equal(result.analysis.compliance.verdict, 'non_compliant');
+    assert.deepEqual(result.analysis.compliance.missingCategories, ['visibility', 'eye_protection', 'hand_protection', 'foot_protection']);
+    assert.equal(result.analysis.compliance.complianceScore, 20);
+  });
+
+  test('scores against the requirements of the work environment', async () => {
+    const service = new PPEAnalysisService({ detector: new FixtureDetector({ fixturePath }) });
+    fs.copyFileSync(imagePath, path.join(dir, 'lab.jpg'));
+    const result = await service.analyzeImage(path.join(dir, 'lab.jpg'), { workEnvironment: 'laboratory' });
+
+    assert.equal(result.analysis.compliance.verdict, 'compliant');
+    assert.deepEqual(result.analysis.compliance.requiredCategories, ['eye_protection', 'hand_protection']);
+  });
+
+  test('reports a missing image or fixture file as a failed analysis', async () => {
+    const service = new PPEAnalysisService({ detector: new FixtureDetector() });
+    const missingImage = await service.analyzeImage(path.join(dir, 'missing.jpg'));
+    assert.deepEqual(missingImage, { success: false, error: 'Image file not found' });
+
+    const broken = new PPEAnalysisService({ detector: new FixtureDetector({ fixturePath: path.join(dir, 'missing.json') }) });
+    const missingFixture = await broken.analyzeImage(imagePath);
+    assert.equal(missingFixture.success, false);
+    assert.match(missingFixture.error, /fixture file not found/);
+  });
+});
+
+describe('analyzeCompliance', () => {
+  const service = new PPEAnalysisService({ detector: new FixtureDetector() });
+
+  test('scores every person on their own PPE', () => {
+    const compliance = service.analyzeCompliance([...worker(0), ...without(worker(300), 'helmet')]);
+
+    assert.equal(compliance.people.length, 2);
+    assert.equal(compliance.people[0].verdict, 'compliant');
+    assert.equal(compliance.people[0].items.length, 5);
+    assert.deepEqual(compliance.people[1].missingCategories, ['head_protection']);
+    assert.equal(compliance.people[1].complianceScore, 80);
+    assert.equal(compliance.verdict, 'non_compliant');
+    assert.deepEqual(compliance.missingCategories, ['head_protection']);
+    assert.equal(compliance.complianceScore, 90);
+  });
+
+  test('is compliant when everyone wears the required PPE', () => {
+    const compliance = service.analyzeCompliance([...worker(0), ...worker(300)]);
+
+    assert.equal(compliance.verdict, 'compliant');
+    assert.equal(compliance.isCompliant, true);
+    assert.equal(compliance.complianceScore, 100);
+    assert.deepEqual(compliance.unassignedItems, []);
+  });
+
+  test('ignores person boxes below the person threshold', () => {
+    const detections = [
+      ...worker(0),
+      { class: 'person', confidence: 0.3, bbox: [600, 0, 100, 300] },
+      { class: 'person', confidence: 0.49, bbox: [5, 5, 100, 300] }
+    ];
+    const compliance = service.analyzeCompliance(detections);
+
+    assert.equal(compliance.people.length, 1);
+    assert.equal(compliance.verdict, 'compliant');
+    assert.equal(compliance.detectedItems.filter(item => item.category === 'person').length, 1);
+  });
+
+  test('treats an image with only a low-confidence person as having no person', () => {
+    const compliance = service.analyzeCompliance([{ class: 'person', confidence: 0.2, bbox: [0, 0, 100, 300] }]);
+
+    assert.equal(compliance.personDetected, false);
+    assert.equal(compliance.verdict, 'non_compliant');
+    assert.deepEqual(compliance.people, []);
+  });
+
+  test('keeps PPE that no person wears out of the scores', () => {
+    const stray = { class: 'helmet', confidence: 0.9, bbox: [800, 500, 40, 30] };
+    const compliance = service.analyzeCompliance([...without(worker(0), 'helmet'), stray]);
+
+    assert.deepEqual(compliance.unassignedItems.map(item => item.item), ['helmet']);
+    assert.deepEqual(compliance.people[0].missingCategories, ['head_protection']);
+    assert.equal(compliance.verdict, 'non_compliant');
+  });
+
+  test('marks PPE between the reject and accept thresholds as uncertain', () => {
+    const detections = worker(0).map(detection => (
+      detection.class === 'safety glasses' ? { ...detection, confidence: 0.4 } : detection
+    ));
+    const compliance = service.analyzeCompliance(detections);
+
+    assert.equal(compliance.verdict, 'uncertain');
+    assert.deepEqual(compliance.uncertainCategories, ['eye_protection']);
+    assert.deepEqual(compliance.missingCategories, []);
+    assert.equal(compliance.complianceScore, 80);
+  });
+
+  test('counts PPE below the reject threshold as missing', () => {
+    const detections = worker(0).map(detection => (
+      detection.class === 'safety glasses' ? { ...detection, confidence: 0.2 } : detection
+    ));
+    const compliance = service.analyzeCompliance(detections);
+
+    assert.equal(compliance.verdict, 'non_compliant');
+    assert.deepEqual(compliance.missingCategories, ['eye_protection']);
+    assert.deepEqual(compliance.uncertainItems, []);
+  });
+
+  test('uses the thresholds it is given', () => {
+    const detections = worker(0).map(detection => (
+      detection.class === 'safety glasses' ? { ...detection, confidence: 0.4 } : detection
+    ));
+    const thresholds = { eye_protection: { accept: 0.35, reject: 0.2 } };
+    const compliance = service.analyzeCompliance(detections, ['head_protection', 'eye_protection'], thresholds);
+
+    assert.equal(compliance.verdict, 'compliant');
+    assert.deepEqual(compliance.thresholds.eye_protection, { accept: 0.35, reject: 0.2 });
+    assert.deepEqual(compliance.thresholds.head_protection, { accept: 0.5, reject: 0.3 });
+  });
+});
@@ -0,0 +1,61 @@
+// PPE catalog shared by the analysis service and the detector backends
+
+// PPE items to detect
+export const PPE_ITEMS = {
+  'person': { required: true, category: 'person' },
+  'helmet': { required: true, category: 'head_protection', aliases: ['hard hat', 'safety helmet'] },
+  'hard hat': { required: true, category: 'head_protection', aliases: ['helmet', 'safety helmet'] },
+  'safety helmet': { required: true, category: 'head_protection', aliases: ['helmet', 'hard hat'] },
+  'safety vest': { required: true, category: 'visibility', aliases: ['reflective vest', 'hi-vis vest'] },
+  'reflective vest': { required: true, category: 'visibility', aliases: ['safety vest', 'hi-vis vest'] },
+  'hi-vis vest': { required: true, category: 'visibility', aliases: ['safety vest', 'reflective vest'] },
+  'safety glasses': { required: true, category: 'eye_protection', aliases: ['protective eyewear', 'goggles'] },
+  'goggles': { required: true, category: 'eye_protection', aliases: ['safety glasses', 'protective eyewear'] },
+  'protective eyewear': { required: true, category: 'eye_protection', aliases: ['safety glasses', 'goggles'] },
+  'gloves': { required: true, category: 'hand_protection', aliases: ['safety gloves', 'work gloves'] },
+  'safety gloves': { required: true, category: 'hand_protection', aliases: ['gloves', 'work gloves'] },
+  'work gloves': { required: true, category: 'hand_protection', aliases: ['gloves', 'safety gloves'] },
+  'boots': { required: true, category: 'foot_protection', aliases: ['safety boots', 'work boots'] },
+  'safety boots': { required: true, category: 'foot_protection', aliases: ['boots', 'work boots'] },
+  'work boots': { required: true, category: 'foot_protection', aliases: ['boots', 'safety boots'] }
+};
+
+// Resolve the PPE category for a detector class name (null for classes we don't track)
+export function getCategory(className) {
+  const item = PPE_ITEMS[String(className).toLowerCase()];
+  return item ? item.category : null;
+}
+
+// Categories that can be required by a work environment
+export const PPE_CATEGORIES = ['head_protection', 'visibility', 'eye_protection', 'hand_protection', 'foot_protection'];
+
+// Confidence bands per category, overridable per work environment: a detection at or above `accept`
+// counts as worn, one between `reject` and `accept` is uncertain and needs human review, and one
+// below `reject` is ignored
+export const DEFAULT_THRESHOLDS = Object.fromEntries(
+  PPE_CATEGORIES.map(category => [category, { accept: 0.5, reject: 0.3 }])
+);
+
+// Verdicts of a compliance analysis; uncertain means nothing is missing but some required PPE
+// was only detected below its accept threshold
+export const COMPLIANCE_VERDICTS = ['compliant', 'non_compliant', 'uncertain'];
+
+// Display colors per category - keep in sync with utils.getCategoryColor in the client
+export const CATEGORY_COLORS = {
+  'head_protection': '#3B82F6', // Blue
+  'visibility': '#F59E0B', // Orange
+  'eye_protection': '#10B981', // Green
+  'hand_protection': '#8B5CF6', // Purple
+  'foot_protection': '#EF4444', // Red
+  'person': '#6B7280' // Gray
+};
+
+export function getCategoryColor(category) {
+  return CATEGORY_COLORS[category] || '#6B7280';
+}
+
+// Human readable category name, e.g. head_protection -> Head protection
+export function formatCategory(category) {
+  const text = category.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
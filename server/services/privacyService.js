@@ -0,0 +1,54 @@
+// Privacy Service - per-organization face anonymization and file retention settings
+import { getDb } from '../db/database.js';
+
+class PrivacyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function fromRow(row) {
+  return {
+    anonymizeFaces: row.anonymize_faces === 1,
+    // null means no limit
+    retention: {
+      maxAgeDays: row.retention_max_age_days,
+      maxTotalSizeMb: row.retention_max_total_mb
+    }
+  };
+}
+
+class PrivacyService {
+  getSettings(organizationId) {
+    const row = getDb().prepare('SELECT * FROM organizations WHERE id = ?').get(organizationId);
+    if (!row) {
+      throw new PrivacyError('Organization not found', 404);
+    }
+    return fromRow(row);
+  }
+
+  updateSettings(organizationId, { anonymizeFaces, retention = {} }) {
+    const current = this.getSettings(organizationId);
+    const updated = {
+      anonymizeFaces: anonymizeFaces ?? current.anonymizeFaces,
+      retention: { ...current.retention, ...retention }
+    };
+
+    getDb().prepare(`
+      UPDATE organizations SET anonymize_faces = ?, retention_max_age_days = ?, retention_max_total_mb = ? WHERE id = ?
+    `).run(updated.anonymizeFaces ? 1 : 0, updated.retention.maxAgeDays, updated.retention.maxTotalSizeMb, organizationId);
+
+    return this.getSettings(organizationId);
+  }
+
+  // Organizations with at least one retention limit, for the retention sweep
+  listRetentionPolicies() {
+    return getDb().prepare(`
+      SELECT * FROM organizations WHERE retention_max_age_days IS NOT NULL OR retention_max_total_mb IS NOT NULL
+    `).all().map(row => ({ organizationId: row.id, ...fromRow(row).retention }));
+  }
+}
+
+export { PrivacyError };
+export default PrivacyService;
@@ -0,0 +1,119 @@
+// Privacy Service tests - organization privacy settings and face anonymization of stored images
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import AuthService from './authService.js';
+import PrivacyService from './privacyService.js';
+import ImagePreprocessingService from './imagePreprocessingService.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+describe('PrivacyService', () => {
+  const service = new PrivacyService();
+  let acme;
+  let globex;
+
+  before(() => {
+    const authService = new AuthService();
+    acme = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+    globex = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user.organizationId;
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('starts without anonymization or retention limits', () => {
+    assert.deepEqual(service.getSettings(acme), { anonymizeFaces: false, retention: { maxAgeDays: null, maxTotalSizeMb: null } });
+    assert.deepEqual(service.listRetentionPolicies(), []);
+    assert.throws(() => service.getSettings(9999), { status: 404 });
+  });
+
+  test('updates only the given settings, with null removing a limit', () => {
+    service.updateSettings(acme, { anonymizeFaces: true, retention: { maxAgeDays: 30, maxTotalSizeMb: 500 } });
+    const updated = service.updateSettings(acme, { retention: { maxTotalSizeMb: null } });
+
+    assert.deepEqual(updated, { anonymizeFaces: true, retention: { maxAgeDays: 30, maxTotalSizeMb: null } });
+    assert.equal(service.getSettings(globex).anonymizeFaces, false);
+  });
+
+  test('lists the organizations that have a retention limit', () => {
+    service.updateSettings(globex, { retention: { maxTotalSizeMb: 100 } });
+
+    assert.deepEqual(service.listRetentionPolicies(), [
+      { organizationId: acme, maxAgeDays: 30, maxTotalSizeMb: null },
+      { organizationId: globex, maxAgeDays: null, maxTotalSizeMb: 100 }
+    ]);
+  });
+});
+
+describe('face anonymization', () => {
+  const service = new ImagePreprocessingService();
+  // Head region of this person: [40, 30, 120, 70]
+  const person = { class: 'person', confidence: 0.9, bbox: [50, 50, 100, 200] };
+  let cwd;
+  let dir;
+
+  // Gray level at a point of a stored image
+  async function grayAt(key, x, y) {
+    const { data, info } = await sharp(path.join('uploads', key)).greyscale().raw().toBuffer({ resolveWithObject: true });
+    return data[y * info.width + x];
+  }
+
+  before(async () => {
+    // Local storage is relative to the working directory
+    cwd = process.cwd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-anonymize-'));
+    process.chdir(dir);
+    fs.mkdirSync('uploads');
+
+    // Black on the left, white on the right; blurring mixes the two along the edge
+    const white = await sharp({ create: { width: 100, height: 300, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    await sharp({ create: { width: 200, height: 300, channels: 3, background: '#000000' } })
+      .composite([{ input: white, left: 100, top: 0 }])
+      .png()
+      .toFile('uploads/image-1.png');
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('blurs the head of each person and keeps the unblurred copy', async () => {
+    const regions = await service.anonymize('image-1.png', [person, { class: 'helmet', confidence: 0.9, bbox: [80, 40, 40, 30] }]);
+
+    assert.equal(regions, 1);
+    assert.ok(await grayAt('image-1.png', 98, 60) > 30, 'the edge is blurred inside the head');
+    assert.equal(await grayAt('image-1.png', 98, 200), 0, 'the body is left as it is');
+    assert.equal(await grayAt('unblurred/image-1.png', 98, 60), 0);
+    assert.equal((await sharp('uploads/image-1.png').metadata()).format, 'png');
+  });
+
+  test('blurs detected faces and boxes reaching past the image', async () => {
+    const regions = await service.anonymize('image-1.png', [
+      { class: 'face', confidence: 0.8, bbox: [90, 180, 20, 40] },
+      { class: 'person', confidence: 0.9, bbox: [150, 280, 100, 100] }
+    ]);
+
+    assert.equal(regions, 2);
+    assert.ok(await grayAt('image-1.png', 98, 200) > 30);
+  });
+
+  test('starts again from the unblurred copy', async () => {
+    await service.anonymize('image-1.png', []);
+
+    assert.equal(await grayAt('image-1.png', 98, 60), 0);
+    assert.equal(await grayAt('image-1.png', 98, 200), 0);
+  });
+
+  test('analyzes the unblurred copy', async () => {
+    const analyzed = await service.withAnalysisFile('image-1.png', filePath => filePath);
+
+    assert.equal(path.relative('uploads', analyzed), path.join('unblurred', 'image-1.png'));
+  });
+});
@@ -0,0 +1,200 @@
+// Report Service - renders PDF inspection reports for stored analyses
+import PDFDocument from 'pdfkit';
+import AnnotationService from './annotationService.js';
+import { getStorage } from './storage/index.js';
+import { getCategoryColor, formatCategory } from './ppeCatalog.js';
+
+const PAGE_MARGIN = 50;
+const TEXT_COLOR = '#1F2937';
+const MUTED_COLOR = '#6B7280';
+
+const TYPE_COLORS = {
+  success: '#10B981',
+  warning: '#F59E0B',
+  error: '#EF4444',
+  info: '#3B82F6',
+  uncertain: '#6366F1'
+};
+
+const VERDICT_LABELS = {
+  compliant: 'PPE Compliant',
+  non_compliant: 'PPE Non-Compliant',
+  uncertain: 'Needs Review'
+};
+
+function formatDate(value) {
+  return new Date(value).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }) + ' UTC';
+}
+
+class ReportService {
+  constructor({ annotationService = new AnnotationService() } = {}) {
+    this.annotationService = annotationService;
+  }
+
+  /**
+   * Render the inspection report for a stored analysis.
+   * @param {object} record - AnalysisHistoryService record
+   * @param {object} environment - Work environment the analysis was scored against
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async generate(record, environment) {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `SafetySnap Inspection Report #${record.id}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    this.renderHeader(doc, record, environment);
+    this.renderSummary(doc, record);
+    await this.renderImage(doc, record);
+    this.renderFindings(doc, record);
+    this.renderPeople(doc, record);
+    this.renderRecommendations(doc, record);
+    this.renderSignOff(doc);
+
+    doc.end();
+    return finished;
+  }
+
+  renderHeader(doc, record, environment) {
+    doc.fillColor(TEXT_COLOR).fontSize(20).font('Helvetica-Bold').text('SafetySnap PPE Inspection Report');
+    doc.moveDown(0.5);
+
+    doc.fontSize(10).font('Helvetica').fillColor(MUTED_COLOR);
+    const rows = [
+      ['Report ID', `#${record.id}`],
+      ['Image', record.originalName || record.filename],
+      ['Work environment', environment ? `${environment.label} (${environment.id})` : record.workEnvironment],
+      ...(record.site ? [['Location', [record.site.name, record.zone?.name].filter(Boolean).join(' / ')]] : []),
+      ['Analyzed at', formatDate(record.analyzedAt)],
+      // Detections and compliance below are the reviewer's corrections
+      ...(record.review ? [['Reviewed', `${record.review.reviewedBy.username}, ${formatDate(record.review.reviewedAt)} (version ${record.review.version})`]] : []),
+      ['Report generated', formatDate(new Date())],
+      ['Detector', record.detector || 'unknown']
+    ];
+    rows.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+    });
+    doc.moveDown();
+  }
+
+  renderSummary(doc, record) {
+    const { compliance } = record.analysis;
+    const color = compliance.complianceScore >= 80 ? '#10B981' : compliance.complianceScore >= 60 ? '#F59E0B' : '#EF4444';
+
+    doc.fontSize(14).font('Helvetica-Bold').fillColor(TEXT_COLOR).text('Compliance Summary');
+    doc.moveDown(0.3);
+    doc.fontSize(28).fillColor(color).text(`${compliance.complianceScore}%`, { continued: true })
+      .fontSize(14).text(`   ${VERDICT_LABELS[compliance.verdict] || (compliance.isCompliant ? VERDICT_LABELS.compliant : VERDICT_LABELS.non_compliant)}`);
+    doc.fontSize(10).font('Helvetica').fillColor(MUTED_COLOR)
+      .text(`${compliance.totalDetected} of ${compliance.totalRequired} required categories satisfied` +
+        (compliance.people ? ` · ${compliance.people.length} ${compliance.people.length === 1 ? 'person' : 'people'} detected` : ''));
+    doc.moveDown();
+  }
+
+  // Embed the server-rendered annotated image
+  async renderImage(doc, record) {
+    const storage = getStorage();
+    if (!await storage.exists(record.filename)) {
+      doc.fontSize(10).font('Helvetica-Oblique').fillColor(MUTED_COLOR).text('Image no longer available.');
+      doc.moveDown();
+      return;
+    }
+
+    // PDFKit only embeds JPEG and PNG
+    const image = await this.annotationService.render(await storage.get(record.filename), record.analysis.detections, { format: 'jpeg' });
+    const maxWidth = doc.page.width - PAGE_MARGIN * 2;
+    const maxHeight = 320;
+    const scale = Math.min(maxWidth / image.info.width, maxHeight / image.info.height, 1);
+    const width = image.info.width * scale;
+    const height = image.info.height * scale;
+
+    if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+    const y = doc.y;
+    doc.image(image.buffer, PAGE_MARGIN, y, { width, height });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = y + height + 15;
+  }
+
+  // One line per required category with the best detection that satisfied it
+  // (or, for uncertain categories, the best one below the accept threshold)
+  renderFindings(doc, record) {
+    const { compliance } = record.analysis;
+    const required = compliance.requiredCategories || [];
+
+    doc.fontSize(14).font('Helvetica-Bold').fillColor(TEXT_COLOR).text('Findings by Category');
+    doc.moveDown(0.3);
+    doc.fontSize(10);
+
+    required.forEach(category => {
+      const missing = compliance.missingCategories.includes(category);
+      const uncertain = (compliance.uncertainCategories || []).includes(category);
+      const items = (uncertain ? compliance.uncertainItems : compliance.detectedItems).filter(item => item.category === category);
+      const best = items.reduce((top, item) => (!top || item.confidence > top.confidence ? item : top), null);
+
+      doc.font('Helvetica-Bold').fillColor(getCategoryColor(category)).text(`${formatCategory(category)}: `, { continued: true })
+        .font('Helvetica').fillColor(missing ? '#EF4444' : uncertain ? TYPE_COLORS.uncertain : '#10B981')
+        .text(missing ? 'Missing' : uncertain ? 'Uncertain' : 'Detected', { continued: !!best })
+        .fillColor(MUTED_COLOR);
+      if (best) {
+        doc.text(` · ${best.item}, ${(best.confidence * 100).toFixed(1)}% confidence`);
+      }
+    });
+    doc.moveDown();
+  }
+
+  renderPeople(doc, record) {
+    const people = record.analysis.compliance.people || [];
+    if (people.length < 2) return;
+
+    doc.fontSize(14).font('Helvetica-Bold').fillColor(TEXT_COLOR).text('People');
+    doc.moveDown(0.3);
+    doc.fontSize(10);
+
+    people.forEach(person => {
+      doc.font('Helvetica-Bold').fillColor(TEXT_COLOR).text(`Person ${person.id}: `, { continued: true })
+        .font('Helvetica').fillColor(person.isCompliant ? '#10B981' : person.verdict === 'uncertain' ? TYPE_COLORS.uncertain : '#EF4444')
+        .text(`${person.complianceScore}% ${person.isCompliant ? 'compliant' : person.verdict === 'uncertain' ? 'needs review' : 'non-compliant'}`, { continued: true })
+        .fillColor(MUTED_COLOR)
+        .text([
+          person.missingCategories.length > 0 ? ` · missing ${person.missingCategories.map(formatCategory).join(', ')}` : '',
+          (person.uncertainCategories || []).length > 0 ? ` · uncertain ${person.uncertainCategories.map(formatCategory).join(', ')}` : ''
+        ].join(''));
+    });
+    doc.moveDown();
+  }
+
+  renderRecommendations(doc, record) {
+    doc.fontSize(14).font('Helvetica-Bold').fillColor(TEXT_COLOR).text('Recommendations');
+    doc.moveDown(0.3);
+    doc.fontSize(10);
+
+    record.analysis.recommendations.forEach(rec => {
+      doc.font('Helvetica-Bold').fillColor(TYPE_COLORS[rec.type] || MUTED_COLOR)
+        .text(`[${rec.priority.toUpperCase()}] `, { continued: true })
+        .font('Helvetica').fillColor(TEXT_COLOR).text(rec.message);
+    });
+    doc.moveDown();
+  }
+
+  renderSignOff(doc) {
+    if (doc.y + 130 > doc.page.height - PAGE_MARGIN) doc.addPage();
+
+    doc.fontSize(14).font('Helvetica-Bold').fillColor(TEXT_COLOR).text('Inspector Sign-off');
+    doc.moveDown(0.8);
+    doc.fontSize(10).font('Helvetica');
+
+    const lineWidth = 220;
+    ['Inspector name', 'Signature', 'Date', 'Corrective actions'].forEach(label => {
+      const y = doc.y + 12;
+      doc.fillColor(MUTED_COLOR).text(label, PAGE_MARGIN, y - 12);
+      doc.moveTo(PAGE_MARGIN + 120, y).lineTo(PAGE_MARGIN + 120 + lineWidth, y).strokeColor('#9CA3AF').lineWidth(0.75).stroke();
+      doc.y = y + 14;
+    });
+  }
+}
+
+export default ReportService;
@@ -0,0 +1,116 @@
+// Report Service tests - PDF reports of stored analyses
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import sharp from 'sharp';
+import AuthService from './authService.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import ReportService from './reportService.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+const analysis = {
+  workEnvironment: 'construction',
+  timestamp: new Date().toISOString(),
+  imageInfo: { width: 200, height: 150 },
+  detections: [
+    { class: 'person', category: 'person', confidence: 0.92, bbox: [20, 10, 80, 130] },
+    { class: 'hardhat', category: 'head_protection', confidence: 0.88, bbox: [40, 10, 30, 20] }
+  ],
+  recommendations: [{ type: 'warning', message: 'Safety vest missing', priority: 'high' }],
+  compliance: {
+    isCompliant: false,
+    verdict: 'non_compliant',
+    complianceScore: 50,
+    totalRequired: 2,
+    totalDetected: 1,
+    missingCategories: ['high_visibility'],
+    uncertainCategories: []
+  }
+};
+
+// Text drawn on the pages: PDFKit writes it as hex strings inside compressed content streams
+function pdfText(pdf) {
+  const raw = pdf.toString('latin1');
+  let text = '';
+  for (const match of raw.matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1');
+    } catch (error) {
+      continue; // embedded images and fonts
+    }
+    for (const array of content.matchAll(/\[([^\]]*)\] TJ/g)) {
+      text += [...array[1].matchAll(/<([0-9a-f]*)>/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join('') + '\n';
+    }
+  }
+  return text;
+}
+
+describe('ReportService', () => {
+  const historyService = new AnalysisHistoryService();
+  let cwd;
+  let dir;
+  let organizationId;
+  let rendered;
+  let service;
+
+  before(async () => {
+    // Stored images are read relative to the working directory
+    cwd = process.cwd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-report-'));
+    process.chdir(dir);
+    fs.mkdirSync('uploads');
+    await sharp({ create: { width: 200, height: 150, channels: 3, background: '#808080' } }).jpeg().toFile('uploads/image-1.jpg');
+
+    organizationId = new AuthService().register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+
+    // Count renders of the annotated image on the way through
+    service = new ReportService();
+    rendered = 0;
+    const render = service.annotationService.render.bind(service.annotationService);
+    service.annotationService.render = (...args) => {
+      rendered += 1;
+      return render(...args);
+    };
+  });
+
+  after(() => {
+    closeDb();
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('renders a report with the annotated image', async () => {
+    const record = historyService.save({ filename: 'image-1.jpg', originalName: 'site.jpg', analysis, organizationId });
+    const pdf = await service.generate(historyService.get(record.id, organizationId), { id: 'construction', label: 'Construction Site' });
+
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-6).toString(), /%%EOF/);
+    assert.ok(pdf.length > 5000, `${pdf.length} bytes`);
+    assert.equal(rendered, 1);
+
+    const text = pdfText(pdf);
+    assert.match(text, new RegExp(`#${record.id}`));
+    assert.match(text, /site\.jpg/);
+    assert.match(text, /Construction Site \(construction\)/);
+    assert.match(text, /Safety vest missing/);
+    assert.doesNotMatch(text, /Image no longer available/);
+  });
+
+  test('says so when the image is no longer stored', async () => {
+    const record = historyService.save({ filename: 'image-2.jpg', analysis, organizationId });
+    const pdf = await service.generate(historyService.get(record.id, organizationId), null);
+
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(rendered, 1);
+    const text = pdfText(pdf);
+    assert.match(text, /Image no longer available\./);
+    // Without an environment the id stored with the analysis is shown
+    assert.match(text, /construction/);
+  });
+});
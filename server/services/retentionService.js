@@ -0,0 +1,117 @@
+// Retention Service - scheduled sweep deleting stored files past an organization's retention limits
+import path from 'path';
+import { getDb } from '../db/database.js';
+import { getStorage } from './storage/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MINUTES = 60;
+
+// Video clips are held through the frames stored from them (<video name>-frame-<n>.jpg)
+function isHeld(file, heldFilenames) {
+  if (heldFilenames.has(file.filename)) return true;
+  const framePrefix = `${path.parse(file.filename).name}-frame-`;
+  return file.kind === 'video' && [...heldFilenames].some(filename => filename.startsWith(framePrefix));
+}
+
+class RetentionService {
+  constructor({ privacyService, fileRegistryService, imagePreprocessingService } = {}) {
+    this.privacyService = privacyService;
+    this.fileRegistryService = fileRegistryService;
+    this.imagePreprocessingService = imagePreprocessingService;
+    this.timer = null;
+  }
+
+  getSweepIntervalMs() {
+    return (parseInt(process.env.RETENTION_SWEEP_INTERVAL_MINUTES, 10) || DEFAULT_SWEEP_INTERVAL_MINUTES) * 60 * 1000;
+  }
+
+  // Sweep now and then on an interval; the timer doesn't keep the process alive
+  start() {
+    if (this.timer) return;
+
+    const run = () => {
+      this.sweep().catch(error => console.error('Retention sweep error:', error));
+    };
+
+    run();
+    this.timer = setInterval(run, this.getSweepIntervalMs());
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Filenames of analyses on legal hold
+  heldFilenames(organizationId) {
+    const rows = getDb().prepare('SELECT DISTINCT filename FROM analyses WHERE organization_id = ? AND legal_hold = 1').all(organizationId);
+    return new Set(rows.map(row => row.filename));
+  }
+
+  /**
+   * Delete the stored files of one organization that are older than `maxAgeDays`, then the
+   * oldest remaining ones until the total size is within `maxTotalSizeMb`. Files of analyses on
+   * legal hold are never deleted but count towards the total size. Analysis records are kept.
+   * @returns {{ organizationId, deleted: string[], freedBytes: number, totalBytes: number }}
+   */
+  async sweepOrganization({ organizationId, maxAgeDays = null, maxTotalSizeMb = null }, now = new Date()) {
+    const held = this.heldFilenames(organizationId);
+
+    // Oldest first, with the size of every copy kept for the upload, from one storage listing
+    const sizes = new Map((await getStorage().list()).map(object => [object.key, object.size]));
+    const files = this.fileRegistryService.list(organizationId).reverse().map(file => ({
+      ...file,
+      size: this.imagePreprocessingService.keysOf(file.filename, file.originalFile)
+        .reduce((sum, key) => sum + (sizes.get(key) || 0), 0)
+    }));
+
+    const deleted = [];
+    let freedBytes = 0;
+    const remove = async (file) => {
+      await this.imagePreprocessingService.remove(file.filename, file.originalFile);
+      this.fileRegistryService.remove(file.filename);
+      deleted.push(file.filename);
+      freedBytes += file.size;
+    };
+
+    const remaining = [];
+    const cutoff = maxAgeDays ? now.getTime() - maxAgeDays * DAY_MS : null;
+    for (const file of files) {
+      if (cutoff && new Date(file.createdAt).getTime() < cutoff && !isHeld(file, held)) {
+        await remove(file);
+      } else {
+        remaining.push(file);
+      }
+    }
+
+    let totalBytes = remaining.reduce((sum, file) => sum + file.size, 0);
+    if (maxTotalSizeMb) {
+      const maxBytes = maxTotalSizeMb * 1024 * 1024;
+      for (const file of remaining) {
+        if (totalBytes <= maxBytes) break;
+        if (isHeld(file, held)) continue;
+        await remove(file);
+        totalBytes -= file.size;
+      }
+    }
+
+    return { organizationId, deleted, freedBytes, totalBytes };
+  }
+
+  // Apply the retention policy of every organization that has one, one organization at a time
+  async sweep(now = new Date()) {
+    const results = [];
+    for (const policy of this.privacyService.listRetentionPolicies()) {
+      results.push(await this.sweepOrganization(policy, now));
+    }
+
+    const deletedCount = results.reduce((sum, result) => sum + result.deleted.length, 0);
+    if (deletedCount > 0) {
+      console.log(`🗑️ Retention sweep deleted ${deletedCount} file(s)`);
+    }
+    return results;
+  }
+}
+
+export default RetentionService;
@@ -0,0 +1,128 @@
+// Retention Service tests - the sweep deleting stored files past an organization's limits
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AuthService from './authService.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import FileRegistryService from './fileRegistryService.js';
+import ImagePreprocessingService from './imagePreprocessingService.js';
+import PrivacyService from './privacyService.js';
+import RetentionService from './retentionService.js';
+import { getDb, closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KB = 1024;
+
+const analysis = {
+  workEnvironment: 'construction',
+  timestamp: new Date().toISOString(),
+  imageInfo: { width: 640, height: 480 },
+  detections: [],
+  recommendations: [],
+  compliance: { isCompliant: true, verdict: 'compliant', complianceScore: 100, people: [] }
+};
+
+describe('RetentionService', () => {
+  const historyService = new AnalysisHistoryService();
+  const fileRegistryService = new FileRegistryService();
+  const privacyService = new PrivacyService();
+  const service = new RetentionService({ privacyService, fileRegistryService, imagePreprocessingService: new ImagePreprocessingService() });
+  const stored = () => fs.readdirSync('uploads', { recursive: true }).filter(name => fs.statSync(path.join('uploads', name)).isFile()).sort();
+  let cwd;
+  let dir;
+  let acme;
+  let globex;
+  let initech;
+
+  // Store a file of `size` KB for an organization, uploaded `ageDays` ago
+  function upload(organizationId, filename, { size = 1, ageDays = 0, kind = 'image', originalFile = null } = {}) {
+    fs.writeFileSync(path.join('uploads', filename), Buffer.alloc(size * KB));
+    if (originalFile) {
+      fs.writeFileSync(path.join('uploads/originals', originalFile), Buffer.alloc(size * KB));
+    }
+    fileRegistryService.register({ filename, organizationId, kind, originalFile });
+    getDb().prepare('UPDATE uploads SET created_at = ? WHERE filename = ?').run(new Date(Date.now() - ageDays * DAY_MS).toISOString(), filename);
+  }
+
+  function holdAnalysisOf(filename, organizationId) {
+    const record = historyService.save({ filename, analysis, organizationId });
+    historyService.setLegalHold(record.id, organizationId, true);
+    return record;
+  }
+
+  before(() => {
+    // Local storage is relative to the working directory
+    cwd = process.cwd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-retention-'));
+    process.chdir(dir);
+    fs.mkdirSync('uploads/originals', { recursive: true });
+
+    const authService = new AuthService();
+    acme = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+    globex = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user.organizationId;
+    initech = authService.register({ organizationName: 'Initech', username: 'carol', password: 'password123' }).user.organizationId;
+  });
+
+  after(() => {
+    closeDb();
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('deletes files older than the maximum age except those on legal hold', async () => {
+    upload(acme, 'old.jpg', { ageDays: 40, originalFile: 'old.heic' });
+    upload(acme, 'held.jpg', { ageDays: 40 });
+    upload(acme, 'clip.mp4', { ageDays: 40, kind: 'video' });
+    upload(acme, 'clip-frame-2.jpg', { ageDays: 40 });
+    upload(acme, 'new.jpg', { ageDays: 1 });
+    const record = historyService.save({ filename: 'old.jpg', analysis, organizationId: acme });
+    holdAnalysisOf('held.jpg', acme);
+    // A held frame keeps the clip it was taken from
+    holdAnalysisOf('clip-frame-2.jpg', acme);
+
+    const result = await service.sweepOrganization({ organizationId: acme, maxAgeDays: 30 });
+
+    assert.deepEqual(result.deleted, ['old.jpg']);
+    assert.equal(result.freedBytes, 2 * KB);
+    assert.equal(result.totalBytes, 4 * KB);
+    assert.deepEqual(stored(), ['clip-frame-2.jpg', 'clip.mp4', 'held.jpg', 'new.jpg']);
+    assert.equal(fileRegistryService.get('old.jpg', acme), null);
+    // Analysis records are kept
+    assert.equal(historyService.get(record.id, acme).imageAvailable, false);
+  });
+
+  test('deletes the oldest files until the total size is within the limit', async () => {
+    upload(globex, 'g1.jpg', { size: 400, ageDays: 4, originalFile: 'g1.heic' });
+    upload(globex, 'g2.jpg', { size: 400, ageDays: 3 });
+    upload(globex, 'g3.jpg', { size: 400, ageDays: 2 });
+    upload(globex, 'g4.jpg', { size: 400, ageDays: 1 });
+    holdAnalysisOf('g2.jpg', globex);
+
+    const result = await service.sweepOrganization({ organizationId: globex, maxTotalSizeMb: 1 });
+
+    // g1 counts with its original; g2 is held, so g3 goes too
+    assert.deepEqual(result.deleted, ['g1.jpg', 'g3.jpg']);
+    assert.equal(result.freedBytes, 1200 * KB);
+    assert.equal(result.totalBytes, 800 * KB);
+    assert.deepEqual(stored(), ['clip-frame-2.jpg', 'clip.mp4', 'g2.jpg', 'g4.jpg', 'held.jpg', 'new.jpg']);
+  });
+
+  test('sweeps only the organizations with a retention policy', async () => {
+    upload(initech, 'i1.jpg', { ageDays: 400 });
+    privacyService.updateSettings(acme, { retention: { maxAgeDays: 7 } });
+    privacyService.updateSettings(globex, { retention: { maxTotalSizeMb: 1 } });
+
+    const results = await service.sweep(new Date(Date.now() + 10 * DAY_MS));
+
+    assert.deepEqual(results.map(result => [result.organizationId, result.deleted]), [
+      [acme, ['new.jpg']],
+      [globex, []]
+    ]);
+    assert.ok(stored().includes('i1.jpg'));
+    assert.ok(stored().includes('held.jpg'));
+  });
+});
@@ -0,0 +1,177 @@
+// Site Service - physical sites and their zones, each zone with optional PPE requirements
+import { getDb } from '../db/database.js';
+
+class SiteError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function fromSiteRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    defaultEnvironment: row.default_environment,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function fromZoneRow(row) {
+  return {
+    id: row.id,
+    siteId: row.site_id,
+    name: row.name,
+    description: row.description,
+    workEnvironment: row.work_environment,
+    // null means the zone uses the requirements of its work environment
+    requiredCategories: row.required_categories ? JSON.parse(row.required_categories) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function isUniqueViolation(err) {
+  return err.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+class SiteService {
+  // Sites of an organization with their zones
+  list(organizationId) {
+    const db = getDb();
+    const sites = db.prepare('SELECT * FROM sites WHERE organization_id = ? ORDER BY name').all(organizationId).map(fromSiteRow);
+    const zones = db.prepare(`
+      SELECT zones.* FROM zones JOIN sites ON sites.id = zones.site_id
+      WHERE sites.organization_id = ? ORDER BY zones.name
+    `).all(organizationId).map(fromZoneRow);
+
+    return sites.map(site => ({ ...site, zones: zones.filter(zone => zone.siteId === site.id) }));
+  }
+
+  get(id, organizationId) {
+    const row = getDb().prepare('SELECT * FROM sites WHERE id = ? AND organization_id = ?').get(id, organizationId);
+    if (!row) {
+      throw new SiteError('Site not found', 404);
+    }
+
+    const zones = getDb().prepare('SELECT * FROM zones WHERE site_id = ? ORDER BY name').all(id).map(fromZoneRow);
+    return { ...fromSiteRow(row), zones };
+  }
+
+  create(organizationId, { name, description = '', defaultEnvironment = null }) {
+    const now = new Date().toISOString();
+    try {
+      const { lastInsertRowid } = getDb().prepare(`
+        INSERT INTO sites (organization_id, name, description, default_environment, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(organizationId, name, description, defaultEnvironment, now, now);
+      return this.get(lastInsertRowid, organizationId);
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new SiteError(`Site "${name}" already exists`, 409);
+      throw err;
+    }
+  }
+
+  update(id, organizationId, changes) {
+    const updated = { ...this.get(id, organizationId), ...changes };
+    try {
+      getDb().prepare(`
+        UPDATE sites SET name = ?, description = ?, default_environment = ?, updated_at = ? WHERE id = ?
+      `).run(updated.name, updated.description, updated.defaultEnvironment, new Date().toISOString(), id);
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new SiteError(`Site "${updated.name}" already exists`, 409);
+      throw err;
+    }
+    return this.get(id, organizationId);
+  }
+
+  // Zones are deleted with the site; analyses keep their site and zone names
+  remove(id, organizationId) {
+    this.get(id, organizationId);
+    getDb().prepare('DELETE FROM sites WHERE id = ?').run(id);
+  }
+
+  getZone(siteId, zoneId, organizationId) {
+    this.get(siteId, organizationId);
+    const row = getDb().prepare('SELECT * FROM zones WHERE id = ? AND site_id = ?').get(zoneId, siteId);
+    if (!row) {
+      throw new SiteError('Zone not found', 404);
+    }
+    return fromZoneRow(row);
+  }
+
+  createZone(siteId, organizationId, { name, description = '', workEnvironment = null, requiredCategories = null }) {
+    this.get(siteId, organizationId);
+    const now = new Date().toISOString();
+    try {
+      const { lastInsertRowid } = getDb().prepare(`
+        INSERT INTO zones (site_id, name, description, work_environment, required_categories, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(siteId, name, description, workEnvironment, requiredCategories ? JSON.stringify(requiredCategories) : null, now, now);
+      return this.getZone(siteId, lastInsertRowid, organizationId);
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new SiteError(`Zone "${name}" already exists on this site`, 409);
+      throw err;
+    }
+  }
+
+  updateZone(siteId, zoneId, organizationId, changes) {
+    const updated = { ...this.getZone(siteId, zoneId, organizationId), ...changes };
+    try {
+      getDb().prepare(`
+        UPDATE zones SET name = ?, description = ?, work_environment = ?, required_categories = ?, updated_at = ? WHERE id = ?
+      `).run(
+        updated.name,
+        updated.description,
+        updated.workEnvironment,
+        updated.requiredCategories ? JSON.stringify(updated.requiredCategories) : null,
+        new Date().toISOString(),
+        zoneId
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new SiteError(`Zone "${updated.name}" already exists on this site`, 409);
+      throw err;
+    }
+    return this.getZone(siteId, zoneId, organizationId);
+  }
+
+  removeZone(siteId, zoneId, organizationId) {
+    this.getZone(siteId, zoneId, organizationId);
+    getDb().prepare('DELETE FROM zones WHERE id = ?').run(zoneId);
+  }
+
+  /**
+   * Resolve the site and zone an upload is tagged with. A zone implies its site;
+   * when both are given they must belong together.
+   * @returns {{ site: object, zone: object|null } | null}
+   */
+  resolveLocation({ siteId, zoneId } = {}, organizationId) {
+    if (!siteId && !zoneId) return null;
+
+    if (zoneId) {
+      const row = getDb().prepare(`
+        SELECT zones.site_id FROM zones JOIN sites ON sites.id = zones.site_id
+        WHERE zones.id = ? AND sites.organization_id = ?
+      `).get(zoneId, organizationId);
+      if (!row) {
+        throw new SiteError('Zone not found', 400);
+      }
+      if (siteId && siteId !== row.site_id) {
+        throw new SiteError('Zone does not belong to the selected site', 400);
+      }
+      const site = this.get(row.site_id, organizationId);
+      return { site, zone: site.zones.find(zone => zone.id === zoneId) };
+    }
+
+    const row = getDb().prepare('SELECT id FROM sites WHERE id = ? AND organization_id = ?').get(siteId, organizationId);
+    if (!row) {
+      throw new SiteError('Site not found', 400);
+    }
+    return { site: this.get(siteId, organizationId), zone: null };
+  }
+}
+
+export { SiteError };
+export default SiteService;
@@ -0,0 +1,191 @@
+// Site Service tests - sites, zones, upload locations and zone PPE requirements
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import AuthService from './authService.js';
+import SiteService from './siteService.js';
+import EnvironmentService from './environmentService.js';
+import PPEAnalysisService from './ppeAnalysisService.js';
+import { createSiteSchema, createZoneSchema, updateZoneSchema } from '../routes/siteRoutes.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+describe('SiteService', () => {
+  const service = new SiteService();
+  let acme;
+  let globex;
+
+  before(() => {
+    const authService = new AuthService();
+    acme = authService.register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+    globex = authService.register({ organizationName: 'Globex', username: 'bob', password: 'password123' }).user.organizationId;
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('creates sites with their zones sorted by name', () => {
+    const site = service.create(acme, { name: 'Harbor', defaultEnvironment: 'manufacturing' });
+    service.createZone(site.id, acme, { name: 'Quay', workEnvironment: 'construction' });
+    service.createZone(site.id, acme, { name: 'Lab', requiredCategories: ['eye_protection'] });
+    service.create(acme, { name: 'Depot' });
+
+    const [depot, harbor] = service.list(acme);
+    assert.equal(depot.name, 'Depot');
+    assert.equal(depot.defaultEnvironment, null);
+    assert.deepEqual(depot.zones, []);
+    assert.equal(harbor.defaultEnvironment, 'manufacturing');
+    assert.deepEqual(harbor.zones.map(zone => [zone.name, zone.workEnvironment, zone.requiredCategories]), [
+      ['Lab', null, ['eye_protection']],
+      ['Quay', 'construction', null]
+    ]);
+  });
+
+  test('keeps sites to their organization', () => {
+    const [depot] = service.list(acme);
+
+    assert.deepEqual(service.list(globex), []);
+    assert.throws(() => service.get(depot.id, globex), { status: 404 });
+    assert.throws(() => service.update(depot.id, globex, { name: 'Mine' }), { status: 404 });
+    assert.throws(() => service.createZone(depot.id, globex, { name: 'Gate' }), { status: 404 });
+    assert.throws(() => service.remove(depot.id, globex), { status: 404 });
+
+    // Other organizations may use the same name
+    assert.equal(service.create(globex, { name: 'Depot' }).name, 'Depot');
+  });
+
+  test('refuses duplicate site and zone names', () => {
+    const harbor = service.list(acme).find(site => site.name === 'Harbor');
+
+    assert.throws(() => service.create(acme, { name: 'Harbor' }), { status: 409, message: 'Site "Harbor" already exists' });
+    assert.throws(() => service.update(harbor.id, acme, { name: 'Depot' }), { status: 409 });
+    assert.throws(() => service.createZone(harbor.id, acme, { name: 'Quay' }), { status: 409 });
+  });
+
+  test('updates zones and clears their required categories with null', () => {
+    const harbor = service.list(acme).find(site => site.name === 'Harbor');
+    const lab = harbor.zones.find(zone => zone.name === 'Lab');
+
+    const renamed = service.updateZone(harbor.id, lab.id, acme, { name: 'Clean Room' });
+    assert.equal(renamed.name, 'Clean Room');
+    assert.deepEqual(renamed.requiredCategories, ['eye_protection']);
+    assert.equal(service.updateZone(harbor.id, lab.id, acme, { requiredCategories: null }).requiredCategories, null);
+    assert.throws(() => service.getZone(harbor.id, 9999, acme), { status: 404 });
+  });
+
+  test('resolves the site and zone of an upload', () => {
+    const [depot, harbor] = service.list(acme);
+    const quay = harbor.zones.find(zone => zone.name === 'Quay');
+
+    assert.equal(service.resolveLocation({}, acme), null);
+    assert.deepEqual(service.resolveLocation({ siteId: depot.id }, acme), { site: depot, zone: null });
+
+    // A zone implies its site
+    const location = service.resolveLocation({ zoneId: quay.id }, acme);
+    assert.equal(location.site.name, 'Harbor');
+    assert.equal(location.zone.name, 'Quay');
+
+    assert.throws(() => service.resolveLocation({ siteId: depot.id, zoneId: quay.id }, acme), { status: 400, message: /does not belong/ });
+    assert.throws(() => service.resolveLocation({ zoneId: quay.id }, globex), { status: 400 });
+    assert.throws(() => service.resolveLocation({ siteId: depot.id }, globex), { status: 400 });
+  });
+
+  test('deletes a site with its zones', () => {
+    const harbor = service.list(acme).find(site => site.name === 'Harbor');
+    const [zone] = harbor.zones;
+    service.remove(harbor.id, acme);
+
+    assert.deepEqual(service.list(acme).map(site => site.name), ['Depot']);
+    assert.throws(() => service.resolveLocation({ zoneId: zone.id }, acme), { status: 400 });
+  });
+});
+
+describe('zone PPE requirements', () => {
+  const siteService = new SiteService();
+  const analysisService = new PPEAnalysisService();
+  let organizationId;
+  let site;
+
+  before(() => {
+    organizationId = new AuthService().register({ organizationName: 'Initech', username: 'carol', password: 'password123' }).user.organizationId;
+    new EnvironmentService().create(organizationId, {
+      id: 'warehouse',
+      label: 'Warehouse',
+      description: 'Vest and boots',
+      requiredCategories: ['visibility', 'foot_protection']
+    });
+    site = siteService.create(organizationId, { name: 'Plant', defaultEnvironment: 'warehouse' });
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  const requirements = (zone, workEnvironment) => analysisService.getRequirements(
+    workEnvironment,
+    organizationId,
+    siteService.resolveLocation(zone ? { zoneId: zone.id } : { siteId: site.id }, organizationId)
+  );
+
+  test('uses the default environment of the site', () => {
+    const environment = requirements(null);
+
+    assert.equal(environment.id, 'warehouse');
+    assert.deepEqual(environment.requiredCategories, ['visibility', 'foot_protection']);
+    assert.equal(environment.requirementsSource, 'environment');
+  });
+
+  test('prefers the environment of the zone, and the requested one over both', () => {
+    const zone = siteService.createZone(site.id, organizationId, { name: 'Lab', workEnvironment: 'laboratory' });
+
+    assert.equal(requirements(zone).id, 'laboratory');
+    assert.equal(requirements(zone, 'manufacturing').id, 'manufacturing');
+  });
+
+  test('replaces the required categories of the environment with those of the zone', () => {
+    const zone = siteService.createZone(site.id, organizationId, { name: 'Gate', requiredCategories: ['head_protection'] });
+    const environment = requirements(zone, 'construction');
+
+    assert.equal(environment.id, 'construction');
+    assert.equal(environment.label, 'Plant / Gate');
+    assert.deepEqual(environment.requiredCategories, ['head_protection']);
+    assert.equal(environment.requirementsSource, 'zone');
+
+    // Scored against the zone's categories only
+    const compliance = analysisService.analyzeCompliance([
+      { class: 'person', confidence: 0.95, bbox: [0, 0, 100, 300] },
+      { class: 'helmet', confidence: 0.9, bbox: [30, 0, 40, 30] }
+    ], environment.requiredCategories, environment.thresholds);
+    assert.equal(compliance.verdict, 'compliant');
+    assert.equal(compliance.complianceScore, 100);
+  });
+});
+
+describe('site and zone validation', () => {
+  let organizationId;
+
+  before(() => {
+    organizationId = new AuthService().register({ organizationName: 'Umbrella', username: 'dave', password: 'password123' }).user.organizationId;
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  const validate = (schema, body) => schema.validate(body, { context: { organizationId } }).error;
+
+  test('accepts known work environments and PPE categories', () => {
+    assert.equal(validate(createSiteSchema, { name: 'Depot', defaultEnvironment: 'construction' }), undefined);
+    assert.equal(validate(createZoneSchema, { name: 'Gate', requiredCategories: ['head_protection', 'visibility'] }), undefined);
+    assert.equal(validate(updateZoneSchema, { requiredCategories: null }), undefined);
+  });
+
+  test('rejects unknown environments, unknown or repeated categories and empty changes', () => {
+    assert.match(validate(createSiteSchema, { name: 'Depot', defaultEnvironment: 'warehouse' }).message, /Unknown work environment "warehouse"/);
+    assert.notEqual(validate(createZoneSchema, { name: 'Gate', requiredCategories: ['jetpack'] }), undefined);
+    assert.notEqual(validate(createZoneSchema, { name: 'Gate', requiredCategories: ['visibility', 'visibility'] }), undefined);
+    assert.notEqual(validate(createZoneSchema, { name: 'Gate', requiredCategories: [] }), undefined);
+    assert.notEqual(validate(updateZoneSchema, {}), undefined);
+  });
+});
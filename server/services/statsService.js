@@ -0,0 +1,168 @@
+// Stats Service - compliance aggregates and trends over stored analyses
+import { getDb } from '../db/database.js';
+import { PPE_CATEGORIES } from './ppeCatalog.js';
+import { addDateRange, formatDateBound } from './dateRange.js';
+
+// Period keys per interval (UTC). Weeks start on Monday and are keyed by that date.
+const PERIOD_EXPRESSIONS = {
+  day: "strftime('%Y-%m-%d', analyzed_at)",
+  week: "date(analyzed_at, 'weekday 0', '-6 days')",
+  month: "strftime('%Y-%m', analyzed_at)"
+};
+
+export const STATS_INTERVALS = Object.keys(PERIOD_EXPRESSIONS);
+
+const TOP_MISSING_LIMIT = 3;
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Missing category counts sorted by frequency
+function topMissing(missingCategories, limit = TOP_MISSING_LIMIT) {
+  return Object.entries(missingCategories)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([category, count]) => ({ category, count }));
+}
+
+function toGroup(row, missingCategories = {}) {
+  return {
+    analyses: row.analyses,
+    compliant: row.compliant,
+    uncertain: row.uncertain,
+    averageScore: round(row.average_score),
+    compliantRate: round((row.compliant / row.analyses) * 100),
+    missingCategories,
+    topMissingCategories: topMissing(missingCategories)
+  };
+}
+
+function csvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class StatsService {
+  /**
+   * Aggregate an organization's analyses per period and work environment.
+   * @param {object} query - organizationId, interval, from, to, environment, siteId, zoneId (already validated by the route)
+   * @returns {{ interval, from, to, totals, environments, series }}
+   */
+  getStats({ organizationId, interval = 'day', from, to, environment, siteId, zoneId } = {}) {
+    const conditions = ['organization_id = ?'];
+    const params = [organizationId];
+
+    addDateRange(conditions, params, { from, to });
+    if (environment) {
+      conditions.push('work_environment = ?');
+      params.push(environment);
+    }
+    if (siteId) {
+      conditions.push('site_id = ?');
+      params.push(siteId);
+    }
+    if (zoneId) {
+      conditions.push('zone_id = ?');
+      params.push(zoneId);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const period = PERIOD_EXPRESSIONS[interval] || PERIOD_EXPRESSIONS.day;
+    const db = getDb();
+
+    const aggregate = (groupBy, select) => db.prepare(`
+      SELECT ${select}
+        COUNT(*) AS analyses,
+        SUM(is_compliant) AS compliant,
+        SUM(verdict = 'uncertain') AS uncertain,
+        AVG(compliance_score) AS average_score
+      FROM analyses ${where}
+      ${groupBy ? `GROUP BY ${groupBy} ORDER BY ${groupBy}` : ''}
+    `).all(...params);
+
+    // Missing category counts come from the stored compliance JSON, of the current review when there is one
+    const missing = (groupBy, select) => db.prepare(`
+      SELECT ${select} missing.value AS category, COUNT(*) AS count
+      FROM analyses
+      LEFT JOIN analysis_reviews AS reviews ON reviews.id = analyses.review_id,
+      json_each(COALESCE(reviews.compliance, analyses.compliance), '$.missingCategories') AS missing
+      ${where}
+      GROUP BY ${groupBy ? `${groupBy}, ` : ''}missing.value
+    `).all(...params);
+
+    const collect = (rows, keyOf) => {
+      const counts = {};
+      rows.forEach(row => {
+        const key = keyOf(row);
+        counts[key] = counts[key] || {};
+        counts[key][row.category] = row.count;
+      });
+      return counts;
+    };
+
+    const [totalsRow] = aggregate(null, '');
+    const totalMissing = collect(missing(null, ''), () => 'all').all || {};
+
+    const environmentMissing = collect(missing('work_environment', 'work_environment,'), row => row.work_environment);
+    const environments = aggregate('work_environment', 'work_environment,').map(row => ({
+      environment: row.work_environment,
+      ...toGroup(row, environmentMissing[row.work_environment])
+    }));
+
+    const seriesMissing = collect(
+      missing(`${period}, work_environment`, `${period} AS period, work_environment,`),
+      row => `${row.period}|${row.work_environment}`
+    );
+    const series = aggregate(`${period}, work_environment`, `${period} AS period, work_environment,`).map(row => ({
+      period: row.period,
+      environment: row.work_environment,
+      ...toGroup(row, seriesMissing[`${row.period}|${row.work_environment}`])
+    }));
+
+    return {
+      interval,
+      siteId: siteId || null,
+      zoneId: zoneId || null,
+      from: formatDateBound(from),
+      to: formatDateBound(to),
+      totals: totalsRow.analyses > 0
+        ? toGroup(totalsRow, totalMissing)
+        : { analyses: 0, compliant: 0, uncertain: 0, averageScore: null, compliantRate: null, missingCategories: {}, topMissingCategories: [] },
+      environments,
+      series
+    };
+  }
+
+  // One row per period and environment, with a missing count column per PPE category
+  toCsv(stats) {
+    const header = [
+      'period',
+      'environment',
+      'analyses',
+      'compliant',
+      'uncertain',
+      'average_score',
+      'compliant_rate',
+      ...PPE_CATEGORIES.map(category => `missing_${category}`),
+      'top_missing_categories'
+    ];
+
+    const rows = stats.series.map(row => [
+      row.period,
+      row.environment,
+      row.analyses,
+      row.compliant,
+      row.uncertain,
+      row.averageScore,
+      row.compliantRate,
+      ...PPE_CATEGORIES.map(category => row.missingCategories[category] || 0),
+      row.topMissingCategories.map(item => item.category).join('; ')
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+  }
+}
+
+export default StatsService;
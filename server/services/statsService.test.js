@@ -0,0 +1,99 @@
+// Stats Service tests - period bucketing and date range filters
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import StatsService from './statsService.js';
+import AnalysisHistoryService from './analysisHistoryService.js';
+import AuthService from './authService.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+// A stored construction-site analysis at `timestamp`, missing head protection when not compliant
+function analysisAt(timestamp, isCompliant = true) {
+  return {
+    workEnvironment: 'construction',
+    detector: 'fixture',
+    timestamp,
+    imageInfo: { width: 100, height: 100 },
+    detections: [],
+    recommendations: [],
+    compliance: {
+      isCompliant,
+      verdict: isCompliant ? 'compliant' : 'non_compliant',
+      complianceScore: isCompliant ? 100 : 80,
+      missingCategories: isCompliant ? [] : ['head_protection'],
+      people: [{}]
+    }
+  };
+}
+
+describe('StatsService', () => {
+  const statsService = new StatsService();
+  const historyService = new AnalysisHistoryService();
+  let organizationId;
+
+  before(() => {
+    organizationId = new AuthService().register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+    [
+      ['2026-10-11T23:59:00.000Z', true], // Sunday
+      ['2026-10-12T00:00:00.000Z', false], // Monday
+      ['2026-10-18T23:59:59.000Z', true], // Sunday
+      ['2026-10-19T00:00:00.000Z', true], // Monday
+      ['2026-10-19T18:30:00.000Z', false],
+      ['2026-10-20T00:00:00.000Z', true]
+    ].forEach(([timestamp, isCompliant], index) => historyService.save({
+      filename: `image-${index}.jpg`,
+      analysis: analysisAt(timestamp, isCompliant),
+      organizationId
+    }));
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('buckets weeks from Monday to Sunday, keyed by the Monday', () => {
+    const { series } = statsService.getStats({ organizationId, interval: 'week' });
+
+    assert.deepEqual(series.map(row => [row.period, row.analyses, row.compliant]), [
+      ['2026-10-05', 1, 1],
+      ['2026-10-12', 2, 1],
+      ['2026-10-19', 3, 2]
+    ]);
+    assert.deepEqual(series[1].missingCategories, { head_protection: 1 });
+  });
+
+  test('buckets days and months in UTC', () => {
+    const days = statsService.getStats({ organizationId, interval: 'day' }).series;
+    const months = statsService.getStats({ organizationId, interval: 'month' }).series;
+
+    assert.deepEqual(days.map(row => [row.period, row.analyses]), [
+      ['2026-10-11', 1], ['2026-10-12', 1], ['2026-10-18', 1], ['2026-10-19', 2], ['2026-10-20', 1]
+    ]);
+    assert.deepEqual(months.map(row => [row.period, row.analyses]), [['2026-10', 6]]);
+  });
+
+  test('includes the whole last day of a date-only range', () => {
+    const { totals, from, to } = statsService.getStats({ organizationId, from: '2026-10-12', to: '2026-10-19' });
+
+    assert.equal(totals.analyses, 4);
+    assert.equal(totals.compliant, 2);
+    // Echoed as given rather than as the midnight that starts the last day
+    assert.deepEqual([from, to], ['2026-10-12', '2026-10-19']);
+  });
+
+  test('treats a `to` with a time as an inclusive instant', () => {
+    const stats = statsService.getStats({ organizationId, to: '2026-10-19T00:00:00+00:00' });
+
+    assert.equal(stats.totals.analyses, 4);
+    assert.equal(stats.to, '2026-10-19T00:00:00.000Z');
+    assert.equal(stats.from, null);
+    assert.equal(statsService.getStats({ organizationId, to: new Date('2026-10-19T18:30:00.000Z') }).totals.analyses, 5);
+  });
+
+  test('applies the same range to the analysis list', () => {
+    const { items } = historyService.list({ organizationId, from: '2026-10-19', to: '2026-10-19' });
+
+    assert.deepEqual(items.map(item => item.analyzedAt).sort(), ['2026-10-19T00:00:00.000Z', '2026-10-19T18:30:00.000Z']);
+  });
+});
@@ -0,0 +1,48 @@
+// Storage backends for uploaded files
+//
+// Files are addressed by keys relative to the uploads root, e.g. "image-1.jpg" or
+// "originals/image-1.heic". Every backend exposes `name` and:
+//   put(key, buffer), putFile(key, localPath) - store (putFile moves the local file in)
+//   get(key) -> Buffer, exists(key), remove(key), list(prefix) -> [{ key, size, lastModified }]
+//   createReadStream(key), withLocalFile(key, fn) - fn receives a local path for tools that need one
+//   getDownloadUrl(key, { filename }) - presigned URL, or null when the server sends the file itself
+//   localPath(key) - path on disk, or null for remote backends
+// Uploads, normalization and analysis always work on local files in the uploads folder first.
+import LocalStorage from './localStorage.js';
+import S3Storage from './s3Storage.js';
+
+export const UPLOAD_PATH = 'uploads';
+
+const backends = {
+  local: () => new LocalStorage({ root: UPLOAD_PATH }),
+  s3: () => new S3Storage({
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    urlExpiresIn: parseInt(process.env.S3_URL_EXPIRES_IN, 10) || 900
+  })
+};
+
+// Create the storage selected by STORAGE_DRIVER (defaults to the local uploads folder)
+export function createStorage(name = process.env.STORAGE_DRIVER || 'local') {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+let storage = null;
+
+// Shared storage of the server, created on first use so .env is loaded by then
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+export { LocalStorage, S3Storage };
@@ -0,0 +1,87 @@
+// Local storage - keeps files on disk under the uploads folder
+import fs from 'fs';
+import path from 'path';
+
+// Scratch space and the SQLite database may live in the uploads folder; neither is a stored file
+const IGNORED_TOP_LEVEL = ['frames'];
+
+class LocalStorage {
+  constructor({ root = 'uploads' } = {}) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  resolve(key) {
+    const resolved = path.resolve(this.root, key);
+    if (!resolved.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return resolved;
+  }
+
+  async put(key, buffer) {
+    const target = this.resolve(key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, buffer);
+  }
+
+  // Move a local file into storage; files already in place are left as they are
+  async putFile(key, filePath) {
+    const target = this.resolve(key);
+    if (path.resolve(filePath) === target) return;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.renameSync(filePath, target);
+  }
+
+  async get(key) {
+    return fs.readFileSync(this.resolve(key));
+  }
+
+  async exists(key) {
+    return fs.existsSync(this.resolve(key));
+  }
+
+  async remove(key) {
+    fs.rmSync(this.resolve(key), { force: true });
+  }
+
+  async list(prefix = '') {
+    const files = [];
+    const walk = (dir, keyPrefix) => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.')) return;
+        if (!keyPrefix && IGNORED_TOP_LEVEL.includes(entry.name)) return;
+
+        const key = `${keyPrefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          walk(path.join(dir, entry.name), `${key}/`);
+        } else if (key.startsWith(prefix)) {
+          const stats = fs.statSync(path.join(dir, entry.name));
+          files.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      });
+    };
+    walk(this.root, '');
+    return files;
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  // Files on disk are sent by the server (with range support), not through a URL
+  async getDownloadUrl() {
+    return null;
+  }
+
+  localPath(key) {
+    return this.resolve(key);
+  }
+
+  async withLocalFile(key, fn) {
+    return fn(this.resolve(key));
+  }
+}
+
+export default LocalStorage;
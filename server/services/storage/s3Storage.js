@@ -0,0 +1,145 @@
+// S3 storage - keeps files in an S3-compatible bucket (AWS S3, MinIO, ...)
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+// aws-sdk is loaded on first use so local deployments don't pay for it
+const require = createRequire(import.meta.url);
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+function contentTypeOf(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+class S3Storage {
+  /**
+   * @param {object} options
+   * @param {string} options.bucket
+   * @param {string} [options.prefix] - Key prefix inside the bucket, e.g. "safetysnap/"
+   * @param {string} [options.endpoint] - Endpoint of an S3-compatible service such as MinIO;
+   *   path-style addressing is used when an endpoint is set
+   * @param {number} [options.urlExpiresIn] - Lifetime of presigned download URLs in seconds
+   */
+  constructor({ bucket, prefix = '', region, endpoint, accessKeyId, secretAccessKey, urlExpiresIn = 900 } = {}) {
+    if (!bucket) {
+      throw new Error('S3 storage requires S3_BUCKET');
+    }
+
+    const AWS = require('aws-sdk');
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.urlExpiresIn = urlExpiresIn;
+    this.s3 = new AWS.S3({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      s3ForcePathStyle: Boolean(endpoint),
+      signatureVersion: 'v4',
+      // Falls back to the SDK's credential chain (environment, instance role) when not set
+      ...(accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : {})
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  // `body` is a Buffer or a readable stream
+  async put(key, body) {
+    await this.s3.upload({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentTypeOf(key)
+    }).promise();
+  }
+
+  // Upload a local file and delete it once stored
+  async putFile(key, filePath) {
+    await this.put(key, fs.createReadStream(filePath));
+    fs.rmSync(filePath, { force: true });
+  }
+
+  async get(key) {
+    const { Body } = await this.s3.getObject({ Bucket: this.bucket, Key: this.objectKey(key) }).promise();
+    return Body;
+  }
+
+  async exists(key) {
+    try {
+      await this.s3.headObject({ Bucket: this.bucket, Key: this.objectKey(key) }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: this.objectKey(key) }).promise();
+  }
+
+  async list(prefix = '') {
+    const files = [];
+    let ContinuationToken;
+    do {
+      const page = await this.s3.listObjectsV2({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken
+      }).promise();
+
+      page.Contents.forEach(object => files.push({
+        key: object.Key.slice(this.prefix.length),
+        size: object.Size,
+        lastModified: object.LastModified
+      }));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return files;
+  }
+
+  createReadStream(key) {
+    return this.s3.getObject({ Bucket: this.bucket, Key: this.objectKey(key) }).createReadStream();
+  }
+
+  // Presigned GET URL; `filename` makes the browser download the file under that name
+  async getDownloadUrl(key, { filename } = {}) {
+    return this.s3.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Expires: this.urlExpiresIn,
+      ...(filename ? { ResponseContentDisposition: `attachment; filename="${filename.replace(/"/g, '')}"` } : {})
+    });
+  }
+
+  localPath() {
+    return null;
+  }
+
+  // Download to a temporary file for tools that need a path (sharp, detectors, ffmpeg)
+  async withLocalFile(key, fn) {
+    const tempPath = path.join(os.tmpdir(), `safetysnap-${crypto.randomUUID()}${path.extname(key)}`);
+    fs.writeFileSync(tempPath, await this.get(key));
+    try {
+      return await fn(tempPath);
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+}
+
+export default S3Storage;
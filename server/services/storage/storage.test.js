@@ -0,0 +1,244 @@
+// Storage tests - the local and S3 backends and `npm run storage:migrate` between them
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import LocalStorage from './localStorage.js';
+import S3Storage from './s3Storage.js';
+
+const MIGRATE_SCRIPT = fileURLToPath(new URL('../../scripts/migrateStorage.js', import.meta.url));
+
+const escapeXml = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Just enough of the S3 API, path-style, for S3Storage: put, get, head, delete and list objects
+function createS3Server() {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...rest] = url.pathname.split('/');
+    const key = decodeURIComponent(rest.join('/'));
+    const id = `${bucket}/${key}`;
+
+    if (req.method === 'GET' && !key) {
+      const prefix = url.searchParams.get('prefix') || '';
+      const contents = [...objects.entries()]
+        .filter(([objectId]) => objectId.startsWith(`${bucket}/${prefix}`))
+        .map(([objectId, object]) => `<Contents><Key>${escapeXml(objectId.slice(bucket.length + 1))}</Key>`
+          + `<Size>${object.body.length}</Size><LastModified>${object.lastModified.toISOString()}</LastModified></Contents>`);
+      res.setHeader('Content-Type', 'application/xml');
+      return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+    }
+
+    if (req.method === 'PUT') {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        objects.set(id, { body: Buffer.concat(chunks), contentType: req.headers['content-type'], lastModified: new Date() });
+        res.setHeader('ETag', '"etag"');
+        res.end();
+      });
+      return undefined;
+    }
+
+    const object = objects.get(id);
+    if (req.method === 'DELETE') {
+      objects.delete(id);
+      res.statusCode = 204;
+      return res.end();
+    }
+    if (!object) {
+      res.statusCode = 404;
+      res.setHeader('Content-Type', 'application/xml');
+      return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+    }
+    res.setHeader('Content-Type', object.contentType);
+    res.setHeader('Content-Length', object.body.length);
+    res.end(req.method === 'HEAD' ? undefined : object.body);
+    return undefined;
+  });
+  return { server, objects };
+}
+
+describe('LocalStorage', () => {
+  let dir;
+  let storage;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-storage-'));
+    storage = new LocalStorage({ root: path.join(dir, 'uploads') });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores, reads and removes files by key', async () => {
+    await storage.put('originals/image-1.heic', Buffer.from('original'));
+
+    assert.equal((await storage.get('originals/image-1.heic')).toString(), 'original');
+    assert.equal(await storage.exists('originals/image-1.heic'), true);
+    assert.equal(await storage.getDownloadUrl('originals/image-1.heic'), null);
+    assert.equal(storage.localPath('originals/image-1.heic'), path.join(dir, 'uploads/originals/image-1.heic'));
+
+    await storage.remove('originals/image-1.heic');
+    assert.equal(await storage.exists('originals/image-1.heic'), false);
+  });
+
+  test('moves local files in', async () => {
+    const localPath = path.join(dir, 'upload.jpg');
+    fs.writeFileSync(localPath, 'image');
+    await storage.putFile('image-2.jpg', localPath);
+
+    assert.equal(fs.existsSync(localPath), false);
+    assert.equal(await storage.withLocalFile('image-2.jpg', filePath => fs.readFileSync(filePath, 'utf8')), 'image');
+  });
+
+  test('lists stored files without scratch space and hidden folders', async () => {
+    fs.mkdirSync(path.join(dir, 'uploads/frames'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'uploads/frames/frame-1.jpg'), 'frame');
+    fs.mkdirSync(path.join(dir, 'uploads/.batches'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'uploads/.batches/batch.zip'), 'zip');
+    await storage.put('unblurred/image-2.jpg', Buffer.from('unblurred'));
+
+    assert.deepEqual((await storage.list()).map(file => [file.key, file.size]).sort(), [['image-2.jpg', 5], ['unblurred/image-2.jpg', 9]]);
+    assert.deepEqual((await storage.list('unblurred/')).map(file => file.key), ['unblurred/image-2.jpg']);
+  });
+
+  test('refuses keys outside its root', async () => {
+    await assert.rejects(storage.get('../secret.txt'), /Invalid storage key/);
+    await assert.rejects(storage.put('/etc/passwd', Buffer.from('')), /Invalid storage key/);
+  });
+});
+
+describe('S3Storage', () => {
+  const { server, objects } = createS3Server();
+  let endpoint;
+  let storage;
+
+  before(async () => {
+    await new Promise(resolve => {
+      server.listen(0, '127.0.0.1', resolve);
+    });
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+    storage = new S3Storage({ bucket: 'safetysnap', prefix: 'acme/', endpoint, accessKeyId: 'key', secretAccessKey: 'secret' });
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  test('requires a bucket', () => {
+    assert.throws(() => new S3Storage({ endpoint }), /S3_BUCKET/);
+  });
+
+  test('stores objects under the prefix with their content type', async () => {
+    await storage.put('image-1.jpg', Buffer.from('image'));
+
+    assert.equal(objects.get('safetysnap/acme/image-1.jpg').contentType, 'image/jpeg');
+    assert.equal((await storage.get('image-1.jpg')).toString(), 'image');
+    assert.equal(await storage.exists('image-1.jpg'), true);
+    assert.equal(await storage.exists('image-2.jpg'), false);
+    assert.equal(storage.localPath('image-1.jpg'), null);
+  });
+
+  test('uploads local files and deletes them once stored', async () => {
+    const localPath = path.join(os.tmpdir(), `safetysnap-s3-${process.pid}.mp4`);
+    fs.writeFileSync(localPath, 'video');
+    await storage.putFile('clip.mp4', localPath);
+
+    assert.equal(fs.existsSync(localPath), false);
+    assert.equal(objects.get('safetysnap/acme/clip.mp4').contentType, 'video/mp4');
+    assert.equal(await storage.withLocalFile('clip.mp4', filePath => fs.readFileSync(filePath, 'utf8')), 'video');
+  });
+
+  test('lists keys without the prefix', async () => {
+    await storage.put('originals/image-1.heic', Buffer.from('original'));
+
+    assert.deepEqual((await storage.list()).map(file => [file.key, file.size]).sort(), [
+      ['clip.mp4', 5],
+      ['image-1.jpg', 5],
+      ['originals/image-1.heic', 8]
+    ]);
+    assert.deepEqual((await storage.list('originals/')).map(file => file.key), ['originals/image-1.heic']);
+  });
+
+  test('signs download URLs with the file name to save as', async () => {
+    const url = new URL(await storage.getDownloadUrl('image-1.jpg', { filename: 'site "A".jpg' }));
+
+    assert.equal(url.pathname, '/safetysnap/acme/image-1.jpg');
+    assert.equal(url.searchParams.get('X-Amz-Expires'), '900');
+    assert.equal(url.searchParams.get('response-content-disposition'), 'attachment; filename="site A.jpg"');
+  });
+
+  test('removes objects', async () => {
+    await storage.remove('clip.mp4');
+
+    assert.equal(await storage.exists('clip.mp4'), false);
+  });
+});
+
+describe('storage:migrate', () => {
+  const { server, objects } = createS3Server();
+  let dir;
+  let env;
+
+  const migrate = (...args) => promisify(execFile)(process.execPath, [MIGRATE_SCRIPT, ...args], { cwd: dir, env, timeout: 60000 });
+
+  before(async () => {
+    await new Promise(resolve => {
+      server.listen(0, '127.0.0.1', resolve);
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-migrate-'));
+    fs.mkdirSync(path.join(dir, 'uploads/originals'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'uploads/image-1.jpg'), 'image');
+    fs.writeFileSync(path.join(dir, 'uploads/originals/image-1.heic'), 'original');
+    fs.writeFileSync(path.join(dir, 'uploads/image-2.jpg'), 'in bucket');
+    objects.set('safetysnap/image-2.jpg', { body: Buffer.from('in bucket'), contentType: 'image/jpeg', lastModified: new Date() });
+
+    env = {
+      PATH: process.env.PATH,
+      S3_BUCKET: 'safetysnap',
+      S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+      S3_ACCESS_KEY_ID: 'key',
+      S3_SECRET_ACCESS_KEY: 'secret',
+      AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE: '1'
+    };
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists what it would copy on a dry run', async () => {
+    const { stdout } = await migrate('--dry-run');
+
+    assert.match(stdout, /copy {2}image-1\.jpg \(5 bytes\)/);
+    assert.match(stdout, /skip {2}image-2\.jpg \(already in bucket\)/);
+    assert.match(stdout, /\[dry run\] Copied 2 file\(s\) \(13 bytes\), skipped 1, failed 0/);
+    assert.equal(objects.size, 1);
+    assert.ok(fs.existsSync(path.join(dir, 'uploads/image-1.jpg')));
+  });
+
+  test('keeps the local files with --keep-local', async () => {
+    await migrate('--keep-local');
+
+    assert.equal(objects.get('safetysnap/originals/image-1.heic').body.toString(), 'original');
+    assert.ok(fs.existsSync(path.join(dir, 'uploads/originals/image-1.heic')));
+  });
+
+  test('copies local files into the bucket and removes them', async () => {
+    objects.delete('safetysnap/image-1.jpg');
+    const { stdout } = await migrate();
+
+    assert.match(stdout, /Copied 1 file\(s\) \(5 bytes\), skipped 2, failed 0/);
+    assert.match(stdout, /Set STORAGE_DRIVER=s3/);
+    assert.deepEqual([...objects.keys()].sort(), ['safetysnap/image-1.jpg', 'safetysnap/image-2.jpg', 'safetysnap/originals/image-1.heic']);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'uploads'), { recursive: true }), ['originals']);
+  });
+});
@@ -0,0 +1,269 @@
+// Video Analysis Service - samples frames from a video clip and builds a compliance timeline
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getStorage } from './storage/index.js';
+
+export const MAX_SAMPLE_RATE = 5; // frames per second
+
+// Run an ffmpeg/ffprobe binary and collect stdout
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      reject(error.code === 'ENOENT'
+        ? new Error(`${command} not found. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.`)
+        : error);
+    });
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      }
+    });
+  });
+}
+
+// Merge consecutive samples (by index) into time ranges, each sample covering `interval` seconds around its time
+function toRanges(frames, interval) {
+  const ranges = [];
+  frames.forEach(frame => {
+    const start = Math.max(0, Math.round((frame.time - interval / 2) * 100) / 100);
+    const end = Math.round((frame.time + interval / 2) * 100) / 100;
+    const last = ranges[ranges.length - 1];
+    if (last && last.lastIndex === frame.index - 1) {
+      last.end = end;
+      last.lastIndex = frame.index;
+      last.worstScore = Math.min(last.worstScore, frame.complianceScore);
+    } else {
+      ranges.push({ start, end, lastIndex: frame.index, worstScore: frame.complianceScore });
+    }
+  });
+  return ranges.map(({ start, end, worstScore }) => ({ start, end, worstScore }));
+}
+
+class VideoAnalysisService {
+  constructor({ ppeAnalysisService, analysisHistoryService, fileRegistryService, imagePreprocessingService, uploadPath = 'uploads' } = {}) {
+    this.ppeAnalysisService = ppeAnalysisService;
+    this.imagePreprocessingService = imagePreprocessingService;
+    this.analysisHistoryService = analysisHistoryService;
+    this.fileRegistryService = fileRegistryService;
+    this.uploadPath = uploadPath;
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+    this.maxDuration = parseInt(process.env.VIDEO_MAX_DURATION, 10) || 120; // seconds
+    this.concurrency = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+  }
+
+  // Duration and frame size of the first video stream
+  async probe(videoPath) {
+    const output = await run(this.ffprobePath, [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height:format=duration',
+      '-of', 'json',
+      videoPath
+    ]);
+    const info = JSON.parse(output);
+    const stream = (info.streams || [])[0];
+
+    if (!stream) {
+      throw new Error('No video stream found in file');
+    }
+
+    return {
+      duration: parseFloat(info.format?.duration) || 0,
+      width: stream.width,
+      height: stream.height
+    };
+  }
+
+  // Extract JPEG frames at `sampleRate` frames per second into `outputDir`
+  async extractFrames(videoPath, outputDir, sampleRate) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    await run(this.ffmpegPath, [
+      '-v', 'error',
+      '-i', videoPath,
+      '-vf', `fps=${sampleRate}`,
+      '-t', String(this.maxDuration),
+      '-q:v', '3',
+      path.join(outputDir, 'frame-%05d.jpg')
+    ]);
+
+    return fs.readdirSync(outputDir)
+      .filter(file => file.endsWith('.jpg'))
+      .sort()
+      .map((file, index) => ({
+        path: path.join(outputDir, file),
+        // fps filter emits frame n at the middle of its 1/sampleRate interval
+        time: Math.round(((index + 0.5) / sampleRate) * 100) / 100
+      }));
+  }
+
+  /**
+   * Analyze a video file: sample frames, run the PPE pipeline on each and
+   * summarize compliance over time. The worst frame is kept as an upload and
+   * stored in the analysis history of `owner` ({ organizationId, userId });
+   * other frames are discarded. `location` ({ site, zone }) applies to every frame.
+   * With `anonymize`, faces are blurred in the stored worst frame. The clip itself is stored
+   * by keepClip() and has no `filePath` then, as it is only available as an original.
+   */
+  async analyzeVideo(videoFile, { workEnvironment = 'construction', sampleRate = 1, location = null, owner, anonymize = false } = {}) {
+    const videoInfo = await this.probe(videoFile.path);
+    if (videoInfo.duration > this.maxDuration) {
+      throw Object.assign(
+        new Error(`Video is too long (${Math.round(videoInfo.duration)}s). Maximum duration is ${this.maxDuration}s.`),
+        { status: 400 }
+      );
+    }
+
+    const videoId = crypto.randomUUID();
+    const framesDir = path.join(this.uploadPath, 'frames', videoId);
+
+    try {
+      const frames = await this.extractFrames(videoFile.path, framesDir, sampleRate);
+      if (frames.length === 0) {
+        throw new Error('No frames could be extracted from the video');
+      }
+
+      const analyzed = await mapWithConcurrency(frames, this.concurrency, async (frame, index) => {
+        const result = await this.ppeAnalysisService.analyzeImage(frame.path, {
+          workEnvironment,
+          organizationId: owner.organizationId,
+          location
+        });
+        if (!result.success) {
+          return { index, time: frame.time, status: 'failed', error: result.error };
+        }
+        return { index, time: frame.time, status: 'completed', framePath: frame.path, analysis: result.analysis };
+      });
+
+      const timeline = analyzed.map(frame => (frame.status === 'completed'
+        ? {
+          index: frame.index,
+          time: frame.time,
+          status: 'completed',
+          complianceScore: frame.analysis.compliance.complianceScore,
+          isCompliant: frame.analysis.compliance.isCompliant,
+          verdict: frame.analysis.compliance.verdict,
+          personDetected: frame.analysis.compliance.personDetected,
+          personCount: (frame.analysis.compliance.people || []).length,
+          missingCategories: frame.analysis.compliance.missingCategories,
+          uncertainCategories: frame.analysis.compliance.uncertainCategories,
+          detections: frame.analysis.detections
+        }
+        : { index: frame.index, time: frame.time, status: 'failed', error: frame.error }));
+
+      const completed = analyzed.filter(frame => frame.status === 'completed');
+      const worst = completed.reduce(
+        (lowest, frame) => (!lowest || frame.analysis.compliance.complianceScore < lowest.analysis.compliance.complianceScore ? frame : lowest),
+        null
+      );
+
+      return {
+        videoId,
+        filename: videoFile.filename,
+        originalName: videoFile.originalname,
+        filePath: anonymize ? null : `/uploads/${videoFile.filename}`,
+        workEnvironment,
+        sampleRate,
+        video: videoInfo,
+        summary: this.summarize(timeline, sampleRate),
+        worstFrame: worst ? await this.keepWorstFrame(worst, videoFile, owner, anonymize) : null,
+        timeline,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      fs.rmSync(framesDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Move an analyzed clip into storage and register it. Faces in a clip are not blurred, so with
+   * `anonymize` it is kept as the upload's original only: /uploads doesn't serve it, and admins
+   * download it from GET /api/upload/:filename/original like the originals of images.
+   */
+  async keepClip(videoFile, owner, anonymize = false) {
+    await getStorage().putFile(anonymize ? `originals/${videoFile.filename}` : videoFile.filename, videoFile.path);
+    this.fileRegistryService.register({
+      filename: videoFile.filename,
+      originalName: videoFile.originalname,
+      kind: 'video',
+      originalFile: anonymize ? videoFile.filename : null,
+      anonymized: anonymize,
+      ...owner
+    });
+  }
+
+  // Move the worst frame out of the temporary frames folder into storage and record its analysis
+  async keepWorstFrame(frame, videoFile, owner, anonymize = false) {
+    const filename = `${path.parse(videoFile.filename).name}-frame-${frame.index + 1}.jpg`;
+    const originalName = `${videoFile.originalname} @ ${frame.time}s`;
+    fs.renameSync(frame.framePath, path.join(this.uploadPath, filename));
+    await this.imagePreprocessingService.persist({ filename });
+    if (anonymize) {
+      await this.imagePreprocessingService.anonymize(filename, frame.analysis.detections);
+    }
+
+    this.fileRegistryService.register({ filename, originalName, anonymized: anonymize, ...owner });
+    const record = this.analysisHistoryService.save({
+      filename,
+      originalName,
+      analysis: frame.analysis,
+      ...owner
+    });
+
+    return {
+      time: frame.time,
+      index: frame.index,
+      analysisId: record.id,
+      filename,
+      filePath: `/uploads/${filename}`,
+      complianceScore: frame.analysis.compliance.complianceScore,
+      missingCategories: frame.analysis.compliance.missingCategories
+    };
+  }
+
+  /**
+   * Aggregate the timeline: average score, compliant share of frames and the time ranges
+   * (in seconds) in which sampled frames were non-compliant. Frames with an uncertain verdict
+   * are no violations; like uncertain images they are reported separately, for review.
+   */
+  summarize(timeline, sampleRate) {
+    const completed = timeline.filter(frame => frame.status === 'completed');
+    const violations = completed.filter(frame => frame.verdict === 'non_compliant');
+    const uncertain = completed.filter(frame => frame.verdict === 'uncertain');
+    const decided = completed.length - uncertain.length;
+    const verdict = completed.length === 0 || violations.length > 0
+      ? 'non_compliant'
+      : uncertain.length > 0 ? 'uncertain' : 'compliant';
+
+    return {
+      framesAnalyzed: completed.length,
+      framesFailed: timeline.length - completed.length,
+      averageScore: completed.length > 0
+        ? Math.round(completed.reduce((sum, frame) => sum + frame.complianceScore, 0) / completed.length)
+        : 0,
+      // Share of the frames with a definite verdict
+      compliantFrameRate: decided > 0
+        ? Math.round(((decided - violations.length) / decided) * 100)
+        : 0,
+      isCompliant: verdict === 'compliant',
+      verdict,
+      violationSeconds: [...new Set(violations.map(frame => Math.floor(frame.time)))],
+      violationRanges: toRanges(violations, 1 / sampleRate),
+      uncertainFrames: uncertain.length,
+      uncertainRanges: toRanges(uncertain, 1 / sampleRate)
+    };
+  }
+}
+
+export default VideoAnalysisService;
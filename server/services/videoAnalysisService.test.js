@@ -0,0 +1,129 @@
+// Video Analysis Service tests - timeline summary and stored clips
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import VideoAnalysisService from './videoAnalysisService.js';
+import FileRegistryService from './fileRegistryService.js';
+import AuthService from './authService.js';
+import { getStorage } from './storage/index.js';
+import { closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+const SCORES = { compliant: 100, uncertain: 80, non_compliant: 40 };
+
+// One sampled frame per verdict, `failed` for frames whose analysis failed
+function timeline(verdicts, sampleRate = 1) {
+  return verdicts.map((verdict, index) => (verdict === 'failed'
+    ? { index, time: index / sampleRate, status: 'failed', error: 'boom' }
+    : { index, time: index / sampleRate, status: 'completed', verdict, isCompliant: verdict === 'compliant', complianceScore: SCORES[verdict] }));
+}
+
+describe('VideoAnalysisService.summarize', () => {
+  const service = new VideoAnalysisService();
+
+  test('reports uncertain frames separately from violations', () => {
+    const summary = service.summarize(timeline([
+      'compliant', 'uncertain', 'uncertain', 'compliant', 'non_compliant', 'non_compliant', 'compliant', 'failed'
+    ]), 1);
+
+    assert.equal(summary.framesAnalyzed, 7);
+    assert.equal(summary.framesFailed, 1);
+    assert.deepEqual(summary.violationSeconds, [4, 5]);
+    assert.deepEqual(summary.violationRanges, [{ start: 3.5, end: 5.5, worstScore: 40 }]);
+    assert.equal(summary.uncertainFrames, 2);
+    assert.deepEqual(summary.uncertainRanges, [{ start: 0.5, end: 2.5, worstScore: 80 }]);
+    // 3 of the 5 frames with a definite verdict are compliant
+    assert.equal(summary.compliantFrameRate, 60);
+    assert.equal(summary.verdict, 'non_compliant');
+    assert.equal(summary.isCompliant, false);
+  });
+
+  test('is uncertain, not in violation, when only uncertain frames fall short', () => {
+    const summary = service.summarize(timeline(['compliant', 'uncertain', 'compliant']), 1);
+
+    assert.equal(summary.verdict, 'uncertain');
+    assert.equal(summary.isCompliant, false);
+    assert.equal(summary.compliantFrameRate, 100);
+    assert.deepEqual(summary.violationRanges, []);
+    assert.deepEqual(summary.violationSeconds, []);
+  });
+
+  test('is compliant when every analyzed frame is', () => {
+    const summary = service.summarize(timeline(['compliant', 'failed', 'compliant']), 1);
+
+    assert.equal(summary.verdict, 'compliant');
+    assert.equal(summary.isCompliant, true);
+    assert.equal(summary.averageScore, 100);
+  });
+
+  test('splits ranges at gaps and sizes samples by the sample rate', () => {
+    const summary = service.summarize(timeline(['non_compliant', 'compliant', 'non_compliant', 'non_compliant'], 2), 2);
+
+    assert.deepEqual(summary.violationRanges, [
+      { start: 0, end: 0.25, worstScore: 40 },
+      { start: 0.75, end: 1.75, worstScore: 40 }
+    ]);
+    assert.deepEqual(summary.violationSeconds, [0, 1]);
+  });
+
+  test('is not compliant without analyzed frames', () => {
+    const summary = service.summarize(timeline(['failed']), 1);
+
+    assert.equal(summary.framesAnalyzed, 0);
+    assert.equal(summary.verdict, 'non_compliant');
+    assert.equal(summary.compliantFrameRate, 0);
+  });
+});
+
+describe('VideoAnalysisService.keepClip', () => {
+  const fileRegistryService = new FileRegistryService();
+  const service = new VideoAnalysisService({ fileRegistryService });
+  let cwd;
+  let dir;
+  let owner;
+
+  // An uploaded clip in the working folder, as multer leaves it
+  function receivedClip(filename) {
+    const clipPath = path.join(dir, 'uploads', filename);
+    fs.writeFileSync(clipPath, 'clip');
+    return { filename, originalname: 'site.mp4', path: clipPath };
+  }
+
+  before(() => {
+    // The local storage keeps files relative to the working directory
+    cwd = process.cwd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safetysnap-video-'));
+    process.chdir(dir);
+    fs.mkdirSync('uploads');
+    const { user } = new AuthService().register({ organizationName: 'Acme', username: 'alice', password: 'password123' });
+    owner = { organizationId: user.organizationId, userId: user.id };
+  });
+
+  after(() => {
+    closeDb();
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores the clip as a served upload', async () => {
+    await service.keepClip(receivedClip('video-1.mp4'), owner);
+
+    assert.equal(await getStorage().exists('video-1.mp4'), true);
+    const file = fileRegistryService.get('video-1.mp4', owner.organizationId);
+    assert.equal(file.kind, 'video');
+    assert.equal(file.originalFile, null);
+  });
+
+  test('keeps the clip of an anonymizing organization as an original only', async () => {
+    await service.keepClip(receivedClip('video-2.mp4'), owner, true);
+
+    assert.equal(await getStorage().exists('video-2.mp4'), false);
+    assert.equal(await getStorage().exists('originals/video-2.mp4'), true);
+    const file = fileRegistryService.get('video-2.mp4', owner.organizationId);
+    assert.equal(file.originalFile, 'video-2.mp4');
+    assert.equal(file.anonymized, true);
+  });
+});
@@ -0,0 +1,454 @@
+// Webhook Service - HMAC-signed notifications for analysis events with retries and a delivery log
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { getDb } from '../db/database.js';
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = {
+  non_compliant: 'Analysis is not compliant',
+  needs_review: 'Required PPE was only detected with low confidence and needs human review',
+  score_below_threshold: 'Compliance score is below the webhook threshold',
+  no_person_detected: 'No person was detected in the image'
+};
+
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Loopback, private, link-local (cloud metadata at 169.254.169.254), shared, multicast and reserved
+// ranges. Receivers there are refused so webhooks can't be used to reach the server's own network.
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = address => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+class WebhookError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    events: JSON.parse(row.events),
+    scoreThreshold: row.score_threshold,
+    active: row.active === 1,
+    // Only the end of the secret is shown after creation
+    secretPreview: `…${row.secret.slice(-4)}`,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function fromDeliveryRow(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    analysisId: row.analysis_id,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    error: row.error,
+    replayOf: row.replay_of,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    payload: JSON.parse(row.payload)
+  };
+}
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed requests
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookService {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseMs = options.retryBaseMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    // Receivers on the local network are refused unless explicitly allowed (e.g. on-premises installs)
+    this.allowPrivateHosts = options.allowPrivateHosts ?? process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+    this.lookup = options.lookup || (hostname => dns.lookup(hostname, { all: true }));
+  }
+
+  /**
+   * Refuse receiver URLs whose host is, or resolves to, a private or reserved address.
+   * Checked when a webhook is saved and again before every delivery, as DNS can change in between.
+   * @returns {Array<{ address: string, family: number }>} The checked addresses of the host
+   */
+  async checkUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await this.lookup(hostname)).map(entry => entry.address);
+      } catch (err) {
+        throw new WebhookError(`Webhook host ${hostname} could not be resolved`, 400);
+      }
+    }
+
+    if (!this.allowPrivateHosts && (addresses.length === 0 || addresses.some(isBlockedAddress))) {
+      throw new WebhookError('Webhook URL must not point to a private, loopback or reserved address', 400);
+    }
+    return addresses.map(address => ({ address, family: net.isIP(address) }));
+  }
+
+  /**
+   * POST to a receiver over a connection to one of the `addresses` checkUrl() returned, so the
+   * host can't be re-pointed at a refused address between the check and the request. The Host
+   * header and the TLS server name stay those of the URL. Redirects are not followed.
+   * @returns {Promise<http.IncomingMessage>}
+   */
+  post(url, { headers, body, addresses, signal }) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    // Called with `all` when the socket tries several addresses (happy eyeballs)
+    const lookup = (hostname, options, callback) => (options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family));
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal
+      }, resolve);
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  list(organizationId) {
+    return getDb().prepare('SELECT * FROM webhooks WHERE organization_id = ? ORDER BY id')
+      .all(organizationId)
+      .map(fromRow);
+  }
+
+  get(id, organizationId) {
+    const row = getDb().prepare('SELECT * FROM webhooks WHERE id = ? AND organization_id = ?').get(id, organizationId);
+    if (!row) {
+      throw new WebhookError('Webhook not found', 404);
+    }
+    return fromRow(row);
+  }
+
+  // The secret is returned once, on creation
+  async create(organizationId, { url, description = '', events, scoreThreshold = null, active = true, secret }) {
+    await this.checkUrl(url);
+    const webhookSecret = secret || crypto.randomBytes(32).toString('hex');
+    const now = new Date().toISOString();
+
+    const { lastInsertRowid } = getDb().prepare(`
+      INSERT INTO webhooks (organization_id, url, description, secret, events, score_threshold, active, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(organizationId, url, description, webhookSecret, JSON.stringify(events), scoreThreshold, active ? 1 : 0, now, now);
+
+    return { ...this.get(lastInsertRowid, organizationId), secret: webhookSecret };
+  }
+
+  async update(id, organizationId, changes) {
+    const updated = { ...this.get(id, organizationId), ...changes };
+    if (changes.url) {
+      await this.checkUrl(changes.url);
+    }
+
+    getDb().prepare(`
+      UPDATE webhooks
+      SET url = ?, description = ?, events = ?, score_threshold = ?, active = ?, secret = COALESCE(?, secret), updated_at = ?
+      WHERE id = ?
+    `).run(
+      updated.url,
+      updated.description,
+      JSON.stringify(updated.events),
+      updated.scoreThreshold,
+      updated.active ? 1 : 0,
+      changes.secret || null,
+      new Date().toISOString(),
+      id
+    );
+
+    return this.get(id, organizationId);
+  }
+
+  remove(id, organizationId) {
+    this.get(id, organizationId);
+    getDb().prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+  }
+
+  // Events a stored analysis record triggers for one webhook
+  matchEvents(webhook, record) {
+    return webhook.events.filter(event => {
+      switch (event) {
+        case 'non_compliant':
+          return record.verdict ? record.verdict === 'non_compliant' : !record.isCompliant;
+        case 'needs_review':
+          return record.verdict === 'uncertain';
+        case 'score_below_threshold':
+          return webhook.scoreThreshold !== null && record.complianceScore < webhook.scoreThreshold;
+        case 'no_person_detected':
+          return record.personCount === 0;
+        default:
+          return false;
+      }
+    });
+  }
+
+  buildPayload(event, record, organizationId) {
+    const { compliance } = record.analysis;
+    return {
+      event,
+      description: WEBHOOK_EVENTS[event],
+      organizationId,
+      occurredAt: new Date().toISOString(),
+      analysis: {
+        id: record.id,
+        filename: record.filename,
+        originalName: record.originalName,
+        workEnvironment: record.workEnvironment,
+        site: record.site,
+        zone: record.zone,
+        detector: record.detector,
+        isCompliant: record.isCompliant,
+        verdict: record.verdict,
+        complianceScore: record.complianceScore,
+        personCount: record.personCount,
+        missingCategories: compliance.missingCategories,
+        uncertainCategories: compliance.uncertainCategories || [],
+        detectedCategories: compliance.detectedCategories,
+        analyzedAt: record.analyzedAt,
+        url: `/api/analyses/${record.id}`
+      }
+    };
+  }
+
+  /**
+   * Queue deliveries for every active webhook of the organization whose
+   * event filters match a newly stored analysis. Sending happens in the
+   * background so analysis requests never wait on receivers.
+   */
+  notifyAnalysis(record, organizationId) {
+    const webhooks = getDb().prepare('SELECT * FROM webhooks WHERE organization_id = ? AND active = 1')
+      .all(organizationId)
+      .map(fromRow);
+
+    webhooks.forEach(webhook => {
+      this.matchEvents(webhook, record).forEach(event => {
+        const deliveryId = this.createDelivery(webhook.id, event, record.id, this.buildPayload(event, record, organizationId));
+        this.schedule(deliveryId, 0);
+      });
+    });
+  }
+
+  createDelivery(webhookId, event, analysisId, payload, replayOf = null) {
+    const now = new Date().toISOString();
+    return getDb().prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event, analysis_id, payload, status, replay_of, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, 'pending', ?, ?, ?)
+    `).run(webhookId, event, analysisId, JSON.stringify(payload), replayOf, now, now).lastInsertRowid;
+  }
+
+  // Timers don't keep the process alive; pending deliveries are picked up again by resumePending()
+  schedule(deliveryId, delayMs) {
+    setTimeout(() => {
+      this.deliver(deliveryId).catch(error => console.error(`Webhook delivery ${deliveryId} error:`, error));
+    }, delayMs).unref();
+  }
+
+  // Send one attempt; failures are retried with exponential backoff until maxAttempts
+  async deliver(deliveryId) {
+    const db = getDb();
+    const delivery = db.prepare(`
+      SELECT webhook_deliveries.*, webhooks.url, webhooks.secret, webhooks.active
+      FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+      WHERE webhook_deliveries.id = ? AND webhook_deliveries.status = 'pending'
+    `).get(deliveryId);
+    if (!delivery) return;
+
+    // Deliveries queued before the webhook was deactivated are not sent
+    if (!delivery.active) {
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'failed', error = 'Webhook is inactive', next_attempt_at = NULL, completed_at = ?
+        WHERE id = ?
+      `).run(new Date().toISOString(), deliveryId);
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    let permanent = false;
+    let addresses;
+
+    try {
+      addresses = await this.checkUrl(delivery.url);
+    } catch (err) {
+      // Not retried: the receiver's host resolves to an address deliveries never go to
+      error = err.message;
+      permanent = true;
+    }
+
+    if (!error) {
+      try {
+        const response = await this.post(delivery.url, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'SafetySnap-Webhooks/1.0',
+            'X-SafetySnap-Event': delivery.event,
+            'X-SafetySnap-Delivery': String(delivery.id),
+            'X-SafetySnap-Timestamp': timestamp,
+            'X-SafetySnap-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+          },
+          body: delivery.payload,
+          addresses,
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        responseStatus = response.statusCode;
+        if (responseStatus >= 200 && responseStatus < 300) {
+          let text = '';
+          for await (const chunk of response.setEncoding('utf8')) {
+            text += chunk;
+            if (text.length >= RESPONSE_BODY_LIMIT) break;
+          }
+          responseBody = text.slice(0, RESPONSE_BODY_LIMIT);
+        } else {
+          // Bodies of failed responses are not logged, they could be from any server the URL reaches
+          response.destroy();
+          error = responseStatus >= 300 && responseStatus < 400
+            ? `Receiver redirected with HTTP ${responseStatus}; redirects are not followed`
+            : `Receiver responded with HTTP ${responseStatus}`;
+        }
+      } catch (err) {
+        error = err.name === 'AbortError' ? `No response within ${this.timeoutMs}ms` : err.message;
+      }
+    }
+
+    const now = new Date();
+    if (!error) {
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'succeeded', attempts = ?, response_status = ?, response_body = ?, error = NULL,
+          next_attempt_at = NULL, completed_at = ?
+        WHERE id = ?
+      `).run(attempts, responseStatus, responseBody, now.toISOString(), deliveryId);
+      return;
+    }
+
+    if (permanent || attempts >= this.maxAttempts) {
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'failed', attempts = ?, response_status = ?, response_body = ?, error = ?,
+          next_attempt_at = NULL, completed_at = ?
+        WHERE id = ?
+      `).run(attempts, responseStatus, responseBody, error, now.toISOString(), deliveryId);
+      return;
+    }
+
+    const delayMs = this.retryBaseMs * 2 ** (attempts - 1);
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET attempts = ?, response_status = ?, response_body = ?, error = ?, next_attempt_at = ?
+      WHERE id = ?
+    `).run(attempts, responseStatus, responseBody, error, new Date(now.getTime() + delayMs).toISOString(), deliveryId);
+    this.schedule(deliveryId, delayMs);
+  }
+
+  // Reschedule deliveries that were still pending when the server stopped
+  resumePending() {
+    const pending = getDb().prepare("SELECT id, next_attempt_at FROM webhook_deliveries WHERE status = 'pending'").all();
+    pending.forEach(({ id, next_attempt_at: nextAttemptAt }) => {
+      this.schedule(id, Math.max(0, new Date(nextAttemptAt).getTime() - Date.now()));
+    });
+    return pending.length;
+  }
+
+  /**
+   * Delivery log of a webhook, newest first.
+   * @param {object} query - status, page, pageSize (already validated by the route)
+   */
+  listDeliveries(webhookId, organizationId, { status, page = 1, pageSize = 20 } = {}) {
+    this.get(webhookId, organizationId);
+
+    const conditions = ['webhook_id = ?'];
+    const params = [webhookId];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const db = getDb();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`).get(...params);
+    const rows = db.prepare(`
+      SELECT * FROM webhook_deliveries ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, (page - 1) * pageSize);
+
+    return {
+      items: rows.map(fromDeliveryRow),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  getDelivery(webhookId, deliveryId, organizationId) {
+    this.get(webhookId, organizationId);
+    const row = getDb().prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?').get(deliveryId, webhookId);
+    if (!row) {
+      throw new WebhookError('Delivery not found', 404);
+    }
+    return fromDeliveryRow(row);
+  }
+
+  // Send a logged payload again as a new delivery
+  replay(webhookId, deliveryId, organizationId) {
+    const original = this.getDelivery(webhookId, deliveryId, organizationId);
+    const id = this.createDelivery(webhookId, original.event, original.analysisId, original.payload, original.id);
+    this.schedule(id, 0);
+    return this.getDelivery(webhookId, id, organizationId);
+  }
+
+  // Send a ping event so receivers can check their signature verification
+  ping(webhookId, organizationId) {
+    this.get(webhookId, organizationId);
+    const id = this.createDelivery(webhookId, 'ping', null, {
+      event: 'ping',
+      description: 'Test delivery from SafetySnap',
+      organizationId,
+      occurredAt: new Date().toISOString()
+    });
+    this.schedule(id, 0);
+    return this.getDelivery(webhookId, id, organizationId);
+  }
+}
+
+export { WebhookError };
+export default WebhookService;
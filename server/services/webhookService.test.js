@@ -0,0 +1,215 @@
+// Webhook Service tests - signing, receiver address checks and the delivery log
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import WebhookService, { signPayload } from './webhookService.js';
+import AuthService from './authService.js';
+import { getDb, closeDb } from '../db/database.js';
+
+process.env.DATABASE_PATH = ':memory:';
+
+// Resolve every host name to the given addresses instead of asking DNS
+const resolvingTo = (...addresses) => async () => addresses.map(address => ({ address }));
+
+// A receiver that answers each request with the next of `responses` and records what it got
+function startReceiver(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      const { status = 200, headers = {}, body: responseBody = 'ok' } = responses.shift() || {};
+      res.writeHead(status, headers).end(responseBody);
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+const deliveryRow = id => getDb().prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+
+describe('signPayload', () => {
+  test('is an HMAC-SHA256 of the timestamp and the body', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"event":"ping"}').digest('hex');
+
+    assert.equal(signPayload('secret', '1700000000', '{"event":"ping"}'), expected);
+    assert.notEqual(signPayload('secret', '1700000001', '{"event":"ping"}'), expected);
+    assert.notEqual(signPayload('other', '1700000000', '{"event":"ping"}'), expected);
+  });
+});
+
+describe('WebhookService.checkUrl', () => {
+  test('refuses loopback, private, link-local and reserved addresses', async () => {
+    const service = new WebhookService({ allowPrivateHosts: false });
+    const refused = [
+      'http://127.0.0.1/hook', 'http://localhost.:8080/', 'http://169.254.169.254/latest/meta-data',
+      'http://10.1.2.3/', 'http://172.20.0.1/', 'http://192.168.1.10/', 'http://0.0.0.0/',
+      'http://[::1]/', 'http://[fd00::1]/', 'http://[fe80::1]/', 'http://[::ffff:127.0.0.1]/', 'http://2130706433/'
+    ];
+
+    for (const url of refused) {
+      const lookupService = new WebhookService({ allowPrivateHosts: false, lookup: resolvingTo('127.0.0.1') });
+      await assert.rejects((url.includes('localhost') ? lookupService : service).checkUrl(url), { status: 400 }, url);
+    }
+  });
+
+  test('refuses host names that resolve to a private address', async () => {
+    const service = new WebhookService({ allowPrivateHosts: false, lookup: resolvingTo('203.0.114.10', '10.0.0.5') });
+
+    await assert.rejects(service.checkUrl('https://hooks.example.com/'), /private, loopback or reserved/);
+  });
+
+  test('accepts public addresses', async () => {
+    const service = new WebhookService({ allowPrivateHosts: false, lookup: resolvingTo('93.184.215.14') });
+
+    await service.checkUrl('https://hooks.example.com/safetysnap');
+    await service.checkUrl('https://8.8.8.8/');
+  });
+
+  test('accepts private addresses when allowed', async () => {
+    await new WebhookService({ allowPrivateHosts: true }).checkUrl('http://192.168.1.10/');
+  });
+});
+
+describe('WebhookService deliveries', () => {
+  let organizationId;
+
+  before(() => {
+    organizationId = new AuthService().register({ organizationName: 'Acme', username: 'alice', password: 'password123' }).user.organizationId;
+  });
+
+  after(() => {
+    closeDb();
+  });
+
+  test('refuses to save a webhook for a private address', async () => {
+    const service = new WebhookService({ allowPrivateHosts: false });
+
+    await assert.rejects(service.create(organizationId, { url: 'http://169.254.169.254/', events: ['non_compliant'] }), { status: 400 });
+    assert.equal(service.list(organizationId).length, 0);
+  });
+
+  test('signs the payload it sends', async () => {
+    const receiver = await startReceiver([{ body: 'thanks' }]);
+    try {
+      const service = new WebhookService({ allowPrivateHosts: true });
+      const webhook = await service.create(organizationId, { url: receiver.url, events: ['non_compliant'] });
+      const delivery = service.createDelivery(webhook.id, 'ping', null, { event: 'ping' });
+      await service.deliver(delivery);
+
+      const [{ headers, body }] = receiver.requests;
+      assert.equal(headers['x-safetysnap-event'], 'ping');
+      assert.equal(headers['x-safetysnap-signature'], `sha256=${signPayload(webhook.secret, headers['x-safetysnap-timestamp'], body)}`);
+      assert.equal(deliveryRow(delivery).status, 'succeeded');
+      assert.equal(deliveryRow(delivery).response_body, 'thanks');
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('does not follow redirects or keep bodies of failed responses', async () => {
+    const receiver = await startReceiver([
+      { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' }, body: 'moved' },
+      { status: 500, body: 'internal secrets' }
+    ]);
+    try {
+      const service = new WebhookService({ allowPrivateHosts: true, maxAttempts: 1 });
+      const webhook = await service.create(organizationId, { url: receiver.url, events: ['non_compliant'] });
+
+      const redirected = service.createDelivery(webhook.id, 'ping', null, { event: 'ping' });
+      await service.deliver(redirected);
+      const failed = service.createDelivery(webhook.id, 'ping', null, { event: 'ping' });
+      await service.deliver(failed);
+
+      assert.equal(receiver.requests.length, 2);
+      assert.equal(deliveryRow(redirected).status, 'failed');
+      assert.equal(deliveryRow(redirected).response_status, 302);
+      assert.match(deliveryRow(redirected).error, /redirects are not followed/);
+      assert.equal(deliveryRow(redirected).response_body, null);
+      assert.equal(deliveryRow(failed).response_status, 500);
+      assert.equal(deliveryRow(failed).response_body, null);
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('checks the address again before delivering, without retries', async () => {
+    const saving = new WebhookService({ allowPrivateHosts: false, lookup: resolvingTo('93.184.215.14') });
+    const webhook = await saving.create(organizationId, { url: 'https://hooks.example.com/', events: ['non_compliant'] });
+
+    // The host has since been pointed at the metadata service
+    const delivering = new WebhookService({ allowPrivateHosts: false, lookup: resolvingTo('169.254.169.254') });
+    const delivery = delivering.createDelivery(webhook.id, 'ping', null, { event: 'ping' });
+    await delivering.deliver(delivery);
+
+    assert.equal(deliveryRow(delivery).status, 'failed');
+    assert.equal(deliveryRow(delivery).attempts, 1);
+    assert.equal(deliveryRow(delivery).response_status, null);
+  });
+
+  test('connects to the address it checked instead of resolving the host again', async () => {
+    const receiver = await startReceiver([{ body: 'pinned' }]);
+    try {
+      // The first lookup is the check before delivery; later ones would reach another host
+      const lookups = [];
+      const lookup = async hostname => {
+        lookups.push(hostname);
+        return [{ address: lookups.length === 1 ? '127.0.0.1' : '10.255.255.1' }];
+      };
+      const url = receiver.url.replace('127.0.0.1', 'hooks.example.test');
+      const webhook = await new WebhookService({ allowPrivateHosts: true }).create(organizationId, { url: receiver.url, events: ['non_compliant'] });
+      getDb().prepare('UPDATE webhooks SET url = ? WHERE id = ?').run(url, webhook.id);
+
+      const service = new WebhookService({ allowPrivateHosts: true, lookup, timeoutMs: 2000 });
+      const delivery = service.createDelivery(webhook.id, 'ping', null, { event: 'ping' });
+      await service.deliver(delivery);
+
+      assert.equal(deliveryRow(delivery).status, 'succeeded');
+      assert.equal(deliveryRow(delivery).response_body, 'pinned');
+      assert.deepEqual(lookups, ['hooks.example.test']);
+      assert.equal(receiver.requests[0].headers.host, new URL(url).host);
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('gives up on receivers that do not answer in time', async () => {
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const service = new WebhookService({ allowPrivateHosts: true, maxAttempts: 1, timeoutMs: 100 });
+      const webhook = await service.create(organizationId, { url: `http://127.0.0.1:${server.address().port}/hook`, events: ['non_compliant'] });
+      const delivery = service.createDelivery(webhook.id, 'ping', null, { event: 'ping' });
+      await service.deliver(delivery);
+
+      assert.equal(deliveryRow(delivery).status, 'failed');
+      assert.equal(deliveryRow(delivery).error, 'No response within 100ms');
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('does not send deliveries of an inactive webhook', async () => {
+    const receiver = await startReceiver([]);
+    try {
+      const service = new WebhookService({ allowPrivateHosts: true });
+      const webhook = await service.create(organizationId, { url: receiver.url, events: ['non_compliant'] });
+      const delivery = service.createDelivery(webhook.id, 'ping', null, { event: 'ping' });
+      await service.update(webhook.id, organizationId, { active: false });
+      await service.deliver(delivery);
+
+      assert.equal(receiver.requests.length, 0);
+      assert.equal(deliveryRow(delivery).status, 'failed');
+      assert.equal(deliveryRow(delivery).error, 'Webhook is inactive');
+      assert.equal(deliveryRow(delivery).attempts, 0);
+    } finally {
+      receiver.server.close();
+    }
+  });
+});